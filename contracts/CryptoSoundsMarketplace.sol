@@ -2,64 +2,62 @@
 pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
 import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
-import "@openzeppelin/contracts/token/common/ERC2981.sol";
-import "./CryptoSoundsNFT.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "./libraries/AuctionLogic.sol";
+import "./libraries/ListingLogic.sol";
+import "./libraries/OfferLogic.sol";
+import "./libraries/OrderLogic.sol";
+import "./libraries/SaleSettlement.sol";
 
 /**
  * @title CryptoSoundsMarketplace
- * @dev Marketplace contract for trading audio NFTs
+ * @dev Marketplace contract for trading audio NFTs. Sales are paid in ETH or in an
+ * ERC-20 payment token allowed by an admin.
  * @author CryptoSounds
  */
-contract CryptoSoundsMarketplace is ReentrancyGuard, Ownable, Pausable, IERC721Receiver {
-    
-    // Listing structure
-    struct Listing {
-        address seller;
-        address nftContract;
-        uint256 tokenId;
-        uint256 price;
-        bool isActive;
-        uint256 listingTime;
-        uint256 expirationTime;
-    }
-
-    // Offer structure
-    struct Offer {
-        address bidder;
-        uint256 amount;
-        bool isActive;
-        uint256 offerTime;
-        uint256 expirationTime;
-    }
-
-    // Auction structure
-    struct Auction {
-        address seller;
-        address nftContract;
-        uint256 tokenId;
-        uint256 startingPrice;
-        uint256 highestBid;
-        address highestBidder;
-        uint256 startTime;
-        uint256 endTime;
-        bool isActive;
-    }
+contract CryptoSoundsMarketplace is ReentrancyGuard, AccessControl, Pausable, EIP712, IERC721Receiver {
 
+    // Roles (DEFAULT_ADMIN_ROLE grants them and configures auctions, offers and payment tokens)
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+    
     // State variables
-    mapping(bytes32 => Listing) public listings;
-    mapping(bytes32 => Offer) public offers;
-    mapping(bytes32 => Auction) public auctions;
+    mapping(bytes32 => ListingLogic.Listing) public listings;
+    mapping(bytes32 => ListingLogic.Bundle) private _bundles;
+    mapping(bytes32 => OfferLogic.Offer) public offers;
+    mapping(bytes32 => OfferLogic.CollectionOffer) public collectionOffers;
+    mapping(bytes32 => AuctionLogic.Auction) public auctions;
+    mapping(bytes32 => AuctionLogic.DutchAuction) public dutchAuctions;
+    mapping(address => mapping(address => uint256)) public pendingReturns; // account => payment token => outbid bids and ERC-2981 royalties
+
+    // Enumeration indexes
+    ListingLogic.ListingIndex private _listingIndex;
+    OfferLogic.OfferIndex private _offerIndex;
+    MarketplaceIndex.TimeQueue private _auctionQueue;
+    AuctionLogic.DutchAuctionIndex private _dutchAuctionIndex;
+    
+    // Signed order state
+    bytes32 public constant ORDER_TYPEHASH = OrderLogic.ORDER_TYPEHASH;
+    mapping(address => uint256) public orderCounters;
+    mapping(address => mapping(uint256 => bool)) public usedOrderNonces;
+    mapping(address => mapping(address => uint256)) public offerDeposits; // maker => payment token => funds backing signed offers
     
     uint256 public listingFee = 0.01 ether; // 0.01 ETH listing fee
     uint256 public marketplaceFee = 250; // 2.5% marketplace fee (in basis points)
     uint256 public auctionDuration = 7 days;
     uint256 public offerDuration = 3 days;
+    uint256 public minBidIncrement = 500; // 5% over the highest bid (in basis points)
+    uint256 public auctionExtensionWindow = 10 minutes; // bids this close to the end extend the auction
     
     address public feeRecipient;
+    address public royaltyManager; // CryptoSoundsRoyalty contract, or zero to use ERC-2981 only
+    mapping(address => bool) public paymentTokens; // ERC-20s accepted besides ETH
+    uint256 public listingFeesCollected; // only these fees are withdrawable by the owner
     
     // Events
     event ItemListed(
@@ -67,17 +65,49 @@ contract CryptoSoundsMarketplace is ReentrancyGuard, Ownable, Pausable, IERC721R
         address indexed seller,
         address indexed nftContract,
         uint256 tokenId,
+        address paymentToken,
         uint256 price,
         uint256 expirationTime
     );
     
     event ItemDelisted(bytes32 indexed listingId);
+
+    event ListingInvalidated(bytes32 indexed listingId);
+
+    event ItemSkipped(bytes32 indexed listingId, string reason);
+
+    event BundleListed(
+        bytes32 indexed bundleId,
+        address indexed seller,
+        address indexed nftContract,
+        uint256[] tokenIds,
+        address paymentToken,
+        uint256 price,
+        uint256 expirationTime
+    );
+
+    event BundleDelisted(bytes32 indexed bundleId);
+
+    event BundleSold(
+        bytes32 indexed bundleId,
+        address indexed seller,
+        address indexed buyer,
+        uint256 price,
+        uint256 feeAmount,
+        uint256 royaltyAmount,
+        uint256 royaltyFeeAmount,
+        uint256 sellerAmount
+    );
     
     event ItemSold(
         bytes32 indexed listingId,
         address indexed seller,
         address indexed buyer,
-        uint256 price
+        uint256 price,
+        uint256 feeAmount,
+        uint256 royaltyAmount,
+        uint256 royaltyFeeAmount,
+        uint256 sellerAmount
     );
     
     event OfferMade(
@@ -85,6 +115,7 @@ contract CryptoSoundsMarketplace is ReentrancyGuard, Ownable, Pausable, IERC721R
         address indexed bidder,
         address indexed nftContract,
         uint256 tokenId,
+        address paymentToken,
         uint256 amount,
         uint256 expirationTime
     );
@@ -93,80 +124,162 @@ contract CryptoSoundsMarketplace is ReentrancyGuard, Ownable, Pausable, IERC721R
         bytes32 indexed offerId,
         address indexed seller,
         address indexed bidder,
-        uint256 amount
+        uint256 amount,
+        uint256 feeAmount,
+        uint256 royaltyAmount,
+        uint256 royaltyFeeAmount,
+        uint256 sellerAmount
     );
     
     event OfferCancelled(bytes32 indexed offerId);
     
+    event OfferRefunded(
+        bytes32 indexed offerId,
+        address indexed bidder,
+        uint256 amount
+    );
+    
+    event CollectionOfferMade(
+        bytes32 indexed offerId,
+        address indexed bidder,
+        address indexed nftContract,
+        OfferLogic.OfferTrait trait,
+        string traitValue,
+        address paymentToken,
+        uint256 pricePerToken,
+        uint256 quantity,
+        uint256 expirationTime
+    );
+    
+    event CollectionOfferFilled(
+        bytes32 indexed offerId,
+        address indexed seller,
+        uint256 indexed tokenId,
+        uint256 price,
+        uint256 feeAmount,
+        uint256 royaltyAmount,
+        uint256 royaltyFeeAmount,
+        uint256 sellerAmount
+    );
+    
+    event CollectionOfferClosed(
+        bytes32 indexed offerId,
+        address indexed bidder,
+        uint256 refundAmount
+    );
+    
+    event OrderFilled(
+        bytes32 indexed orderHash,
+        address indexed maker,
+        address indexed taker,
+        OrderLogic.OrderSide side,
+        uint256 price,
+        uint256 feeAmount,
+        uint256 royaltyAmount,
+        uint256 royaltyFeeAmount,
+        uint256 sellerAmount
+    );
+    
+    event OrderNonceCancelled(address indexed maker, uint256 nonce);
+    event OrderCounterIncremented(address indexed maker, uint256 newCounter);
+    event OfferDepositUpdated(address indexed bidder, address indexed paymentToken, uint256 balance);
+    
     event AuctionCreated(
         bytes32 indexed auctionId,
         address indexed seller,
         address indexed nftContract,
         uint256 tokenId,
+        address paymentToken,
         uint256 startingPrice,
         uint256 endTime
     );
     
+    event DutchAuctionCreated(
+        bytes32 indexed auctionId,
+        address indexed seller,
+        address indexed nftContract,
+        uint256 tokenId,
+        address paymentToken,
+        uint256 startPrice,
+        uint256 floorPrice,
+        uint256 endTime
+    );
+    
+    event AuctionTermsSet(
+        bytes32 indexed auctionId,
+        uint256 reservePrice,
+        bool hasHiddenReserve,
+        uint256 buyNowPrice
+    );
+    
     event BidPlaced(
         bytes32 indexed auctionId,
         address indexed bidder,
         uint256 amount
     );
     
+    event AuctionExtended(bytes32 indexed auctionId, uint256 newEndTime);
+    
+    event ReserveRevealed(bytes32 indexed auctionId, uint256 reservePrice);
+    
+    event ReserveNotMet(bytes32 indexed auctionId, uint256 highestBid, uint256 reservePrice);
+    
     event AuctionEnded(
         bytes32 indexed auctionId,
         address indexed winner,
-        uint256 winningBid
+        uint256 winningBid,
+        uint256 feeAmount,
+        uint256 royaltyAmount,
+        uint256 royaltyFeeAmount,
+        uint256 sellerAmount
     );
     
     event AuctionCancelled(bytes32 indexed auctionId);
+    
+    event PendingReturnCredited(address indexed account, address indexed paymentToken, uint256 amount);
+    event PendingReturnWithdrawn(address indexed account, address indexed paymentToken, uint256 amount);
+    
+    event PaymentTokenUpdated(address indexed paymentToken, bool allowed);
 
-    constructor(address _feeRecipient) {
+    constructor(address _feeRecipient) EIP712("CryptoSoundsMarketplace", "1") {
         feeRecipient = _feeRecipient;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(FEE_MANAGER_ROLE, msg.sender);
+        _grantRole(TREASURER_ROLE, msg.sender);
     }
 
     /**
-     * @dev List an NFT for sale
+     * @dev List an NFT for sale. A token has at most one active listing: listing it
+     * again replaces the previous listing, including one left by a former owner.
      * @param nftContract Address of the NFT contract
      * @param tokenId Token ID to list
-     * @param price Sale price in wei
+     * @param paymentToken ERC-20 to sell for, or zero for ETH
+     * @param price Sale price in wei or token units
      * @param expirationTime When the listing expires (0 for no expiration)
      */
     function listItem(
         address nftContract,
         uint256 tokenId,
+        address paymentToken,
         uint256 price,
         uint256 expirationTime
     ) external payable whenNotPaused nonReentrant {
         require(msg.value >= listingFee, "Insufficient listing fee");
-        require(price > 0, "Price must be greater than 0");
-        require(
-            IERC721(nftContract).ownerOf(tokenId) == msg.sender,
-            "Not the owner"
+        _checkPaymentToken(paymentToken);
+        listingFeesCollected += msg.value;
+
+        ListingLogic.listItem(
+            listings,
+            _listingIndex,
+            nftContract,
+            tokenId,
+            paymentToken,
+            price,
+            expirationTime,
+            msg.sender
         );
-        require(
-            IERC721(nftContract).getApproved(tokenId) == address(this) ||
-            IERC721(nftContract).isApprovedForAll(msg.sender, address(this)),
-            "Contract not approved"
-        );
-
-        bytes32 listingId = keccak256(
-            abi.encodePacked(nftContract, tokenId, msg.sender, block.timestamp)
-        );
-
-        require(!listings[listingId].isActive, "Already listed");
-
-        listings[listingId] = Listing({
-            seller: msg.sender,
-            nftContract: nftContract,
-            tokenId: tokenId,
-            price: price,
-            isActive: true,
-            listingTime: block.timestamp,
-            expirationTime: expirationTime
-        });
-
-        emit ItemListed(listingId, msg.sender, nftContract, tokenId, price, expirationTime);
     }
 
     /**
@@ -174,45 +287,93 @@ contract CryptoSoundsMarketplace is ReentrancyGuard, Ownable, Pausable, IERC721R
      * @param listingId ID of the listing
      */
     function buyItem(bytes32 listingId) external payable whenNotPaused nonReentrant {
-        Listing storage listing = listings[listingId];
-        require(listing.isActive, "Listing not active");
-        require(msg.sender != listing.seller, "Cannot buy own item");
-        require(msg.value >= listing.price, "Insufficient payment");
-        
-        if (listing.expirationTime > 0) {
-            require(block.timestamp <= listing.expirationTime, "Listing expired");
-        }
+        ListingLogic.buyItem(listings, _listingIndex, pendingReturns, listingId, msg.sender, msg.value, _settlementConfig());
+    }
 
-        // Transfer NFT
-        IERC721(listing.nftContract).safeTransferFrom(
-            listing.seller,
+    /**
+     * @dev Buy several listings in one transaction, refunding unspent ETH once
+     * @param listingIds IDs of the listings to buy
+     * @param atomic True to revert if any listing cannot be bought, false to skip it
+     * @return bought Number of listings bought
+     */
+    function buyItems(
+        bytes32[] calldata listingIds,
+        bool atomic
+    ) external payable whenNotPaused nonReentrant returns (uint256 bought) {
+        return ListingLogic.buyItems(
+            listings,
+            _listingIndex,
+            pendingReturns,
+            listingIds,
+            atomic,
             msg.sender,
-            listing.tokenId
+            msg.value,
+            _settlementConfig()
         );
+    }
 
-        // Calculate fees
-        uint256 marketplaceFeeAmount = (listing.price * marketplaceFee) / 10000;
-        uint256 sellerAmount = listing.price - marketplaceFeeAmount;
-
-        // Transfer payments
-        (bool success1, ) = payable(listing.seller).call{value: sellerAmount}("");
-        require(success1, "Payment to seller failed");
-
-        if (marketplaceFeeAmount > 0) {
-            (bool success2, ) = payable(feeRecipient).call{value: marketplaceFeeAmount}("");
-            require(success2, "Payment to marketplace failed");
-        }
+    /**
+     * @dev List several tokens of one NFT contract as a bundle sold at one price
+     * @param nftContract Address of the NFT contract
+     * @param tokenIds Token IDs to sell together, in ascending order
+     * @param paymentToken ERC-20 to sell for, or zero for ETH
+     * @param price Price of the whole bundle in wei or token units
+     * @param expirationTime When the bundle expires (0 for no expiration)
+     */
+    function listBundle(
+        address nftContract,
+        uint256[] calldata tokenIds,
+        address paymentToken,
+        uint256 price,
+        uint256 expirationTime
+    ) external payable whenNotPaused nonReentrant {
+        require(msg.value >= listingFee, "Insufficient listing fee");
+        _checkPaymentToken(paymentToken);
+        listingFeesCollected += msg.value;
+
+        ListingLogic.listBundle(
+            _bundles,
+            _listingIndex,
+            nftContract,
+            tokenIds,
+            paymentToken,
+            price,
+            expirationTime,
+            msg.sender
+        );
+    }
 
-        // Refund excess payment
-        if (msg.value > listing.price) {
-            (bool success3, ) = payable(msg.sender).call{value: msg.value - listing.price}("");
-            require(success3, "Refund failed");
-        }
+    /**
+     * @dev Buy every token of a bundle
+     * @param bundleId ID of the bundle
+     */
+    function buyBundle(bytes32 bundleId) external payable whenNotPaused nonReentrant {
+        ListingLogic.buyBundle(
+            _bundles[bundleId],
+            listings,
+            _listingIndex,
+            pendingReturns,
+            bundleId,
+            msg.sender,
+            msg.value,
+            _settlementConfig()
+        );
+    }
 
-        // Deactivate listing
-        listing.isActive = false;
+    /**
+     * @dev Delist a bundle
+     * @param bundleId ID of the bundle
+     */
+    function delistBundle(bytes32 bundleId) external whenNotPaused {
+        ListingLogic.delistBundle(_bundles[bundleId], bundleId, msg.sender);
+    }
 
-        emit ItemSold(listingId, listing.seller, msg.sender, listing.price);
+    /**
+     * @dev Get a bundle with its token IDs
+     * @param bundleId ID of the bundle
+     */
+    function getBundle(bytes32 bundleId) external view returns (ListingLogic.Bundle memory) {
+        return _bundles[bundleId];
     }
 
     /**
@@ -220,107 +381,329 @@ contract CryptoSoundsMarketplace is ReentrancyGuard, Ownable, Pausable, IERC721R
      * @param listingId ID of the listing
      */
     function delistItem(bytes32 listingId) external whenNotPaused {
-        Listing storage listing = listings[listingId];
-        require(listing.isActive, "Listing not active");
-        require(listing.seller == msg.sender, "Not the seller");
+        ListingLogic.delistItem(listings, _listingIndex, listingId, msg.sender);
+    }
 
-        listing.isActive = false;
-        emit ItemDelisted(listingId);
+    /**
+     * @dev Invalidate a listing whose seller no longer owns the token, e.g. after a
+     * transfer outside the marketplace. Callable by anyone.
+     * @param listingId ID of the listing
+     */
+    function invalidateListing(bytes32 listingId) external {
+        ListingLogic.invalidateListing(listings, _listingIndex, listingId);
+    }
+
+    /**
+     * @dev Get the listing a token can currently be bought through
+     * @param nftContract Address of the NFT contract
+     * @param tokenId Token ID
+     * @return listingId ID of the listing, or zero if the token has no valid listing
+     * @return listing The listing (empty if none)
+     */
+    function getActiveListing(
+        address nftContract,
+        uint256 tokenId
+    ) external view returns (bytes32 listingId, ListingLogic.Listing memory listing) {
+        return ListingLogic.getActiveListing(listings, _listingIndex, nftContract, tokenId);
+    }
+
+    /**
+     * @dev Current listing ID of a token, which may be stale or expired; see getActiveListing
+     */
+    function activeListingIds(address nftContract, uint256 tokenId) external view returns (bytes32) {
+        return _listingIndex.activeIds[nftContract][tokenId];
+    }
+
+    /**
+     * @dev Number of listings created for a token
+     */
+    function listingNonces(address nftContract, uint256 tokenId) external view returns (uint256) {
+        return _listingIndex.nonces[nftContract][tokenId];
+    }
+
+    /**
+     * @dev Listing IDs are derived from the token and a per-token nonce, so the ID
+     * of the next listing is known in advance: getListingId(nft, id, listingNonces(nft, id))
+     * @param nftContract Address of the NFT contract
+     * @param tokenId Token ID
+     * @param nonce Number of listings previously created for the token
+     * @return ID of the listing
+     */
+    function getListingId(address nftContract, uint256 tokenId, uint256 nonce) external pure returns (bytes32) {
+        return ListingLogic.getListingId(nftContract, tokenId, nonce);
     }
 
     /**
      * @dev Make an offer on an NFT
      * @param nftContract Address of the NFT contract
      * @param tokenId Token ID to make offer on
-     * @param amount Offer amount in wei
-     * @param expirationTime When the offer expires
+     * @param paymentToken ERC-20 to pay with, or zero for ETH
+     * @param amount Offer amount in wei or token units
+     * @param expirationTime When the offer expires (0 for the default offer duration)
      */
     function makeOffer(
         address nftContract,
         uint256 tokenId,
+        address paymentToken,
         uint256 amount,
         uint256 expirationTime
     ) external payable whenNotPaused nonReentrant {
-        require(amount > 0, "Amount must be greater than 0");
-        require(msg.value >= amount, "Insufficient payment");
-        require(
-            IERC721(nftContract).ownerOf(tokenId) != msg.sender,
-            "Cannot offer on own NFT"
+        _checkPaymentToken(paymentToken);
+
+        OfferLogic.makeOffer(
+            offers,
+            _offerIndex,
+            nftContract,
+            tokenId,
+            paymentToken,
+            amount,
+            expirationTime == 0 ? block.timestamp + offerDuration : expirationTime,
+            msg.sender,
+            msg.value
+        );
+    }
+
+    /**
+     * @dev Accept an offer, transferring the NFT to the bidder in exchange for the escrowed amount
+     * @param offerId ID of the offer
+     */
+    function acceptOffer(bytes32 offerId) external whenNotPaused nonReentrant {
+        _invalidateListing(offers[offerId].nftContract, offers[offerId].tokenId);
+        OfferLogic.acceptOffer(
+            offers[offerId],
+            _offerIndex,
+            pendingReturns,
+            offerId,
+            msg.sender,
+            _settlementConfig()
         );
+    }
+
+    /**
+     * @dev Cancel an offer
+     * @param offerId ID of the offer
+     */
+    function cancelOffer(bytes32 offerId) external whenNotPaused nonReentrant {
+        OfferLogic.cancelOffer(offers[offerId], _offerIndex, offerId, msg.sender);
+    }
+
+    /**
+     * @dev Refund an expired offer to its bidder. Callable by anyone so escrow
+     * can be returned on the bidder's behalf, and not blocked by pausing.
+     * @param offerId ID of the offer
+     */
+    function refundExpiredOffer(bytes32 offerId) external nonReentrant {
+        OfferLogic.refundExpiredOffer(offers[offerId], _offerIndex, offerId);
+    }
 
-        if (expirationTime == 0) {
-            expirationTime = block.timestamp + offerDuration;
+    /**
+     * @dev Make an offer on any token of a collection, optionally restricted to
+     * tokens whose audio metadata matches a trait (e.g. genre "Electronic")
+     * @param nftContract Address of the NFT contract
+     * @param trait Metadata field to match, or Any for every token
+     * @param traitValue Value the field must equal (ignored for Any)
+     * @param paymentToken ERC-20 to pay with, or zero for ETH
+     * @param pricePerToken Amount paid for each token in wei or token units
+     * @param quantity Number of tokens wanted
+     * @param expirationTime When the offer expires (0 for the default offer duration)
+     */
+    function makeCollectionOffer(
+        address nftContract,
+        OfferLogic.OfferTrait trait,
+        string memory traitValue,
+        address paymentToken,
+        uint256 pricePerToken,
+        uint256 quantity,
+        uint256 expirationTime
+    ) external payable whenNotPaused nonReentrant {
+        _checkPaymentToken(paymentToken);
+
+        OfferLogic.makeCollectionOffer(
+            collectionOffers,
+            _offerIndex,
+            OfferLogic.CollectionOffer({
+                bidder: address(0),
+                nftContract: nftContract,
+                trait: trait,
+                traitValue: traitValue,
+                paymentToken: paymentToken,
+                pricePerToken: pricePerToken,
+                quantity: quantity,
+                isActive: false,
+                offerTime: 0,
+                expirationTime: expirationTime == 0 ? block.timestamp + offerDuration : expirationTime
+            }),
+            msg.sender,
+            msg.value
+        );
+    }
+
+    /**
+     * @dev Sell one or more matching tokens into a collection offer
+     * @param offerId ID of the collection offer
+     * @param tokenIds Token IDs owned by the caller to sell
+     */
+    function acceptCollectionOffer(
+        bytes32 offerId,
+        uint256[] calldata tokenIds
+    ) external whenNotPaused nonReentrant {
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            _invalidateListing(collectionOffers[offerId].nftContract, tokenIds[i]);
         }
 
-        bytes32 offerId = keccak256(
-            abi.encodePacked(nftContract, tokenId, msg.sender, block.timestamp)
+        OfferLogic.acceptCollectionOffer(
+            collectionOffers[offerId],
+            _offerIndex,
+            pendingReturns,
+            offerId,
+            tokenIds,
+            msg.sender,
+            _settlementConfig()
         );
+    }
 
-        require(!offers[offerId].isActive, "Offer already exists");
+    /**
+     * @dev Cancel a collection offer and refund the unfilled amount
+     * @param offerId ID of the collection offer
+     */
+    function cancelCollectionOffer(bytes32 offerId) external whenNotPaused nonReentrant {
+        OfferLogic.cancelCollectionOffer(collectionOffers[offerId], _offerIndex, offerId, msg.sender);
+    }
 
-        offers[offerId] = Offer({
-            bidder: msg.sender,
-            amount: amount,
-            isActive: true,
-            offerTime: block.timestamp,
-            expirationTime: expirationTime
-        });
+    /**
+     * @dev Refund the unfilled amount of an expired collection offer. Callable by anyone.
+     * @param offerId ID of the collection offer
+     */
+    function refundExpiredCollectionOffer(bytes32 offerId) external nonReentrant {
+        OfferLogic.refundExpiredCollectionOffer(collectionOffers[offerId], _offerIndex, offerId);
+    }
 
-        emit OfferMade(offerId, msg.sender, nftContract, tokenId, amount, expirationTime);
+    /**
+     * @dev Check whether a token satisfies a collection offer's trait
+     * @param offerId ID of the collection offer
+     * @param tokenId Token ID to check
+     * @return True if the token can fill the offer
+     */
+    function matchesCollectionOffer(bytes32 offerId, uint256 tokenId) external view returns (bool) {
+        return OfferLogic.matchesCollectionOffer(collectionOffers[offerId], tokenId);
     }
 
     /**
-     * @dev Accept an offer
-     * @param offerId ID of the offer
+     * @dev Buy an NFT through a listing signed off-chain by its seller
+     * @param order Sell order signed by the seller
+     * @param signature EIP-712 signature of the order
      */
-    function acceptOffer(bytes32 offerId) external whenNotPaused nonReentrant {
-        Offer storage offer = offers[offerId];
-        require(offer.isActive, "Offer not active");
-        require(block.timestamp <= offer.expirationTime, "Offer expired");
-
-        // Get the NFT contract and token ID from the offer
-        // Note: In a real implementation, you'd need to store this information
-        // For now, we'll require the caller to provide it
-        require(msg.sender != offer.bidder, "Cannot accept own offer");
-
-        // Calculate fees
-        uint256 marketplaceFeeAmount = (offer.amount * marketplaceFee) / 10000;
-        uint256 sellerAmount = offer.amount - marketplaceFeeAmount;
-
-        // Transfer payments
-        (bool success1, ) = payable(msg.sender).call{value: sellerAmount}("");
-        require(success1, "Payment to seller failed");
-
-        if (marketplaceFeeAmount > 0) {
-            (bool success2, ) = payable(feeRecipient).call{value: marketplaceFeeAmount}("");
-            require(success2, "Payment to marketplace failed");
+    function fillSignedListing(
+        OrderLogic.Order calldata order,
+        bytes calldata signature
+    ) external payable whenNotPaused nonReentrant {
+        _checkPaymentToken(order.paymentToken);
+        _invalidateListing(order.nftContract, order.tokenId);
+
+        OrderLogic.fillSignedListing(
+            orderCounters,
+            usedOrderNonces,
+            pendingReturns,
+            order,
+            signature,
+            _domainSeparatorV4(),
+            msg.sender,
+            msg.value,
+            _settlementConfig()
+        );
+    }
+
+    /**
+     * @dev Sell an NFT into an offer signed off-chain by a bidder, paid from their offer deposit
+     * @param order Buy order signed by the bidder
+     * @param signature EIP-712 signature of the order
+     */
+    function fillSignedOffer(
+        OrderLogic.Order calldata order,
+        bytes calldata signature
+    ) external whenNotPaused nonReentrant {
+        _checkPaymentToken(order.paymentToken);
+        _invalidateListing(order.nftContract, order.tokenId);
+
+        OrderLogic.fillSignedOffer(
+            orderCounters,
+            usedOrderNonces,
+            offerDeposits,
+            pendingReturns,
+            order,
+            signature,
+            _domainSeparatorV4(),
+            msg.sender,
+            _settlementConfig()
+        );
+    }
+
+    /**
+     * @dev Cancel signed orders by nonce
+     * @param nonces Nonces of the caller's orders to invalidate
+     */
+    function cancelOrderNonces(uint256[] calldata nonces) external {
+        for (uint256 i = 0; i < nonces.length; i++) {
+            usedOrderNonces[msg.sender][nonces[i]] = true;
+            emit OrderNonceCancelled(msg.sender, nonces[i]);
         }
+    }
+
+    /**
+     * @dev Cancel every outstanding signed order of the caller at once
+     */
+    function incrementOrderCounter() external {
+        orderCounters[msg.sender]++;
+        emit OrderCounterIncremented(msg.sender, orderCounters[msg.sender]);
+    }
 
-        // Deactivate offer
-        offer.isActive = false;
+    /**
+     * @dev Deposit ETH or an ERC-20 that signed offers of the caller are paid from
+     * @param paymentToken ERC-20 to deposit, or zero for ETH
+     * @param amount Amount to deposit (must equal msg.value for ETH)
+     */
+    function depositOfferFunds(address paymentToken, uint256 amount) external payable whenNotPaused nonReentrant {
+        require(amount > 0, "Amount must be greater than 0");
+        _checkPaymentToken(paymentToken);
 
-        emit OfferAccepted(offerId, msg.sender, offer.bidder, offer.amount);
+        SaleSettlement.collect(paymentToken, msg.sender, amount, msg.value);
+        offerDeposits[msg.sender][paymentToken] += amount;
+
+        emit OfferDepositUpdated(msg.sender, paymentToken, offerDeposits[msg.sender][paymentToken]);
     }
 
     /**
-     * @dev Cancel an offer
-     * @param offerId ID of the offer
+     * @dev Withdraw unused offer deposit
+     * @param paymentToken ERC-20 to withdraw, or zero for ETH
+     * @param amount Amount to withdraw
      */
-    function cancelOffer(bytes32 offerId) external whenNotPaused nonReentrant {
-        Offer storage offer = offers[offerId];
-        require(offer.isActive, "Offer not active");
-        require(offer.bidder == msg.sender, "Not the bidder");
+    function withdrawOfferFunds(address paymentToken, uint256 amount) external nonReentrant {
+        require(offerDeposits[msg.sender][paymentToken] >= amount, "Insufficient offer deposit");
+        offerDeposits[msg.sender][paymentToken] -= amount;
 
-        // Refund the bidder
-        (bool success, ) = payable(offer.bidder).call{value: offer.amount}("");
-        require(success, "Refund failed");
+        SaleSettlement.pay(paymentToken, msg.sender, amount, "Withdrawal failed");
 
-        offer.isActive = false;
-        emit OfferCancelled(offerId);
+        emit OfferDepositUpdated(msg.sender, paymentToken, offerDeposits[msg.sender][paymentToken]);
     }
 
     /**
-     * @dev Create an auction
+     * @dev Get the EIP-712 digest a maker signs for an order
+     * @param order Order to hash
+     * @return EIP-712 typed data hash
+     */
+    function hashOrder(OrderLogic.Order calldata order) external view returns (bytes32) {
+        return OrderLogic.hashOrder(order, _domainSeparatorV4());
+    }
+
+    /**
+     * @dev Get the EIP-712 domain separator
+     */
+    function domainSeparator() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    /**
+     * @dev Create an ETH auction. The NFT is held by the marketplace until the auction ends.
      * @param nftContract Address of the NFT contract
      * @param tokenId Token ID to auction
      * @param startingPrice Starting price in wei
@@ -333,64 +716,108 @@ contract CryptoSoundsMarketplace is ReentrancyGuard, Ownable, Pausable, IERC721R
         uint256 duration
     ) external payable whenNotPaused nonReentrant {
         require(msg.value >= listingFee, "Insufficient listing fee");
-        require(startingPrice > 0, "Starting price must be greater than 0");
-        require(
-            IERC721(nftContract).ownerOf(tokenId) == msg.sender,
-            "Not the owner"
-        );
-        require(
-            IERC721(nftContract).getApproved(tokenId) == address(this) ||
-            IERC721(nftContract).isApprovedForAll(msg.sender, address(this)),
-            "Contract not approved"
-        );
-
-        if (duration == 0) {
-            duration = auctionDuration;
-        }
-
-        bytes32 auctionId = keccak256(
-            abi.encodePacked(nftContract, tokenId, msg.sender, block.timestamp)
+        listingFeesCollected += msg.value;
+        _invalidateListing(nftContract, tokenId);
+
+        AuctionLogic.createAuction(
+            auctions,
+            _auctionQueue,
+            AuctionLogic.AuctionParams({
+                nftContract: nftContract,
+                tokenId: tokenId,
+                paymentToken: address(0),
+                startingPrice: startingPrice,
+                duration: duration,
+                reservePrice: 0,
+                reserveHash: bytes32(0),
+                buyNowPrice: 0
+            }),
+            msg.sender,
+            auctionDuration
         );
+    }
 
-        require(!auctions[auctionId].isActive, "Auction already exists");
-
-        auctions[auctionId] = Auction({
-            seller: msg.sender,
-            nftContract: nftContract,
-            tokenId: tokenId,
-            startingPrice: startingPrice,
-            highestBid: 0,
-            highestBidder: address(0),
-            startTime: block.timestamp,
-            endTime: block.timestamp + duration,
-            isActive: true
-        });
+    /**
+     * @dev Create an auction with a payment token, reserve price and/or buy-it-now price
+     * @param params Auction parameters; set either reservePrice (public) or
+     * reserveHash = keccak256(abi.encode(reservePrice, salt)) (hidden)
+     */
+    function createAuctionWithOptions(
+        AuctionLogic.AuctionParams calldata params
+    ) external payable whenNotPaused nonReentrant {
+        require(msg.value >= listingFee, "Insufficient listing fee");
+        _checkPaymentToken(params.paymentToken);
+        listingFeesCollected += msg.value;
+        _invalidateListing(params.nftContract, params.tokenId);
 
-        emit AuctionCreated(auctionId, msg.sender, nftContract, tokenId, startingPrice, block.timestamp + duration);
+        AuctionLogic.createAuction(auctions, _auctionQueue, params, msg.sender, auctionDuration);
     }
 
     /**
-     * @dev Place a bid on an auction
+     * @dev Place an ETH bid on an auction
      * @param auctionId ID of the auction
      */
     function placeBid(bytes32 auctionId) external payable whenNotPaused nonReentrant {
-        Auction storage auction = auctions[auctionId];
-        require(auction.isActive, "Auction not active");
-        require(block.timestamp < auction.endTime, "Auction ended");
-        require(msg.sender != auction.seller, "Cannot bid on own auction");
-        require(msg.value > auction.highestBid, "Bid too low");
-        require(msg.value >= auction.startingPrice, "Bid below starting price");
-
-        // Refund previous highest bidder
-        if (auction.highestBidder != address(0)) {
-            (bool success, ) = payable(auction.highestBidder).call{value: auction.highestBid}("");
-            require(success, "Refund failed");
-        }
+        AuctionLogic.placeBid(
+            auctions[auctionId],
+            _auctionQueue,
+            pendingReturns,
+            auctionId,
+            msg.sender,
+            msg.value,
+            msg.value,
+            minBidIncrement,
+            auctionExtensionWindow
+        );
+    }
 
-        auction.highestBid = msg.value;
-        auction.highestBidder = msg.sender;
+    /**
+     * @dev Place a bid on an auction paid in an ERC-20, pulled from the caller
+     * @param auctionId ID of the auction
+     * @param amount Bid amount in token units
+     */
+    function placeTokenBid(bytes32 auctionId, uint256 amount) external whenNotPaused nonReentrant {
+        AuctionLogic.placeBid(
+            auctions[auctionId],
+            _auctionQueue,
+            pendingReturns,
+            auctionId,
+            msg.sender,
+            amount,
+            0,
+            minBidIncrement,
+            auctionExtensionWindow
+        );
+    }
+
+    /**
+     * @dev Buy an auctioned NFT at its buy-it-now price
+     * @param auctionId ID of the auction
+     */
+    function buyNow(bytes32 auctionId) external payable whenNotPaused nonReentrant {
+        AuctionLogic.buyNow(
+            auctions[auctionId],
+            _auctionQueue,
+            pendingReturns,
+            auctionId,
+            msg.sender,
+            msg.value,
+            _settlementConfig()
+        );
+    }
 
-        emit BidPlaced(auctionId, msg.sender, msg.value);
+    /**
+     * @dev Reveal the hidden reserve of an auction
+     * @param auctionId ID of the auction
+     * @param reservePrice Committed reserve price
+     * @param salt Salt used in the commitment
+     */
+    function revealReserve(
+        bytes32 auctionId,
+        uint256 reservePrice,
+        bytes32 salt
+    ) external whenNotPaused {
+        AuctionLogic.revealReserve(auctions[auctionId], auctionId, msg.sender, reservePrice, salt);
     }
 
     /**
@@ -398,40 +825,14 @@ contract CryptoSoundsMarketplace is ReentrancyGuard, Ownable, Pausable, IERC721R
      * @param auctionId ID of the auction
      */
     function endAuction(bytes32 auctionId) external whenNotPaused nonReentrant {
-        Auction storage auction = auctions[auctionId];
-        require(auction.isActive, "Auction not active");
-        require(
-            block.timestamp >= auction.endTime || msg.sender == auction.seller,
-            "Auction not ended"
+        AuctionLogic.endAuction(
+            auctions[auctionId],
+            _auctionQueue,
+            pendingReturns,
+            auctionId,
+            msg.sender,
+            _settlementConfig()
         );
-
-        if (auction.highestBidder != address(0)) {
-            // Transfer NFT to winner
-            IERC721(auction.nftContract).safeTransferFrom(
-                auction.seller,
-                auction.highestBidder,
-                auction.tokenId
-            );
-
-            // Calculate fees
-            uint256 marketplaceFeeAmount = (auction.highestBid * marketplaceFee) / 10000;
-            uint256 sellerAmount = auction.highestBid - marketplaceFeeAmount;
-
-            // Transfer payments
-            (bool success1, ) = payable(auction.seller).call{value: sellerAmount}("");
-            require(success1, "Payment to seller failed");
-
-            if (marketplaceFeeAmount > 0) {
-                (bool success2, ) = payable(feeRecipient).call{value: marketplaceFeeAmount}("");
-                require(success2, "Payment to marketplace failed");
-            }
-
-            emit AuctionEnded(auctionId, auction.highestBidder, auction.highestBid);
-        } else {
-            emit AuctionEnded(auctionId, address(0), 0);
-        }
-
-        auction.isActive = false;
     }
 
     /**
@@ -439,54 +840,348 @@ contract CryptoSoundsMarketplace is ReentrancyGuard, Ownable, Pausable, IERC721R
      * @param auctionId ID of the auction
      */
     function cancelAuction(bytes32 auctionId) external whenNotPaused nonReentrant {
-        Auction storage auction = auctions[auctionId];
-        require(auction.isActive, "Auction not active");
-        require(auction.seller == msg.sender, "Not the seller");
-        require(auction.highestBidder == address(0), "Cannot cancel with bids");
+        AuctionLogic.cancelAuction(auctions[auctionId], _auctionQueue, auctionId, msg.sender);
+    }
+
+    /**
+     * @dev Create a Dutch auction whose price falls from a start price to a floor.
+     * The NFT is held by the marketplace until it is bought or the auction is cancelled.
+     * @param params Dutch auction parameters
+     */
+    function createDutchAuction(
+        AuctionLogic.DutchAuctionParams calldata params
+    ) external payable whenNotPaused nonReentrant {
+        require(msg.value >= listingFee, "Insufficient listing fee");
+        _checkPaymentToken(params.paymentToken);
+        listingFeesCollected += msg.value;
+        _invalidateListing(params.nftContract, params.tokenId);
+
+        AuctionLogic.createDutchAuction(dutchAuctions, _dutchAuctionIndex, params, msg.sender, auctionDuration);
+    }
+
+    /**
+     * @dev Buy a Dutch auction at its current price
+     * @param auctionId ID of the Dutch auction
+     */
+    function buyDutchAuction(bytes32 auctionId) external payable whenNotPaused nonReentrant {
+        AuctionLogic.buyDutchAuction(
+            dutchAuctions[auctionId],
+            _dutchAuctionIndex,
+            pendingReturns,
+            auctionId,
+            msg.sender,
+            msg.value,
+            _settlementConfig()
+        );
+    }
+
+    /**
+     * @dev Cancel an unsold Dutch auction
+     * @param auctionId ID of the Dutch auction
+     */
+    function cancelDutchAuction(bytes32 auctionId) external whenNotPaused nonReentrant {
+        AuctionLogic.cancelDutchAuction(dutchAuctions[auctionId], _dutchAuctionIndex, auctionId, msg.sender);
+    }
+
+    /**
+     * @dev Get the price of a Dutch auction at a given timestamp
+     * @param auctionId ID of the Dutch auction
+     * @param timestamp Time to price the auction at
+     * @return Price in wei
+     */
+    function getDutchAuctionPrice(bytes32 auctionId, uint256 timestamp) external view returns (uint256) {
+        require(dutchAuctions[auctionId].seller != address(0), "Auction does not exist");
+        return AuctionLogic.dutchAuctionPrice(dutchAuctions[auctionId], timestamp);
+    }
+
+    /**
+     * @dev Withdraw funds credited after being outbid, when a reserve was not met, or as
+     * an ERC-2981 royalty receiver
+     * @param paymentToken ERC-20 to withdraw, or zero for ETH
+     */
+    function withdrawPendingReturns(address paymentToken) external nonReentrant {
+        uint256 amount = pendingReturns[msg.sender][paymentToken];
+        require(amount > 0, "No funds to withdraw");
+
+        pendingReturns[msg.sender][paymentToken] = 0;
+
+        SaleSettlement.pay(paymentToken, msg.sender, amount, "Withdrawal failed");
+
+        emit PendingReturnWithdrawn(msg.sender, paymentToken, amount);
+    }
+
+    /**
+     * @dev Check whether an auction's highest bid meets its reserve
+     * @param auctionId ID of the auction
+     * @return False while a hidden reserve is unrevealed
+     */
+    function isReserveMet(bytes32 auctionId) external view returns (bool) {
+        return AuctionLogic.isReserveMet(auctions[auctionId]);
+    }
+
+    // Enumeration views. Each call reads at most one page of an index (capped at
+    // MarketplaceIndex.MAX_PAGE_SIZE entries) and may return fewer IDs than it read
+    // when entries are filtered out; keep paging until the cursor comes back as zero.
+    // The auction queue instead fills a page with live auctions, visiting at most
+    // MarketplaceIndex.MAX_QUEUE_SCAN buckets and entries per call.
+
+    /**
+     * @dev Page through the active listings of a seller
+     * @param seller Seller address
+     * @param cursor Position to start from (0 for the first page)
+     * @param limit Number of entries to read
+     * @return listingIds Listings that can be bought now
+     * @return nextCursor Cursor for the next page, or 0 when done
+     */
+    function getListingsBySeller(
+        address seller,
+        uint256 cursor,
+        uint256 limit
+    ) external view returns (bytes32[] memory listingIds, uint256 nextCursor) {
+        return ListingLogic.getListings(listings, _listingIndex.bySeller[seller], address(0), 0, 0, cursor, limit);
+    }
+
+    /**
+     * @dev Page through the active listings of an NFT contract
+     * @param nftContract Address of the NFT contract
+     * @param cursor Position to start from (0 for the first page)
+     * @param limit Number of entries to read
+     * @return listingIds Listings that can be bought now
+     * @return nextCursor Cursor for the next page, or 0 when done
+     */
+    function getListingsByContract(
+        address nftContract,
+        uint256 cursor,
+        uint256 limit
+    ) external view returns (bytes32[] memory listingIds, uint256 nextCursor) {
+        return ListingLogic.getListings(listings, _listingIndex.byContract[nftContract], address(0), 0, 0, cursor, limit);
+    }
+
+    /**
+     * @dev Page through all active listings priced in a payment token within a range
+     * @param paymentToken Payment token the listings are priced in (zero for ETH)
+     * @param minPrice Lowest price to include
+     * @param maxPrice Highest price to include
+     * @param cursor Position to start from (0 for the first page)
+     * @param limit Number of entries to read
+     * @return listingIds Matching listings that can be bought now
+     * @return nextCursor Cursor for the next page, or 0 when done
+     */
+    function getListingsByPriceRange(
+        address paymentToken,
+        uint256 minPrice,
+        uint256 maxPrice,
+        uint256 cursor,
+        uint256 limit
+    ) external view returns (bytes32[] memory listingIds, uint256 nextCursor) {
+        require(maxPrice > 0 && minPrice <= maxPrice, "Invalid price range");
+        return ListingLogic.getListings(listings, _listingIndex.all, paymentToken, minPrice, maxPrice, cursor, limit);
+    }
+
+    /**
+     * @dev Page through the open offers on a token
+     * @param nftContract Address of the NFT contract
+     * @param tokenId Token ID
+     * @param cursor Position to start from (0 for the first page)
+     * @param limit Number of entries to read
+     * @return offerIds Unexpired offers
+     * @return nextCursor Cursor for the next page, or 0 when done
+     */
+    function getOffersForToken(
+        address nftContract,
+        uint256 tokenId,
+        uint256 cursor,
+        uint256 limit
+    ) external view returns (bytes32[] memory offerIds, uint256 nextCursor) {
+        return OfferLogic.getOffers(offers, _offerIndex.byToken[nftContract][tokenId], cursor, limit);
+    }
+
+    /**
+     * @dev Page through the open offers made by a bidder
+     * @param bidder Bidder address
+     * @param cursor Position to start from (0 for the first page)
+     * @param limit Number of entries to read
+     * @return offerIds Unexpired offers
+     * @return nextCursor Cursor for the next page, or 0 when done
+     */
+    function getOffersByBidder(
+        address bidder,
+        uint256 cursor,
+        uint256 limit
+    ) external view returns (bytes32[] memory offerIds, uint256 nextCursor) {
+        return OfferLogic.getOffers(offers, _offerIndex.byBidder[bidder], cursor, limit);
+    }
+
+    /**
+     * @dev Page through the open collection and trait offers on an NFT contract
+     * @param nftContract Address of the NFT contract
+     * @param cursor Position to start from (0 for the first page)
+     * @param limit Number of entries to read
+     * @return offerIds Unexpired collection offers
+     * @return nextCursor Cursor for the next page, or 0 when done
+     */
+    function getCollectionOffersByContract(
+        address nftContract,
+        uint256 cursor,
+        uint256 limit
+    ) external view returns (bytes32[] memory offerIds, uint256 nextCursor) {
+        return OfferLogic.getCollectionOffers(collectionOffers, _offerIndex.collectionByContract[nftContract], cursor, limit);
+    }
+
+    /**
+     * @dev Page through the open collection and trait offers made by a bidder
+     * @param bidder Bidder address
+     * @param cursor Position to start from (0 for the first page)
+     * @param limit Number of entries to read
+     * @return offerIds Unexpired collection offers
+     * @return nextCursor Cursor for the next page, or 0 when done
+     */
+    function getCollectionOffersByBidder(
+        address bidder,
+        uint256 cursor,
+        uint256 limit
+    ) external view returns (bytes32[] memory offerIds, uint256 nextCursor) {
+        return OfferLogic.getCollectionOffers(collectionOffers, _offerIndex.collectionByBidder[bidder], cursor, limit);
+    }
+
+    /**
+     * @dev Page through live English auctions, soonest-ending first
+     * @param cursor Queue position to start from (zero for the first page)
+     * @param limit Number of auctions to return
+     * @return auctionIds Auctions still accepting bids, in order of end time
+     * @return nextCursor Cursor for the next page, or zero when done
+     */
+    function getAuctionsEndingSoonest(
+        uint256 cursor,
+        uint256 limit
+    ) external view returns (bytes32[] memory auctionIds, uint256 nextCursor) {
+        return AuctionLogic.getAuctionsEndingSoonest(_auctionQueue, cursor, limit);
+    }
+
+    /**
+     * @dev Page through the open Dutch auctions of a seller
+     * @param seller Seller address
+     * @param cursor Position to start from (0 for the first page)
+     * @param limit Number of entries to read
+     * @return auctionIds Unsold, uncancelled Dutch auctions
+     * @return nextCursor Cursor for the next page, or 0 when done
+     */
+    function getDutchAuctionsBySeller(
+        address seller,
+        uint256 cursor,
+        uint256 limit
+    ) external view returns (bytes32[] memory auctionIds, uint256 nextCursor) {
+        return AuctionLogic.getDutchAuctions(_dutchAuctionIndex.bySeller[seller], cursor, limit);
+    }
 
-        auction.isActive = false;
-        emit AuctionCancelled(auctionId);
+    /**
+     * @dev Page through the open Dutch auctions of an NFT contract
+     * @param nftContract Address of the NFT contract
+     * @param cursor Position to start from (0 for the first page)
+     * @param limit Number of entries to read
+     * @return auctionIds Unsold, uncancelled Dutch auctions
+     * @return nextCursor Cursor for the next page, or 0 when done
+     */
+    function getDutchAuctionsByContract(
+        address nftContract,
+        uint256 cursor,
+        uint256 limit
+    ) external view returns (bytes32[] memory auctionIds, uint256 nextCursor) {
+        return AuctionLogic.getDutchAuctions(_dutchAuctionIndex.byContract[nftContract], cursor, limit);
     }
 
     // Admin functions
-    function setListingFee(uint256 _listingFee) external onlyOwner {
+    function setListingFee(uint256 _listingFee) external onlyRole(FEE_MANAGER_ROLE) {
         listingFee = _listingFee;
     }
 
-    function setMarketplaceFee(uint256 _marketplaceFee) external onlyOwner {
+    function setMarketplaceFee(uint256 _marketplaceFee) external onlyRole(FEE_MANAGER_ROLE) {
         require(_marketplaceFee <= 1000, "Fee too high"); // Max 10%
         marketplaceFee = _marketplaceFee;
     }
 
-    function setAuctionDuration(uint256 _duration) external onlyOwner {
+    function setAuctionDuration(uint256 _duration) external onlyRole(DEFAULT_ADMIN_ROLE) {
         auctionDuration = _duration;
     }
 
-    function setOfferDuration(uint256 _duration) external onlyOwner {
+    function setOfferDuration(uint256 _duration) external onlyRole(DEFAULT_ADMIN_ROLE) {
         offerDuration = _duration;
     }
 
-    function setFeeRecipient(address _feeRecipient) external onlyOwner {
+    function setMinBidIncrement(uint256 _minBidIncrement) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_minBidIncrement <= 5000, "Increment too high"); // Max 50%
+        minBidIncrement = _minBidIncrement;
+    }
+
+    function setAuctionExtensionWindow(uint256 _window) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_window <= 1 days, "Window too long");
+        auctionExtensionWindow = _window;
+    }
+
+    function setFeeRecipient(address _feeRecipient) external onlyRole(FEE_MANAGER_ROLE) {
         require(_feeRecipient != address(0), "Invalid address");
         feeRecipient = _feeRecipient;
     }
 
-    function pause() external onlyOwner {
+    function setRoyaltyManager(address _royaltyManager) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        royaltyManager = _royaltyManager;
+    }
+
+    function setPaymentToken(address _paymentToken, bool _allowed) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_paymentToken != address(0), "Invalid address");
+        paymentTokens[_paymentToken] = _allowed;
+        emit PaymentTokenUpdated(_paymentToken, _allowed);
+    }
+
+    function pause() external onlyRole(PAUSER_ROLE) {
         _pause();
     }
 
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(PAUSER_ROLE) {
         _unpause();
     }
 
-    function withdraw() external onlyOwner {
-        uint256 balance = address(this).balance;
+    /**
+     * @dev Withdraw collected listing fees to the calling treasurer
+     */
+    function withdraw() external onlyRole(TREASURER_ROLE) {
+        // Escrowed offers, deposits and pending returns belong to users
+        uint256 balance = listingFeesCollected;
         require(balance > 0, "No funds to withdraw");
+
+        listingFeesCollected = 0;
         
-        (bool success, ) = payable(owner()).call{value: balance}("");
+        (bool success, ) = payable(msg.sender).call{value: balance}("");
         require(success, "Withdrawal failed");
     }
 
+    // Internal functions
+
+    /**
+     * @dev Deactivate the current listing of a token that changes hands through the marketplace
+     */
+    function _invalidateListing(address nftContract, uint256 tokenId) internal {
+        ListingLogic.invalidateTokenListing(listings, _listingIndex, nftContract, tokenId);
+    }
+
+    /**
+     * @dev Require a payment token to be ETH (zero) or an allowed ERC-20
+     */
+    function _checkPaymentToken(address paymentToken) internal view {
+        require(paymentToken == address(0) || paymentTokens[paymentToken], "Payment token not allowed");
+    }
+
+    /**
+     * @dev Current fee and royalty settings for settling sales
+     */
+    function _settlementConfig() internal view returns (SaleSettlement.Config memory) {
+        return SaleSettlement.Config({
+            marketplaceFee: marketplaceFee,
+            feeRecipient: feeRecipient,
+            royaltyManager: royaltyManager
+        });
+    }
+
     // Required by IERC721Receiver
     function onERC721Received(
         address,
@@ -0,0 +1,208 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./CryptoSoundsNFT.sol";
+
+/**
+ * @title CryptoSoundsMetadataRenderer
+ * @dev Builds ERC-721 metadata JSON for CryptoSoundsNFT tokens from their on-chain
+ * audio metadata, in the format of scripts/token-metadata.js with ipfs:// links.
+ * Tokens without a cover image get an SVG cover showing their title and artist.
+ * Deployed separately and set on the NFT with setMetadataRenderer, which keeps the
+ * NFT under the contract size limit and lets the rendering be replaced.
+ * @author CryptoSounds
+ */
+contract CryptoSoundsMetadataRenderer {
+    using Strings for uint256;
+
+    /**
+     * @dev Build a base64 data URI holding the token's metadata JSON
+     * @param metadata Audio metadata of the token
+     * @return data:application/json;base64 URI
+     */
+    function tokenURI(CryptoSoundsNFT.AudioMetadata memory metadata) public pure returns (string memory) {
+        return string.concat("data:application/json;base64,", Base64.encode(bytes(tokenJSON(metadata))));
+    }
+
+    /**
+     * @dev Build the token's metadata JSON
+     * @param metadata Audio metadata of the token
+     * @return JSON document
+     */
+    function tokenJSON(CryptoSoundsNFT.AudioMetadata memory metadata) public pure returns (string memory) {
+        string memory title = escapeJSON(metadata.title);
+        string memory audio = escapeJSON(ipfsLink(metadata.audioHash));
+
+        return string.concat(
+            '{"name":"', title,
+            '","description":"', title, " by ", escapeJSON(metadata.artist),
+            '","image":"', _image(metadata),
+            '","audio":"', audio,
+            '","animation_url":"', audio,
+            '","attributes":', _attributes(metadata),
+            "}"
+        );
+    }
+
+    /**
+     * @dev Build an SVG cover showing the title and artist
+     * @param metadata Audio metadata of the token
+     * @return SVG document
+     */
+    function coverSVG(CryptoSoundsNFT.AudioMetadata memory metadata) public pure returns (string memory) {
+        return string.concat(
+            '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 500 500">',
+            '<rect width="500" height="500" fill="#111"/>',
+            '<text x="250" y="240" font-family="sans-serif" font-size="32" fill="#fff" text-anchor="middle">',
+            escapeXML(metadata.title),
+            '</text><text x="250" y="290" font-family="sans-serif" font-size="22" fill="#aaa" text-anchor="middle">',
+            escapeXML(metadata.artist),
+            "</text></svg>"
+        );
+    }
+
+    /**
+     * @dev Turn an IPFS hash into an ipfs:// link; values that already have a scheme are returned unchanged
+     */
+    function ipfsLink(string memory hash) internal pure returns (string memory) {
+        bytes memory value = bytes(hash);
+        for (uint256 i = 0; i < value.length; i++) {
+            if (value[i] == ":") {
+                return hash;
+            }
+        }
+        return string.concat("ipfs://", hash);
+    }
+
+    /**
+     * @dev Format a duration in seconds as m:ss, or h:mm:ss from one hour up
+     */
+    function formatDuration(uint256 duration) internal pure returns (string memory) {
+        uint256 hours_ = duration / 3600;
+        uint256 minutes_ = (duration % 3600) / 60;
+        string memory secondsPart = _twoDigits(duration % 60);
+
+        if (hours_ == 0) {
+            return string.concat(minutes_.toString(), ":", secondsPart);
+        }
+        return string.concat(hours_.toString(), ":", _twoDigits(minutes_), ":", secondsPart);
+    }
+
+    /**
+     * @dev Escape a string for use inside a JSON string literal
+     */
+    function escapeJSON(string memory value) internal pure returns (string memory) {
+        bytes memory input = bytes(value);
+        uint256 length = input.length;
+        for (uint256 i = 0; i < input.length; i++) {
+            if (input[i] == '"' || input[i] == "\\") {
+                length += 1;
+            } else if (uint8(input[i]) < 0x20) {
+                length += 5; // \u00XX
+            }
+        }
+        if (length == input.length) {
+            return value;
+        }
+
+        bytes memory output = new bytes(length);
+        bytes16 hexSymbols = "0123456789abcdef";
+        uint256 j = 0;
+        for (uint256 i = 0; i < input.length; i++) {
+            bytes1 char = input[i];
+            if (char == '"' || char == "\\") {
+                output[j++] = "\\";
+                output[j++] = char;
+            } else if (uint8(char) < 0x20) {
+                output[j++] = "\\";
+                output[j++] = "u";
+                output[j++] = "0";
+                output[j++] = "0";
+                output[j++] = hexSymbols[uint8(char) >> 4];
+                output[j++] = hexSymbols[uint8(char) & 0x0f];
+            } else {
+                output[j++] = char;
+            }
+        }
+        return string(output);
+    }
+
+    /**
+     * @dev Escape a string for use as XML text
+     */
+    function escapeXML(string memory value) internal pure returns (string memory) {
+        bytes memory input = bytes(value);
+        string memory output;
+        uint256 start = 0;
+        for (uint256 i = 0; i < input.length; i++) {
+            string memory entity = _xmlEntity(input[i]);
+            if (bytes(entity).length > 0) {
+                output = string.concat(output, _slice(input, start, i), entity);
+                start = i + 1;
+            }
+        }
+        return start == 0 ? value : string.concat(output, _slice(input, start, input.length));
+    }
+
+    /**
+     * @dev Cover link, or the SVG fallback when there is no cover image
+     */
+    function _image(CryptoSoundsNFT.AudioMetadata memory metadata) private pure returns (string memory) {
+        if (bytes(metadata.coverImageHash).length > 0) {
+            return escapeJSON(ipfsLink(metadata.coverImageHash));
+        }
+        return string.concat("data:image/svg+xml;base64,", Base64.encode(bytes(coverSVG(metadata))));
+    }
+
+    /**
+     * @dev Attributes array in the order used by scripts/token-metadata.js
+     */
+    function _attributes(CryptoSoundsNFT.AudioMetadata memory metadata) private pure returns (string memory) {
+        string memory album = bytes(metadata.album).length > 0
+            ? _attribute("Album", escapeJSON(metadata.album))
+            : "";
+
+        return string.concat(
+            "[",
+            _attribute("Artist", escapeJSON(metadata.artist)),
+            album,
+            _attribute("Genre", escapeJSON(metadata.genre)),
+            _attribute("Duration", formatDuration(metadata.duration)),
+            _attribute("Format", escapeJSON(metadata.audioFormat)),
+            _attribute("Explicit", metadata.isExplicit ? "Yes" : "No"),
+            '{"trait_type":"Release Date","value":',
+            metadata.releaseDate.toString(),
+            ',"display_type":"date"}]'
+        );
+    }
+
+    /**
+     * @dev String attribute followed by a comma; the value must already be escaped
+     */
+    function _attribute(string memory traitType, string memory value) private pure returns (string memory) {
+        return string.concat('{"trait_type":"', traitType, '","value":"', value, '"},');
+    }
+
+    function _twoDigits(uint256 value) private pure returns (string memory) {
+        return value < 10 ? string.concat("0", value.toString()) : value.toString();
+    }
+
+    function _xmlEntity(bytes1 char) private pure returns (string memory) {
+        if (char == "&") return "&amp;";
+        if (char == "<") return "&lt;";
+        if (char == ">") return "&gt;";
+        if (char == '"') return "&quot;";
+        if (char == "'") return "&apos;";
+        return "";
+    }
+
+    function _slice(bytes memory input, uint256 start, uint256 end) private pure returns (string memory) {
+        bytes memory output = new bytes(end - start);
+        for (uint256 i = start; i < end; i++) {
+            output[i - start] = input[i];
+        }
+        return string(output);
+    }
+}
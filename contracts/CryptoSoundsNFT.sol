@@ -4,12 +4,20 @@ pragma solidity ^0.8.19;
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
 import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
 import "@openzeppelin/contracts/token/ERC721/extensions/ERC721Enumerable.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/token/common/ERC2981.sol";
 import "@openzeppelin/contracts/utils/Counters.sol";
 import "@openzeppelin/contracts/utils/Strings.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+
+/**
+ * @dev Builds a token's metadata URI from its audio metadata
+ */
+interface IMetadataRenderer {
+    function tokenURI(CryptoSoundsNFT.AudioMetadata memory metadata) external view returns (string memory);
+}
 
 /**
  * @title CryptoSoundsNFT
@@ -20,7 +28,7 @@ contract CryptoSoundsNFT is
     ERC721, 
     ERC721URIStorage, 
     ERC721Enumerable, 
-    Ownable, 
+    AccessControl, 
     Pausable, 
     ReentrancyGuard, 
     ERC2981 
@@ -28,6 +36,13 @@ contract CryptoSoundsNFT is
     using Counters for Counters.Counter;
     using Strings for uint256;
 
+    // Roles (DEFAULT_ADMIN_ROLE grants and revokes them)
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE"); // sale phases, supply and mint limits
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE"); // mint price and royalties
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+    bytes32 public constant CURATOR_ROLE = keccak256("CURATOR_ROLE"); // artist verification and content hashes
+
     // State variables
     Counters.Counter private _tokenIdCounter;
     
@@ -45,19 +60,70 @@ contract CryptoSoundsNFT is
         bool isExplicit;
     }
 
-    // Mapping from token ID to audio metadata
-    mapping(uint256 => AudioMetadata) public audioMetadata;
+    // Mapping from token ID to audio metadata (read through getAudioMetadata)
+    mapping(uint256 => AudioMetadata) private _audioMetadata;
     
     // Mapping from audio hash to token ID (to prevent duplicates)
     mapping(string => uint256) public audioHashToTokenId;
+
+    // Audio hashes that have been minted (token ID 0 is a valid entry above)
+    mapping(string => bool) private _mintedAudioHashes;
+
+    // Registry entry for a content fingerprint
+    struct ContentFingerprint {
+        bool exists;
+        uint256 tokenId;
+    }
+
+    // Mapping from content hash (sha256 of the decoded PCM) to its registry entry
+    mapping(bytes32 => ContentFingerprint) private _contentFingerprints;
+
+    // Mapping from token ID to content hash (zero if none was registered)
+    mapping(uint256 => bytes32) public tokenContentHash;
+
+    // Superseded metadata versions per token, oldest first (the current version is _audioMetadata)
+    mapping(uint256 => AudioMetadata[]) private _metadataHistory;
+
+    // Tokens whose metadata can no longer be updated
+    mapping(uint256 => bool) public metadataFrozen;
+
+    // Artist addresses attested by a curator
+    mapping(address => bool) public verifiedArtists;
+
+    // Mapping from token ID to the artist address that minted it
+    mapping(uint256 => address) public tokenCreator;
+
+    // Tokens minted by each creator, in mint order
+    mapping(address => uint256[]) private _creatorTokens;
+
+    // Number of times each token has changed hands since it was minted
+    mapping(uint256 => uint256) public transferCount;
     
     // Minting configuration
     uint256 public maxSupply = 10000;
     uint256 public mintPrice = 0.1 ether;
     uint256 public maxMintsPerWallet = 5;
+
+    // Scheduled sale phase (allowlist presale, public sale, ...)
+    struct SalePhase {
+        uint64 startTime;
+        uint64 endTime; // 0 for no end (last phase only)
+        uint32 maxMintsPerWallet; // per minting address, across the phase
+        uint256 price;
+        bytes32 merkleRoot; // allowlist root (see scripts/allowlist.js), zero for a public phase
+    }
+
+    // Sale phases in schedule order; without phases mintPrice and maxMintsPerWallet apply
+    SalePhase[] private _salePhases;
+
+    // Mints per phase per minting address
+    mapping(uint256 => mapping(address => uint256)) public phaseMints;
     
     // Royalty configuration
     uint96 public defaultRoyaltyPercentage = 500; // 5%
+
+    // Builds tokenURIs on-chain from the audio metadata (zero to use the stored URIs)
+    IMetadataRenderer public metadataRenderer;
     
     // Events
     event AudioMinted(
@@ -74,9 +140,20 @@ contract CryptoSoundsNFT is
         string artist
     );
     
+    event ContentFingerprintRegistered(uint256 indexed tokenId, bytes32 indexed contentHash);
+    event MetadataFrozen(uint256 indexed tokenId, address indexed frozenBy);
+    event ArtistVerified(address indexed artist, address indexed verifiedBy);
+    event ArtistVerificationRevoked(address indexed artist, address indexed revokedBy);
+
+    // EIP-4906: tell indexers to refresh the metadata of a token or a range of tokens
+    event MetadataUpdate(uint256 _tokenId);
+    event BatchMetadataUpdate(uint256 _fromTokenId, uint256 _toTokenId);
+
     event MintPriceUpdated(uint256 newPrice);
     event MaxSupplyUpdated(uint256 newMaxSupply);
     event MaxMintsPerWalletUpdated(uint256 newMaxMints);
+    event MetadataRendererUpdated(address indexed renderer);
+    event SalePhaseSet(uint256 indexed phaseId, SalePhase phase);
 
     constructor(
         string memory name,
@@ -84,6 +161,13 @@ contract CryptoSoundsNFT is
         address royaltyReceiver
     ) ERC721(name, symbol) {
         _setDefaultRoyalty(royaltyReceiver, defaultRoyaltyPercentage);
+
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(MINTER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(FEE_MANAGER_ROLE, msg.sender);
+        _grantRole(TREASURER_ROLE, msg.sender);
+        _grantRole(CURATOR_ROLE, msg.sender);
     }
 
     /**
@@ -97,30 +181,44 @@ contract CryptoSoundsNFT is
         AudioMetadata memory metadata,
         string memory tokenURI
     ) public payable whenNotPaused nonReentrant {
-        require(msg.value >= mintPrice, "Insufficient payment");
-        require(_tokenIdCounter.current() < maxSupply, "Max supply reached");
-        require(audioHashToTokenId[metadata.audioHash] == 0, "Audio already minted");
-        require(bytes(metadata.title).length > 0, "Title required");
-        require(bytes(metadata.artist).length > 0, "Artist required");
-        require(bytes(metadata.audioHash).length > 0, "Audio hash required");
-        require(metadata.duration > 0, "Duration must be positive");
-        
-        // Check minting limits per wallet
-        uint256 currentMints = balanceOf(to);
-        require(currentMints < maxMintsPerWallet, "Max mints per wallet exceeded");
+        _mintAudioNFT(to, metadata, tokenURI, bytes32(0), new bytes32[](0));
+    }
 
-        uint256 tokenId = _tokenIdCounter.current();
-        _tokenIdCounter.increment();
-        
-        // Store audio metadata
-        audioMetadata[tokenId] = metadata;
-        audioHashToTokenId[metadata.audioHash] = tokenId;
-        
-        // Mint the NFT
-        _safeMint(to, tokenId);
-        _setTokenURI(tokenId, tokenURI);
-        
-        emit AudioMinted(tokenId, to, metadata.title, metadata.artist, metadata.audioHash);
+    /**
+     * @dev Mint a new audio NFT and register its content fingerprint, so the same
+     * fingerprint cannot be minted again under a different file or IPFS hash. Re-encodes
+     * whose fingerprints differ in a few bits are caught off-chain (see mint-audio).
+     * @param to Address to mint the NFT to
+     * @param metadata Audio metadata
+     * @param uri URI for the token metadata
+     * @param contentHash Content hash of the audio (see scripts/audio-fingerprint.js)
+     */
+    function mintAudioNFTWithFingerprint(
+        address to,
+        AudioMetadata memory metadata,
+        string memory uri,
+        bytes32 contentHash
+    ) public payable whenNotPaused nonReentrant {
+        require(contentHash != bytes32(0), "Content hash required");
+        _mintAudioNFT(to, metadata, uri, contentHash, new bytes32[](0));
+    }
+
+    /**
+     * @dev Mint a new audio NFT during an allowlist sale phase
+     * @param to Address to mint the NFT to
+     * @param metadata Audio metadata
+     * @param uri URI for the token metadata
+     * @param contentHash Content hash of the audio, or zero to mint without one
+     * @param proof Merkle proof that the caller is on the active phase's allowlist
+     */
+    function allowlistMintAudioNFT(
+        address to,
+        AudioMetadata memory metadata,
+        string memory uri,
+        bytes32 contentHash,
+        bytes32[] memory proof
+    ) public payable whenNotPaused nonReentrant {
+        _mintAudioNFT(to, metadata, uri, contentHash, proof);
     }
 
     /**
@@ -136,34 +234,29 @@ contract CryptoSoundsNFT is
     ) public payable whenNotPaused nonReentrant {
         require(metadatas.length == tokenURIs.length, "Arrays length mismatch");
         require(metadatas.length > 0, "Empty arrays");
-        require(msg.value >= mintPrice * metadatas.length, "Insufficient payment");
-        require(_tokenIdCounter.current() + metadatas.length <= maxSupply, "Exceeds max supply");
-        
-        uint256 currentMints = balanceOf(to);
-        require(currentMints + metadatas.length <= maxMintsPerWallet, "Exceeds max mints per wallet");
+        _checkMint(to, metadatas.length, new bytes32[](0));
 
         for (uint256 i = 0; i < metadatas.length; i++) {
-            require(audioHashToTokenId[metadatas[i].audioHash] == 0, "Audio already minted");
-            require(bytes(metadatas[i].title).length > 0, "Title required");
-            require(bytes(metadatas[i].artist).length > 0, "Artist required");
-            require(bytes(metadatas[i].audioHash).length > 0, "Audio hash required");
-            require(metadatas[i].duration > 0, "Duration must be positive");
-
-            uint256 tokenId = _tokenIdCounter.current();
-            _tokenIdCounter.increment();
-            
-            audioMetadata[tokenId] = metadatas[i];
-            audioHashToTokenId[metadatas[i].audioHash] = tokenId;
-            
-            _safeMint(to, tokenId);
-            _setTokenURI(tokenId, tokenURIs[i]);
-            
-            emit AudioMinted(tokenId, to, metadatas[i].title, metadatas[i].artist, metadatas[i].audioHash);
+            _storeAudioNFT(to, metadatas[i], tokenURIs[i], bytes32(0));
         }
     }
 
     /**
-     * @dev Update audio metadata (only by owner or token owner)
+     * @dev Backfill the content fingerprint of a token minted without one (only by a curator)
+     * @param tokenId Token ID
+     * @param contentHash Content hash of the audio (see scripts/audio-fingerprint.js)
+     */
+    function registerContentHash(uint256 tokenId, bytes32 contentHash) public onlyRole(CURATOR_ROLE) {
+        require(_exists(tokenId), "Token does not exist");
+        require(tokenContentHash[tokenId] == bytes32(0), "Content hash already set");
+        require(contentHash != bytes32(0), "Content hash required");
+
+        _registerContentHash(tokenId, contentHash);
+    }
+
+    /**
+     * @dev Update audio metadata (only by the token's creator while a verified artist,
+     * until frozen). The previous version is kept in the token's metadata history.
      * @param tokenId Token ID to update
      * @param newMetadata New metadata
      */
@@ -171,17 +264,67 @@ contract CryptoSoundsNFT is
         uint256 tokenId,
         AudioMetadata memory newMetadata
     ) public {
-        require(_exists(tokenId), "Token does not exist");
-        require(
-            ownerOf(tokenId) == msg.sender || owner() == msg.sender,
-            "Not authorized"
-        );
+        _checkMetadataEditor(tokenId);
+        require(verifiedArtists[msg.sender], "Artist not verified");
+        require(!metadataFrozen[tokenId], "Metadata frozen");
         require(bytes(newMetadata.title).length > 0, "Title required");
         require(bytes(newMetadata.artist).length > 0, "Artist required");
         require(newMetadata.duration > 0, "Duration must be positive");
 
-        audioMetadata[tokenId] = newMetadata;
+        AudioMetadata storage current = _audioMetadata[tokenId];
+
+        // Move the duplicate-prevention entry over to the new audio hash
+        if (keccak256(bytes(newMetadata.audioHash)) != keccak256(bytes(current.audioHash))) {
+            require(bytes(newMetadata.audioHash).length > 0, "Audio hash required");
+            require(!_mintedAudioHashes[newMetadata.audioHash], "Audio already minted");
+
+            delete audioHashToTokenId[current.audioHash];
+            delete _mintedAudioHashes[current.audioHash];
+            audioHashToTokenId[newMetadata.audioHash] = tokenId;
+            _mintedAudioHashes[newMetadata.audioHash] = true;
+        }
+
+        _metadataHistory[tokenId].push(current);
+        _audioMetadata[tokenId] = newMetadata;
+
         emit AudioMetadataUpdated(tokenId, newMetadata.title, newMetadata.artist);
+        emit MetadataUpdate(tokenId);
+    }
+
+    /**
+     * @dev Permanently lock a token's metadata (only by the token's creator)
+     * @param tokenId Token ID to freeze
+     */
+    function freezeMetadata(uint256 tokenId) public {
+        _checkMetadataEditor(tokenId);
+        require(!metadataFrozen[tokenId], "Metadata already frozen");
+
+        metadataFrozen[tokenId] = true;
+        emit MetadataFrozen(tokenId, msg.sender);
+    }
+
+    /**
+     * @dev Number of metadata versions of a token, including the current one
+     * @param tokenId Token ID
+     * @return Version count (1 until the metadata is first updated)
+     */
+    function getMetadataVersionCount(uint256 tokenId) public view returns (uint256) {
+        require(_exists(tokenId), "Token does not exist");
+        return _metadataHistory[tokenId].length + 1;
+    }
+
+    /**
+     * @dev Get a metadata version of a token
+     * @param tokenId Token ID
+     * @param version Version number (0 is the metadata set at mint, the last is the current one)
+     * @return Audio metadata of that version
+     */
+    function getMetadataVersion(uint256 tokenId, uint256 version) public view returns (AudioMetadata memory) {
+        require(_exists(tokenId), "Token does not exist");
+        AudioMetadata[] storage history = _metadataHistory[tokenId];
+        require(version <= history.length, "Version does not exist");
+
+        return _loadMetadata(version == history.length ? _audioMetadata[tokenId] : history[version]);
     }
 
     /**
@@ -191,7 +334,28 @@ contract CryptoSoundsNFT is
      */
     function getAudioMetadata(uint256 tokenId) public view returns (AudioMetadata memory) {
         require(_exists(tokenId), "Token does not exist");
-        return audioMetadata[tokenId];
+        return _loadMetadata(_audioMetadata[tokenId]);
+    }
+
+    /**
+     * @dev Get the artist address that minted a token
+     * @param tokenId Token ID
+     * @return creator Creator address
+     * @return verified True if the creator is currently a verified artist
+     */
+    function getCreator(uint256 tokenId) public view returns (address creator, bool verified) {
+        require(_exists(tokenId), "Token does not exist");
+        creator = tokenCreator[tokenId];
+        verified = verifiedArtists[creator];
+    }
+
+    /**
+     * @dev Get all tokens minted by a creator
+     * @param creator Creator address
+     * @return Token IDs in mint order
+     */
+    function getTokensByCreator(address creator) public view returns (uint256[] memory) {
+        return _creatorTokens[creator];
     }
 
     /**
@@ -200,59 +364,269 @@ contract CryptoSoundsNFT is
      * @return True if already minted
      */
     function isAudioMinted(string memory audioHash) public view returns (bool) {
-        return audioHashToTokenId[audioHash] != 0;
+        return _mintedAudioHashes[audioHash];
     }
 
     /**
      * @dev Get token ID by audio hash
      * @param audioHash Audio file hash
-     * @return Token ID (0 if not found)
+     * @return Token ID (0 if not found; use isAudioMinted to tell it apart from token 0)
      */
     function getTokenIdByAudioHash(string memory audioHash) public view returns (uint256) {
         return audioHashToTokenId[audioHash];
     }
 
+    /**
+     * @dev Check if a content hash is already registered
+     * @param contentHash Content hash of the audio
+     * @return True if registered
+     */
+    function isContentRegistered(bytes32 contentHash) public view returns (bool) {
+        return _contentFingerprints[contentHash].exists;
+    }
+
+    /**
+     * @dev Get token ID by content hash
+     * @param contentHash Content hash of the audio
+     * @return exists True if the content hash is registered
+     * @return tokenId Token ID holding the content (0 if not registered)
+     */
+    function getTokenIdByContentHash(bytes32 contentHash) public view returns (bool exists, uint256 tokenId) {
+        ContentFingerprint storage fingerprint = _contentFingerprints[contentHash];
+        return (fingerprint.exists, fingerprint.tokenId);
+    }
+
+    /**
+     * @dev Get the scheduled sale phases
+     * @return Sale phases in schedule order
+     */
+    function getSalePhases() public view returns (SalePhase[] memory) {
+        return _salePhases;
+    }
+
+    /**
+     * @dev Get the sale phase open at the current block time
+     * @return active True if a phase is open
+     * @return phaseId Index of the open phase (0 if none)
+     */
+    function getActiveSalePhase() public view returns (bool active, uint256 phaseId) {
+        for (uint256 i = 0; i < _salePhases.length; i++) {
+            SalePhase storage phase = _salePhases[i];
+            if (block.timestamp >= phase.startTime && (phase.endTime == 0 || block.timestamp < phase.endTime)) {
+                return (true, i);
+            }
+        }
+    }
+
+    // Artist registry
+    function verifyArtist(address artist) public onlyRole(CURATOR_ROLE) {
+        require(artist != address(0), "Invalid artist");
+        require(!verifiedArtists[artist], "Artist already verified");
+        verifiedArtists[artist] = true;
+        emit ArtistVerified(artist, msg.sender);
+    }
+
+    function revokeArtistVerification(address artist) public onlyRole(CURATOR_ROLE) {
+        require(verifiedArtists[artist], "Artist not verified");
+        verifiedArtists[artist] = false;
+        emit ArtistVerificationRevoked(artist, msg.sender);
+    }
+
     // Admin functions
-    function setMintPrice(uint256 _mintPrice) public onlyOwner {
+    function setMintPrice(uint256 _mintPrice) public onlyRole(FEE_MANAGER_ROLE) {
         mintPrice = _mintPrice;
         emit MintPriceUpdated(_mintPrice);
     }
 
-    function setMaxSupply(uint256 _maxSupply) public onlyOwner {
+    function setMaxSupply(uint256 _maxSupply) public onlyRole(MINTER_ROLE) {
         require(_maxSupply >= _tokenIdCounter.current(), "Cannot decrease below current supply");
         maxSupply = _maxSupply;
         emit MaxSupplyUpdated(_maxSupply);
     }
 
-    function setMaxMintsPerWallet(uint256 _maxMints) public onlyOwner {
+    function setMaxMintsPerWallet(uint256 _maxMints) public onlyRole(MINTER_ROLE) {
         maxMintsPerWallet = _maxMints;
         emit MaxMintsPerWalletUpdated(_maxMints);
     }
 
-    function setDefaultRoyalty(address receiver, uint96 feeNumerator) public onlyOwner {
+    /**
+     * @dev Add a sale phase (phaseId equal to the phase count) or replace one. Phases
+     * must not overlap and stay in schedule order; mint counts are kept per phaseId.
+     * @param phaseId Index of the phase
+     * @param phase Phase settings
+     */
+    function setSalePhase(uint256 phaseId, SalePhase memory phase) public onlyRole(MINTER_ROLE) {
+        require(phaseId <= _salePhases.length, "Invalid phase");
+        require(phase.endTime == 0 || phase.endTime > phase.startTime, "Invalid phase window");
+        if (phaseId > 0) {
+            uint64 previousEnd = _salePhases[phaseId - 1].endTime;
+            require(previousEnd != 0 && phase.startTime >= previousEnd, "Phases overlap");
+        }
+        if (phaseId + 1 < _salePhases.length) {
+            require(phase.endTime != 0 && phase.endTime <= _salePhases[phaseId + 1].startTime, "Phases overlap");
+        }
+
+        if (phaseId == _salePhases.length) {
+            _salePhases.push(phase);
+        } else {
+            _salePhases[phaseId] = phase;
+        }
+        emit SalePhaseSet(phaseId, phase);
+    }
+
+    function setMetadataRenderer(address renderer) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        metadataRenderer = IMetadataRenderer(renderer);
+        emit MetadataRendererUpdated(renderer);
+
+        // Every token URI changes with the renderer
+        uint256 supply = _tokenIdCounter.current();
+        if (supply > 0) {
+            emit BatchMetadataUpdate(0, supply - 1);
+        }
+    }
+
+    function setDefaultRoyalty(address receiver, uint96 feeNumerator) public onlyRole(FEE_MANAGER_ROLE) {
         _setDefaultRoyalty(receiver, feeNumerator);
     }
 
-    function setTokenRoyalty(uint256 tokenId, address receiver, uint96 feeNumerator) public onlyOwner {
+    function setTokenRoyalty(uint256 tokenId, address receiver, uint96 feeNumerator) public onlyRole(FEE_MANAGER_ROLE) {
         _setTokenRoyalty(tokenId, receiver, feeNumerator);
     }
 
-    function pause() public onlyOwner {
+    function pause() public onlyRole(PAUSER_ROLE) {
         _pause();
     }
 
-    function unpause() public onlyOwner {
+    function unpause() public onlyRole(PAUSER_ROLE) {
         _unpause();
     }
 
-    function withdraw() public onlyOwner {
+    /**
+     * @dev Withdraw mint proceeds to the calling treasurer
+     */
+    function withdraw() public onlyRole(TREASURER_ROLE) {
         uint256 balance = address(this).balance;
         require(balance > 0, "No funds to withdraw");
         
-        (bool success, ) = payable(owner()).call{value: balance}("");
+        (bool success, ) = payable(msg.sender).call{value: balance}("");
         require(success, "Withdrawal failed");
     }
 
+    /**
+     * @dev Check per-wallet limits and mint a single audio NFT
+     */
+    function _mintAudioNFT(
+        address to,
+        AudioMetadata memory metadata,
+        string memory uri,
+        bytes32 contentHash,
+        bytes32[] memory proof
+    ) internal {
+        _checkMint(to, 1, proof);
+        _storeAudioNFT(to, metadata, uri, contentHash);
+    }
+
+    /**
+     * @dev Check supply, payment and per-wallet limits for a mint. Without sale phases
+     * mintPrice and maxMintsPerWallet (against the recipient's balance) apply; otherwise
+     * the active phase's allowlist, price and limit, counting the caller's mints in it.
+     * @param to Recipient of the tokens
+     * @param quantity Number of tokens being minted
+     * @param proof Merkle proof for allowlist phases (ignored by public phases)
+     */
+    function _checkMint(address to, uint256 quantity, bytes32[] memory proof) internal {
+        if (_salePhases.length == 0) {
+            require(msg.value >= mintPrice * quantity, "Insufficient payment");
+            require(_tokenIdCounter.current() + quantity <= maxSupply, "Max supply reached");
+            require(balanceOf(to) + quantity <= maxMintsPerWallet, "Max mints per wallet exceeded");
+            return;
+        }
+
+        require(_tokenIdCounter.current() + quantity <= maxSupply, "Max supply reached");
+        (bool active, uint256 phaseId) = getActiveSalePhase();
+        require(active, "No active sale phase");
+        SalePhase storage phase = _salePhases[phaseId];
+
+        if (phase.merkleRoot != bytes32(0)) {
+            // Leaves are double-hashed ABI-encoded addresses, as built by scripts/allowlist.js
+            bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(msg.sender))));
+            require(MerkleProof.verify(proof, phase.merkleRoot, leaf), "Not on allowlist");
+        }
+        require(msg.value >= phase.price * quantity, "Insufficient payment");
+
+        uint256 minted = phaseMints[phaseId][msg.sender] + quantity;
+        require(minted <= phase.maxMintsPerWallet, "Exceeds phase mint limit");
+        phaseMints[phaseId][msg.sender] = minted;
+    }
+
+    /**
+     * @dev Validate metadata, record it and mint the token
+     * @param contentHash Content hash to register, or zero to mint without one
+     */
+    function _storeAudioNFT(
+        address to,
+        AudioMetadata memory metadata,
+        string memory uri,
+        bytes32 contentHash
+    ) internal {
+        require(!_mintedAudioHashes[metadata.audioHash], "Audio already minted");
+        require(bytes(metadata.title).length > 0, "Title required");
+        require(bytes(metadata.artist).length > 0, "Artist required");
+        require(bytes(metadata.audioHash).length > 0, "Audio hash required");
+        require(metadata.duration > 0, "Duration must be positive");
+
+        uint256 tokenId = _tokenIdCounter.current();
+        _tokenIdCounter.increment();
+
+        // Store audio metadata
+        _audioMetadata[tokenId] = metadata;
+        audioHashToTokenId[metadata.audioHash] = tokenId;
+        _mintedAudioHashes[metadata.audioHash] = true;
+
+        // The minter is the creator; the token may be minted to someone else
+        tokenCreator[tokenId] = msg.sender;
+        _creatorTokens[msg.sender].push(tokenId);
+
+        if (contentHash != bytes32(0)) {
+            _registerContentHash(tokenId, contentHash);
+        }
+
+        // Mint the NFT
+        _safeMint(to, tokenId);
+        _setTokenURI(tokenId, uri);
+
+        emit AudioMinted(tokenId, to, metadata.title, metadata.artist, metadata.audioHash);
+    }
+
+    /**
+     * @dev Revert unless the token exists and the caller is its creator, never an
+     * admin or a holder who bought the token
+     */
+    function _checkMetadataEditor(uint256 tokenId) internal view {
+        require(_exists(tokenId), "Token does not exist");
+        require(tokenCreator[tokenId] == msg.sender, "Not authorized");
+    }
+
+    /**
+     * @dev Record a content hash for a token, rejecting content that is already registered
+     */
+    function _registerContentHash(uint256 tokenId, bytes32 contentHash) internal {
+        require(!_contentFingerprints[contentHash].exists, "Content already minted");
+
+        _contentFingerprints[contentHash] = ContentFingerprint({exists: true, tokenId: tokenId});
+        tokenContentHash[tokenId] = contentHash;
+
+        emit ContentFingerprintRegistered(tokenId, contentHash);
+    }
+
+    /**
+     * @dev Copy stored metadata to memory. Every read goes through this one copy,
+     * which keeps the contract under the EIP-170 size limit.
+     */
+    function _loadMetadata(AudioMetadata storage metadata) private pure returns (AudioMetadata memory) {
+        return metadata;
+    }
+
     // Override required functions
     function _beforeTokenTransfer(
         address from,
@@ -261,28 +635,43 @@ contract CryptoSoundsNFT is
         uint256 batchSize
     ) internal override(ERC721, ERC721Enumerable) whenNotPaused {
         super._beforeTokenTransfer(from, to, tokenId, batchSize);
+        if (from != address(0)) {
+            transferCount[tokenId]++;
+        }
     }
 
     function _burn(uint256 tokenId) internal override(ERC721, ERC721URIStorage) {
         super._burn(tokenId);
     }
 
+    /**
+     * @dev Token metadata URI. When a metadata renderer is set, it is built on-chain from
+     * the audio metadata as a base64 JSON data URI, so it always reflects updateAudioMetadata;
+     * otherwise the URI set at mint.
+     * @param tokenId Token ID
+     * @return Metadata URI
+     */
     function tokenURI(uint256 tokenId)
         public
         view
         override(ERC721, ERC721URIStorage)
         returns (string memory)
     {
-        return super.tokenURI(tokenId);
+        string memory storedURI = super.tokenURI(tokenId);
+        if (address(metadataRenderer) != address(0)) {
+            return metadataRenderer.tokenURI(_loadMetadata(_audioMetadata[tokenId]));
+        }
+        return storedURI;
     }
 
     function supportsInterface(bytes4 interfaceId)
         public
         view
-        override(ERC721, ERC721Enumerable, ERC2981)
+        override(ERC721, ERC721Enumerable, AccessControl, ERC2981)
         returns (bool)
     {
-        return super.supportsInterface(interfaceId);
+        // 0x49064906 is the EIP-4906 interface ID
+        return interfaceId == bytes4(0x49064906) || super.supportsInterface(interfaceId);
     }
 
     function totalSupply() public view override returns (uint256) {
@@ -1,25 +1,73 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
-import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 import "@openzeppelin/contracts/token/common/ERC2981.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "./CryptoSoundsNFT.sol";
 
 /**
  * @title CryptoSoundsRoyalty
- * @dev Advanced royalty management contract for audio NFTs
+ * @dev Advanced royalty management contract for audio NFTs. A token's creator proposes
+ * its first split, which takes effect once every recipient has accepted it; after that
+ * only a threshold of the split's recipients can change or lock it. Splits can also be
+ * shared as named templates, assigned to token ranges or as a collection's default.
  * @author CryptoSounds
  */
-contract CryptoSoundsRoyalty is Ownable, ReentrancyGuard, Pausable {
+contract CryptoSoundsRoyalty is AccessControl, ReentrancyGuard, Pausable, EIP712 {
+    using SafeERC20 for IERC20;
+
+    // Roles (DEFAULT_ADMIN_ROLE grants and revokes them)
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE"); // platform fee and royalty cap
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+    bytes32 public constant MARKETPLACE_ROLE = keccak256("MARKETPLACE_ROLE"); // sales that count towards volume tiers
+
+    // EIP-712 approvals recipients sign to change or lock the split in effect for one token
+    bytes32 public constant ROYALTY_CHANGE_TYPEHASH = keccak256(
+        "RoyaltyChange(address nftContract,uint256 tokenId,bytes32 royaltyId,bytes32 splitHash,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant ROYALTY_LOCK_TYPEHASH = keccak256(
+        "RoyaltyLock(address nftContract,uint256 tokenId,bytes32 royaltyId,uint256 nonce,uint256 deadline)"
+    );
     
+    // When a recipient's share applies: a time window and a cumulative sales volume tier.
+    // A share with a tier only applies to sales in the tier's payment token.
+    struct RoyaltyWindow {
+        uint64 startTime;
+        uint64 endTime; // 0 for no end
+        uint256 minVolume; // volume of earlier marketplace sales in volumeToken
+        uint256 maxVolume; // 0 for no cap
+        address volumeToken; // payment token the tier is measured in, zero for ETH
+    }
+
+    // Payout address a recipient rotated to, and when
+    struct PayoutRotation {
+        address payout;
+        uint64 rotatedAt;
+    }
+
+    // Proposed split of a token's royalty
+    struct RoyaltySplit {
+        address[] recipients;
+        uint96[] percentages; // in basis points
+        string[] roles;
+        RoyaltyWindow[] windows; // when each share applies
+        uint256 changeThreshold; // approvals needed to change the split, 0 for a majority of recipients
+    }
+
     // Royalty recipient structure
     struct RoyaltyRecipient {
         address recipient;
         uint96 percentage; // in basis points (10000 = 100%)
         bool isActive;
         string role; // "artist", "producer", "label", etc.
+        RoyaltyWindow window;
     }
 
     // Token royalty structure
@@ -27,18 +75,63 @@ contract CryptoSoundsRoyalty is Ownable, ReentrancyGuard, Pausable {
         uint256 tokenId;
         address nftContract;
         RoyaltyRecipient[] recipients;
-        uint96 totalPercentage;
-        bool isActive;
+        uint96 totalPercentage; // highest total in effect at any time and volume
+        bool isActive; // accepted by every recipient and in effect
+        address proposer;
+        uint256 changeThreshold; // distinct recipients whose approval a change needs
+        bool locked; // can never be changed
     }
 
     // State variables
     mapping(bytes32 => TokenRoyalty) public tokenRoyalties;
-    mapping(address => mapping(uint256 => bytes32)) public tokenToRoyaltyId;
+    mapping(address => mapping(uint256 => bytes32)) public tokenToRoyaltyId; // split in effect
+    mapping(address => mapping(uint256 => bytes32)) public pendingRoyaltyId; // split awaiting acceptance
+    mapping(bytes32 => mapping(address => bool)) public royaltyAccepted;
+    mapping(bytes32 => uint256) public royaltyNonces; // approvals used on a split or template
+    uint256 private _royaltyNonce;
     
     uint96 public maxTotalPercentage = 1000; // 10% max total royalty
     uint96 public platformFee = 25; // 0.25% platform fee
     
     address public platformFeeRecipient;
+
+    // Claimable royalties by payment token (zero for ETH) and account
+    mapping(address => mapping(address => uint256)) public royaltyBalances;
+
+    // Royalties credited but not yet claimed, by payment token
+    mapping(address => uint256) public totalUnclaimed;
+
+    // Where a recipient's claims are paid, across all splits (zero for the recipient itself)
+    mapping(address => address) public payoutAddresses;
+    mapping(address => PayoutRotation[]) private _payoutRotations;
+
+    // Address allowed to claim a recipient's royalties to itself
+    mapping(address => address) public claimDelegates;
+
+    // Cumulative volume of sales reported by a MARKETPLACE_ROLE holder, by NFT contract, token ID
+    // and payment token. Each currency counts in its own units, with no conversion between them.
+    mapping(address => mapping(uint256 => mapping(address => uint256))) public salesVolume;
+
+    // Templates used by tokens without a split of their own, by NFT contract (and token ID)
+    mapping(address => mapping(uint256 => bytes32)) public tokenTemplateId;
+    mapping(address => bytes32) public defaultTemplateId;
+
+    uint256 public constant MAX_TEMPLATE_RANGE = 100; // tokens per assignRoyaltyTemplate call
+
+    // Governance errors
+    error NotAuthorized(address caller);
+    error RoyaltyAlreadySet(bytes32 royaltyId);
+    error RoyaltyNotSet(address nftContract, uint256 tokenId);
+    error NoPendingRoyalty(address nftContract, uint256 tokenId);
+    error NotARecipient(address account);
+    error AlreadyAccepted(address account);
+    error RoyaltyIsLocked(bytes32 royaltyId);
+    error SignatureExpired(uint256 deadline);
+    error InvalidSigner(address signer);
+    error DuplicateSigner(address signer);
+    error InsufficientApprovals(uint256 approvals, uint256 threshold);
+    error NotClaimDelegate(address recipient, address caller);
+    error TemplateNotActive(bytes32 templateId);
     
     // Events
     event RoyaltySet(
@@ -48,35 +141,74 @@ contract CryptoSoundsRoyalty is Ownable, ReentrancyGuard, Pausable {
         address[] recipients,
         uint96[] percentages
     );
+
+    event RoyaltyAccepted(bytes32 indexed royaltyId, address indexed recipient);
+
+    event RoyaltyActivated(
+        bytes32 indexed royaltyId,
+        address indexed nftContract,
+        uint256 indexed tokenId
+    );
+
+    event RoyaltyLocked(bytes32 indexed royaltyId);
     
-    event RoyaltyPaid(
+    event RoyaltyCredited(
         bytes32 indexed royaltyId,
         address indexed recipient,
+        address indexed paymentToken,
         uint256 amount,
         string role
     );
-    
-    event RoyaltyRecipientAdded(
-        bytes32 indexed royaltyId,
+
+    event PlatformFeeCredited(
         address indexed recipient,
-        uint96 percentage,
-        string role
+        address indexed paymentToken,
+        uint256 amount
     );
-    
-    event RoyaltyRecipientRemoved(
-        bytes32 indexed royaltyId,
-        address indexed recipient
+
+    event RoyaltyClaimed(
+        address indexed recipient,
+        address indexed paymentToken,
+        uint256 amount,
+        address to,
+        address caller
+    );
+
+    event PayoutAddressRotated(
+        address indexed recipient,
+        address indexed previousPayout,
+        address indexed payout
+    );
+
+    event ClaimDelegateSet(address indexed recipient, address indexed delegate);
+
+    event RoyaltyTemplateCreated(bytes32 indexed templateId, address indexed creator, string name);
+
+    event RoyaltyTemplateAssigned(
+        address indexed nftContract,
+        bytes32 indexed templateId,
+        uint256 fromTokenId,
+        uint256 toTokenId
     );
+
+    event DefaultRoyaltyTemplateSet(address indexed nftContract, bytes32 indexed templateId);
     
     event PlatformFeeUpdated(uint96 newFee);
     event MaxTotalPercentageUpdated(uint96 newMax);
 
-    constructor(address _platformFeeRecipient) {
+    constructor(address _platformFeeRecipient) EIP712("CryptoSoundsRoyalty", "1") {
         platformFeeRecipient = _platformFeeRecipient;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(FEE_MANAGER_ROLE, msg.sender);
+        _grantRole(TREASURER_ROLE, msg.sender);
     }
 
     /**
-     * @dev Set royalty recipients for a token
+     * @dev Propose the royalty recipients of a token without a split, as the account that
+     * minted it. The split takes effect once each recipient has accepted it; the caller's
+     * own shares are accepted.
      * @param nftContract Address of the NFT contract
      * @param tokenId Token ID
      * @param recipients Array of recipient addresses
@@ -90,135 +222,273 @@ contract CryptoSoundsRoyalty is Ownable, ReentrancyGuard, Pausable {
         uint96[] memory percentages,
         string[] memory roles
     ) external whenNotPaused {
-        require(recipients.length == percentages.length, "Arrays length mismatch");
-        require(recipients.length == roles.length, "Roles array length mismatch");
-        require(recipients.length > 0, "At least one recipient required");
-        require(recipients.length <= 10, "Too many recipients"); // Gas limit protection
-        
-        // Verify caller owns the token or is authorized
-        require(
-            IERC721(nftContract).ownerOf(tokenId) == msg.sender ||
-            IERC721(nftContract).getApproved(tokenId) == msg.sender ||
-            IERC721(nftContract).isApprovedForAll(IERC721(nftContract).ownerOf(tokenId), msg.sender),
-            "Not authorized"
+        _proposeInitial(
+            nftContract,
+            tokenId,
+            RoyaltySplit(recipients, percentages, roles, new RoyaltyWindow[](recipients.length), 0)
         );
+    }
 
-        bytes32 royaltyId = keccak256(
-            abi.encodePacked(nftContract, tokenId, block.timestamp)
-        );
+    /**
+     * @dev Propose the royalty recipients of a token without a split, with shares that
+     * change over time or with sales volume. A recipient can be listed more than once
+     * with different windows, e.g. a producer share for the first two years and the
+     * same share for the artist after.
+     * @param nftContract Address of the NFT contract
+     * @param tokenId Token ID
+     * @param split Recipients, their windows and the approvals needed to change the split
+     */
+    function setScheduledTokenRoyalty(
+        address nftContract,
+        uint256 tokenId,
+        RoyaltySplit memory split
+    ) external whenNotPaused {
+        _proposeInitial(nftContract, tokenId, split);
+    }
 
-        uint96 totalPercentage = 0;
-        for (uint256 i = 0; i < percentages.length; i++) {
-            require(percentages[i] > 0, "Percentage must be positive");
-            require(percentages[i] <= 1000, "Percentage too high"); // Max 10% per recipient
-            totalPercentage += percentages[i];
+    /**
+     * @dev Accept the caller's shares in a token's proposed split. The split takes
+     * effect, replacing any split before it, once every recipient has accepted.
+     * @param nftContract Address of the NFT contract
+     * @param tokenId Token ID
+     */
+    function acceptTokenRoyalty(address nftContract, uint256 tokenId) external whenNotPaused {
+        bytes32 royaltyId = pendingRoyaltyId[nftContract][tokenId];
+        if (royaltyId == bytes32(0)) {
+            revert NoPendingRoyalty(nftContract, tokenId);
         }
-        
-        require(totalPercentage <= maxTotalPercentage, "Total percentage too high");
-
-        // Create new royalty structure
-        TokenRoyalty storage royalty = tokenRoyalties[royaltyId];
-        royalty.tokenId = tokenId;
-        royalty.nftContract = nftContract;
-        royalty.totalPercentage = totalPercentage;
-        royalty.isActive = true;
+        _acceptPending(royaltyId);
+    }
 
-        // Add recipients
-        for (uint256 i = 0; i < recipients.length; i++) {
-            require(recipients[i] != address(0), "Invalid recipient address");
-            royalty.recipients.push(RoyaltyRecipient({
-                recipient: recipients[i],
-                percentage: percentages[i],
-                isActive: true,
-                role: roles[i]
-            }));
+    /**
+     * @dev Propose a new split for a token, approved by signatures of at least the change
+     * threshold of the split in effect's recipients (see hashRoyaltyChange). The new split
+     * takes effect once its recipients have accepted it; signers' shares are accepted.
+     * For a token using a template, this gives the token a split of its own.
+     * @param nftContract Address of the NFT contract
+     * @param tokenId Token ID
+     * @param split New recipients, their windows and the approvals needed to change them
+     * @param deadline Time after which the signatures are no longer valid
+     * @param signatures EIP-712 RoyaltyChange signatures of current recipients
+     */
+    function changeTokenRoyalty(
+        address nftContract,
+        uint256 tokenId,
+        RoyaltySplit memory split,
+        uint256 deadline,
+        bytes[] memory signatures
+    ) external whenNotPaused {
+        bytes32 royaltyId = _requireRoyaltyId(nftContract, tokenId);
+        if (tokenRoyalties[royaltyId].locked) {
+            revert RoyaltyIsLocked(royaltyId);
         }
 
-        // Update token mapping
-        tokenToRoyaltyId[nftContract][tokenId] = royaltyId;
+        address[] memory signers = _useApprovals(
+            royaltyId,
+            hashRoyaltyChange(nftContract, tokenId, hashRoyaltySplit(split), deadline),
+            deadline,
+            signatures
+        );
 
-        emit RoyaltySet(royaltyId, nftContract, tokenId, recipients, percentages);
+        bytes32 newRoyaltyId = _propose(nftContract, tokenId, split);
+        for (uint256 i = 0; i < signers.length; i++) {
+            _acceptShares(newRoyaltyId, signers[i]);
+        }
+        _activateIfAccepted(newRoyaltyId);
     }
 
     /**
-     * @dev Add a royalty recipient to an existing token
+     * @dev Permanently lock the split in effect for a token, approved by signatures of at
+     * least its change threshold of recipients (see hashRoyaltyLock). Drops any pending change.
+     * Locking a template's split locks it for every token it is assigned to.
      * @param nftContract Address of the NFT contract
      * @param tokenId Token ID
-     * @param recipient Recipient address
-     * @param percentage Percentage (in basis points)
-     * @param role Role of the recipient
+     * @param deadline Time after which the signatures are no longer valid
+     * @param signatures EIP-712 RoyaltyLock signatures of current recipients
      */
-    function addRoyaltyRecipient(
+    function lockTokenRoyalty(
         address nftContract,
         uint256 tokenId,
-        address recipient,
-        uint96 percentage,
-        string memory role
+        uint256 deadline,
+        bytes[] memory signatures
     ) external whenNotPaused {
-        bytes32 royaltyId = tokenToRoyaltyId[nftContract][tokenId];
-        require(royaltyId != bytes32(0), "Royalty not set");
-        
-        TokenRoyalty storage royalty = tokenRoyalties[royaltyId];
-        require(royalty.isActive, "Royalty not active");
-        require(
-            IERC721(nftContract).ownerOf(tokenId) == msg.sender ||
-            IERC721(nftContract).getApproved(tokenId) == msg.sender ||
-            IERC721(nftContract).isApprovedForAll(IERC721(nftContract).ownerOf(tokenId), msg.sender),
-            "Not authorized"
-        );
-        require(recipient != address(0), "Invalid recipient address");
-        require(percentage > 0, "Percentage must be positive");
-        require(percentage <= 1000, "Percentage too high");
-        require(royalty.totalPercentage + percentage <= maxTotalPercentage, "Total percentage too high");
-
-        royalty.recipients.push(RoyaltyRecipient({
-            recipient: recipient,
-            percentage: percentage,
-            isActive: true,
-            role: role
-        }));
-        
-        royalty.totalPercentage += percentage;
+        bytes32 royaltyId = _requireRoyaltyId(nftContract, tokenId);
+        if (tokenRoyalties[royaltyId].locked) {
+            revert RoyaltyIsLocked(royaltyId);
+        }
 
-        emit RoyaltyRecipientAdded(royaltyId, recipient, percentage, role);
+        _useApprovals(royaltyId, hashRoyaltyLock(nftContract, tokenId, deadline), deadline, signatures);
+
+        tokenRoyalties[royaltyId].locked = true;
+        delete pendingRoyaltyId[nftContract][tokenId];
+        emit RoyaltyLocked(royaltyId);
     }
 
     /**
-     * @dev Remove a royalty recipient
+     * @dev Create a named split to share across tokens, e.g. a band's split for every
+     * track of an album. It can be assigned once each recipient has accepted it; the
+     * caller's own shares are accepted.
+     * @param name Template name, unique per creator
+     * @param split Recipients, their windows and the approvals needed to change the split
+     * @return templateId ID of the template (see royaltyTemplateId)
+     */
+    function createRoyaltyTemplate(
+        string memory name,
+        RoyaltySplit memory split
+    ) external whenNotPaused returns (bytes32 templateId) {
+        require(bytes(name).length > 0, "Template name required");
+        templateId = royaltyTemplateId(msg.sender, name);
+        if (tokenRoyalties[templateId].proposer != address(0)) {
+            revert RoyaltyAlreadySet(templateId);
+        }
+
+        _storeSplit(templateId, address(0), 0, split);
+        emit RoyaltyTemplateCreated(templateId, msg.sender, name);
+
+        _acceptShares(templateId, msg.sender);
+        _activateIfAccepted(templateId);
+    }
+
+    /**
+     * @dev Accept the caller's shares in a template
+     * @param templateId ID of the template
+     */
+    function acceptRoyaltyTemplate(bytes32 templateId) external whenNotPaused {
+        require(tokenRoyalties[templateId].nftContract == address(0), "Not a template");
+        _acceptPending(templateId);
+    }
+
+    /**
+     * @dev Assign an accepted template to a range of tokens without a split or template
+     * of their own, overriding the collection default. The caller must be the creator
+     * of each token.
      * @param nftContract Address of the NFT contract
-     * @param tokenId Token ID
-     * @param recipientIndex Index of the recipient to remove
+     * @param fromTokenId First token ID of the range
+     * @param toTokenId Last token ID of the range (inclusive)
+     * @param templateId ID of the template
      */
-    function removeRoyaltyRecipient(
+    function assignRoyaltyTemplate(
         address nftContract,
-        uint256 tokenId,
-        uint256 recipientIndex
+        uint256 fromTokenId,
+        uint256 toTokenId,
+        bytes32 templateId
     ) external whenNotPaused {
-        bytes32 royaltyId = tokenToRoyaltyId[nftContract][tokenId];
-        require(royaltyId != bytes32(0), "Royalty not set");
-        
-        TokenRoyalty storage royalty = tokenRoyalties[royaltyId];
-        require(royalty.isActive, "Royalty not active");
         require(
-            IERC721(nftContract).ownerOf(tokenId) == msg.sender ||
-            IERC721(nftContract).getApproved(tokenId) == msg.sender ||
-            IERC721(nftContract).isApprovedForAll(IERC721(nftContract).ownerOf(tokenId), msg.sender),
-            "Not authorized"
+            fromTokenId <= toTokenId && toTokenId - fromTokenId < MAX_TEMPLATE_RANGE,
+            "Invalid token range"
         );
-        require(recipientIndex < royalty.recipients.length, "Invalid index");
+        _requireActiveTemplate(templateId);
 
-        RoyaltyRecipient memory removedRecipient = royalty.recipients[recipientIndex];
-        royalty.totalPercentage -= removedRecipient.percentage;
+        for (uint256 tokenId = fromTokenId; tokenId <= toTokenId; tokenId++) {
+            _requireFirstSplit(nftContract, tokenId);
+            tokenTemplateId[nftContract][tokenId] = templateId;
+        }
 
-        // Remove recipient by swapping with last element
-        royalty.recipients[recipientIndex] = royalty.recipients[royalty.recipients.length - 1];
-        royalty.recipients.pop();
+        emit RoyaltyTemplateAssigned(nftContract, templateId, fromTokenId, toTokenId);
+    }
+
+    /**
+     * @dev Set or replace the template of every token of an NFT contract without a split
+     * or template of its own. Only an admin of the NFT contract can set it. Creators keep
+     * their tokens off the default, and off later changes to it, by giving them a split
+     * or template of their own.
+     * @param nftContract Address of an AccessControl NFT contract
+     * @param templateId ID of the template
+     */
+    function setDefaultRoyaltyTemplate(address nftContract, bytes32 templateId) external whenNotPaused {
+        if (!_isCollectionAdmin(nftContract, msg.sender)) {
+            revert NotAuthorized(msg.sender);
+        }
+        _requireActiveTemplate(templateId);
+
+        defaultTemplateId[nftContract] = templateId;
+        emit DefaultRoyaltyTemplateSet(nftContract, templateId);
+    }
+
+    /**
+     * @dev Get the ID of a template
+     * @param creator Account that created the template
+     * @param name Template name
+     * @return Template ID
+     */
+    function royaltyTemplateId(address creator, string memory name) public pure returns (bytes32) {
+        return keccak256(abi.encode(creator, name));
+    }
+
+    /**
+     * @dev Get the split in effect for a token: its own split, else the template assigned
+     * to it, else the default template of its NFT contract
+     * @param nftContract Address of the NFT contract
+     * @param tokenId Token ID
+     * @return royaltyId ID of the split or template, zero if there is none
+     */
+    function royaltyIdOf(address nftContract, uint256 tokenId) public view returns (bytes32 royaltyId) {
+        royaltyId = _tokenRoyaltyId(nftContract, tokenId);
+        if (royaltyId == bytes32(0)) {
+            royaltyId = defaultTemplateId[nftContract];
+        }
+    }
+
+    /**
+     * @dev Hash of a split, as signed in a RoyaltyChange
+     * @param split Proposed split
+     * @return keccak256 of the ABI-encoded split fields
+     */
+    function hashRoyaltySplit(RoyaltySplit memory split) public pure returns (bytes32) {
+        return keccak256(
+            abi.encode(split.recipients, split.percentages, split.roles, split.windows, split.changeThreshold)
+        );
+    }
+
+    /**
+     * @dev Get the EIP-712 digest recipients sign to approve a change of a token's split.
+     * It names the token, the split in effect and that split's current nonce, so the
+     * approval cannot be used on another token sharing a template or used twice.
+     * @param nftContract Address of the NFT contract
+     * @param tokenId Token ID
+     * @param splitHash hashRoyaltySplit of the new split
+     * @param deadline Time after which the approval is no longer valid
+     * @return EIP-712 typed data hash
+     */
+    function hashRoyaltyChange(
+        address nftContract,
+        uint256 tokenId,
+        bytes32 splitHash,
+        uint256 deadline
+    ) public view returns (bytes32) {
+        bytes32 royaltyId = royaltyIdOf(nftContract, tokenId);
+        return _hashTypedDataV4(keccak256(abi.encode(
+            ROYALTY_CHANGE_TYPEHASH, nftContract, tokenId, royaltyId, splitHash, royaltyNonces[royaltyId], deadline
+        )));
+    }
+
+    /**
+     * @dev Get the EIP-712 digest recipients sign to approve locking a token's split,
+     * naming the token, the split in effect and its current nonce like hashRoyaltyChange
+     * @param nftContract Address of the NFT contract
+     * @param tokenId Token ID
+     * @param deadline Time after which the approval is no longer valid
+     * @return EIP-712 typed data hash
+     */
+    function hashRoyaltyLock(address nftContract, uint256 tokenId, uint256 deadline) public view returns (bytes32) {
+        bytes32 royaltyId = royaltyIdOf(nftContract, tokenId);
+        return _hashTypedDataV4(keccak256(abi.encode(
+            ROYALTY_LOCK_TYPEHASH, nftContract, tokenId, royaltyId, royaltyNonces[royaltyId], deadline
+        )));
+    }
 
-        emit RoyaltyRecipientRemoved(royaltyId, removedRecipient.recipient);
+    /**
+     * @dev Get the EIP-712 domain separator
+     */
+    function domainSeparator() external view returns (bytes32) {
+        return _domainSeparatorV4();
     }
 
     /**
-     * @dev Distribute royalties for a token
+     * @dev Credit the royalties owed on a sale of a token to its recipients. The call
+     * must send exactly the royalty and platform fee (see calculateRoyalty). Anyone can
+     * pay royalties, but only sales reported by a MARKETPLACE_ROLE holder count towards
+     * the token's volume tiers.
      * @param nftContract Address of the NFT contract
      * @param tokenId Token ID
      * @param salePrice Sale price in wei
@@ -228,50 +498,140 @@ contract CryptoSoundsRoyalty is Ownable, ReentrancyGuard, Pausable {
         uint256 tokenId,
         uint256 salePrice
     ) external payable whenNotPaused nonReentrant {
-        require(msg.value >= salePrice, "Insufficient payment");
-        
-        bytes32 royaltyId = tokenToRoyaltyId[nftContract][tokenId];
-        require(royaltyId != bytes32(0), "Royalty not set");
-        
-        TokenRoyalty storage royalty = tokenRoyalties[royaltyId];
-        require(royalty.isActive, "Royalty not active");
+        (uint256 totalRoyaltyAmount, uint256 platformFeeAmount) = _distribute(
+            address(0),
+            nftContract,
+            tokenId,
+            salePrice
+        );
+        require(msg.value == totalRoyaltyAmount + platformFeeAmount, "Incorrect payment");
+    }
 
-        uint256 totalRoyaltyAmount = (salePrice * royalty.totalPercentage) / 10000;
-        uint256 platformFeeAmount = (salePrice * platformFee) / 10000;
-        uint256 remainingAmount = salePrice - totalRoyaltyAmount - platformFeeAmount;
+    /**
+     * @dev Credit the royalties owed on a sale of a token sold for an ERC-20. Only the
+     * royalty and platform fee are pulled from the caller, who must have approved this contract.
+     * As with ETH, only sales reported by a MARKETPLACE_ROLE holder count towards volume tiers.
+     * @param paymentToken ERC-20 the sale was paid in
+     * @param nftContract Address of the NFT contract
+     * @param tokenId Token ID
+     * @param salePrice Sale price in token units
+     */
+    function distributeTokenRoyalties(
+        address paymentToken,
+        address nftContract,
+        uint256 tokenId,
+        uint256 salePrice
+    ) external whenNotPaused nonReentrant {
+        require(paymentToken != address(0), "Invalid payment token");
 
-        // Distribute royalties to recipients
-        for (uint256 i = 0; i < royalty.recipients.length; i++) {
-            if (royalty.recipients[i].isActive) {
-                uint256 recipientAmount = (salePrice * royalty.recipients[i].percentage) / 10000;
-                
-                (bool success, ) = payable(royalty.recipients[i].recipient).call{value: recipientAmount}("");
-                require(success, "Royalty payment failed");
-                
-                emit RoyaltyPaid(
-                    royaltyId,
-                    royalty.recipients[i].recipient,
-                    recipientAmount,
-                    royalty.recipients[i].role
-                );
-            }
-        }
+        (uint256 totalRoyaltyAmount, uint256 platformFeeAmount) = _distribute(
+            paymentToken,
+            nftContract,
+            tokenId,
+            salePrice
+        );
+        IERC20(paymentToken).safeTransferFrom(
+            msg.sender,
+            address(this),
+            totalRoyaltyAmount + platformFeeAmount
+        );
+    }
 
-        // Pay platform fee
-        if (platformFeeAmount > 0) {
-            (bool success, ) = payable(platformFeeRecipient).call{value: platformFeeAmount}("");
-            require(success, "Platform fee payment failed");
+    /**
+     * @dev Pay out the caller's royalties in a payment token to their payout address
+     * @param paymentToken ERC-20 to claim, or zero for ETH
+     */
+    function claim(address paymentToken) external whenNotPaused nonReentrant {
+        _claim(msg.sender, paymentToken, payoutAddressOf(msg.sender));
+    }
+
+    /**
+     * @dev Pay out an account's royalties in a payment token to the account's payout
+     * address. Anyone can trigger the payout; the funds only go to the payout address.
+     * @param account Account to pay out
+     * @param paymentToken ERC-20 to claim, or zero for ETH
+     */
+    function claimFor(address account, address paymentToken) external whenNotPaused nonReentrant {
+        _claim(account, paymentToken, payoutAddressOf(account));
+    }
+
+    /**
+     * @dev Claim a recipient's royalties in a payment token as their claim delegate.
+     * The funds go to the delegate.
+     * @param recipient Recipient that set the caller as claim delegate
+     * @param paymentToken ERC-20 to claim, or zero for ETH
+     */
+    function claimAsDelegate(address recipient, address paymentToken) external whenNotPaused nonReentrant {
+        if (msg.sender != claimDelegates[recipient]) {
+            revert NotClaimDelegate(recipient, msg.sender);
         }
+        _claim(recipient, paymentToken, msg.sender);
+    }
+
+    /**
+     * @dev Rotate where the caller's royalties are paid, in every split they are a
+     * recipient of. Their balances stay theirs; only claims are paid elsewhere. The
+     * split still lists the caller, who keeps accepting and approving changes.
+     * @param payout New payout address, or zero to be paid directly again
+     */
+    function setPayoutAddress(address payout) external whenNotPaused {
+        address previous = payoutAddressOf(msg.sender);
+        address next = payout == address(0) ? msg.sender : payout;
+        require(next != previous, "Payout address unchanged");
+
+        payoutAddresses[msg.sender] = next == msg.sender ? address(0) : next;
+        _payoutRotations[msg.sender].push(PayoutRotation(next, uint64(block.timestamp)));
 
-        // Refund remaining amount to caller
-        if (remainingAmount > 0) {
-            (bool success, ) = payable(msg.sender).call{value: remainingAmount}("");
-            require(success, "Refund failed");
+        emit PayoutAddressRotated(msg.sender, previous, next);
+    }
+
+    /**
+     * @dev Let another address claim the caller's royalties to itself
+     * @param delegate Claim delegate, or zero to remove the current one
+     */
+    function setClaimDelegate(address delegate) external whenNotPaused {
+        require(delegate != msg.sender, "Invalid delegate");
+        claimDelegates[msg.sender] = delegate;
+        emit ClaimDelegateSet(msg.sender, delegate);
+    }
+
+    /**
+     * @dev Get the address a recipient's claims are paid to
+     * @param recipient Recipient or platform fee recipient
+     * @return Payout address
+     */
+    function payoutAddressOf(address recipient) public view returns (address) {
+        address payout = payoutAddresses[recipient];
+        return payout == address(0) ? recipient : payout;
+    }
+
+    /**
+     * @dev Get every payout address rotation of a recipient, oldest first
+     * @param recipient Recipient or platform fee recipient
+     * @return Rotations with the address rotated to and the time of the rotation
+     */
+    function getPayoutRotations(address recipient) external view returns (PayoutRotation[] memory) {
+        return _payoutRotations[recipient];
+    }
+
+    /**
+     * @dev Get an account's unclaimed royalties in several payment tokens
+     * @param account Recipient or platform fee recipient
+     * @param paymentTokens ERC-20s to look up (zero for ETH)
+     * @return balances Unclaimed amount for each payment token
+     */
+    function getUnclaimedRoyalties(
+        address account,
+        address[] calldata paymentTokens
+    ) external view returns (uint256[] memory balances) {
+        balances = new uint256[](paymentTokens.length);
+        for (uint256 i = 0; i < paymentTokens.length; i++) {
+            balances[i] = royaltyBalances[paymentTokens[i]][account];
         }
     }
 
     /**
-     * @dev Get royalty information for a token
+     * @dev Get the royalty split in effect now for a sale in ETH
      * @param nftContract Address of the NFT contract
      * @param tokenId Token ID
      * @return recipients Array of recipient addresses
@@ -288,15 +648,40 @@ contract CryptoSoundsRoyalty is Ownable, ReentrancyGuard, Pausable {
         string[] memory roles,
         uint96 totalPercentage
     ) {
-        bytes32 royaltyId = tokenToRoyaltyId[nftContract][tokenId];
-        require(royaltyId != bytes32(0), "Royalty not set");
+        return getTokenRoyaltyAt(nftContract, tokenId, address(0), block.timestamp);
+    }
+
+    /**
+     * @dev Get the royalty split in effect at a given time for a sale in a payment token
+     * @param nftContract Address of the NFT contract
+     * @param tokenId Token ID
+     * @param paymentToken ERC-20 the sale is paid in, or zero for ETH (volume tiers count only its sales)
+     * @param timestamp Time of the sale
+     * @return recipients Array of recipient addresses
+     * @return percentages Array of percentages
+     * @return roles Array of roles
+     * @return totalPercentage Total royalty percentage
+     */
+    function getTokenRoyaltyAt(
+        address nftContract,
+        uint256 tokenId,
+        address paymentToken,
+        uint256 timestamp
+    ) public view returns (
+        address[] memory recipients,
+        uint96[] memory percentages,
+        string[] memory roles,
+        uint96 totalPercentage
+    ) {
+        bytes32 royaltyId = _requireRoyaltyId(nftContract, tokenId);
         
         TokenRoyalty storage royalty = tokenRoyalties[royaltyId];
         require(royalty.isActive, "Royalty not active");
 
+        uint256 volume = salesVolume[nftContract][tokenId][paymentToken];
         uint256 activeCount = 0;
         for (uint256 i = 0; i < royalty.recipients.length; i++) {
-            if (royalty.recipients[i].isActive) {
+            if (_inEffect(royalty.recipients[i], timestamp, paymentToken, volume)) {
                 activeCount++;
             }
         }
@@ -307,19 +692,49 @@ contract CryptoSoundsRoyalty is Ownable, ReentrancyGuard, Pausable {
 
         uint256 index = 0;
         for (uint256 i = 0; i < royalty.recipients.length; i++) {
-            if (royalty.recipients[i].isActive) {
+            if (_inEffect(royalty.recipients[i], timestamp, paymentToken, volume)) {
                 recipients[index] = royalty.recipients[i].recipient;
                 percentages[index] = royalty.recipients[i].percentage;
                 roles[index] = royalty.recipients[i].role;
+                totalPercentage += royalty.recipients[i].percentage;
                 index++;
             }
         }
+    }
+
+    /**
+     * @dev Get every recipient of a token's royalty with the window their share applies in
+     * @param nftContract Address of the NFT contract
+     * @param tokenId Token ID
+     * @return Recipients, including shares that have not started or have ended
+     */
+    function getRoyaltySchedule(
+        address nftContract,
+        uint256 tokenId
+    ) external view returns (RoyaltyRecipient[] memory) {
+        bytes32 royaltyId = _requireRoyaltyId(nftContract, tokenId);
+        return tokenRoyalties[royaltyId].recipients;
+    }
 
-        totalPercentage = royalty.totalPercentage;
+    /**
+     * @dev Get every recipient of a token's proposed split with the window their share applies in
+     * @param nftContract Address of the NFT contract
+     * @param tokenId Token ID
+     * @return Recipients of the split awaiting acceptance (see royaltyAccepted)
+     */
+    function getPendingRoyaltySchedule(
+        address nftContract,
+        uint256 tokenId
+    ) external view returns (RoyaltyRecipient[] memory) {
+        bytes32 royaltyId = pendingRoyaltyId[nftContract][tokenId];
+        if (royaltyId == bytes32(0)) {
+            revert NoPendingRoyalty(nftContract, tokenId);
+        }
+        return tokenRoyalties[royaltyId].recipients;
     }
 
     /**
-     * @dev Calculate royalty amount for a token
+     * @dev Calculate royalty amount for a token sold now for ETH
      * @param nftContract Address of the NFT contract
      * @param tokenId Token ID
      * @param salePrice Sale price in wei
@@ -336,7 +751,32 @@ contract CryptoSoundsRoyalty is Ownable, ReentrancyGuard, Pausable {
         uint256 platformFeeAmount,
         uint256 remainingAmount
     ) {
-        bytes32 royaltyId = tokenToRoyaltyId[nftContract][tokenId];
+        return calculateRoyaltyAt(nftContract, tokenId, salePrice, address(0), block.timestamp);
+    }
+
+    /**
+     * @dev Calculate royalty amount for a token sold at a given time in a payment token
+     * @param nftContract Address of the NFT contract
+     * @param tokenId Token ID
+     * @param salePrice Sale price in wei or token units
+     * @param paymentToken ERC-20 the sale is paid in, or zero for ETH
+     * @param timestamp Time of the sale
+     * @return totalRoyalty Total royalty amount
+     * @return platformFeeAmount Platform fee amount
+     * @return remainingAmount Remaining amount after royalties
+     */
+    function calculateRoyaltyAt(
+        address nftContract,
+        uint256 tokenId,
+        uint256 salePrice,
+        address paymentToken,
+        uint256 timestamp
+    ) public view returns (
+        uint256 totalRoyalty,
+        uint256 platformFeeAmount,
+        uint256 remainingAmount
+    ) {
+        bytes32 royaltyId = royaltyIdOf(nftContract, tokenId);
         if (royaltyId == bytes32(0)) {
             return (0, 0, salePrice);
         }
@@ -346,42 +786,446 @@ contract CryptoSoundsRoyalty is Ownable, ReentrancyGuard, Pausable {
             return (0, 0, salePrice);
         }
 
-        totalRoyalty = (salePrice * royalty.totalPercentage) / 10000;
+        totalRoyalty = _royaltyAmount(royaltyId, paymentToken, salesVolume[nftContract][tokenId][paymentToken], timestamp, salePrice);
         platformFeeAmount = (salePrice * platformFee) / 10000;
         remainingAmount = salePrice - totalRoyalty - platformFeeAmount;
     }
 
+    /**
+     * @dev Propose the first split of a token, replacing an earlier proposal that was not
+     * accepted yet
+     */
+    function _proposeInitial(address nftContract, uint256 tokenId, RoyaltySplit memory split) internal {
+        _requireFirstSplit(nftContract, tokenId);
+
+        bytes32 royaltyId = _propose(nftContract, tokenId, split);
+        _acceptShares(royaltyId, msg.sender);
+        _activateIfAccepted(royaltyId);
+    }
+
+    /**
+     * @dev Check that a token has no split or template of its own, and that the caller
+     * minted it. The collection default does not count: the creator can override it.
+     * Owning the token gives no say over its creator's royalties.
+     */
+    function _requireFirstSplit(address nftContract, uint256 tokenId) internal view {
+        bytes32 royaltyId = _tokenRoyaltyId(nftContract, tokenId);
+        if (royaltyId != bytes32(0)) {
+            revert RoyaltyAlreadySet(royaltyId);
+        }
+        if (!_isCreator(nftContract, tokenId, msg.sender)) {
+            revert NotAuthorized(msg.sender);
+        }
+    }
+
+    /**
+     * @dev Get the split in effect for a token (see royaltyIdOf), reverting if there is none
+     */
+    function _requireRoyaltyId(address nftContract, uint256 tokenId) internal view returns (bytes32 royaltyId) {
+        royaltyId = royaltyIdOf(nftContract, tokenId);
+        if (royaltyId == bytes32(0)) {
+            revert RoyaltyNotSet(nftContract, tokenId);
+        }
+    }
+
+    /**
+     * @dev A token's own split in effect, else the template assigned to it, ignoring the
+     * collection default
+     */
+    function _tokenRoyaltyId(address nftContract, uint256 tokenId) internal view returns (bytes32 royaltyId) {
+        royaltyId = tokenToRoyaltyId[nftContract][tokenId];
+        if (royaltyId == bytes32(0)) {
+            royaltyId = tokenTemplateId[nftContract][tokenId];
+        }
+    }
+
+    /**
+     * @dev Validate and store a split as the token's pending split
+     */
+    function _propose(
+        address nftContract,
+        uint256 tokenId,
+        RoyaltySplit memory split
+    ) internal returns (bytes32 royaltyId) {
+        _royaltyNonce++;
+        royaltyId = keccak256(
+            abi.encodePacked(nftContract, tokenId, _royaltyNonce)
+        );
+
+        _storeSplit(royaltyId, nftContract, tokenId, split);
+        pendingRoyaltyId[nftContract][tokenId] = royaltyId;
+    }
+
+    /**
+     * @dev Validate and store a split of a token, or of a template when nftContract is zero
+     */
+    function _storeSplit(
+        bytes32 royaltyId,
+        address nftContract,
+        uint256 tokenId,
+        RoyaltySplit memory split
+    ) internal {
+        uint256 count = split.recipients.length;
+        require(count == split.percentages.length, "Arrays length mismatch");
+        require(count == split.roles.length, "Roles array length mismatch");
+        require(count == split.windows.length, "Windows array length mismatch");
+        require(count > 0, "At least one recipient required");
+        require(count <= 10, "Too many recipients"); // Gas limit protection
+
+        // Create new royalty structure
+        TokenRoyalty storage royalty = tokenRoyalties[royaltyId];
+        royalty.tokenId = tokenId;
+        royalty.nftContract = nftContract;
+        royalty.proposer = msg.sender;
+
+        // Add recipients
+        uint256 distinctRecipients = 0;
+        for (uint256 i = 0; i < count; i++) {
+            RoyaltyWindow memory window = split.windows[i];
+            require(split.recipients[i] != address(0), "Invalid recipient address");
+            require(split.percentages[i] > 0, "Percentage must be positive");
+            require(split.percentages[i] <= 1000, "Percentage too high"); // Max 10% per recipient
+            require(window.endTime == 0 || window.endTime > window.startTime, "Invalid time window");
+            require(window.maxVolume == 0 || window.maxVolume > window.minVolume, "Invalid volume tier");
+
+            if (!_isRecipient(royalty.recipients, split.recipients[i])) {
+                distinctRecipients++;
+            }
+            royalty.recipients.push(RoyaltyRecipient({
+                recipient: split.recipients[i],
+                percentage: split.percentages[i],
+                isActive: true,
+                role: split.roles[i],
+                window: window
+            }));
+        }
+
+        royalty.totalPercentage = _maxTotalPercentage(royalty.recipients);
+        require(royalty.totalPercentage <= maxTotalPercentage, "Total percentage too high");
+
+        require(split.changeThreshold <= distinctRecipients, "Invalid change threshold");
+        royalty.changeThreshold = split.changeThreshold == 0 ? distinctRecipients / 2 + 1 : split.changeThreshold;
+
+        emit RoyaltySet(royaltyId, nftContract, tokenId, split.recipients, split.percentages);
+    }
+
+    /**
+     * @dev Record a recipient's acceptance of a split
+     */
+    function _accept(bytes32 royaltyId, address recipient) internal {
+        royaltyAccepted[royaltyId][recipient] = true;
+        emit RoyaltyAccepted(royaltyId, recipient);
+    }
+
+    /**
+     * @dev Accept an account's shares in a split, if it has any
+     */
+    function _acceptShares(bytes32 royaltyId, address account) internal {
+        if (_isRecipient(tokenRoyalties[royaltyId].recipients, account)) {
+            _accept(royaltyId, account);
+        }
+    }
+
+    /**
+     * @dev Accept the caller's shares in a pending split or template
+     */
+    function _acceptPending(bytes32 royaltyId) internal {
+        if (!_isRecipient(tokenRoyalties[royaltyId].recipients, msg.sender)) {
+            revert NotARecipient(msg.sender);
+        }
+        if (royaltyAccepted[royaltyId][msg.sender]) {
+            revert AlreadyAccepted(msg.sender);
+        }
+
+        _accept(royaltyId, msg.sender);
+        _activateIfAccepted(royaltyId);
+    }
+
+    /**
+     * @dev Put a pending split in effect once each of its recipients has accepted it.
+     * An accepted template can then be assigned to tokens.
+     */
+    function _activateIfAccepted(bytes32 royaltyId) internal {
+        TokenRoyalty storage royalty = tokenRoyalties[royaltyId];
+        for (uint256 i = 0; i < royalty.recipients.length; i++) {
+            if (!royaltyAccepted[royaltyId][royalty.recipients[i].recipient]) {
+                return;
+            }
+        }
+
+        address nftContract = royalty.nftContract;
+        uint256 tokenId = royalty.tokenId;
+        royalty.isActive = true;
+        emit RoyaltyActivated(royaltyId, nftContract, tokenId);
+        if (nftContract == address(0)) {
+            return; // template
+        }
+
+        bytes32 previousId = tokenToRoyaltyId[nftContract][tokenId];
+        if (previousId != bytes32(0)) {
+            tokenRoyalties[previousId].isActive = false;
+        }
+
+        tokenToRoyaltyId[nftContract][tokenId] = royaltyId;
+        delete pendingRoyaltyId[nftContract][tokenId];
+    }
+
+    /**
+     * @dev Check EIP-712 approvals of a split's distinct recipients against its change
+     * threshold, then bump the split's nonce so they cannot be submitted again
+     * @return signers Recovered signer of each signature
+     */
+    function _useApprovals(
+        bytes32 royaltyId,
+        bytes32 digest,
+        uint256 deadline,
+        bytes[] memory signatures
+    ) internal returns (address[] memory signers) {
+        if (block.timestamp > deadline) {
+            revert SignatureExpired(deadline);
+        }
+
+        TokenRoyalty storage royalty = tokenRoyalties[royaltyId];
+        signers = new address[](signatures.length);
+        for (uint256 i = 0; i < signatures.length; i++) {
+            address signer = ECDSA.recover(digest, signatures[i]);
+            if (!_isRecipient(royalty.recipients, signer)) {
+                revert InvalidSigner(signer);
+            }
+            for (uint256 j = 0; j < i; j++) {
+                if (signers[j] == signer) {
+                    revert DuplicateSigner(signer);
+                }
+            }
+            signers[i] = signer;
+        }
+
+        if (signatures.length < royalty.changeThreshold) {
+            revert InsufficientApprovals(signatures.length, royalty.changeThreshold);
+        }
+        royaltyNonces[royaltyId]++;
+    }
+
+    /**
+     * @dev Whether an account has a share in a split
+     */
+    function _isRecipient(RoyaltyRecipient[] storage recipients, address account) internal view returns (bool) {
+        for (uint256 i = 0; i < recipients.length; i++) {
+            if (recipients[i].recipient == account) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @dev Revert unless a template exists and each of its recipients has accepted it
+     */
+    function _requireActiveTemplate(bytes32 templateId) internal view {
+        TokenRoyalty storage template = tokenRoyalties[templateId];
+        if (!template.isActive || template.nftContract != address(0)) {
+            revert TemplateNotActive(templateId);
+        }
+    }
+
+    /**
+     * @dev Whether an account is an admin of an AccessControl NFT contract
+     */
+    function _isCollectionAdmin(address nftContract, address account) internal view returns (bool) {
+        try IAccessControl(nftContract).hasRole(DEFAULT_ADMIN_ROLE, account) returns (bool isAdmin) {
+            return isAdmin;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * @dev Whether an account is the recorded creator of a token of a CryptoSoundsNFT contract
+     */
+    function _isCreator(address nftContract, uint256 tokenId, address account) internal view returns (bool) {
+        try CryptoSoundsNFT(nftContract).tokenCreator(tokenId) returns (address creator) {
+            return creator == account;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * @dev Whether a recipient's share applies to a sale at a time in a payment token, given
+     * the volume of earlier sales in that token
+     */
+    function _inEffect(
+        RoyaltyRecipient storage recipient,
+        uint256 timestamp,
+        address paymentToken,
+        uint256 volume
+    ) internal view returns (bool) {
+        RoyaltyWindow storage window = recipient.window;
+        return recipient.isActive &&
+            timestamp >= window.startTime &&
+            (window.endTime == 0 || timestamp < window.endTime) &&
+            (
+                (window.minVolume == 0 && window.maxVolume == 0) ||
+                (window.volumeToken == paymentToken &&
+                    volume >= window.minVolume &&
+                    (window.maxVolume == 0 || volume < window.maxVolume))
+            );
+    }
+
+    /**
+     * @dev Highest total percentage of overlapping shares. Windows are half-open ranges
+     * of time and volume, so the highest total is reached where some share's time
+     * window and some share's volume tier begin, in that tier's payment token.
+     */
+    function _maxTotalPercentage(RoyaltyRecipient[] storage recipients) internal view returns (uint96 maxTotal) {
+        for (uint256 i = 0; i < recipients.length; i++) {
+            for (uint256 j = 0; j < recipients.length; j++) {
+                uint256 timestamp = recipients[i].window.startTime;
+                RoyaltyWindow storage tier = recipients[j].window;
+
+                uint96 total = 0;
+                for (uint256 k = 0; k < recipients.length; k++) {
+                    if (_inEffect(recipients[k], timestamp, tier.volumeToken, tier.minVolume)) {
+                        total += recipients[k].percentage;
+                    }
+                }
+                if (total > maxTotal) {
+                    maxTotal = total;
+                }
+            }
+        }
+    }
+
+    /**
+     * @dev Royalty owed on a sale under a split, given the token's volume of earlier sales
+     * in the sale's payment token
+     */
+    function _royaltyAmount(
+        bytes32 royaltyId,
+        address paymentToken,
+        uint256 volume,
+        uint256 timestamp,
+        uint256 salePrice
+    ) internal view returns (uint256 amount) {
+        RoyaltyRecipient[] storage recipients = tokenRoyalties[royaltyId].recipients;
+
+        for (uint256 i = 0; i < recipients.length; i++) {
+            if (_inEffect(recipients[i], timestamp, paymentToken, volume)) {
+                amount += (salePrice * recipients[i].percentage) / 10000;
+            }
+        }
+    }
+
+    /**
+     * @dev Credit every recipient in effect and the platform fee in ETH or an ERC-20.
+     * A sale reported by a marketplace then counts towards the token's volume in that
+     * currency; anyone else could report a made-up sale price for the cost of its royalty.
+     * @return totalRoyaltyAmount Royalty credited to recipients
+     * @return platformFeeAmount Platform fee credited
+     */
+    function _distribute(
+        address paymentToken,
+        address nftContract,
+        uint256 tokenId,
+        uint256 salePrice
+    ) internal returns (uint256 totalRoyaltyAmount, uint256 platformFeeAmount) {
+        bytes32 royaltyId = _requireRoyaltyId(nftContract, tokenId);
+        TokenRoyalty storage royalty = tokenRoyalties[royaltyId];
+        require(royalty.isActive, "Royalty not active");
+        uint256 volume = salesVolume[nftContract][tokenId][paymentToken];
+
+        // Credit royalties to recipients
+        for (uint256 i = 0; i < royalty.recipients.length; i++) {
+            if (_inEffect(royalty.recipients[i], block.timestamp, paymentToken, volume)) {
+                uint256 recipientAmount = (salePrice * royalty.recipients[i].percentage) / 10000;
+                totalRoyaltyAmount += recipientAmount;
+                _credit(paymentToken, royalty.recipients[i].recipient, recipientAmount);
+
+                emit RoyaltyCredited(
+                    royaltyId,
+                    royalty.recipients[i].recipient,
+                    paymentToken,
+                    recipientAmount,
+                    royalty.recipients[i].role
+                );
+            }
+        }
+
+        // Credit platform fee
+        platformFeeAmount = (salePrice * platformFee) / 10000;
+        if (platformFeeAmount > 0) {
+            _credit(paymentToken, platformFeeRecipient, platformFeeAmount);
+            emit PlatformFeeCredited(platformFeeRecipient, paymentToken, platformFeeAmount);
+        }
+
+        if (hasRole(MARKETPLACE_ROLE, msg.sender)) {
+            salesVolume[nftContract][tokenId][paymentToken] = volume + salePrice;
+        }
+    }
+
+    /**
+     * @dev Add to an account's claimable balance
+     */
+    function _credit(address paymentToken, address account, uint256 amount) internal {
+        royaltyBalances[paymentToken][account] += amount;
+        totalUnclaimed[paymentToken] += amount;
+    }
+
+    /**
+     * @dev Pay an account's whole claimable balance in ETH or an ERC-20 to an address
+     */
+    function _claim(address account, address paymentToken, address to) internal {
+        uint256 amount = royaltyBalances[paymentToken][account];
+        require(amount > 0, "Nothing to claim");
+
+        royaltyBalances[paymentToken][account] = 0;
+        totalUnclaimed[paymentToken] -= amount;
+
+        if (paymentToken == address(0)) {
+            (bool success, ) = payable(to).call{value: amount}("");
+            require(success, "Claim failed");
+        } else {
+            IERC20(paymentToken).safeTransfer(to, amount);
+        }
+
+        emit RoyaltyClaimed(account, paymentToken, amount, to, msg.sender);
+    }
+
     // Admin functions
-    function setMaxTotalPercentage(uint96 _maxPercentage) external onlyOwner {
+    function setMaxTotalPercentage(uint96 _maxPercentage) external onlyRole(FEE_MANAGER_ROLE) {
         require(_maxPercentage <= 2000, "Percentage too high"); // Max 20%
         maxTotalPercentage = _maxPercentage;
         emit MaxTotalPercentageUpdated(_maxPercentage);
     }
 
-    function setPlatformFee(uint96 _platformFee) external onlyOwner {
+    function setPlatformFee(uint96 _platformFee) external onlyRole(FEE_MANAGER_ROLE) {
         require(_platformFee <= 100, "Fee too high"); // Max 1%
         platformFee = _platformFee;
         emit PlatformFeeUpdated(_platformFee);
     }
 
-    function setPlatformFeeRecipient(address _recipient) external onlyOwner {
+    function setPlatformFeeRecipient(address _recipient) external onlyRole(FEE_MANAGER_ROLE) {
         require(_recipient != address(0), "Invalid address");
         platformFeeRecipient = _recipient;
     }
 
-    function pause() external onlyOwner {
+    function pause() external onlyRole(PAUSER_ROLE) {
         _pause();
     }
 
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(PAUSER_ROLE) {
         _unpause();
     }
 
-    function withdraw() external onlyOwner {
-        uint256 balance = address(this).balance;
+    /**
+     * @dev Withdraw ETH held by the contract beyond unclaimed royalties to the
+     * calling treasurer
+     */
+    function withdraw() external onlyRole(TREASURER_ROLE) {
+        uint256 balance = address(this).balance - totalUnclaimed[address(0)];
         require(balance > 0, "No funds to withdraw");
         
-        (bool success, ) = payable(owner()).call{value: balance}("");
+        (bool success, ) = payable(msg.sender).call{value: balance}("");
         require(success, "Withdrawal failed");
     }
 }
\ No newline at end of file
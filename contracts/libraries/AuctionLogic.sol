@@ -0,0 +1,641 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "./MarketplaceIndex.sol";
+import "./SaleSettlement.sol";
+
+/**
+ * @title AuctionLogic
+ * @dev English and Dutch auction logic for CryptoSoundsMarketplace. Linked as an external
+ * library so the marketplace stays under the contract size limit; functions run
+ * in the marketplace's context through delegatecall. Auctioned NFTs are held by
+ * the marketplace and outbid funds are credited to pending returns. Running
+ * English auctions are kept in a queue grouped by end time; open Dutch auctions are
+ * indexed by seller and by NFT contract.
+ * @author CryptoSounds
+ */
+library AuctionLogic {
+    using MarketplaceIndex for MarketplaceIndex.TimeQueue;
+    using EnumerableSet for EnumerableSet.Bytes32Set;
+
+    // Auction structure
+    struct Auction {
+        address seller;
+        address nftContract;
+        uint256 tokenId;
+        address paymentToken; // ERC-20 bids are made in, or zero for ETH
+        uint256 startingPrice;
+        uint256 highestBid;
+        address highestBidder;
+        uint256 startTime;
+        uint256 endTime;
+        bool isActive;
+        uint256 reservePrice; // public reserve, or the hidden reserve once revealed
+        bytes32 reserveHash; // commitment to a hidden reserve until it is revealed
+        uint256 buyNowPrice; // 0 when buy-it-now is disabled
+    }
+
+    // Parameters for creating an auction
+    struct AuctionParams {
+        address nftContract;
+        uint256 tokenId;
+        address paymentToken; // zero for ETH
+        uint256 startingPrice;
+        uint256 duration; // 0 for the default auction duration
+        uint256 reservePrice; // public reserve, 0 for none
+        bytes32 reserveHash; // keccak256(abi.encode(reservePrice, salt)) for a hidden reserve
+        uint256 buyNowPrice; // 0 to disable buy-it-now
+    }
+
+    // Dutch auction structure: the price falls linearly from startPrice to floorPrice
+    // between startTime and endTime and stays at the floor until sold or cancelled
+    struct DutchAuction {
+        address seller;
+        address nftContract;
+        uint256 tokenId;
+        address paymentToken; // ERC-20 the NFT is sold for, or zero for ETH
+        uint256 startPrice;
+        uint256 floorPrice;
+        uint256 startTime;
+        uint256 endTime;
+        bool isActive;
+    }
+
+    // Parameters for creating a Dutch auction
+    struct DutchAuctionParams {
+        address nftContract;
+        uint256 tokenId;
+        address paymentToken; // zero for ETH
+        uint256 startPrice;
+        uint256 floorPrice;
+        uint256 duration; // 0 for the default auction duration
+    }
+
+    // Indexes of open Dutch auctions
+    struct DutchAuctionIndex {
+        mapping(address => EnumerableSet.Bytes32Set) bySeller;
+        mapping(address => EnumerableSet.Bytes32Set) byContract;
+    }
+
+    // Events (mirrored in CryptoSoundsMarketplace so they appear in its ABI)
+    event AuctionCreated(
+        bytes32 indexed auctionId,
+        address indexed seller,
+        address indexed nftContract,
+        uint256 tokenId,
+        address paymentToken,
+        uint256 startingPrice,
+        uint256 endTime
+    );
+
+    event DutchAuctionCreated(
+        bytes32 indexed auctionId,
+        address indexed seller,
+        address indexed nftContract,
+        uint256 tokenId,
+        address paymentToken,
+        uint256 startPrice,
+        uint256 floorPrice,
+        uint256 endTime
+    );
+
+    event AuctionTermsSet(
+        bytes32 indexed auctionId,
+        uint256 reservePrice,
+        bool hasHiddenReserve,
+        uint256 buyNowPrice
+    );
+
+    event BidPlaced(
+        bytes32 indexed auctionId,
+        address indexed bidder,
+        uint256 amount
+    );
+
+    event AuctionExtended(bytes32 indexed auctionId, uint256 newEndTime);
+
+    event ReserveRevealed(bytes32 indexed auctionId, uint256 reservePrice);
+
+    event ReserveNotMet(bytes32 indexed auctionId, uint256 highestBid, uint256 reservePrice);
+
+    event AuctionEnded(
+        bytes32 indexed auctionId,
+        address indexed winner,
+        uint256 winningBid,
+        uint256 feeAmount,
+        uint256 royaltyAmount,
+        uint256 royaltyFeeAmount,
+        uint256 sellerAmount
+    );
+
+    event AuctionCancelled(bytes32 indexed auctionId);
+
+    /**
+     * @dev Create an auction, taking the NFT into escrow
+     * @param auctions Auction storage of the marketplace
+     * @param queue Running auctions grouped by end time
+     * @param params Auction parameters
+     * @param seller Address creating the auction
+     * @param defaultDuration Duration used when params.duration is 0
+     * @return auctionId ID of the new auction
+     */
+    function createAuction(
+        mapping(bytes32 => Auction) storage auctions,
+        MarketplaceIndex.TimeQueue storage queue,
+        AuctionParams memory params,
+        address seller,
+        uint256 defaultDuration
+    ) external returns (bytes32 auctionId) {
+        require(params.startingPrice > 0, "Starting price must be greater than 0");
+        require(
+            params.reservePrice == 0 || params.reserveHash == bytes32(0),
+            "Reserve must be public or hidden"
+        );
+        if (params.buyNowPrice > 0) {
+            require(
+                params.buyNowPrice >= params.startingPrice && params.buyNowPrice >= params.reservePrice,
+                "Buy now price too low"
+            );
+        }
+
+        uint256 duration = params.duration == 0 ? defaultDuration : params.duration;
+
+        auctionId = keccak256(
+            abi.encodePacked(params.nftContract, params.tokenId, seller, block.timestamp)
+        );
+
+        require(!auctions[auctionId].isActive, "Auction already exists");
+
+        auctions[auctionId] = Auction({
+            seller: seller,
+            nftContract: params.nftContract,
+            tokenId: params.tokenId,
+            paymentToken: params.paymentToken,
+            startingPrice: params.startingPrice,
+            highestBid: 0,
+            highestBidder: address(0),
+            startTime: block.timestamp,
+            endTime: block.timestamp + duration,
+            isActive: true,
+            reservePrice: params.reservePrice,
+            reserveHash: params.reserveHash,
+            buyNowPrice: params.buyNowPrice
+        });
+        queue.insert(auctionId, block.timestamp + duration);
+
+        emit AuctionCreated(
+            auctionId,
+            seller,
+            params.nftContract,
+            params.tokenId,
+            params.paymentToken,
+            params.startingPrice,
+            block.timestamp + duration
+        );
+
+        _escrow(params.nftContract, params.tokenId, seller);
+
+        if (params.reservePrice > 0 || params.reserveHash != bytes32(0) || params.buyNowPrice > 0) {
+            emit AuctionTermsSet(
+                auctionId,
+                params.reservePrice,
+                params.reserveHash != bytes32(0),
+                params.buyNowPrice
+            );
+        }
+    }
+
+    /**
+     * @dev Place a bid, crediting the previous highest bid to its bidder's pending
+     * returns. Bids in the last `extensionWindow` seconds push the end time back
+     * to prevent sniping.
+     * @param auction Auction to bid on
+     * @param queue Running auctions grouped by end time
+     * @param pendingReturns Withdrawable balances of bidders and royalty receivers, per payment token
+     * @param auctionId ID of the auction
+     * @param bidder Address placing the bid
+     * @param amount Bid amount in wei or token units
+     * @param value ETH sent with the call
+     * @param minBidIncrement Minimum raise over the highest bid (in basis points)
+     * @param extensionWindow Anti-sniping window in seconds
+     */
+    function placeBid(
+        Auction storage auction,
+        MarketplaceIndex.TimeQueue storage queue,
+        mapping(address => mapping(address => uint256)) storage pendingReturns,
+        bytes32 auctionId,
+        address bidder,
+        uint256 amount,
+        uint256 value,
+        uint256 minBidIncrement,
+        uint256 extensionWindow
+    ) external {
+        require(auction.isActive, "Auction not active");
+        require(block.timestamp < auction.endTime, "Auction ended");
+        require(bidder != auction.seller, "Cannot bid on own auction");
+        require(amount > auction.highestBid, "Bid too low");
+        require(amount >= auction.startingPrice, "Bid below starting price");
+
+        if (auction.highestBidder != address(0)) {
+            require(
+                amount >= auction.highestBid + (auction.highestBid * minBidIncrement) / 10000,
+                "Bid too low"
+            );
+
+            SaleSettlement.credit(pendingReturns, auction.highestBidder, auction.paymentToken, auction.highestBid);
+        }
+
+        auction.highestBid = amount;
+        auction.highestBidder = bidder;
+
+        SaleSettlement.collect(auction.paymentToken, bidder, amount, value);
+
+        emit BidPlaced(auctionId, bidder, amount);
+
+        if (auction.endTime - block.timestamp < extensionWindow) {
+            auction.endTime = block.timestamp + extensionWindow;
+            queue.extend(auctionId, auction.endTime);
+            emit AuctionExtended(auctionId, auction.endTime);
+        }
+    }
+
+    /**
+     * @dev Buy the auctioned NFT at its buy-it-now price, closing the auction
+     * @param auction Auction to close
+     * @param queue Running auctions grouped by end time
+     * @param pendingReturns Withdrawable balances of bidders and royalty receivers, per payment token
+     * @param auctionId ID of the auction
+     * @param buyer Address buying the NFT
+     * @param value ETH sent with the call (excess is refunded)
+     * @param config Marketplace fee and royalty settings
+     */
+    function buyNow(
+        Auction storage auction,
+        MarketplaceIndex.TimeQueue storage queue,
+        mapping(address => mapping(address => uint256)) storage pendingReturns,
+        bytes32 auctionId,
+        address buyer,
+        uint256 value,
+        SaleSettlement.Config memory config
+    ) external {
+        require(auction.isActive, "Auction not active");
+        require(block.timestamp < auction.endTime, "Auction ended");
+        require(
+            auction.buyNowPrice > 0 && auction.highestBid < auction.buyNowPrice,
+            "Buy now not available"
+        );
+        require(buyer != auction.seller, "Cannot bid on own auction");
+
+        auction.isActive = false;
+        queue.remove(auctionId);
+        SaleSettlement.collect(auction.paymentToken, buyer, auction.buyNowPrice, value);
+
+        if (auction.highestBidder != address(0)) {
+            SaleSettlement.credit(pendingReturns, auction.highestBidder, auction.paymentToken, auction.highestBid);
+        }
+
+        _sell(auction, pendingReturns, auctionId, buyer, auction.buyNowPrice, config);
+    }
+
+    /**
+     * @dev Reveal a hidden reserve so the auction can settle against it
+     * @param auction Auction with a hidden reserve
+     * @param auctionId ID of the auction
+     * @param caller Address revealing the reserve
+     * @param reservePrice Committed reserve price
+     * @param salt Salt used in the commitment
+     */
+    function revealReserve(
+        Auction storage auction,
+        bytes32 auctionId,
+        address caller,
+        uint256 reservePrice,
+        bytes32 salt
+    ) external {
+        require(auction.isActive, "Auction not active");
+        require(auction.seller == caller, "Not the seller");
+        require(auction.reserveHash != bytes32(0), "No hidden reserve");
+        require(
+            keccak256(abi.encode(reservePrice, salt)) == auction.reserveHash,
+            "Reserve does not match"
+        );
+
+        auction.reservePrice = reservePrice;
+        auction.reserveHash = bytes32(0);
+
+        emit ReserveRevealed(auctionId, reservePrice);
+    }
+
+    /**
+     * @dev End an auction. If the reserve is not met (a hidden reserve that was never
+     * revealed counts as not met) the highest bid is credited back to its bidder and
+     * the NFT is returned to the seller.
+     * @param auction Auction to end
+     * @param queue Running auctions grouped by end time
+     * @param pendingReturns Withdrawable balances of bidders and royalty receivers, per payment token
+     * @param auctionId ID of the auction
+     * @param caller Address ending the auction
+     * @param config Marketplace fee and royalty settings
+     */
+    function endAuction(
+        Auction storage auction,
+        MarketplaceIndex.TimeQueue storage queue,
+        mapping(address => mapping(address => uint256)) storage pendingReturns,
+        bytes32 auctionId,
+        address caller,
+        SaleSettlement.Config memory config
+    ) external {
+        require(auction.isActive, "Auction not active");
+        require(
+            block.timestamp >= auction.endTime || caller == auction.seller,
+            "Auction not ended"
+        );
+
+        auction.isActive = false;
+        queue.remove(auctionId);
+
+        if (auction.highestBidder != address(0) && isReserveMet(auction)) {
+            _sell(auction, pendingReturns, auctionId, auction.highestBidder, auction.highestBid, config);
+            return;
+        }
+
+        if (auction.highestBidder != address(0)) {
+            SaleSettlement.credit(pendingReturns, auction.highestBidder, auction.paymentToken, auction.highestBid);
+            emit ReserveNotMet(auctionId, auction.highestBid, auction.reservePrice);
+        }
+
+        IERC721(auction.nftContract).transferFrom(address(this), auction.seller, auction.tokenId);
+        emit AuctionEnded(auctionId, address(0), 0, 0, 0, 0, 0);
+    }
+
+    /**
+     * @dev Cancel an auction that has no bids, returning the NFT to the seller
+     * @param auction Auction to cancel
+     * @param queue Running auctions grouped by end time
+     * @param auctionId ID of the auction
+     * @param caller Address cancelling the auction
+     */
+    function cancelAuction(
+        Auction storage auction,
+        MarketplaceIndex.TimeQueue storage queue,
+        bytes32 auctionId,
+        address caller
+    ) external {
+        require(auction.isActive, "Auction not active");
+        require(auction.seller == caller, "Not the seller");
+        require(auction.highestBidder == address(0), "Cannot cancel with bids");
+
+        auction.isActive = false;
+        queue.remove(auctionId);
+        IERC721(auction.nftContract).transferFrom(address(this), auction.seller, auction.tokenId);
+
+        emit AuctionCancelled(auctionId);
+    }
+
+    /**
+     * @dev Page through running auctions from the one ending soonest. Auctions past
+     * their end time but not yet settled are skipped and do not count towards `limit`.
+     * @param queue Running auctions grouped by end time
+     * @param cursor Queue position to start from (zero for the soonest-ending auction)
+     * @param limit Number of auction IDs to return, at most MarketplaceIndex.MAX_PAGE_SIZE
+     * @return auctionIds Live auction IDs in order of end time (may be fewer than `limit`)
+     * @return nextCursor Cursor for the next page, or zero when the queue is exhausted
+     */
+    function getAuctionsEndingSoonest(
+        MarketplaceIndex.TimeQueue storage queue,
+        uint256 cursor,
+        uint256 limit
+    ) external view returns (bytes32[] memory auctionIds, uint256 nextCursor) {
+        return queue.page(cursor, limit, block.timestamp);
+    }
+
+    /**
+     * @dev Create a Dutch auction, taking the NFT into escrow
+     * @param auctions Dutch auction storage of the marketplace
+     * @param index Dutch auction index of the marketplace
+     * @param params Dutch auction parameters
+     * @param seller Address creating the auction
+     * @param defaultDuration Price decline duration used when params.duration is 0
+     * @return auctionId ID of the new auction
+     */
+    function createDutchAuction(
+        mapping(bytes32 => DutchAuction) storage auctions,
+        DutchAuctionIndex storage index,
+        DutchAuctionParams memory params,
+        address seller,
+        uint256 defaultDuration
+    ) external returns (bytes32 auctionId) {
+        require(params.floorPrice > 0, "Floor price must be greater than 0");
+        require(params.startPrice > params.floorPrice, "Start price must exceed floor");
+
+        uint256 duration = params.duration == 0 ? defaultDuration : params.duration;
+
+        auctionId = keccak256(
+            abi.encodePacked(params.nftContract, params.tokenId, seller, block.timestamp)
+        );
+
+        require(!auctions[auctionId].isActive, "Auction already exists");
+
+        auctions[auctionId] = DutchAuction({
+            seller: seller,
+            nftContract: params.nftContract,
+            tokenId: params.tokenId,
+            paymentToken: params.paymentToken,
+            startPrice: params.startPrice,
+            floorPrice: params.floorPrice,
+            startTime: block.timestamp,
+            endTime: block.timestamp + duration,
+            isActive: true
+        });
+        index.bySeller[seller].add(auctionId);
+        index.byContract[params.nftContract].add(auctionId);
+
+        emit DutchAuctionCreated(
+            auctionId,
+            seller,
+            params.nftContract,
+            params.tokenId,
+            params.paymentToken,
+            params.startPrice,
+            params.floorPrice,
+            block.timestamp + duration
+        );
+
+        _escrow(params.nftContract, params.tokenId, seller);
+    }
+
+    /**
+     * @dev Buy a Dutch auction at its current price. The first buyer wins.
+     * @param auction Dutch auction to buy
+     * @param index Dutch auction index of the marketplace
+     * @param pendingReturns Withdrawable balances of bidders and royalty receivers, per payment token
+     * @param auctionId ID of the auction
+     * @param buyer Address buying the NFT
+     * @param value ETH sent with the call (excess is refunded)
+     * @param config Marketplace fee and royalty settings
+     */
+    function buyDutchAuction(
+        DutchAuction storage auction,
+        DutchAuctionIndex storage index,
+        mapping(address => mapping(address => uint256)) storage pendingReturns,
+        bytes32 auctionId,
+        address buyer,
+        uint256 value,
+        SaleSettlement.Config memory config
+    ) external {
+        require(auction.isActive, "Auction not active");
+        require(buyer != auction.seller, "Cannot buy own auction");
+
+        uint256 price = dutchAuctionPrice(auction, block.timestamp);
+
+        auction.isActive = false;
+        _unindexDutchAuction(auction, index, auctionId);
+        SaleSettlement.collect(auction.paymentToken, buyer, price, value);
+
+        IERC721(auction.nftContract).safeTransferFrom(address(this), buyer, auction.tokenId);
+
+        uint256[4] memory amounts; // fee, royalty, royalty platform fee, seller
+        (amounts[0], amounts[1], amounts[2], amounts[3]) = SaleSettlement.settle(
+            config,
+            pendingReturns,
+            auction.paymentToken,
+            auction.nftContract,
+            auction.tokenId,
+            auction.seller,
+            price
+        );
+
+        emit AuctionEnded(auctionId, buyer, price, amounts[0], amounts[1], amounts[2], amounts[3]);
+    }
+
+    /**
+     * @dev Cancel an unsold Dutch auction, returning the NFT to the seller
+     * @param auction Dutch auction to cancel
+     * @param index Dutch auction index of the marketplace
+     * @param auctionId ID of the auction
+     * @param caller Address cancelling the auction
+     */
+    function cancelDutchAuction(
+        DutchAuction storage auction,
+        DutchAuctionIndex storage index,
+        bytes32 auctionId,
+        address caller
+    ) external {
+        require(auction.isActive, "Auction not active");
+        require(auction.seller == caller, "Not the seller");
+
+        auction.isActive = false;
+        _unindexDutchAuction(auction, index, auctionId);
+        IERC721(auction.nftContract).transferFrom(address(this), auction.seller, auction.tokenId);
+
+        emit AuctionCancelled(auctionId);
+    }
+
+    /**
+     * @dev Page through a set of Dutch auction IDs. Sold and cancelled auctions are
+     * removed from the indexes, so every entry read is open.
+     * @param set Dutch auction IDs to page through
+     * @param cursor Position in the set to start from (0 for the first page)
+     * @param limit Number of entries to read, at most MarketplaceIndex.MAX_PAGE_SIZE
+     * @return auctionIds Open Dutch auction IDs
+     * @return nextCursor Cursor for the next page, or 0 when the set is exhausted
+     */
+    function getDutchAuctions(
+        EnumerableSet.Bytes32Set storage set,
+        uint256 cursor,
+        uint256 limit
+    ) external view returns (bytes32[] memory auctionIds, uint256 nextCursor) {
+        uint256 end = MarketplaceIndex.pageEnd(set.length(), cursor, limit);
+        auctionIds = new bytes32[](end > cursor ? end - cursor : 0);
+
+        for (uint256 i = cursor; i < end; i++) {
+            auctionIds[i - cursor] = set.at(i);
+        }
+
+        nextCursor = end < set.length() ? end : 0;
+    }
+
+    /**
+     * @dev Price of a Dutch auction at a given timestamp
+     * @param auction Dutch auction to price
+     * @param timestamp Time to price the auction at
+     * @return Start price before the auction starts, floor price once the decline ends
+     */
+    function dutchAuctionPrice(
+        DutchAuction storage auction,
+        uint256 timestamp
+    ) internal view returns (uint256) {
+        if (timestamp <= auction.startTime) {
+            return auction.startPrice;
+        }
+        if (timestamp >= auction.endTime) {
+            return auction.floorPrice;
+        }
+
+        uint256 elapsed = timestamp - auction.startTime;
+        uint256 decline = auction.startPrice - auction.floorPrice;
+        return auction.startPrice - (decline * elapsed) / (auction.endTime - auction.startTime);
+    }
+
+    /**
+     * @dev Check whether the highest bid meets the reserve
+     * @param auction Auction to check
+     * @return True if the auction can sell at its highest bid
+     */
+    function isReserveMet(Auction storage auction) internal view returns (bool) {
+        return auction.reserveHash == bytes32(0) && auction.highestBid >= auction.reservePrice;
+    }
+
+    /**
+     * @dev Move an NFT from its owner into the marketplace for the length of an auction
+     */
+    function _escrow(address nftContract, uint256 tokenId, address seller) private {
+        require(IERC721(nftContract).ownerOf(tokenId) == seller, "Not the owner");
+        require(
+            IERC721(nftContract).getApproved(tokenId) == address(this) ||
+            IERC721(nftContract).isApprovedForAll(seller, address(this)),
+            "Contract not approved"
+        );
+
+        IERC721(nftContract).safeTransferFrom(seller, address(this), tokenId);
+    }
+
+    /**
+     * @dev Transfer the escrowed NFT to the winner and pay out the sale. Escrow is
+     * released with a plain transferFrom: a winner that rejects ERC-721 safe transfers
+     * must not be able to block settlement, since an auction with bids cannot be cancelled.
+     */
+    function _sell(
+        Auction storage auction,
+        mapping(address => mapping(address => uint256)) storage pendingReturns,
+        bytes32 auctionId,
+        address winner,
+        uint256 price,
+        SaleSettlement.Config memory config
+    ) private {
+        IERC721(auction.nftContract).transferFrom(address(this), winner, auction.tokenId);
+
+        uint256[4] memory amounts; // fee, royalty, royalty platform fee, seller
+        (amounts[0], amounts[1], amounts[2], amounts[3]) = SaleSettlement.settle(
+            config,
+            pendingReturns,
+            auction.paymentToken,
+            auction.nftContract,
+            auction.tokenId,
+            auction.seller,
+            price
+        );
+
+        emit AuctionEnded(auctionId, winner, price, amounts[0], amounts[1], amounts[2], amounts[3]);
+    }
+
+    /**
+     * @dev Drop a sold or cancelled Dutch auction from the indexes
+     */
+    function _unindexDutchAuction(DutchAuction storage auction, DutchAuctionIndex storage index, bytes32 auctionId) private {
+        index.bySeller[auction.seller].remove(auctionId);
+        index.byContract[auction.nftContract].remove(auctionId);
+    }
+}
@@ -0,0 +1,720 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "./MarketplaceIndex.sol";
+import "./SaleSettlement.sol";
+
+/**
+ * @title ListingLogic
+ * @dev Fixed price listing logic for CryptoSoundsMarketplace. Linked as an external
+ * library so the marketplace stays under the contract size limit; functions run in
+ * the marketplace's context through delegatecall. A token has at most one active
+ * listing, and active listings are indexed by seller and NFT contract. Several
+ * tokens can also be sold together as a bundle at one price.
+ *
+ * A listing is bound to the ownership it was created under: for NFT contracts that
+ * count transfers per token (CryptoSoundsNFT's transferCount), a token that leaves the
+ * seller and comes back does not revive its old listing. Other ERC-721 contracts only
+ * get the ownership check.
+ * @author CryptoSounds
+ */
+library ListingLogic {
+    using EnumerableSet for EnumerableSet.Bytes32Set;
+
+    // Listing structure
+    struct Listing {
+        address seller;
+        address nftContract;
+        uint256 tokenId;
+        address paymentToken; // ERC-20 the NFT is sold for, or zero for ETH
+        uint256 price;
+        bool isActive;
+        uint256 listingTime;
+        uint256 expirationTime;
+        uint256 transferCount; // token's transfer count when listed (see _transferCount)
+    }
+
+    // Several tokens of one NFT contract sold together at one price
+    struct Bundle {
+        address seller;
+        address nftContract;
+        uint256[] tokenIds; // ascending
+        uint256[] transferCounts; // transfer count of each token when listed
+        address paymentToken; // ERC-20 the bundle is sold for, or zero for ETH
+        uint256 price;
+        bool isActive;
+        uint256 listingTime;
+        uint256 expirationTime;
+    }
+
+    // Largest number of tokens in a bundle
+    uint256 internal constant MAX_BUNDLE_SIZE = 50;
+
+    // Per-token listing state and indexes of active listings
+    struct ListingIndex {
+        mapping(address => mapping(uint256 => bytes32)) activeIds; // NFT contract => token ID => current listing
+        mapping(address => mapping(uint256 => uint256)) nonces; // NFT contract => token ID => listings created
+        EnumerableSet.Bytes32Set all;
+        mapping(address => EnumerableSet.Bytes32Set) bySeller;
+        mapping(address => EnumerableSet.Bytes32Set) byContract;
+        mapping(address => uint256) bundleNonces; // seller => bundles created
+    }
+
+    // Events (mirrored in CryptoSoundsMarketplace so they appear in its ABI)
+    event ItemListed(
+        bytes32 indexed listingId,
+        address indexed seller,
+        address indexed nftContract,
+        uint256 tokenId,
+        address paymentToken,
+        uint256 price,
+        uint256 expirationTime
+    );
+
+    event ItemDelisted(bytes32 indexed listingId);
+
+    event ListingInvalidated(bytes32 indexed listingId);
+
+    event ItemSold(
+        bytes32 indexed listingId,
+        address indexed seller,
+        address indexed buyer,
+        uint256 price,
+        uint256 feeAmount,
+        uint256 royaltyAmount,
+        uint256 royaltyFeeAmount,
+        uint256 sellerAmount
+    );
+
+    event ItemSkipped(bytes32 indexed listingId, string reason);
+
+    event BundleListed(
+        bytes32 indexed bundleId,
+        address indexed seller,
+        address indexed nftContract,
+        uint256[] tokenIds,
+        address paymentToken,
+        uint256 price,
+        uint256 expirationTime
+    );
+
+    event BundleDelisted(bytes32 indexed bundleId);
+
+    event BundleSold(
+        bytes32 indexed bundleId,
+        address indexed seller,
+        address indexed buyer,
+        uint256 price,
+        uint256 feeAmount,
+        uint256 royaltyAmount,
+        uint256 royaltyFeeAmount,
+        uint256 sellerAmount
+    );
+
+    /**
+     * @dev List an NFT for sale, replacing the token's previous listing if any
+     * @param listings Listing storage of the marketplace
+     * @param index Listing index of the marketplace
+     * @param nftContract Address of the NFT contract
+     * @param tokenId Token ID to list
+     * @param paymentToken ERC-20 to sell for, or zero for ETH
+     * @param price Sale price in wei or token units
+     * @param expirationTime When the listing expires (0 for no expiration)
+     * @param seller Address listing the NFT
+     * @return listingId ID of the new listing
+     */
+    function listItem(
+        mapping(bytes32 => Listing) storage listings,
+        ListingIndex storage index,
+        address nftContract,
+        uint256 tokenId,
+        address paymentToken,
+        uint256 price,
+        uint256 expirationTime,
+        address seller
+    ) external returns (bytes32 listingId) {
+        require(price > 0, "Price must be greater than 0");
+        require(
+            IERC721(nftContract).ownerOf(tokenId) == seller,
+            "Not the owner"
+        );
+        require(
+            IERC721(nftContract).getApproved(tokenId) == address(this) ||
+            IERC721(nftContract).isApprovedForAll(seller, address(this)),
+            "Contract not approved"
+        );
+
+        invalidateTokenListing(listings, index, nftContract, tokenId);
+
+        listingId = getListingId(nftContract, tokenId, index.nonces[nftContract][tokenId]++);
+
+        listings[listingId] = Listing({
+            seller: seller,
+            nftContract: nftContract,
+            tokenId: tokenId,
+            paymentToken: paymentToken,
+            price: price,
+            isActive: true,
+            listingTime: block.timestamp,
+            expirationTime: expirationTime,
+            transferCount: _transferCount(nftContract, tokenId)
+        });
+
+        index.activeIds[nftContract][tokenId] = listingId;
+        index.all.add(listingId);
+        index.bySeller[seller].add(listingId);
+        index.byContract[nftContract].add(listingId);
+
+        emit ItemListed(listingId, seller, nftContract, tokenId, paymentToken, price, expirationTime);
+    }
+
+    /**
+     * @dev Buy a listed NFT
+     * @param listings Listing storage of the marketplace
+     * @param index Listing index of the marketplace
+     * @param pendingReturns Withdrawable balances of bidders and royalty receivers, per payment token
+     * @param listingId ID of the listing
+     * @param buyer Address buying the NFT
+     * @param value ETH sent with the call (excess is refunded)
+     * @param config Marketplace fee and royalty settings
+     */
+    function buyItem(
+        mapping(bytes32 => Listing) storage listings,
+        ListingIndex storage index,
+        mapping(address => mapping(address => uint256)) storage pendingReturns,
+        bytes32 listingId,
+        address buyer,
+        uint256 value,
+        SaleSettlement.Config memory config
+    ) external {
+        Listing storage listing = listings[listingId];
+        require(listing.isActive, "Listing not active");
+        require(buyer != listing.seller, "Cannot buy own item");
+        require(_sellerOwnsToken(listing), "Listing no longer valid");
+
+        if (listing.expirationTime > 0) {
+            require(block.timestamp <= listing.expirationTime, "Listing expired");
+        }
+
+        // Take payment, refunding any excess ETH
+        SaleSettlement.collect(listing.paymentToken, buyer, listing.price, value);
+
+        _sell(listing, index, pendingReturns, listingId, buyer, config);
+    }
+
+    /**
+     * @dev Buy several listings in one call. ETH listings are paid from `value` and
+     * whatever is left is refunded once at the end; ERC-20 listings are pulled from
+     * the buyer. In atomic mode any listing that cannot be bought reverts the whole
+     * call. Otherwise listings that are unavailable (inactive, expired, no longer
+     * owned or approved, or not covered by the remaining payment) are skipped with
+     * an ItemSkipped event; a failure during the sale itself still reverts.
+     * @param listings Listing storage of the marketplace
+     * @param index Listing index of the marketplace
+     * @param pendingReturns Withdrawable balances of bidders and royalty receivers, per payment token
+     * @param listingIds IDs of the listings to buy
+     * @param atomic Whether every listing must be bought
+     * @param buyer Address buying the NFTs
+     * @param value ETH sent with the call
+     * @param config Marketplace fee and royalty settings
+     * @return bought Number of listings bought
+     */
+    function buyItems(
+        mapping(bytes32 => Listing) storage listings,
+        ListingIndex storage index,
+        mapping(address => mapping(address => uint256)) storage pendingReturns,
+        bytes32[] memory listingIds,
+        bool atomic,
+        address buyer,
+        uint256 value,
+        SaleSettlement.Config memory config
+    ) external returns (uint256 bought) {
+        require(listingIds.length > 0, "No listings provided");
+
+        uint256 remaining = value;
+        for (uint256 i = 0; i < listingIds.length; i++) {
+            Listing storage listing = listings[listingIds[i]];
+
+            string memory reason = _unavailableReason(listing, buyer, remaining);
+            if (bytes(reason).length > 0) {
+                require(!atomic, reason);
+                emit ItemSkipped(listingIds[i], reason);
+                continue;
+            }
+
+            if (listing.paymentToken == address(0)) {
+                remaining -= listing.price;
+            } else {
+                SaleSettlement.collect(listing.paymentToken, buyer, listing.price, 0);
+            }
+
+            _sell(listing, index, pendingReturns, listingIds[i], buyer, config);
+            bought++;
+        }
+
+        require(bought > 0, "No listings bought");
+
+        if (remaining > 0) {
+            SaleSettlement.pay(address(0), buyer, remaining, "Refund failed");
+        }
+    }
+
+    /**
+     * @dev List several tokens of one NFT contract as a bundle sold at one price
+     * @param bundles Bundle storage of the marketplace
+     * @param index Listing index of the marketplace
+     * @param nftContract Address of the NFT contract
+     * @param tokenIds Token IDs to sell together, in ascending order
+     * @param paymentToken ERC-20 to sell for, or zero for ETH
+     * @param price Price of the whole bundle in wei or token units
+     * @param expirationTime When the bundle expires (0 for no expiration)
+     * @param seller Address listing the bundle
+     * @return bundleId ID of the new bundle
+     */
+    function listBundle(
+        mapping(bytes32 => Bundle) storage bundles,
+        ListingIndex storage index,
+        address nftContract,
+        uint256[] memory tokenIds,
+        address paymentToken,
+        uint256 price,
+        uint256 expirationTime,
+        address seller
+    ) external returns (bytes32 bundleId) {
+        require(tokenIds.length > 0, "No tokens provided");
+        require(tokenIds.length <= MAX_BUNDLE_SIZE, "Bundle too large");
+        require(price > 0, "Price must be greater than 0");
+
+        bool approvedForAll = IERC721(nftContract).isApprovedForAll(seller, address(this));
+        uint256[] memory transferCounts = new uint256[](tokenIds.length);
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            require(i == 0 || tokenIds[i] > tokenIds[i - 1], "Token IDs must be ascending");
+            require(
+                IERC721(nftContract).ownerOf(tokenIds[i]) == seller,
+                "Not the owner"
+            );
+            require(
+                approvedForAll || IERC721(nftContract).getApproved(tokenIds[i]) == address(this),
+                "Contract not approved"
+            );
+            transferCounts[i] = _transferCount(nftContract, tokenIds[i]);
+        }
+
+        bundleId = keccak256(abi.encode(seller, index.bundleNonces[seller]++));
+
+        bundles[bundleId] = Bundle({
+            seller: seller,
+            nftContract: nftContract,
+            tokenIds: tokenIds,
+            transferCounts: transferCounts,
+            paymentToken: paymentToken,
+            price: price,
+            isActive: true,
+            listingTime: block.timestamp,
+            expirationTime: expirationTime
+        });
+
+        emit BundleListed(bundleId, seller, nftContract, tokenIds, paymentToken, price, expirationTime);
+    }
+
+    /**
+     * @dev Buy every token of a bundle. The price is split evenly between the tokens
+     * so fees and royalties are settled per token.
+     * @param bundle Bundle to buy
+     * @param listings Listing storage of the marketplace
+     * @param index Listing index of the marketplace
+     * @param pendingReturns Withdrawable balances of bidders and royalty receivers, per payment token
+     * @param bundleId ID of the bundle
+     * @param buyer Address buying the bundle
+     * @param value ETH sent with the call (excess is refunded)
+     * @param config Marketplace fee and royalty settings
+     */
+    function buyBundle(
+        Bundle storage bundle,
+        mapping(bytes32 => Listing) storage listings,
+        ListingIndex storage index,
+        mapping(address => mapping(address => uint256)) storage pendingReturns,
+        bytes32 bundleId,
+        address buyer,
+        uint256 value,
+        SaleSettlement.Config memory config
+    ) external {
+        require(bundle.isActive, "Bundle not active");
+        require(buyer != bundle.seller, "Cannot buy own item");
+        if (bundle.expirationTime > 0) {
+            require(block.timestamp <= bundle.expirationTime, "Bundle expired");
+        }
+
+        bundle.isActive = false;
+        SaleSettlement.collect(bundle.paymentToken, buyer, bundle.price, value);
+
+        uint256[4] memory totals; // fee, royalty, royalty platform fee, seller
+
+        for (uint256 i = 0; i < bundle.tokenIds.length; i++) {
+            _transferBundleToken(bundle, listings, index, i, buyer);
+            uint256[4] memory amounts = _settleBundleToken(bundle, pendingReturns, i, config);
+
+            totals[0] += amounts[0];
+            totals[1] += amounts[1];
+            totals[2] += amounts[2];
+            totals[3] += amounts[3];
+        }
+
+        emit BundleSold(bundleId, bundle.seller, buyer, bundle.price, totals[0], totals[1], totals[2], totals[3]);
+    }
+
+    /**
+     * @dev Delist a bundle
+     * @param bundle Bundle to delist
+     * @param bundleId ID of the bundle
+     * @param caller Address delisting the bundle
+     */
+    function delistBundle(Bundle storage bundle, bytes32 bundleId, address caller) external {
+        require(bundle.isActive, "Bundle not active");
+        require(bundle.seller == caller, "Not the seller");
+
+        bundle.isActive = false;
+        emit BundleDelisted(bundleId);
+    }
+
+    /**
+     * @dev Delist an item
+     * @param listings Listing storage of the marketplace
+     * @param index Listing index of the marketplace
+     * @param listingId ID of the listing
+     * @param caller Address delisting the item
+     */
+    function delistItem(
+        mapping(bytes32 => Listing) storage listings,
+        ListingIndex storage index,
+        bytes32 listingId,
+        address caller
+    ) external {
+        Listing storage listing = listings[listingId];
+        require(listing.isActive, "Listing not active");
+        require(listing.seller == caller, "Not the seller");
+
+        _deactivate(listing, index, listingId);
+        emit ItemDelisted(listingId);
+    }
+
+    /**
+     * @dev Invalidate a listing whose seller no longer owns the token
+     * @param listings Listing storage of the marketplace
+     * @param index Listing index of the marketplace
+     * @param listingId ID of the listing
+     */
+    function invalidateListing(
+        mapping(bytes32 => Listing) storage listings,
+        ListingIndex storage index,
+        bytes32 listingId
+    ) external {
+        Listing storage listing = listings[listingId];
+        require(listing.isActive, "Listing not active");
+        require(!_sellerOwnsToken(listing), "Listing still valid");
+
+        _deactivate(listing, index, listingId);
+        emit ListingInvalidated(listingId);
+    }
+
+    /**
+     * @dev Deactivate the current listing of a token, if any. Called whenever the
+     * token is relisted or changes hands through the marketplace.
+     * @param listings Listing storage of the marketplace
+     * @param index Listing index of the marketplace
+     * @param nftContract Address of the NFT contract
+     * @param tokenId Token ID
+     */
+    function invalidateTokenListing(
+        mapping(bytes32 => Listing) storage listings,
+        ListingIndex storage index,
+        address nftContract,
+        uint256 tokenId
+    ) public {
+        bytes32 listingId = index.activeIds[nftContract][tokenId];
+        if (listingId == bytes32(0)) {
+            return;
+        }
+
+        Listing storage listing = listings[listingId];
+        if (listing.isActive) {
+            _deactivate(listing, index, listingId);
+            emit ListingInvalidated(listingId);
+        } else {
+            delete index.activeIds[nftContract][tokenId];
+        }
+    }
+
+    /**
+     * @dev Get the listing a token can currently be bought through
+     * @param listings Listing storage of the marketplace
+     * @param index Listing index of the marketplace
+     * @param nftContract Address of the NFT contract
+     * @param tokenId Token ID
+     * @return listingId ID of the listing, or zero if the token has no valid listing
+     * @return listing The listing (empty if none)
+     */
+    function getActiveListing(
+        mapping(bytes32 => Listing) storage listings,
+        ListingIndex storage index,
+        address nftContract,
+        uint256 tokenId
+    ) external view returns (bytes32 listingId, Listing memory listing) {
+        bytes32 currentId = index.activeIds[nftContract][tokenId];
+        if (isListingValid(listings[currentId])) {
+            return (currentId, listings[currentId]);
+        }
+    }
+
+    /**
+     * @dev Page through a set of listing IDs, returning those that can be bought now
+     * and, if `maxPrice` is non-zero, are priced in `paymentToken` within the range
+     * @param listings Listing storage of the marketplace
+     * @param set Listing IDs to page through
+     * @param paymentToken Payment token to match when filtering by price
+     * @param minPrice Lowest price to include
+     * @param maxPrice Highest price to include, or 0 to skip the price filter
+     * @param cursor Position in the set to start from (0 for the first page)
+     * @param limit Number of entries to read, at most MarketplaceIndex.MAX_PAGE_SIZE
+     * @return listingIds Matching listing IDs (may be fewer than `limit`)
+     * @return nextCursor Cursor for the next page, or 0 when the set is exhausted
+     */
+    function getListings(
+        mapping(bytes32 => Listing) storage listings,
+        EnumerableSet.Bytes32Set storage set,
+        address paymentToken,
+        uint256 minPrice,
+        uint256 maxPrice,
+        uint256 cursor,
+        uint256 limit
+    ) external view returns (bytes32[] memory listingIds, uint256 nextCursor) {
+        uint256 end = MarketplaceIndex.pageEnd(set.length(), cursor, limit);
+        listingIds = new bytes32[](end > cursor ? end - cursor : 0);
+
+        uint256 count;
+        for (uint256 i = cursor; i < end; i++) {
+            bytes32 listingId = set.at(i);
+            Listing storage listing = listings[listingId];
+
+            if (maxPrice > 0 && (
+                listing.paymentToken != paymentToken ||
+                listing.price < minPrice ||
+                listing.price > maxPrice
+            )) {
+                continue;
+            }
+
+            if (isListingValid(listing)) {
+                listingIds[count++] = listingId;
+            }
+        }
+
+        MarketplaceIndex.truncate(listingIds, count);
+        nextCursor = end < set.length() ? end : 0;
+    }
+
+    /**
+     * @dev Check whether a listing can be bought: active, not expired and still
+     * owned by its seller
+     * @param listing Listing to check
+     * @return True if the listing is valid
+     */
+    function isListingValid(Listing storage listing) internal view returns (bool) {
+        if (!listing.isActive) {
+            return false;
+        }
+        if (listing.expirationTime > 0 && block.timestamp > listing.expirationTime) {
+            return false;
+        }
+        return _sellerOwnsToken(listing);
+    }
+
+    /**
+     * @dev Listing IDs are derived from the token and a per-token nonce
+     * @param nftContract Address of the NFT contract
+     * @param tokenId Token ID
+     * @param nonce Number of listings previously created for the token
+     * @return ID of the listing
+     */
+    function getListingId(address nftContract, uint256 tokenId, uint256 nonce) internal pure returns (bytes32) {
+        return keccak256(abi.encode(nftContract, tokenId, nonce));
+    }
+
+    /**
+     * @dev Transfer a listed NFT to the buyer, pay out the sale and close the listing.
+     * Payment must already have been collected.
+     */
+    function _sell(
+        Listing storage listing,
+        ListingIndex storage index,
+        mapping(address => mapping(address => uint256)) storage pendingReturns,
+        bytes32 listingId,
+        address buyer,
+        SaleSettlement.Config memory config
+    ) private {
+        // Transfer NFT
+        IERC721(listing.nftContract).safeTransferFrom(
+            listing.seller,
+            buyer,
+            listing.tokenId
+        );
+
+        // Pay royalties, marketplace fee and seller
+        uint256[4] memory amounts; // fee, royalty, royalty platform fee, seller
+        (amounts[0], amounts[1], amounts[2], amounts[3]) = SaleSettlement.settle(
+            config,
+            pendingReturns,
+            listing.paymentToken,
+            listing.nftContract,
+            listing.tokenId,
+            listing.seller,
+            listing.price
+        );
+
+        // Deactivate listing
+        _deactivate(listing, index, listingId);
+
+        emit ItemSold(
+            listingId,
+            listing.seller,
+            buyer,
+            listing.price,
+            amounts[0],
+            amounts[1],
+            amounts[2],
+            amounts[3]
+        );
+    }
+
+    /**
+     * @dev Transfer one token of a bundle to the buyer
+     */
+    function _transferBundleToken(
+        Bundle storage bundle,
+        mapping(bytes32 => Listing) storage listings,
+        ListingIndex storage index,
+        uint256 position,
+        address buyer
+    ) private {
+        uint256 tokenId = bundle.tokenIds[position];
+
+        require(
+            IERC721(bundle.nftContract).ownerOf(tokenId) == bundle.seller &&
+            _transferCount(bundle.nftContract, tokenId) == bundle.transferCounts[position],
+            "Bundle no longer valid"
+        );
+
+        // The token changes hands, so its individual listing is void
+        invalidateTokenListing(listings, index, bundle.nftContract, tokenId);
+        IERC721(bundle.nftContract).safeTransferFrom(bundle.seller, buyer, tokenId);
+    }
+
+    /**
+     * @dev Pay out one token's share of a bundle's price; the last token takes the
+     * rounding remainder
+     * @return amounts Marketplace fee, royalty, royalty platform fee and seller proceeds
+     */
+    function _settleBundleToken(
+        Bundle storage bundle,
+        mapping(address => mapping(address => uint256)) storage pendingReturns,
+        uint256 position,
+        SaleSettlement.Config memory config
+    ) private returns (uint256[4] memory amounts) {
+        uint256 count = bundle.tokenIds.length;
+        uint256 share = bundle.price / count;
+        uint256 price = position == count - 1 ? bundle.price - share * (count - 1) : share;
+
+        (amounts[0], amounts[1], amounts[2], amounts[3]) = SaleSettlement.settle(
+            config,
+            pendingReturns,
+            bundle.paymentToken,
+            bundle.nftContract,
+            bundle.tokenIds[position],
+            bundle.seller,
+            price
+        );
+    }
+
+    /**
+     * @dev Why a listing cannot be bought in a batch, or an empty string if it can
+     * @param listing Listing to check
+     * @param buyer Address buying the listing
+     * @param remaining ETH left to pay ETH listings with
+     */
+    function _unavailableReason(
+        Listing storage listing,
+        address buyer,
+        uint256 remaining
+    ) private view returns (string memory) {
+        if (!isListingValid(listing)) {
+            return "Listing not available";
+        }
+        if (buyer == listing.seller) {
+            return "Cannot buy own item";
+        }
+
+        IERC721 nft = IERC721(listing.nftContract);
+        if (
+            nft.getApproved(listing.tokenId) != address(this) &&
+            !nft.isApprovedForAll(listing.seller, address(this))
+        ) {
+            return "Contract not approved";
+        }
+
+        if (listing.paymentToken == address(0)) {
+            if (remaining < listing.price) {
+                return "Insufficient payment";
+            }
+        } else {
+            IERC20 token = IERC20(listing.paymentToken);
+            if (
+                token.balanceOf(buyer) < listing.price ||
+                token.allowance(buyer, address(this)) < listing.price
+            ) {
+                return "Insufficient payment";
+            }
+        }
+
+        return "";
+    }
+
+    /**
+     * @dev Deactivate a listing and drop it from the indexes
+     */
+    function _deactivate(Listing storage listing, ListingIndex storage index, bytes32 listingId) private {
+        listing.isActive = false;
+
+        delete index.activeIds[listing.nftContract][listing.tokenId];
+        index.all.remove(listingId);
+        index.bySeller[listing.seller].remove(listingId);
+        index.byContract[listing.nftContract].remove(listingId);
+    }
+
+    /**
+     * @dev Whether a listing's seller still owns the listed token, without it having
+     * changed hands since it was listed
+     */
+    function _sellerOwnsToken(Listing storage listing) private view returns (bool) {
+        try IERC721(listing.nftContract).ownerOf(listing.tokenId) returns (address tokenOwner) {
+            return tokenOwner == listing.seller &&
+                _transferCount(listing.nftContract, listing.tokenId) == listing.transferCount;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * @dev Number of times a token has been transferred, read from the NFT contract's
+     * transferCount(uint256) view. Zero for contracts without one, so their listings
+     * fall back to the ownership check alone.
+     */
+    function _transferCount(address nftContract, uint256 tokenId) private view returns (uint256) {
+        (bool success, bytes memory data) = nftContract.staticcall(
+            abi.encodeWithSignature("transferCount(uint256)", tokenId)
+        );
+        return success && data.length >= 32 ? abi.decode(data, (uint256)) : 0;
+    }
+}
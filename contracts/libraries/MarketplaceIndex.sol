@@ -0,0 +1,196 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title MarketplaceIndex
+ * @dev Helpers for the marketplace's enumeration views: bounded pagination and a
+ * queue of IDs grouped by end time. Every view reads at most one page of entries,
+ * and every queue update touches a single bucket, so the cost of a call does not
+ * grow with the size of the marketplace.
+ * @author CryptoSounds
+ */
+library MarketplaceIndex {
+
+    // Largest number of entries a single page reads
+    uint256 internal constant MAX_PAGE_SIZE = 100;
+
+    // Largest number of buckets and entries a single page of a queue visits
+    uint256 internal constant MAX_QUEUE_SCAN = 1000;
+
+    // Width of a queue bucket; IDs ending in the same bucket are not ordered among themselves
+    uint256 internal constant BUCKET_DURATION = 1 hours;
+
+    // IDs grouped into buckets by end time. A bitmap of non-empty buckets lets
+    // pages skip 256 empty buckets per read.
+    struct TimeQueue {
+        mapping(uint256 => bytes32[]) buckets; // IDs by endTime / BUCKET_DURATION
+        mapping(uint256 => uint256) occupied; // bit (bucket % 256) of word (bucket / 256) set when non-empty
+        mapping(bytes32 => uint256) positions; // index in its bucket plus one, 0 when the ID is not queued
+        mapping(bytes32 => uint256) endTimes;
+        uint256 lastBucket; // latest bucket an ID was ever added to
+    }
+
+    /**
+     * @dev Add an ID to the bucket of its end time
+     * @param queue Queue to insert into
+     * @param id ID to insert (must not be queued)
+     * @param endTime End time the ID is ordered by
+     */
+    function insert(TimeQueue storage queue, bytes32 id, uint256 endTime) internal {
+        uint256 bucket = endTime / BUCKET_DURATION;
+        bytes32[] storage ids = queue.buckets[bucket];
+
+        ids.push(id);
+        queue.positions[id] = ids.length;
+        queue.endTimes[id] = endTime;
+        queue.occupied[bucket >> 8] |= 1 << (bucket & 0xff);
+
+        if (bucket > queue.lastBucket) {
+            queue.lastBucket = bucket;
+        }
+    }
+
+    /**
+     * @dev Remove an ID from the queue, moving the last ID of its bucket into its
+     * place; does nothing if it is not queued
+     * @param queue Queue to remove from
+     * @param id ID to remove
+     */
+    function remove(TimeQueue storage queue, bytes32 id) internal {
+        uint256 position = queue.positions[id];
+        if (position == 0) {
+            return;
+        }
+
+        uint256 bucket = queue.endTimes[id] / BUCKET_DURATION;
+        bytes32[] storage ids = queue.buckets[bucket];
+        bytes32 last = ids[ids.length - 1];
+        ids[position - 1] = last;
+        queue.positions[last] = position;
+        ids.pop();
+
+        if (ids.length == 0) {
+            queue.occupied[bucket >> 8] &= ~(1 << (bucket & 0xff));
+        }
+
+        delete queue.positions[id];
+        delete queue.endTimes[id];
+    }
+
+    /**
+     * @dev Move a queued ID to the bucket of its extended end time
+     * @param queue Queue holding the ID
+     * @param id ID to move
+     * @param endTime New end time
+     */
+    function extend(TimeQueue storage queue, bytes32 id, uint256 endTime) internal {
+        if (endTime / BUCKET_DURATION == queue.endTimes[id] / BUCKET_DURATION) {
+            queue.endTimes[id] = endTime;
+            return;
+        }
+
+        remove(queue, id);
+        insert(queue, id, endTime);
+    }
+
+    /**
+     * @dev Read a page of queued IDs ending after a time, sorted by end time. Pages
+     * follow each other in bucket order, so IDs from one bucket split across two pages
+     * are only ordered within each page. Visits at most MAX_QUEUE_SCAN buckets and
+     * entries, so a page can hold fewer than `limit` IDs, or none, before the queue
+     * is exhausted.
+     * @param queue Queue to read
+     * @param cursor Position to start from, or zero for the bucket of `endsAfter`
+     * @param limit Number of IDs to return, at most MAX_PAGE_SIZE
+     * @param endsAfter IDs ending at or before this time are skipped
+     * @return ids IDs read
+     * @return nextCursor Position of the next page, or zero when the queue is exhausted
+     */
+    function page(
+        TimeQueue storage queue,
+        uint256 cursor,
+        uint256 limit,
+        uint256 endsAfter
+    ) internal view returns (bytes32[] memory ids, uint256 nextCursor) {
+        if (limit > MAX_PAGE_SIZE) {
+            limit = MAX_PAGE_SIZE;
+        }
+        ids = new bytes32[](limit);
+
+        uint256 bucket = cursor == 0 ? endsAfter / BUCKET_DURATION : cursor >> 128;
+        uint256 index = uint128(cursor);
+        uint256 count;
+        for (uint256 steps = 0; count < limit && bucket <= queue.lastBucket; steps++) {
+            if (steps == MAX_QUEUE_SCAN) {
+                nextCursor = (bucket << 128) | index;
+                break;
+            }
+
+            uint256 occupied = queue.occupied[bucket >> 8] >> (bucket & 0xff);
+            if (occupied == 0) {
+                bucket = (bucket | 0xff) + 1; // rest of the word is empty
+                index = 0;
+            } else if (occupied & 1 == 0 || index >= queue.buckets[bucket].length) {
+                bucket++;
+                index = 0;
+            } else {
+                bytes32 id = queue.buckets[bucket][index++];
+                if (queue.endTimes[id] > endsAfter) {
+                    ids[count++] = id;
+                }
+            }
+        }
+
+        if (count == limit && bucket <= queue.lastBucket) {
+            nextCursor = (bucket << 128) | index;
+        }
+
+        truncate(ids, count);
+        _sortByEndTime(queue, ids);
+    }
+
+    /**
+     * @dev Index one past the last entry of a page
+     * @param length Number of entries in the collection
+     * @param cursor Index of the first entry of the page
+     * @param limit Requested page size, capped at MAX_PAGE_SIZE
+     * @return end Index one past the last entry to read
+     */
+    function pageEnd(uint256 length, uint256 cursor, uint256 limit) internal pure returns (uint256 end) {
+        if (limit > MAX_PAGE_SIZE) {
+            limit = MAX_PAGE_SIZE;
+        }
+
+        end = cursor + limit;
+        if (end > length) {
+            end = length;
+        }
+    }
+
+    /**
+     * @dev Shorten an array of IDs to the number of entries that were filled in
+     * @param ids Array allocated for a full page
+     * @param count Number of entries in use
+     */
+    function truncate(bytes32[] memory ids, uint256 count) internal pure {
+        assembly {
+            mstore(ids, count)
+        }
+    }
+
+    /**
+     * @dev Insertion sort of a page of IDs by end time
+     */
+    function _sortByEndTime(TimeQueue storage queue, bytes32[] memory ids) private view {
+        for (uint256 i = 1; i < ids.length; i++) {
+            bytes32 id = ids[i];
+            uint256 endTime = queue.endTimes[id];
+            uint256 j = i;
+            while (j > 0 && queue.endTimes[ids[j - 1]] > endTime) {
+                ids[j] = ids[j - 1];
+                j--;
+            }
+            ids[j] = id;
+        }
+    }
+}
@@ -0,0 +1,572 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "../CryptoSoundsNFT.sol";
+import "./MarketplaceIndex.sol";
+import "./SaleSettlement.sol";
+
+/**
+ * @title OfferLogic
+ * @dev Token and collection offer logic for CryptoSoundsMarketplace. Linked as an
+ * external library so the marketplace stays under the contract size limit; functions
+ * run in the marketplace's context through delegatecall, so offer escrow is held by
+ * the marketplace. Open token offers are indexed by token and by bidder, and open
+ * collection offers by NFT contract and by bidder.
+ * @author CryptoSounds
+ */
+library OfferLogic {
+    using EnumerableSet for EnumerableSet.Bytes32Set;
+
+    // Offer structure
+    struct Offer {
+        address bidder;
+        address nftContract;
+        uint256 tokenId;
+        address paymentToken; // ERC-20 escrowed, or zero for ETH
+        uint256 amount;
+        bool isActive;
+        uint256 offerTime;
+        uint256 expirationTime;
+    }
+
+    // Indexes of open token and collection offers
+    struct OfferIndex {
+        mapping(address => mapping(uint256 => EnumerableSet.Bytes32Set)) byToken; // NFT contract => token ID => offers
+        mapping(address => EnumerableSet.Bytes32Set) byBidder;
+        mapping(address => EnumerableSet.Bytes32Set) collectionByContract; // NFT contract => collection offers
+        mapping(address => EnumerableSet.Bytes32Set) collectionByBidder;
+    }
+
+    // Metadata field a collection offer matches on
+    enum OfferTrait {
+        Any,
+        Artist,
+        Album,
+        Genre,
+        AudioFormat
+    }
+
+    // Collection-wide or trait-based offer, filled one token at a time
+    struct CollectionOffer {
+        address bidder;
+        address nftContract;
+        OfferTrait trait;
+        string traitValue;
+        address paymentToken; // ERC-20 escrowed, or zero for ETH
+        uint256 pricePerToken;
+        uint256 quantity; // tokens still wanted
+        bool isActive;
+        uint256 offerTime;
+        uint256 expirationTime;
+    }
+
+    // Events (mirrored in CryptoSoundsMarketplace so they appear in its ABI)
+    event OfferMade(
+        bytes32 indexed offerId,
+        address indexed bidder,
+        address indexed nftContract,
+        uint256 tokenId,
+        address paymentToken,
+        uint256 amount,
+        uint256 expirationTime
+    );
+
+    event OfferAccepted(
+        bytes32 indexed offerId,
+        address indexed seller,
+        address indexed bidder,
+        uint256 amount,
+        uint256 feeAmount,
+        uint256 royaltyAmount,
+        uint256 royaltyFeeAmount,
+        uint256 sellerAmount
+    );
+
+    event OfferCancelled(bytes32 indexed offerId);
+
+    event OfferRefunded(
+        bytes32 indexed offerId,
+        address indexed bidder,
+        uint256 amount
+    );
+
+    event CollectionOfferMade(
+        bytes32 indexed offerId,
+        address indexed bidder,
+        address indexed nftContract,
+        OfferTrait trait,
+        string traitValue,
+        address paymentToken,
+        uint256 pricePerToken,
+        uint256 quantity,
+        uint256 expirationTime
+    );
+
+    event CollectionOfferFilled(
+        bytes32 indexed offerId,
+        address indexed seller,
+        uint256 indexed tokenId,
+        uint256 price,
+        uint256 feeAmount,
+        uint256 royaltyAmount,
+        uint256 royaltyFeeAmount,
+        uint256 sellerAmount
+    );
+
+    event CollectionOfferClosed(
+        bytes32 indexed offerId,
+        address indexed bidder,
+        uint256 refundAmount
+    );
+
+    /**
+     * @dev Make an offer on an NFT, escrowing the amount in the marketplace
+     * @param offers Offer storage of the marketplace
+     * @param index Offer index of the marketplace
+     * @param nftContract Address of the NFT contract
+     * @param tokenId Token ID to make offer on
+     * @param paymentToken ERC-20 to pay with, or zero for ETH
+     * @param amount Offer amount
+     * @param expirationTime When the offer expires
+     * @param bidder Address making the offer
+     * @param value ETH sent with the call
+     * @return offerId ID of the new offer
+     */
+    function makeOffer(
+        mapping(bytes32 => Offer) storage offers,
+        OfferIndex storage index,
+        address nftContract,
+        uint256 tokenId,
+        address paymentToken,
+        uint256 amount,
+        uint256 expirationTime,
+        address bidder,
+        uint256 value
+    ) external returns (bytes32 offerId) {
+        require(amount > 0, "Amount must be greater than 0");
+        require(
+            IERC721(nftContract).ownerOf(tokenId) != bidder,
+            "Cannot offer on own NFT"
+        );
+        require(expirationTime > block.timestamp, "Invalid expiration");
+
+        offerId = keccak256(
+            abi.encodePacked(nftContract, tokenId, bidder, block.timestamp)
+        );
+
+        require(!offers[offerId].isActive, "Offer already exists");
+
+        offers[offerId] = Offer({
+            bidder: bidder,
+            nftContract: nftContract,
+            tokenId: tokenId,
+            paymentToken: paymentToken,
+            amount: amount,
+            isActive: true,
+            offerTime: block.timestamp,
+            expirationTime: expirationTime
+        });
+
+        index.byToken[nftContract][tokenId].add(offerId);
+        index.byBidder[bidder].add(offerId);
+
+        SaleSettlement.collect(paymentToken, bidder, amount, value);
+
+        emit OfferMade(offerId, bidder, nftContract, tokenId, paymentToken, amount, expirationTime);
+    }
+
+    /**
+     * @dev Accept an offer, transferring the NFT to the bidder in exchange for the escrowed amount
+     * @param offer Offer to accept
+     * @param index Offer index of the marketplace
+     * @param pendingReturns Withdrawable balances of bidders and royalty receivers, per payment token
+     * @param offerId ID of the offer
+     * @param seller Token owner accepting the offer
+     * @param config Marketplace fee and royalty settings
+     */
+    function acceptOffer(
+        Offer storage offer,
+        OfferIndex storage index,
+        mapping(address => mapping(address => uint256)) storage pendingReturns,
+        bytes32 offerId,
+        address seller,
+        SaleSettlement.Config memory config
+    ) external {
+        require(offer.isActive, "Offer not active");
+        require(block.timestamp <= offer.expirationTime, "Offer expired");
+        require(seller != offer.bidder, "Cannot accept own offer");
+        require(
+            IERC721(offer.nftContract).ownerOf(offer.tokenId) == seller,
+            "Not the owner"
+        );
+        require(
+            IERC721(offer.nftContract).getApproved(offer.tokenId) == address(this) ||
+            IERC721(offer.nftContract).isApprovedForAll(seller, address(this)),
+            "Contract not approved"
+        );
+
+        // Deactivate offer
+        _close(offer, index, offerId);
+
+        // Transfer NFT
+        IERC721(offer.nftContract).safeTransferFrom(seller, offer.bidder, offer.tokenId);
+
+        // Pay royalties, marketplace fee and seller
+        uint256[4] memory amounts; // fee, royalty, royalty platform fee, seller
+        (amounts[0], amounts[1], amounts[2], amounts[3]) = SaleSettlement.settle(
+            config,
+            pendingReturns,
+            offer.paymentToken,
+            offer.nftContract,
+            offer.tokenId,
+            seller,
+            offer.amount
+        );
+
+        emit OfferAccepted(
+            offerId,
+            seller,
+            offer.bidder,
+            offer.amount,
+            amounts[0],
+            amounts[1],
+            amounts[2],
+            amounts[3]
+        );
+    }
+
+    /**
+     * @dev Cancel an offer and refund the bidder
+     * @param offer Offer to cancel
+     * @param index Offer index of the marketplace
+     * @param offerId ID of the offer
+     * @param caller Address cancelling the offer
+     */
+    function cancelOffer(
+        Offer storage offer,
+        OfferIndex storage index,
+        bytes32 offerId,
+        address caller
+    ) external {
+        require(offer.isActive, "Offer not active");
+        require(offer.bidder == caller, "Not the bidder");
+
+        _close(offer, index, offerId);
+        SaleSettlement.pay(offer.paymentToken, offer.bidder, offer.amount, "Refund failed");
+
+        emit OfferCancelled(offerId);
+    }
+
+    /**
+     * @dev Refund an expired offer to its bidder
+     * @param offer Offer to refund
+     * @param index Offer index of the marketplace
+     * @param offerId ID of the offer
+     */
+    function refundExpiredOffer(Offer storage offer, OfferIndex storage index, bytes32 offerId) external {
+        require(offer.isActive, "Offer not active");
+        require(block.timestamp > offer.expirationTime, "Offer not expired");
+
+        _close(offer, index, offerId);
+        SaleSettlement.pay(offer.paymentToken, offer.bidder, offer.amount, "Refund failed");
+
+        emit OfferRefunded(offerId, offer.bidder, offer.amount);
+    }
+
+    /**
+     * @dev Page through a set of offer IDs, returning those that are open and unexpired
+     * @param offers Offer storage of the marketplace
+     * @param set Offer IDs to page through
+     * @param cursor Position in the set to start from (0 for the first page)
+     * @param limit Number of entries to read, at most MarketplaceIndex.MAX_PAGE_SIZE
+     * @return offerIds Open offer IDs (may be fewer than `limit`)
+     * @return nextCursor Cursor for the next page, or 0 when the set is exhausted
+     */
+    function getOffers(
+        mapping(bytes32 => Offer) storage offers,
+        EnumerableSet.Bytes32Set storage set,
+        uint256 cursor,
+        uint256 limit
+    ) external view returns (bytes32[] memory offerIds, uint256 nextCursor) {
+        uint256 end = MarketplaceIndex.pageEnd(set.length(), cursor, limit);
+        offerIds = new bytes32[](end > cursor ? end - cursor : 0);
+
+        uint256 count;
+        for (uint256 i = cursor; i < end; i++) {
+            bytes32 offerId = set.at(i);
+            if (block.timestamp <= offers[offerId].expirationTime) {
+                offerIds[count++] = offerId;
+            }
+        }
+
+        MarketplaceIndex.truncate(offerIds, count);
+        nextCursor = end < set.length() ? end : 0;
+    }
+
+    /**
+     * @dev Make a collection or trait offer, escrowing the price of every token wanted
+     * @param collectionOffers Collection offer storage of the marketplace
+     * @param index Offer index of the marketplace
+     * @param offer Offer terms; bidder, isActive and offerTime are filled in here
+     * @param bidder Address making the offer
+     * @param value ETH sent with the call
+     * @return offerId ID of the new collection offer
+     */
+    function makeCollectionOffer(
+        mapping(bytes32 => CollectionOffer) storage collectionOffers,
+        OfferIndex storage index,
+        CollectionOffer memory offer,
+        address bidder,
+        uint256 value
+    ) external returns (bytes32 offerId) {
+        require(offer.pricePerToken > 0, "Amount must be greater than 0");
+        require(offer.quantity > 0, "Quantity must be greater than 0");
+
+        uint256 total = offer.pricePerToken * offer.quantity;
+        require(offer.paymentToken != address(0) || value == total, "Incorrect payment");
+        require(
+            offer.trait == OfferTrait.Any || bytes(offer.traitValue).length > 0,
+            "Trait value required"
+        );
+        require(offer.expirationTime > block.timestamp, "Invalid expiration");
+
+        offerId = keccak256(
+            abi.encodePacked(offer.nftContract, bidder, offer.trait, offer.traitValue, block.timestamp)
+        );
+
+        require(!collectionOffers[offerId].isActive, "Offer already exists");
+
+        offer.bidder = bidder;
+        offer.isActive = true;
+        offer.offerTime = block.timestamp;
+        collectionOffers[offerId] = offer;
+        index.collectionByContract[offer.nftContract].add(offerId);
+        index.collectionByBidder[bidder].add(offerId);
+
+        SaleSettlement.collect(offer.paymentToken, bidder, total, value);
+
+        emit CollectionOfferMade(
+            offerId,
+            bidder,
+            offer.nftContract,
+            offer.trait,
+            offer.traitValue,
+            offer.paymentToken,
+            offer.pricePerToken,
+            offer.quantity,
+            offer.expirationTime
+        );
+    }
+
+    /**
+     * @dev Sell one or more matching tokens into a collection offer
+     * @param offer Collection offer to fill
+     * @param index Offer index of the marketplace
+     * @param pendingReturns Withdrawable balances of bidders and royalty receivers, per payment token
+     * @param offerId ID of the collection offer
+     * @param tokenIds Token IDs owned by the seller
+     * @param seller Address selling the tokens
+     * @param config Marketplace fee and royalty settings
+     */
+    function acceptCollectionOffer(
+        CollectionOffer storage offer,
+        OfferIndex storage index,
+        mapping(address => mapping(address => uint256)) storage pendingReturns,
+        bytes32 offerId,
+        uint256[] memory tokenIds,
+        address seller,
+        SaleSettlement.Config memory config
+    ) external {
+        require(offer.isActive, "Offer not active");
+        require(block.timestamp <= offer.expirationTime, "Offer expired");
+        require(seller != offer.bidder, "Cannot accept own offer");
+        require(tokenIds.length > 0, "No tokens provided");
+        require(tokenIds.length <= offer.quantity, "Exceeds offer quantity");
+
+        offer.quantity -= tokenIds.length;
+        if (offer.quantity == 0) {
+            offer.isActive = false;
+        }
+
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            _fillCollectionOffer(offer, pendingReturns, offerId, tokenIds[i], seller, config);
+        }
+
+        if (!offer.isActive) {
+            _unindexCollectionOffer(offer, index, offerId);
+            emit CollectionOfferClosed(offerId, offer.bidder, 0);
+        }
+    }
+
+    /**
+     * @dev Cancel a collection offer and refund the unfilled amount
+     * @param offer Collection offer to cancel
+     * @param index Offer index of the marketplace
+     * @param offerId ID of the collection offer
+     * @param caller Address cancelling the offer
+     */
+    function cancelCollectionOffer(
+        CollectionOffer storage offer,
+        OfferIndex storage index,
+        bytes32 offerId,
+        address caller
+    ) external {
+        require(offer.isActive, "Offer not active");
+        require(offer.bidder == caller, "Not the bidder");
+
+        _closeCollectionOffer(offer, index, offerId);
+    }
+
+    /**
+     * @dev Refund the unfilled amount of an expired collection offer
+     * @param offer Collection offer to refund
+     * @param index Offer index of the marketplace
+     * @param offerId ID of the collection offer
+     */
+    function refundExpiredCollectionOffer(
+        CollectionOffer storage offer,
+        OfferIndex storage index,
+        bytes32 offerId
+    ) external {
+        require(offer.isActive, "Offer not active");
+        require(block.timestamp > offer.expirationTime, "Offer not expired");
+
+        _closeCollectionOffer(offer, index, offerId);
+    }
+
+    /**
+     * @dev Page through a set of collection offer IDs, returning those that are unexpired.
+     * Filled, cancelled and refunded offers are removed from the indexes when they close.
+     * @param collectionOffers Collection offer storage of the marketplace
+     * @param set Collection offer IDs to page through
+     * @param cursor Position in the set to start from (0 for the first page)
+     * @param limit Number of entries to read, at most MarketplaceIndex.MAX_PAGE_SIZE
+     * @return offerIds Open collection offer IDs (may be fewer than `limit`)
+     * @return nextCursor Cursor for the next page, or 0 when the set is exhausted
+     */
+    function getCollectionOffers(
+        mapping(bytes32 => CollectionOffer) storage collectionOffers,
+        EnumerableSet.Bytes32Set storage set,
+        uint256 cursor,
+        uint256 limit
+    ) external view returns (bytes32[] memory offerIds, uint256 nextCursor) {
+        uint256 end = MarketplaceIndex.pageEnd(set.length(), cursor, limit);
+        offerIds = new bytes32[](end > cursor ? end - cursor : 0);
+
+        uint256 count;
+        for (uint256 i = cursor; i < end; i++) {
+            bytes32 offerId = set.at(i);
+            if (block.timestamp <= collectionOffers[offerId].expirationTime) {
+                offerIds[count++] = offerId;
+            }
+        }
+
+        MarketplaceIndex.truncate(offerIds, count);
+        nextCursor = end < set.length() ? end : 0;
+    }
+
+    /**
+     * @dev Check whether a token satisfies a collection offer's trait
+     * @param offer Collection offer to check
+     * @param tokenId Token ID to check
+     * @return True if the token can fill the offer
+     */
+    function matchesCollectionOffer(
+        CollectionOffer storage offer,
+        uint256 tokenId
+    ) public view returns (bool) {
+        if (offer.trait == OfferTrait.Any) {
+            return true;
+        }
+
+        CryptoSoundsNFT.AudioMetadata memory metadata =
+            CryptoSoundsNFT(offer.nftContract).getAudioMetadata(tokenId);
+
+        string memory value;
+        if (offer.trait == OfferTrait.Artist) {
+            value = metadata.artist;
+        } else if (offer.trait == OfferTrait.Album) {
+            value = metadata.album;
+        } else if (offer.trait == OfferTrait.Genre) {
+            value = metadata.genre;
+        } else {
+            value = metadata.audioFormat;
+        }
+
+        return keccak256(bytes(value)) == keccak256(bytes(offer.traitValue));
+    }
+
+    /**
+     * @dev Deactivate a token offer and drop it from the indexes
+     */
+    function _close(Offer storage offer, OfferIndex storage index, bytes32 offerId) private {
+        offer.isActive = false;
+
+        index.byToken[offer.nftContract][offer.tokenId].remove(offerId);
+        index.byBidder[offer.bidder].remove(offerId);
+    }
+
+    /**
+     * @dev Sell a single token into a collection offer
+     */
+    function _fillCollectionOffer(
+        CollectionOffer storage offer,
+        mapping(address => mapping(address => uint256)) storage pendingReturns,
+        bytes32 offerId,
+        uint256 tokenId,
+        address seller,
+        SaleSettlement.Config memory config
+    ) private {
+        IERC721 nft = IERC721(offer.nftContract);
+        require(nft.ownerOf(tokenId) == seller, "Not the owner");
+        require(matchesCollectionOffer(offer, tokenId), "Token does not match offer");
+
+        nft.safeTransferFrom(seller, offer.bidder, tokenId);
+
+        uint256[4] memory amounts; // fee, royalty, royalty platform fee, seller
+        (amounts[0], amounts[1], amounts[2], amounts[3]) = SaleSettlement.settle(
+            config,
+            pendingReturns,
+            offer.paymentToken,
+            offer.nftContract,
+            tokenId,
+            seller,
+            offer.pricePerToken
+        );
+
+        emit CollectionOfferFilled(
+            offerId,
+            seller,
+            tokenId,
+            offer.pricePerToken,
+            amounts[0],
+            amounts[1],
+            amounts[2],
+            amounts[3]
+        );
+    }
+
+    /**
+     * @dev Deactivate a collection offer and refund the escrow for unfilled tokens
+     */
+    function _closeCollectionOffer(CollectionOffer storage offer, OfferIndex storage index, bytes32 offerId) private {
+        uint256 refundAmount = offer.pricePerToken * offer.quantity;
+        offer.isActive = false;
+        offer.quantity = 0;
+        _unindexCollectionOffer(offer, index, offerId);
+
+        SaleSettlement.pay(offer.paymentToken, offer.bidder, refundAmount, "Refund failed");
+
+        emit CollectionOfferClosed(offerId, offer.bidder, refundAmount);
+    }
+
+    /**
+     * @dev Drop a closed collection offer from the indexes
+     */
+    function _unindexCollectionOffer(CollectionOffer storage offer, OfferIndex storage index, bytes32 offerId) private {
+        index.collectionByContract[offer.nftContract].remove(offerId);
+        index.collectionByBidder[offer.bidder].remove(offerId);
+    }
+}
@@ -0,0 +1,230 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "./SaleSettlement.sol";
+
+/**
+ * @title OrderLogic
+ * @dev EIP-712 signed order logic for CryptoSoundsMarketplace. Linked as an external
+ * library so the marketplace stays under the contract size limit; functions run in
+ * the marketplace's context through delegatecall, so offer deposits are held by the
+ * marketplace and signatures are checked against its EIP-712 domain.
+ * @author CryptoSounds
+ */
+library OrderLogic {
+
+    // Side of an off-chain signed order
+    enum OrderSide {
+        Sell, // signed listing, filled by a buyer
+        Buy // signed offer, filled by the token owner
+    }
+
+    // EIP-712 signed order
+    struct Order {
+        OrderSide side;
+        address maker;
+        address nftContract;
+        uint256 tokenId;
+        address paymentToken; // zero for ETH
+        uint256 price;
+        uint256 nonce;
+        uint256 counter;
+        uint256 expirationTime; // 0 for no expiration
+    }
+
+    bytes32 internal constant ORDER_TYPEHASH = keccak256(
+        "Order(uint8 side,address maker,address nftContract,uint256 tokenId,address paymentToken,uint256 price,uint256 nonce,uint256 counter,uint256 expirationTime)"
+    );
+
+    // Events (mirrored in CryptoSoundsMarketplace so they appear in its ABI)
+    event OrderFilled(
+        bytes32 indexed orderHash,
+        address indexed maker,
+        address indexed taker,
+        OrderSide side,
+        uint256 price,
+        uint256 feeAmount,
+        uint256 royaltyAmount,
+        uint256 royaltyFeeAmount,
+        uint256 sellerAmount
+    );
+
+    event OfferDepositUpdated(address indexed bidder, address indexed paymentToken, uint256 balance);
+
+    /**
+     * @dev Buy an NFT through a listing signed off-chain by its seller
+     * @param orderCounters Order counters of the marketplace
+     * @param usedOrderNonces Used order nonces of the marketplace
+     * @param pendingReturns Withdrawable balances of bidders and royalty receivers, per payment token
+     * @param order Sell order signed by the seller
+     * @param signature EIP-712 signature of the order
+     * @param domainSeparator EIP-712 domain separator of the marketplace
+     * @param buyer Address filling the order
+     * @param value ETH sent with the call (excess is refunded)
+     * @param config Marketplace fee and royalty settings
+     */
+    function fillSignedListing(
+        mapping(address => uint256) storage orderCounters,
+        mapping(address => mapping(uint256 => bool)) storage usedOrderNonces,
+        mapping(address => mapping(address => uint256)) storage pendingReturns,
+        Order memory order,
+        bytes memory signature,
+        bytes32 domainSeparator,
+        address buyer,
+        uint256 value,
+        SaleSettlement.Config memory config
+    ) external {
+        require(order.side == OrderSide.Sell, "Not a sell order");
+        require(buyer != order.maker, "Cannot buy own item");
+
+        bytes32 orderHash = _useOrder(orderCounters, usedOrderNonces, order, signature, domainSeparator);
+        SaleSettlement.collect(order.paymentToken, buyer, order.price, value);
+
+        // Transfer NFT
+        IERC721(order.nftContract).safeTransferFrom(order.maker, buyer, order.tokenId);
+
+        uint256[4] memory amounts; // fee, royalty, royalty platform fee, seller
+        (amounts[0], amounts[1], amounts[2], amounts[3]) = SaleSettlement.settle(
+            config,
+            pendingReturns,
+            order.paymentToken,
+            order.nftContract,
+            order.tokenId,
+            order.maker,
+            order.price
+        );
+
+        emit OrderFilled(
+            orderHash,
+            order.maker,
+            buyer,
+            OrderSide.Sell,
+            order.price,
+            amounts[0],
+            amounts[1],
+            amounts[2],
+            amounts[3]
+        );
+    }
+
+    /**
+     * @dev Sell an NFT into an offer signed off-chain by a bidder, paid from their offer deposit
+     * @param orderCounters Order counters of the marketplace
+     * @param usedOrderNonces Used order nonces of the marketplace
+     * @param offerDeposits Offer deposits of the marketplace, per maker and payment token
+     * @param pendingReturns Withdrawable balances of bidders and royalty receivers, per payment token
+     * @param order Buy order signed by the bidder
+     * @param signature EIP-712 signature of the order
+     * @param domainSeparator EIP-712 domain separator of the marketplace
+     * @param seller Token owner filling the order
+     * @param config Marketplace fee and royalty settings
+     */
+    function fillSignedOffer(
+        mapping(address => uint256) storage orderCounters,
+        mapping(address => mapping(uint256 => bool)) storage usedOrderNonces,
+        mapping(address => mapping(address => uint256)) storage offerDeposits,
+        mapping(address => mapping(address => uint256)) storage pendingReturns,
+        Order memory order,
+        bytes memory signature,
+        bytes32 domainSeparator,
+        address seller,
+        SaleSettlement.Config memory config
+    ) external {
+        require(order.side == OrderSide.Buy, "Not a buy order");
+        require(seller != order.maker, "Cannot accept own offer");
+        require(
+            IERC721(order.nftContract).ownerOf(order.tokenId) == seller,
+            "Not the owner"
+        );
+        require(
+            offerDeposits[order.maker][order.paymentToken] >= order.price,
+            "Insufficient offer deposit"
+        );
+
+        bytes32 orderHash = _useOrder(orderCounters, usedOrderNonces, order, signature, domainSeparator);
+        offerDeposits[order.maker][order.paymentToken] -= order.price;
+
+        // Transfer NFT
+        IERC721(order.nftContract).safeTransferFrom(seller, order.maker, order.tokenId);
+
+        uint256[4] memory amounts; // fee, royalty, royalty platform fee, seller
+        (amounts[0], amounts[1], amounts[2], amounts[3]) = SaleSettlement.settle(
+            config,
+            pendingReturns,
+            order.paymentToken,
+            order.nftContract,
+            order.tokenId,
+            seller,
+            order.price
+        );
+
+        emit OfferDepositUpdated(
+            order.maker,
+            order.paymentToken,
+            offerDeposits[order.maker][order.paymentToken]
+        );
+        emit OrderFilled(
+            orderHash,
+            order.maker,
+            seller,
+            OrderSide.Buy,
+            order.price,
+            amounts[0],
+            amounts[1],
+            amounts[2],
+            amounts[3]
+        );
+    }
+
+    /**
+     * @dev Get the EIP-712 digest a maker signs for an order
+     * @param order Order to hash
+     * @param domainSeparator EIP-712 domain separator of the marketplace
+     * @return EIP-712 typed data hash
+     */
+    function hashOrder(Order memory order, bytes32 domainSeparator) internal pure returns (bytes32) {
+        return ECDSA.toTypedDataHash(
+            domainSeparator,
+            keccak256(
+                abi.encode(
+                    ORDER_TYPEHASH,
+                    order.side,
+                    order.maker,
+                    order.nftContract,
+                    order.tokenId,
+                    order.paymentToken,
+                    order.price,
+                    order.nonce,
+                    order.counter,
+                    order.expirationTime
+                )
+            )
+        );
+    }
+
+    /**
+     * @dev Validate a signed order and consume its nonce
+     * @return orderHash EIP-712 hash of the order
+     */
+    function _useOrder(
+        mapping(address => uint256) storage orderCounters,
+        mapping(address => mapping(uint256 => bool)) storage usedOrderNonces,
+        Order memory order,
+        bytes memory signature,
+        bytes32 domainSeparator
+    ) private returns (bytes32 orderHash) {
+        require(order.price > 0, "Price must be greater than 0");
+        if (order.expirationTime > 0) {
+            require(block.timestamp <= order.expirationTime, "Order expired");
+        }
+        require(order.counter == orderCounters[order.maker], "Order cancelled");
+        require(!usedOrderNonces[order.maker][order.nonce], "Order nonce used");
+
+        orderHash = hashOrder(order, domainSeparator);
+        require(ECDSA.recover(orderHash, signature) == order.maker, "Invalid signature");
+
+        usedOrderNonces[order.maker][order.nonce] = true;
+    }
+}
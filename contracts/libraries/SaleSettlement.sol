@@ -0,0 +1,195 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/common/ERC2981.sol";
+import "@openzeppelin/contracts/utils/introspection/ERC165Checker.sol";
+import "../CryptoSoundsRoyalty.sol";
+
+/**
+ * @title SaleSettlement
+ * @dev Collects payments and pays out marketplace sales in ETH or an ERC-20
+ * payment token: royalties, marketplace fee and seller proceeds. ERC-2981 royalties
+ * are credited to the marketplace's withdrawable `pendingReturns` balances.
+ * @author CryptoSounds
+ */
+library SaleSettlement {
+    using SafeERC20 for IERC20;
+
+    // Marketplace settings needed to settle a sale
+    struct Config {
+        uint256 marketplaceFee; // in basis points
+        address feeRecipient;
+        address royaltyManager; // CryptoSoundsRoyalty contract, or zero to use ERC-2981 only
+    }
+
+    event PendingReturnCredited(address indexed account, address indexed paymentToken, uint256 amount);
+
+    /**
+     * @dev Split a sale price between royalties, the marketplace fee and the seller
+     * @param config Marketplace fee and royalty settings
+     * @param pendingReturns Withdrawable balances of the marketplace, per payment token
+     * @param paymentToken ERC-20 the sale is paid in, or zero for ETH
+     * @param nftContract Address of the NFT contract
+     * @param tokenId Token ID that was sold
+     * @param seller Address receiving the sale proceeds
+     * @param price Sale price in wei or token units
+     * @return feeAmount Marketplace fee sent to the fee recipient
+     * @return royaltyAmount Royalty owed to the creator(s)
+     * @return royaltyFeeAmount Platform fee taken by the royalty manager on top of the royalty
+     * @return sellerAmount Proceeds sent to the seller
+     */
+    function settle(
+        Config memory config,
+        mapping(address => mapping(address => uint256)) storage pendingReturns,
+        address paymentToken,
+        address nftContract,
+        uint256 tokenId,
+        address seller,
+        uint256 price
+    ) internal returns (uint256 feeAmount, uint256 royaltyAmount, uint256 royaltyFeeAmount, uint256 sellerAmount) {
+        feeAmount = (price * config.marketplaceFee) / 10000;
+        (royaltyAmount, royaltyFeeAmount) = payRoyalty(
+            config.royaltyManager,
+            pendingReturns,
+            paymentToken,
+            nftContract,
+            tokenId,
+            price,
+            price - feeAmount
+        );
+        sellerAmount = price - feeAmount - royaltyAmount - royaltyFeeAmount;
+
+        pay(paymentToken, seller, sellerAmount, "Payment to seller failed");
+
+        if (feeAmount > 0) {
+            pay(paymentToken, config.feeRecipient, feeAmount, "Payment to marketplace failed");
+        }
+    }
+
+    /**
+     * @dev Pay the royalty owed on a sale. Tokens with a split in the royalty manager
+     * are paid to the manager, which credits the recipients to claim later; while the
+     * manager is paused these sales revert. All other tokens use ERC-2981 `royaltyInfo`,
+     * and the receiver is credited in `pendingReturns` rather than paid directly so a
+     * receiver that cannot take the payment does not block the sale.
+     * @param royaltyManager CryptoSoundsRoyalty contract, or zero to skip splits
+     * @param pendingReturns Withdrawable balances of the marketplace, per payment token
+     * @param paymentToken ERC-20 the sale is paid in, or zero for ETH
+     * @param nftContract Address of the NFT contract
+     * @param tokenId Token ID that was sold
+     * @param price Sale price in wei or token units
+     * @param maxAmount Upper bound for the royalty and platform fee (sale price minus marketplace fee)
+     * @return royaltyAmount Royalty owed to the creator(s)
+     * @return royaltyFeeAmount Platform fee taken by the royalty manager
+     */
+    function payRoyalty(
+        address royaltyManager,
+        mapping(address => mapping(address => uint256)) storage pendingReturns,
+        address paymentToken,
+        address nftContract,
+        uint256 tokenId,
+        uint256 price,
+        uint256 maxAmount
+    ) internal returns (uint256 royaltyAmount, uint256 royaltyFeeAmount) {
+        if (royaltyManager != address(0)) {
+            CryptoSoundsRoyalty manager = CryptoSoundsRoyalty(royaltyManager);
+            (royaltyAmount, royaltyFeeAmount, ) = manager.calculateRoyaltyAt(
+                nftContract,
+                tokenId,
+                price,
+                paymentToken,
+                block.timestamp
+            );
+
+            if (royaltyAmount > 0) {
+                uint256 total = royaltyAmount + royaltyFeeAmount;
+                require(total <= maxAmount, "Royalty exceeds proceeds");
+
+                if (paymentToken == address(0)) {
+                    // The royalty manager takes exactly the royalty and platform fee
+                    manager.distributeRoyalties{value: total}(nftContract, tokenId, price);
+                } else {
+                    // The royalty manager pulls exactly the royalty and platform fee
+                    IERC20(paymentToken).safeIncreaseAllowance(royaltyManager, total);
+                    manager.distributeTokenRoyalties(paymentToken, nftContract, tokenId, price);
+                }
+                return (royaltyAmount, royaltyFeeAmount);
+            }
+            royaltyFeeAmount = 0;
+        }
+
+        if (!ERC165Checker.supportsInterface(nftContract, type(IERC2981).interfaceId)) {
+            return (0, 0);
+        }
+
+        (address receiver, uint256 amount) = IERC2981(nftContract).royaltyInfo(tokenId, price);
+        if (receiver == address(0) || amount == 0) {
+            return (0, 0);
+        }
+
+        royaltyAmount = amount > maxAmount ? maxAmount : amount;
+        credit(pendingReturns, receiver, paymentToken, royaltyAmount);
+    }
+
+    /**
+     * @dev Credit funds to an account's withdrawable balance
+     * @param pendingReturns Withdrawable balances of the marketplace, per payment token
+     * @param account Address credited
+     * @param paymentToken ERC-20 credited, or zero for ETH
+     * @param amount Amount credited
+     */
+    function credit(
+        mapping(address => mapping(address => uint256)) storage pendingReturns,
+        address account,
+        address paymentToken,
+        uint256 amount
+    ) internal {
+        pendingReturns[account][paymentToken] += amount;
+        emit PendingReturnCredited(account, paymentToken, amount);
+    }
+
+    /**
+     * @dev Take a payment into the marketplace. ETH must already have been sent with
+     * the call and any excess is refunded; ERC-20 payments are pulled from the payer.
+     * @param paymentToken ERC-20 to collect, or zero for ETH
+     * @param payer Address paying
+     * @param amount Amount owed
+     * @param value ETH sent with the call
+     */
+    function collect(address paymentToken, address payer, uint256 amount, uint256 value) internal {
+        if (paymentToken == address(0)) {
+            require(value >= amount, "Insufficient payment");
+
+            // Refund excess payment
+            if (value > amount) {
+                pay(address(0), payer, value - amount, "Refund failed");
+            }
+        } else {
+            require(value == 0, "ETH not accepted");
+            IERC20(paymentToken).safeTransferFrom(payer, address(this), amount);
+        }
+    }
+
+    /**
+     * @dev Send ETH or an ERC-20 held by the marketplace
+     * @param paymentToken ERC-20 to send, or zero for ETH
+     * @param to Recipient
+     * @param amount Amount to send
+     * @param errorMessage Revert reason if an ETH transfer fails
+     */
+    function pay(
+        address paymentToken,
+        address to,
+        uint256 amount,
+        string memory errorMessage
+    ) internal {
+        if (paymentToken == address(0)) {
+            (bool success, ) = payable(to).call{value: amount}("");
+            require(success, errorMessage);
+        } else {
+            IERC20(paymentToken).safeTransfer(to, amount);
+        }
+    }
+}
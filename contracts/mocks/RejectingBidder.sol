@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../CryptoSoundsMarketplace.sol";
+
+/**
+ * @title RejectingBidder
+ * @dev Test helper that bids on marketplace auctions and rejects incoming ETH
+ * @author CryptoSounds
+ */
+contract RejectingBidder {
+    CryptoSoundsMarketplace public immutable marketplace;
+
+    constructor(address payable _marketplace) {
+        marketplace = CryptoSoundsMarketplace(_marketplace);
+    }
+
+    function bid(bytes32 auctionId) external payable {
+        marketplace.placeBid{value: msg.value}(auctionId);
+    }
+
+    function withdrawPendingReturns() external {
+        marketplace.withdrawPendingReturns(address(0));
+    }
+
+    receive() external payable {
+        revert("ETH rejected");
+    }
+}
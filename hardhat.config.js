@@ -1,6 +1,8 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("hardhat-gas-reporter");
 require("solidity-coverage");
+require("./tasks/audio");
+require("./tasks/metadata");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -0,0 +1,139 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * Merkle allowlists for CryptoSoundsNFT sale phases. Leaves are the double-hashed
+ * ABI-encoded address, and pairs are hashed in sorted order, which is what
+ * OpenZeppelin's MerkleProof.verify expects.
+ */
+
+/**
+ * Leaf of an address
+ * @param {string} address Allowlisted address
+ * @returns {string} 32-byte hex leaf
+ */
+function allowlistLeaf(address) {
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(["address"], [address]);
+  return ethers.keccak256(ethers.keccak256(encoded));
+}
+
+function hashPair(a, b) {
+  return ethers.keccak256(ethers.concat(a < b ? [a, b] : [b, a]));
+}
+
+/**
+ * Read allowlisted addresses from CSV text: one row per address in the first column.
+ * A header row, blank lines, "#" comments and extra columns are ignored; repeated
+ * addresses are kept once.
+ * @param {string} text CSV contents
+ * @returns {string[]} Checksummed addresses in file order
+ */
+function parseAllowlistCsv(text) {
+  const addresses = new Set();
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const cell = line.split(",")[0].trim().replace(/^"(.*)"$/, "$1");
+    if (!cell || cell.startsWith("#")) {
+      return;
+    }
+    if (!ethers.isAddress(cell)) {
+      if (index === 0 && !cell.startsWith("0x")) {
+        return; // header
+      }
+      throw new Error(`Line ${index + 1}: "${cell}" is not an address`);
+    }
+    addresses.add(ethers.getAddress(cell));
+  });
+
+  return [...addresses];
+}
+
+/**
+ * Build the Merkle tree of an allowlist
+ * @param {string[]} addresses Allowlisted addresses
+ * @returns {{ root: string, proofs: Object<string, string[]> }} Root for setSalePhase and
+ * the proof of each checksummed address for allowlistMintAudioNFT
+ */
+function buildAllowlist(addresses) {
+  if (addresses.length === 0) {
+    throw new Error("Allowlist is empty");
+  }
+
+  const entries = [...new Set(addresses.map((address) => ethers.getAddress(address)))]
+    .map((address) => ({ address, leaf: allowlistLeaf(address) }))
+    .sort((a, b) => (a.leaf < b.leaf ? -1 : 1));
+
+  // levels[0] are the leaves; an unpaired last node moves up unchanged
+  const levels = [entries.map((entry) => entry.leaf)];
+  while (levels[levels.length - 1].length > 1) {
+    const nodes = levels[levels.length - 1];
+    const parents = [];
+    for (let i = 0; i < nodes.length; i += 2) {
+      parents.push(i + 1 < nodes.length ? hashPair(nodes[i], nodes[i + 1]) : nodes[i]);
+    }
+    levels.push(parents);
+  }
+
+  const proofs = {};
+  entries.forEach((entry, leafIndex) => {
+    const proof = [];
+    let index = leafIndex;
+    for (const nodes of levels.slice(0, -1)) {
+      const sibling = index ^ 1;
+      if (sibling < nodes.length) {
+        proof.push(nodes[sibling]);
+      }
+      index >>= 1;
+    }
+    proofs[entry.address] = proof;
+  });
+
+  return { root: levels[levels.length - 1][0], proofs };
+}
+
+/**
+ * Check a proof the way the contract does
+ * @param {string} address Minting address
+ * @param {string[]} proof Merkle proof
+ * @param {string} root Merkle root of the phase
+ * @returns {boolean}
+ */
+function verifyAllowlistProof(address, proof, root) {
+  return proof.reduce((node, sibling) => hashPair(node, sibling), allowlistLeaf(address)) === root;
+}
+
+function main() {
+  const [csvPath, outPath] = process.argv.slice(2);
+
+  if (!csvPath) {
+    console.error("❌ Please provide a CSV file of addresses:");
+    console.error("Usage: node scripts/allowlist.js <addresses.csv> [<proofs.json>]");
+    process.exit(1);
+  }
+
+  const addresses = parseAllowlistCsv(fs.readFileSync(csvPath, "utf8"));
+  const allowlist = buildAllowlist(addresses);
+  const output = outPath || path.join(path.dirname(csvPath), `${path.basename(csvPath, path.extname(csvPath))}.proofs.json`);
+  fs.writeFileSync(output, JSON.stringify(allowlist, null, 2) + "\n");
+
+  console.log(`🌳 ${addresses.length} address(es) in ${path.basename(csvPath)}`);
+  console.log("- Merkle root:", allowlist.root);
+  console.log("✅ Proofs written to", output);
+}
+
+module.exports = {
+  allowlistLeaf,
+  parseAllowlistCsv,
+  buildAllowlist,
+  verifyAllowlistProof,
+};
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error("❌ Building the allowlist failed:", error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,433 @@
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+/**
+ * Perceptual fingerprint of decoded audio for CryptoSoundsNFT's content registry.
+ * The track is cut into equal time segments and each bit records whether the
+ * energy difference between two neighbouring frequency bands rose or fell from
+ * one segment to the next. Those trends survive lossy re-encodes, resampling,
+ * requantization and gain changes, so two encodes of a master give fingerprints
+ * that differ in a few bits and are compared with fingerprintSimilarity; lossless
+ * copies give the same fingerprint. Non-WAV files need ffmpeg on the PATH.
+ */
+
+// Time segments and frequency bands; (SEGMENTS - 1) * (BANDS - 1) = 256 bits
+const SEGMENTS = 17;
+const BANDS = 17;
+
+// Bands are spaced logarithmically over this range, which lossy codecs keep intact
+const MIN_FREQUENCY = 300;
+const MAX_FREQUENCY = 4000;
+
+// Analysis windows averaged per segment, so long tracks cost no more than short ones
+const WINDOWS_PER_SEGMENT = 32;
+
+// Frames quieter than this on every channel (about -60 dBFS) are trimmed from both ends,
+// which drops encoder padding and low-level noise before the track starts
+const SILENCE_THRESHOLD = 1 / 1024;
+
+// Fingerprints at least this similar are treated as the same recording. Unrelated
+// tracks agree on about half the bits; re-encodes of one master on well over 90%.
+const MATCH_THRESHOLD = 0.8;
+
+// WAVE format tags
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+/**
+ * Parse a RIFF/WAVE buffer and locate its PCM samples.
+ * Chunks other than "fmt " and "data" do not affect the samples, so retagging a
+ * file does not change its fingerprint; LIST/INFO tags are returned separately.
+ * @param {Buffer} buffer WAV file contents
+ * @returns {{ channels: number, sampleRate: number, bitsPerSample: number, isFloat: boolean, dataOffset: number, dataLength: number, tags: Object<string, string> }}
+ */
+function parseWav(buffer) {
+  if (buffer.length < 12 || buffer.toString("ascii", 0, 4) !== "RIFF" || buffer.toString("ascii", 8, 12) !== "WAVE") {
+    throw new Error("Not a RIFF/WAVE file");
+  }
+
+  let format;
+  let data;
+  const tags = {};
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString("ascii", offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const bodyOffset = offset + 8;
+    const remaining = buffer.length - bodyOffset;
+    // Streamed WAVs (e.g. ffmpeg writing to a pipe) leave the size at 0xFFFFFFFF
+    if (size > remaining && size !== 0xffffffff) {
+      throw new Error(`WAV "${id}" chunk at byte ${offset} declares ${size} bytes but only ${remaining} remain`);
+    }
+    const bodyLength = Math.min(size, remaining);
+
+    if (id === "fmt ") {
+      if (bodyLength < 16) {
+        throw new Error(`WAV fmt chunk at byte ${offset} is ${bodyLength} bytes (expected at least 16)`);
+      }
+      let formatTag = buffer.readUInt16LE(bodyOffset);
+      if (formatTag === WAVE_FORMAT_EXTENSIBLE) {
+        if (bodyLength < 26) {
+          throw new Error(`WAV extensible fmt chunk at byte ${offset} is ${bodyLength} bytes (expected at least 26)`);
+        }
+        // The first two bytes of the sub-format GUID hold the actual format tag
+        formatTag = buffer.readUInt16LE(bodyOffset + 24);
+      }
+      format = {
+        formatTag,
+        channels: buffer.readUInt16LE(bodyOffset + 2),
+        sampleRate: buffer.readUInt32LE(bodyOffset + 4),
+        blockAlign: buffer.readUInt16LE(bodyOffset + 12),
+        bitsPerSample: buffer.readUInt16LE(bodyOffset + 14),
+      };
+    } else if (id === "data") {
+      data = { offset: bodyOffset, length: bodyLength };
+    } else if (id === "LIST" && bodyLength >= 4 && buffer.toString("ascii", bodyOffset, bodyOffset + 4) === "INFO") {
+      Object.assign(tags, parseInfoList(buffer, bodyOffset + 4, bodyOffset + bodyLength));
+    }
+
+    // Chunks are word aligned
+    offset = bodyOffset + bodyLength + (bodyLength % 2);
+  }
+
+  if (!format) {
+    throw new Error("WAV fmt chunk missing");
+  }
+  if (!data) {
+    throw new Error("WAV data chunk missing");
+  }
+  if (format.channels === 0 || format.sampleRate === 0) {
+    throw new Error("WAV fmt chunk has no channels or sample rate");
+  }
+
+  const isFloat = format.formatTag === WAVE_FORMAT_IEEE_FLOAT;
+  if (format.formatTag !== WAVE_FORMAT_PCM && !isFloat) {
+    throw new Error(`Unsupported WAV format tag 0x${format.formatTag.toString(16)}`);
+  }
+  const supportedBits = isFloat ? [32, 64] : [8, 16, 24, 32];
+  if (!supportedBits.includes(format.bitsPerSample)) {
+    throw new Error(`Unsupported WAV bit depth ${format.bitsPerSample}`);
+  }
+  if (format.blockAlign !== format.channels * (format.bitsPerSample / 8)) {
+    throw new Error("WAV block align does not match channels and bit depth");
+  }
+
+  return {
+    channels: format.channels,
+    sampleRate: format.sampleRate,
+    bitsPerSample: format.bitsPerSample,
+    isFloat,
+    dataOffset: data.offset,
+    // Ignore a trailing partial frame
+    dataLength: data.length - (data.length % format.blockAlign),
+    tags,
+  };
+}
+
+/**
+ * Read the sub-chunks of a LIST/INFO chunk (INAM, IART, ...) as strings
+ */
+function parseInfoList(buffer, start, end) {
+  const tags = {};
+  let offset = start;
+  while (offset + 8 <= end) {
+    const id = buffer.toString("ascii", offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    if (offset + 8 + size > end) {
+      throw new Error(`WAV INFO entry "${id}" at byte ${offset} overruns its LIST chunk`);
+    }
+    tags[id] = buffer.toString("utf8", offset + 8, offset + 8 + size).replace(/\0+$/, "").trim();
+    offset += 8 + size + (size % 2);
+  }
+  return tags;
+}
+
+/**
+ * Get a reader converting one sample to a float in [-1, 1)
+ */
+function sampleReader(bitsPerSample, isFloat) {
+  if (isFloat) {
+    return bitsPerSample === 32
+      ? (buffer, offset) => buffer.readFloatLE(offset)
+      : (buffer, offset) => buffer.readDoubleLE(offset);
+  }
+  switch (bitsPerSample) {
+    case 8:
+      return (buffer, offset) => (buffer.readUInt8(offset) - 128) / 128;
+    case 16:
+      return (buffer, offset) => buffer.readInt16LE(offset) / 32768;
+    case 24:
+      return (buffer, offset) => buffer.readIntLE(offset, 3) / 8388608;
+    default:
+      return (buffer, offset) => buffer.readInt32LE(offset) / 2147483648;
+  }
+}
+
+/**
+ * In-place radix-2 FFT of a power-of-two length signal
+ */
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const productRe = re[b] * cos - im[b] * sin;
+        const productIm = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - productRe;
+        im[b] = im[a] - productIm;
+        re[a] += productRe;
+        im[a] += productIm;
+      }
+    }
+  }
+}
+
+/**
+ * Compute the perceptual fingerprint of decoded WAV audio.
+ * Channels are mixed down to mono, leading and trailing silence is trimmed and
+ * the rest is split into SEGMENTS equal parts, so neither the sample rate, channel
+ * count, bit depth, container nor tags affect the result.
+ * @param {Buffer} buffer WAV file contents
+ * @returns {{ contentHash: string, channels: number, sampleRate: number, frames: number, duration: number }}
+ *   contentHash is the 256-bit fingerprint as 0x-prefixed hex; frames and duration
+ *   cover the audio left after trimming silence
+ */
+function fingerprintWav(buffer) {
+  const wav = parseWav(buffer);
+  const read = sampleReader(wav.bitsPerSample, wav.isFloat);
+  const bytesPerSample = wav.bitsPerSample / 8;
+  const frameSize = bytesPerSample * wav.channels;
+  const totalFrames = wav.dataLength / frameSize;
+
+  if (wav.sampleRate < 2 * MAX_FREQUENCY) {
+    throw new Error(`Sample rate ${wav.sampleRate} Hz is too low to fingerprint (needs at least ${2 * MAX_FREQUENCY} Hz)`);
+  }
+
+  const frameIsSilent = (frame) => {
+    const offset = wav.dataOffset + frame * frameSize;
+    for (let channel = 0; channel < wav.channels; channel++) {
+      if (Math.abs(read(buffer, offset + channel * bytesPerSample)) >= SILENCE_THRESHOLD) {
+        return false;
+      }
+    }
+    return true;
+  };
+  const mono = (frame) => {
+    const offset = wav.dataOffset + frame * frameSize;
+    let sum = 0;
+    for (let channel = 0; channel < wav.channels; channel++) {
+      sum += read(buffer, offset + channel * bytesPerSample);
+    }
+    return sum / wav.channels;
+  };
+
+  let first = 0;
+  while (first < totalFrames && frameIsSilent(first)) {
+    first++;
+  }
+  let end = totalFrames;
+  while (end > first && frameIsSilent(end - 1)) {
+    end--;
+  }
+  const frames = end - first;
+
+  // Analysis window of about 1/16 s, rounded down to a power of two
+  let windowSize = 1;
+  while (windowSize * 2 <= wav.sampleRate / 16) {
+    windowSize *= 2;
+  }
+  if (frames < SEGMENTS * windowSize) {
+    throw new Error(
+      `Audio is too short to fingerprint (${(frames / wav.sampleRate).toFixed(2)} s of sound, needs ${((SEGMENTS * windowSize) / wav.sampleRate).toFixed(2)} s)`
+    );
+  }
+
+  const bandEdges = Array.from({ length: BANDS + 1 }, (_, band) => MIN_FREQUENCY * Math.pow(MAX_FREQUENCY / MIN_FREQUENCY, band / BANDS));
+  const binBands = Array.from({ length: windowSize / 2 }, (_, bin) => {
+    const frequency = (bin * wav.sampleRate) / windowSize;
+    return bandEdges.findIndex((edge, band) => band < BANDS && frequency >= edge && frequency < bandEdges[band + 1]);
+  });
+  const hann = Array.from({ length: windowSize }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / windowSize));
+
+  // Mean energy per band over evenly spaced windows in each segment
+  const energies = [];
+  for (let segment = 0; segment < SEGMENTS; segment++) {
+    const segmentStart = first + Math.floor((frames * segment) / SEGMENTS);
+    const span = first + Math.floor((frames * (segment + 1)) / SEGMENTS) - segmentStart - windowSize;
+    const windows = Math.min(WINDOWS_PER_SEGMENT, Math.floor(span / (windowSize / 2)) + 1);
+    const energy = new Array(BANDS).fill(0);
+
+    for (let w = 0; w < windows; w++) {
+      const windowStart = segmentStart + (windows === 1 ? 0 : Math.floor((span * w) / (windows - 1)));
+      const re = new Float64Array(windowSize);
+      const im = new Float64Array(windowSize);
+      for (let i = 0; i < windowSize; i++) {
+        re[i] = mono(windowStart + i) * hann[i];
+      }
+      fft(re, im);
+      for (let bin = 1; bin < windowSize / 2; bin++) {
+        if (binBands[bin] >= 0) {
+          energy[binBands[bin]] += (re[bin] * re[bin] + im[bin] * im[bin]) / windows;
+        }
+      }
+    }
+    energies.push(energy);
+  }
+
+  const fingerprint = Buffer.alloc(((SEGMENTS - 1) * (BANDS - 1)) / 8);
+  let bit = 0;
+  for (let segment = 1; segment < SEGMENTS; segment++) {
+    for (let band = 0; band < BANDS - 1; band++) {
+      const change =
+        energies[segment][band] - energies[segment][band + 1] -
+        (energies[segment - 1][band] - energies[segment - 1][band + 1]);
+      if (change > 0) {
+        fingerprint[bit >> 3] |= 0x80 >> (bit & 7);
+      }
+      bit++;
+    }
+  }
+
+  return {
+    contentHash: "0x" + fingerprint.toString("hex"),
+    channels: wav.channels,
+    sampleRate: wav.sampleRate,
+    frames,
+    duration: frames / wav.sampleRate,
+  };
+}
+
+/**
+ * Fraction of bits two fingerprints agree on
+ * @param {string} a Fingerprint as 0x-prefixed hex
+ * @param {string} b Fingerprint as 0x-prefixed hex
+ * @returns {number} 1 for identical fingerprints, about 0.5 for unrelated tracks
+ */
+function fingerprintSimilarity(a, b) {
+  const left = Buffer.from(a.replace(/^0x/, ""), "hex");
+  const right = Buffer.from(b.replace(/^0x/, ""), "hex");
+  if (left.length !== right.length || left.length === 0) {
+    throw new Error("Fingerprints must be non-empty and the same length");
+  }
+
+  let differing = 0;
+  for (let i = 0; i < left.length; i++) {
+    for (let x = left[i] ^ right[i]; x; x &= x - 1) {
+      differing++;
+    }
+  }
+  return 1 - differing / (left.length * 8);
+}
+
+/**
+ * Check whether two fingerprints are of the same recording
+ * @param {string} a Fingerprint as 0x-prefixed hex
+ * @param {string} b Fingerprint as 0x-prefixed hex
+ * @param {number} [threshold] Minimum similarity, MATCH_THRESHOLD by default
+ * @returns {boolean}
+ */
+function isSameContent(a, b, threshold = MATCH_THRESHOLD) {
+  return fingerprintSimilarity(a, b) >= threshold;
+}
+
+/**
+ * Decode a compressed file (MP3, ...) to float WAV with ffmpeg.
+ * No MP3 decoder ships with this project, so ffmpeg must be on the PATH.
+ * @param {string} filePath Audio file to decode
+ * @returns {Buffer} WAV file contents
+ */
+function decodeWithFfmpeg(filePath) {
+  const result = spawnSync(
+    "ffmpeg",
+    ["-v", "error", "-i", filePath, "-map_metadata", "-1", "-f", "wav", "-acodec", "pcm_f32le", "-"],
+    { maxBuffer: 2 * 1024 * 1024 * 1024 }
+  );
+
+  if (result.error) {
+    if (result.error.code === "ENOENT") {
+      throw new Error("ffmpeg not found on PATH (required to decode non-WAV audio)");
+    }
+    throw result.error;
+  }
+  if (result.status !== 0) {
+    throw new Error(`ffmpeg failed to decode ${filePath}: ${result.stderr.toString().trim()}`);
+  }
+  return result.stdout;
+}
+
+/**
+ * Compute the perceptual fingerprint of a local audio file.
+ * WAV files are decoded directly; other formats are decoded with ffmpeg first.
+ * @param {string} filePath Audio file to fingerprint
+ * @returns {{ contentHash: string, channels: number, sampleRate: number, frames: number, duration: number }}
+ */
+function fingerprintFile(filePath) {
+  const buffer = fs.readFileSync(filePath);
+  const isWav = buffer.length >= 12 && buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WAVE";
+  return fingerprintWav(isWav ? buffer : decodeWithFfmpeg(filePath));
+}
+
+function main() {
+  const filePaths = process.argv.slice(2);
+
+  if (filePaths.length === 0) {
+    console.error("❌ Please provide at least one audio file:");
+    console.error("Usage: node scripts/audio-fingerprint.js <audio_file> [<audio_file> ...]");
+    process.exit(1);
+  }
+
+  // Files after the first are compared against it
+  let reference;
+  for (const filePath of filePaths) {
+    const fingerprint = fingerprintFile(filePath);
+    console.log(`🎵 ${path.basename(filePath)}`);
+    console.log("- Channels:", fingerprint.channels);
+    console.log("- Sample rate:", fingerprint.sampleRate, "Hz");
+    console.log("- Duration:", fingerprint.duration.toFixed(2), "s");
+    console.log("- Content hash:", fingerprint.contentHash);
+    if (reference) {
+      const similarity = fingerprintSimilarity(reference.contentHash, fingerprint.contentHash);
+      const verdict = similarity >= MATCH_THRESHOLD ? "same recording" : "different recording";
+      console.log(`- Similarity to ${path.basename(filePaths[0])}: ${(similarity * 100).toFixed(1)}% (${verdict})`);
+    }
+    console.log("");
+    reference = reference || fingerprint;
+  }
+}
+
+module.exports = {
+  MATCH_THRESHOLD,
+  parseWav,
+  fingerprintWav,
+  fingerprintFile,
+  fingerprintSimilarity,
+  isSameContent,
+};
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error("❌ Fingerprinting failed:", error.message);
+    process.exit(1);
+  }
+}
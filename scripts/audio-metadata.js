@@ -0,0 +1,475 @@
+const fs = require("fs");
+const path = require("path");
+const { parseWav } = require("./audio-fingerprint");
+
+// Containers accepted for each file extension
+const CONTAINERS_BY_EXTENSION = {
+  ".wav": "WAV",
+  ".mp3": "MP3",
+};
+
+// MPEG audio bitrates in kbps, by [version 1 or 2][layer]; index 0 is free format
+const MPEG_BITRATES = {
+  1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  },
+  2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  },
+};
+
+// MPEG audio sample rates in Hz, by version
+const MPEG_SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000],
+};
+
+// How far past the tags to look for the first MPEG frame
+const MAX_FRAME_SEARCH = 64 * 1024;
+
+// ID3v1 genre list, referenced by number from ID3v1 tags and "(n)" ID3v2 genres
+const ID3_GENRES = [
+  "Blues", "Classic Rock", "Country", "Dance", "Disco", "Funk", "Grunge", "Hip-Hop",
+  "Jazz", "Metal", "New Age", "Oldies", "Other", "Pop", "R&B", "Rap",
+  "Reggae", "Rock", "Techno", "Industrial", "Alternative", "Ska", "Death Metal", "Pranks",
+  "Soundtrack", "Euro-Techno", "Ambient", "Trip-Hop", "Vocal", "Jazz+Funk", "Fusion", "Trance",
+  "Classical", "Instrumental", "Acid", "House", "Game", "Sound Clip", "Gospel", "Noise",
+  "AlternRock", "Bass", "Soul", "Punk", "Space", "Meditative", "Instrumental Pop", "Instrumental Rock",
+  "Ethnic", "Gothic", "Darkwave", "Techno-Industrial", "Electronic", "Pop-Folk", "Eurodance", "Dream",
+  "Southern Rock", "Comedy", "Cult", "Gangsta", "Top 40", "Christian Rap", "Pop/Funk", "Jungle",
+  "Native American", "Cabaret", "New Wave", "Psychadelic", "Rave", "Showtunes", "Trailer", "Lo-Fi",
+  "Tribal", "Acid Punk", "Acid Jazz", "Polka", "Retro", "Musical", "Rock & Roll", "Hard Rock",
+];
+
+// ID3v2 text frames (v2.3/v2.4 and v2.2 IDs) mapped to tag names
+const ID3_TEXT_FRAMES = {
+  TIT2: "title",
+  TT2: "title",
+  TPE1: "artist",
+  TP1: "artist",
+  TALB: "album",
+  TAL: "album",
+  TCON: "genre",
+  TCO: "genre",
+  TDRC: "year",
+  TYER: "year",
+  TYE: "year",
+};
+
+// RIFF INFO entries mapped to tag names
+const WAV_INFO_TAGS = {
+  INAM: "title",
+  IART: "artist",
+  IPRD: "album",
+  IGNR: "genre",
+  ICRD: "year",
+};
+
+/**
+ * Identify the container of an audio buffer from its leading bytes
+ * @param {Buffer} buffer File contents
+ * @returns {string|null} "WAV", "MP3" or null if unrecognised
+ */
+function detectContainer(buffer) {
+  if (buffer.length >= 12 && buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WAVE") {
+    return "WAV";
+  }
+  if (buffer.length >= 3 && buffer.toString("latin1", 0, 3) === "ID3") {
+    return "MP3";
+  }
+  if (parseFrameHeader(buffer, 0)) {
+    return "MP3";
+  }
+  return null;
+}
+
+/**
+ * Parse a WAV file's format and LIST/INFO tags
+ * @param {Buffer} buffer WAV file contents
+ * @returns {{ container: string, duration: number, sampleRate: number, bitrate: number, channels: number, tags: Object<string, string> }}
+ */
+function parseWavInfo(buffer) {
+  const wav = parseWav(buffer);
+  const bitrate = wav.sampleRate * wav.channels * wav.bitsPerSample;
+
+  const tags = {};
+  for (const [id, name] of Object.entries(WAV_INFO_TAGS)) {
+    if (wav.tags[id]) {
+      tags[name] = wav.tags[id];
+    }
+  }
+
+  return {
+    container: "WAV",
+    duration: (wav.dataLength * 8) / bitrate,
+    sampleRate: wav.sampleRate,
+    bitrate,
+    channels: wav.channels,
+    tags,
+  };
+}
+
+/**
+ * Parse an MP3 file's first MPEG frame, VBR header and ID3 tags
+ * @param {Buffer} buffer MP3 file contents
+ * @returns {{ container: string, duration: number, sampleRate: number, bitrate: number, channels: number, tags: Object<string, string> }}
+ */
+function parseMp3Info(buffer) {
+  const id3v2 = parseId3v2(buffer);
+  const id3v1 = parseId3v1(buffer);
+  const audioEnd = buffer.length - (id3v1 ? 128 : 0);
+
+  const searchEnd = Math.min(audioEnd, id3v2.size + MAX_FRAME_SEARCH);
+  let frameOffset = id3v2.size;
+  let frame;
+  for (; frameOffset < searchEnd; frameOffset++) {
+    frame = parseFrameHeader(buffer, frameOffset);
+    // Require a second frame right after the first (or the end of the audio) to rule out false syncs
+    if (frame && (frameOffset + frame.length >= audioEnd || parseFrameHeader(buffer, frameOffset + frame.length))) {
+      break;
+    }
+    frame = null;
+  }
+  if (!frame) {
+    throw new Error(`No MPEG audio frame found between bytes ${id3v2.size} and ${searchEnd}`);
+  }
+
+  let duration;
+  let bitrate;
+  const audioBytes = audioEnd - frameOffset;
+  const vbr = parseVbrHeader(buffer, frameOffset, frame);
+  if (vbr && vbr.frames > 0) {
+    // The VBR header frame carries no audio
+    duration = (vbr.frames * frame.samplesPerFrame) / frame.sampleRate;
+    bitrate = Math.round(((vbr.bytes || audioBytes) * 8) / duration);
+  } else {
+    bitrate = frame.bitrate;
+    duration = (audioBytes * 8) / bitrate;
+  }
+
+  return {
+    container: "MP3",
+    duration,
+    sampleRate: frame.sampleRate,
+    bitrate,
+    channels: frame.channels,
+    // ID3v2 takes precedence over the older ID3v1 tag
+    tags: { ...(id3v1 || {}), ...id3v2.tags },
+  };
+}
+
+/**
+ * Parse an MPEG audio frame header
+ * @returns {Object|null} Frame details, or null if the bytes are not a valid header
+ */
+function parseFrameHeader(buffer, offset) {
+  if (offset + 4 > buffer.length || buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) {
+    return null;
+  }
+
+  const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+  const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  const padding = (buffer[offset + 2] >> 1) & 0x01;
+  const channelMode = buffer[offset + 3] >> 6;
+
+  // Reserved values; free-format bitrates are not supported
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+  const layer = 4 - layerBits;
+  const bitrate = MPEG_BITRATES[version === 1 ? 1 : 2][layer][bitrateIndex] * 1000;
+  const sampleRate = MPEG_SAMPLE_RATES[version][sampleRateIndex];
+  const samplesPerFrame = layer === 1 ? 384 : layer === 3 && version !== 1 ? 576 : 1152;
+  const length =
+    layer === 1
+      ? (Math.floor((12 * bitrate) / sampleRate) + padding) * 4
+      : Math.floor((samplesPerFrame / 8) * bitrate / sampleRate) + padding;
+
+  return {
+    version,
+    layer,
+    bitrate,
+    sampleRate,
+    samplesPerFrame,
+    length,
+    channels: channelMode === 3 ? 1 : 2,
+  };
+}
+
+/**
+ * Read the Xing/Info or VBRI header stored in the first frame of a VBR file
+ * @returns {{ frames: number, bytes: number }|null}
+ */
+function parseVbrHeader(buffer, frameOffset, frame) {
+  const sideInfo = frame.version === 1 ? (frame.channels === 1 ? 17 : 32) : frame.channels === 1 ? 9 : 17;
+  const xingOffset = frameOffset + 4 + sideInfo;
+  if (xingOffset + 16 <= buffer.length) {
+    const tag = buffer.toString("latin1", xingOffset, xingOffset + 4);
+    if (tag === "Xing" || tag === "Info") {
+      const flags = buffer.readUInt32BE(xingOffset + 4);
+      let offset = xingOffset + 8;
+      const frames = flags & 0x01 ? buffer.readUInt32BE(offset) : 0;
+      offset += flags & 0x01 ? 4 : 0;
+      const bytes = flags & 0x02 ? buffer.readUInt32BE(offset) : 0;
+      return { frames, bytes };
+    }
+  }
+
+  const vbriOffset = frameOffset + 4 + 32;
+  if (vbriOffset + 18 <= buffer.length && buffer.toString("latin1", vbriOffset, vbriOffset + 4) === "VBRI") {
+    return { frames: buffer.readUInt32BE(vbriOffset + 14), bytes: buffer.readUInt32BE(vbriOffset + 10) };
+  }
+
+  return null;
+}
+
+/**
+ * Parse a leading ID3v2 tag (v2.2 to v2.4)
+ * @returns {{ size: number, tags: Object<string, string> }} Total tag size in bytes and its text tags
+ */
+function parseId3v2(buffer) {
+  if (buffer.length < 10 || buffer.toString("latin1", 0, 3) !== "ID3") {
+    return { size: 0, tags: {} };
+  }
+
+  const major = buffer[3];
+  if (major < 2 || major > 4) {
+    throw new Error(`Unsupported ID3v2.${major} tag`);
+  }
+  const flags = buffer[5];
+  const size = readSyncsafe(buffer, 6, "ID3v2 tag size");
+  const tagEnd = 10 + size;
+  if (tagEnd > buffer.length) {
+    throw new Error(`ID3v2 tag declares ${size} bytes but only ${buffer.length - 10} remain`);
+  }
+
+  // Tag-level unsynchronisation (v2.2/v2.3) escapes 0xFF bytes throughout the tag
+  let body = buffer.subarray(10, tagEnd);
+  if (flags & 0x80 && major < 4) {
+    body = removeUnsynchronisation(body);
+  }
+
+  let offset = 0;
+  if (flags & 0x40 && major > 2) {
+    // Extended header: v2.3 stores its size excluding the size field, v2.4 including it
+    offset = major === 3 ? 4 + body.readUInt32BE(0) : readSyncsafe(body, 0, "ID3v2 extended header size");
+  }
+
+  const idLength = major === 2 ? 3 : 4;
+  const headerLength = major === 2 ? 6 : 10;
+  const tags = {};
+  while (offset + headerLength <= body.length && body[offset] !== 0) {
+    const id = body.toString("latin1", offset, offset + idLength);
+    if (!/^[A-Z0-9]+$/.test(id)) {
+      throw new Error(`Invalid ID3v2 frame ID at byte ${10 + offset}`);
+    }
+
+    let frameSize;
+    if (major === 2) {
+      frameSize = body.readUIntBE(offset + 3, 3);
+    } else if (major === 3) {
+      frameSize = body.readUInt32BE(offset + 4);
+    } else {
+      frameSize = readSyncsafe(body, offset + 4, `ID3v2 frame ${id} size`);
+    }
+    const dataStart = offset + headerLength;
+    if (dataStart + frameSize > body.length) {
+      throw new Error(`ID3v2 frame ${id} at byte ${10 + offset} overruns the tag`);
+    }
+
+    const name = ID3_TEXT_FRAMES[id];
+    if (name && frameSize > 0) {
+      let data = body.subarray(dataStart, dataStart + frameSize);
+      // v2.4 flags unsynchronisation per frame
+      if (major === 4 && body[offset + 9] & 0x02) {
+        data = removeUnsynchronisation(data);
+      }
+      const value = decodeId3Text(data);
+      if (value) {
+        tags[name] = name === "genre" ? resolveGenre(value) : value;
+      }
+    }
+
+    offset = dataStart + frameSize;
+  }
+
+  // A v2.4 footer repeats the header after the tag
+  return { size: tagEnd + (major === 4 && flags & 0x10 ? 10 : 0), tags };
+}
+
+/**
+ * Parse a trailing 128-byte ID3v1 tag
+ * @returns {Object<string, string>|null} Text tags, or null if there is no tag
+ */
+function parseId3v1(buffer) {
+  if (buffer.length < 128 || buffer.toString("latin1", buffer.length - 128, buffer.length - 125) !== "TAG") {
+    return null;
+  }
+
+  const start = buffer.length - 128;
+  const field = (from, to) => buffer.toString("latin1", start + from, start + to).replace(/\0.*$/s, "").trim();
+  const tags = {};
+  const values = {
+    title: field(3, 33),
+    artist: field(33, 63),
+    album: field(63, 93),
+    year: field(93, 97),
+    genre: ID3_GENRES[buffer[start + 127]] || "",
+  };
+  for (const [name, value] of Object.entries(values)) {
+    if (value) {
+      tags[name] = value;
+    }
+  }
+  return tags;
+}
+
+/**
+ * Decode an ID3v2 text frame, returning its first value
+ */
+function decodeId3Text(data) {
+  const encoding = data[0];
+  let bytes = data.subarray(1);
+  let text;
+
+  switch (encoding) {
+    case 0:
+      text = bytes.toString("latin1");
+      break;
+    case 1:
+    case 2: {
+      // UTF-16 with a byte order mark, or UTF-16BE without one
+      let bigEndian = encoding === 2;
+      if (bytes.length >= 2 && bytes[0] === 0xfe && bytes[1] === 0xff) {
+        bigEndian = true;
+        bytes = bytes.subarray(2);
+      } else if (bytes.length >= 2 && bytes[0] === 0xff && bytes[1] === 0xfe) {
+        bigEndian = false;
+        bytes = bytes.subarray(2);
+      }
+      bytes = Buffer.from(bytes.subarray(0, bytes.length - (bytes.length % 2)));
+      if (bigEndian) {
+        bytes.swap16();
+      }
+      text = bytes.toString("utf16le");
+      break;
+    }
+    case 3:
+      text = bytes.toString("utf8");
+      break;
+    default:
+      throw new Error(`Unknown ID3v2 text encoding ${encoding}`);
+  }
+
+  // v2.4 separates multiple values with null characters
+  return text.split("\0")[0].trim();
+}
+
+/**
+ * Resolve numeric ID3 genre references such as "(13)" or "13"
+ */
+function resolveGenre(value) {
+  const match = value.match(/^\((\d+)\)(.*)$/) || value.match(/^(\d+)()$/);
+  if (!match) {
+    return value;
+  }
+  return match[2].trim() || ID3_GENRES[Number(match[1])] || value;
+}
+
+/**
+ * Read a 28-bit syncsafe integer (7 bits per byte)
+ */
+function readSyncsafe(buffer, offset, description) {
+  let value = 0;
+  for (let i = 0; i < 4; i++) {
+    const byte = buffer[offset + i];
+    if (byte & 0x80) {
+      throw new Error(`${description} is not a syncsafe integer`);
+    }
+    value = (value << 7) | byte;
+  }
+  return value;
+}
+
+/**
+ * Undo ID3 unsynchronisation (0xFF 0x00 -> 0xFF)
+ */
+function removeUnsynchronisation(data) {
+  const out = Buffer.alloc(data.length);
+  let length = 0;
+  for (let i = 0; i < data.length; i++) {
+    out[length++] = data[i];
+    if (data[i] === 0xff && data[i + 1] === 0x00) {
+      i++;
+    }
+  }
+  return out.subarray(0, length);
+}
+
+/**
+ * Parse an audio file, checking that its extension matches its container
+ * @param {string} filePath WAV or MP3 file
+ * @returns {{ container: string, duration: number, sampleRate: number, bitrate: number, channels: number, tags: Object<string, string> }}
+ */
+function parseAudioFile(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  const expected = CONTAINERS_BY_EXTENSION[extension];
+  if (!expected) {
+    throw new Error(`Unsupported file extension "${extension}" (expected .wav or .mp3)`);
+  }
+
+  const buffer = fs.readFileSync(filePath);
+  const container = detectContainer(buffer);
+  if (!container) {
+    throw new Error(`${path.basename(filePath)} is not a RIFF/WAVE or MPEG audio file`);
+  }
+  if (container !== expected) {
+    throw new Error(`${path.basename(filePath)} has a ${extension} extension but contains ${container} audio`);
+  }
+
+  return container === "WAV" ? parseWavInfo(buffer) : parseMp3Info(buffer);
+}
+
+/**
+ * Build CryptoSoundsNFT AudioMetadata from parsed audio, with explicit values taking
+ * precedence over embedded tags
+ * @param {Object} info Result of parseAudioFile
+ * @param {Object} overrides AudioMetadata fields to set explicitly
+ * @param {string} [fallbackTitle] Title used when there is neither an override nor a tag
+ * @returns {Object} AudioMetadata
+ */
+function buildAudioMetadata(info, overrides = {}, fallbackTitle = "") {
+  const year = Number((info.tags.year || "").slice(0, 4));
+  const releaseDate = year > 1900 ? Date.UTC(year, 0, 1) / 1000 : Math.floor(Date.now() / 1000);
+
+  return {
+    title: overrides.title || info.tags.title || fallbackTitle,
+    artist: overrides.artist || info.tags.artist || "",
+    album: overrides.album || info.tags.album || "",
+    genre: overrides.genre || info.tags.genre || "",
+    // The contract stores whole seconds and requires a positive duration
+    duration: Math.max(1, Math.round(info.duration)),
+    audioFormat: info.container,
+    audioHash: overrides.audioHash || "",
+    coverImageHash: overrides.coverImageHash || "",
+    releaseDate: overrides.releaseDate || releaseDate,
+    isExplicit: Boolean(overrides.isExplicit),
+  };
+}
+
+module.exports = {
+  detectContainer,
+  parseAudioFile,
+  parseWavInfo,
+  parseMp3Info,
+  buildAudioMetadata,
+};
@@ -0,0 +1,159 @@
+const crypto = require("crypto");
+
+// Multicodec codes
+const RAW_CODEC = 0x55;
+const DAG_PB_CODEC = 0x70;
+const SHA2_256 = 0x12;
+
+// Defaults of `ipfs add --cid-version=1`: 256 KiB chunks, raw leaves, balanced DAG
+const CHUNK_SIZE = 262144;
+const MAX_LINKS = 174;
+
+// UnixFS node type for file data
+const UNIXFS_FILE = 2;
+
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+
+/**
+ * Encode bytes as RFC 4648 base32 (lowercase, unpadded)
+ */
+function base32(bytes) {
+  let output = "";
+  let value = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode unpadded RFC 4648 base32
+ */
+function fromBase32(text) {
+  const bytes = [];
+  let value = 0;
+  let bits = 0;
+  for (const char of text) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character "${char}"`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function varint(value) {
+  const bytes = [];
+  while (value >= 0x80) {
+    bytes.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+  return Buffer.from(bytes);
+}
+
+// Protobuf field encoders
+function varintField(field, value) {
+  return Buffer.concat([varint(field << 3), varint(value)]);
+}
+
+function bytesField(field, bytes) {
+  return Buffer.concat([varint((field << 3) | 2), varint(bytes.length), bytes]);
+}
+
+/**
+ * Binary CIDv1 with a sha2-256 multihash
+ */
+function cidBytes(codec, block) {
+  const digest = crypto.createHash("sha256").update(block).digest();
+  return Buffer.concat([varint(1), varint(codec), varint(SHA2_256), varint(digest.length), digest]);
+}
+
+/**
+ * Encode a dag-pb node holding UnixFS file data that links to its children
+ */
+function encodeFileNode(children) {
+  const unixfs = Buffer.concat([
+    varintField(1, UNIXFS_FILE),
+    varintField(3, children.reduce((total, child) => total + child.fileSize, 0)),
+    ...children.map((child) => varintField(4, child.fileSize)),
+  ]);
+
+  // Canonical dag-pb puts links (field 2) before data (field 1)
+  const links = children.map((child) =>
+    bytesField(2, Buffer.concat([bytesField(1, child.cid), bytesField(2, Buffer.alloc(0)), varintField(3, child.treeSize)]))
+  );
+  return Buffer.concat([...links, bytesField(1, unixfs)]);
+}
+
+/**
+ * Compute the CIDv1 IPFS assigns to a file added with `ipfs add --cid-version=1`.
+ * Files up to one chunk are a single raw block; larger files are a balanced DAG of
+ * raw leaves under UnixFS nodes.
+ * @param {Buffer} content File contents
+ * @returns {string} Base32 CIDv1 (bafk... for raw blocks, bafy... for dag-pb roots)
+ */
+function computeCid(content) {
+  let nodes = [];
+  const chunkCount = Math.max(1, Math.ceil(content.length / CHUNK_SIZE));
+  for (let i = 0; i < chunkCount; i++) {
+    const chunk = content.subarray(i * CHUNK_SIZE, (i + 1) * CHUNK_SIZE);
+    nodes.push({ cid: cidBytes(RAW_CODEC, chunk), fileSize: chunk.length, treeSize: chunk.length });
+  }
+
+  while (nodes.length > 1) {
+    const parents = [];
+    for (let i = 0; i < nodes.length; i += MAX_LINKS) {
+      const children = nodes.slice(i, i + MAX_LINKS);
+      const block = encodeFileNode(children);
+      parents.push({
+        cid: cidBytes(DAG_PB_CODEC, block),
+        fileSize: children.reduce((total, child) => total + child.fileSize, 0),
+        treeSize: block.length + children.reduce((total, child) => total + child.treeSize, 0),
+      });
+    }
+    nodes = parents;
+  }
+
+  return "b" + base32(nodes[0].cid);
+}
+
+/**
+ * Check that a string is a base32 CIDv1 with a sha2-256 multihash
+ * @param {string} cid CID to check
+ * @returns {boolean}
+ */
+function isCid(cid) {
+  if (typeof cid !== "string" || !/^b[a-z2-7]+$/.test(cid)) {
+    return false;
+  }
+  const bytes = fromBase32(cid.slice(1));
+  return (
+    bytes.length === 36 &&
+    bytes[0] === 1 &&
+    (bytes[1] === RAW_CODEC || bytes[1] === DAG_PB_CODEC) &&
+    bytes[2] === SHA2_256 &&
+    bytes[3] === 32
+  );
+}
+
+module.exports = {
+  CHUNK_SIZE,
+  computeCid,
+  isCid,
+};
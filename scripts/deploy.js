@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { ROLE_ENV, roleAssignmentsFromEnv, assignRoles } = require("./roles");
 
 async function main() {
   console.log("🎵 Deploying CryptoSounds NFT System...\n");
@@ -8,6 +9,9 @@ async function main() {
   console.log("Deploying contracts with the account:", deployer.address);
   console.log("Account balance:", ethers.formatEther(await deployer.provider.getBalance(deployer.address)), "ETH\n");
 
+  // Check role holders before deploying anything
+  const roleAssignments = roleAssignmentsFromEnv();
+
   // Deploy CryptoSoundsNFT
   console.log("📄 Deploying CryptoSoundsNFT...");
   const CryptoSoundsNFT = await ethers.getContractFactory("CryptoSoundsNFT");
@@ -20,9 +24,53 @@ async function main() {
   const nftAddress = await nftContract.getAddress();
   console.log("✅ CryptoSoundsNFT deployed to:", nftAddress);
 
+  // Deploy the on-chain metadata renderer
+  console.log("\n🎨 Deploying CryptoSoundsMetadataRenderer...");
+  const CryptoSoundsMetadataRenderer = await ethers.getContractFactory("CryptoSoundsMetadataRenderer");
+  const metadataRenderer = await CryptoSoundsMetadataRenderer.deploy();
+  await metadataRenderer.waitForDeployment();
+  const metadataRendererAddress = await metadataRenderer.getAddress();
+  console.log("✅ CryptoSoundsMetadataRenderer deployed to:", metadataRendererAddress);
+
+  // Deploy marketplace libraries
+  console.log("\n📚 Deploying AuctionLogic library...");
+  const AuctionLogic = await ethers.getContractFactory("AuctionLogic");
+  const auctionLogic = await AuctionLogic.deploy();
+  await auctionLogic.waitForDeployment();
+  const auctionLogicAddress = await auctionLogic.getAddress();
+  console.log("✅ AuctionLogic deployed to:", auctionLogicAddress);
+
+  console.log("\n📚 Deploying OfferLogic library...");
+  const OfferLogic = await ethers.getContractFactory("OfferLogic");
+  const offerLogic = await OfferLogic.deploy();
+  await offerLogic.waitForDeployment();
+  const offerLogicAddress = await offerLogic.getAddress();
+  console.log("✅ OfferLogic deployed to:", offerLogicAddress);
+
+  console.log("\n📚 Deploying ListingLogic library...");
+  const ListingLogic = await ethers.getContractFactory("ListingLogic");
+  const listingLogic = await ListingLogic.deploy();
+  await listingLogic.waitForDeployment();
+  const listingLogicAddress = await listingLogic.getAddress();
+  console.log("✅ ListingLogic deployed to:", listingLogicAddress);
+
+  console.log("\n📚 Deploying OrderLogic library...");
+  const OrderLogic = await ethers.getContractFactory("OrderLogic");
+  const orderLogic = await OrderLogic.deploy();
+  await orderLogic.waitForDeployment();
+  const orderLogicAddress = await orderLogic.getAddress();
+  console.log("✅ OrderLogic deployed to:", orderLogicAddress);
+
   // Deploy CryptoSoundsMarketplace
   console.log("\n🏪 Deploying CryptoSoundsMarketplace...");
-  const CryptoSoundsMarketplace = await ethers.getContractFactory("CryptoSoundsMarketplace");
+  const CryptoSoundsMarketplace = await ethers.getContractFactory("CryptoSoundsMarketplace", {
+    libraries: {
+      AuctionLogic: auctionLogicAddress,
+      OfferLogic: offerLogicAddress,
+      ListingLogic: listingLogicAddress,
+      OrderLogic: orderLogicAddress
+    }
+  });
   const marketplaceContract = await CryptoSoundsMarketplace.deploy(
     deployer.address // fee recipient
   );
@@ -43,10 +91,25 @@ async function main() {
   // Configure contracts
   console.log("\n⚙️  Configuring contracts...");
   
+  // Build token URIs on-chain from audio metadata when requested
+  const onChainMetadata = process.env.ONCHAIN_METADATA === "true";
+  if (onChainMetadata) {
+    await nftContract.setMetadataRenderer(metadataRendererAddress);
+    console.log("✅ NFT token URIs rendered on-chain");
+  }
+
   // Set marketplace fee to 2.5%
   await marketplaceContract.setMarketplaceFee(250);
   console.log("✅ Marketplace fee set to 2.5%");
 
+  // Route marketplace royalty payouts through the royalty contract
+  await marketplaceContract.setRoyaltyManager(royaltyAddress);
+  console.log("✅ Marketplace royalty manager set to CryptoSoundsRoyalty");
+
+  // Count marketplace sales towards royalty volume tiers
+  await royaltyContract.grantRole(await royaltyContract.MARKETPLACE_ROLE(), marketplaceAddress);
+  console.log("✅ Marketplace granted MARKETPLACE_ROLE on CryptoSoundsRoyalty");
+
   // Set royalty platform fee to 0.25%
   await royaltyContract.setPlatformFee(25);
   console.log("✅ Royalty platform fee set to 0.25%");
@@ -55,18 +118,44 @@ async function main() {
   await royaltyContract.setMaxTotalPercentage(1000);
   console.log("✅ Max total royalty set to 10%");
 
+  // Hand the admin roles to their own addresses
+  console.log("\n🔑 Assigning roles...");
+  const roles = {};
+  const keptRoles = new Set();
+  for (const [name, contract] of [
+    ["CryptoSoundsNFT", nftContract],
+    ["CryptoSoundsMarketplace", marketplaceContract],
+    ["CryptoSoundsRoyalty", royaltyContract]
+  ]) {
+    const { assigned, kept } = await assignRoles(contract, roleAssignments, deployer);
+    roles[name] = assigned;
+    kept.forEach((role) => keptRoles.add(role));
+    for (const [role, holder] of Object.entries(assigned)) {
+      console.log(`✅ ${name} ${role} granted to ${holder}`);
+    }
+  }
+  for (const role of keptRoles) {
+    console.log(`⚠️  ${role} stays with the deployer (set ${ROLE_ENV[role]} to hand it over)`);
+  }
+
   // Display deployment summary
   console.log("\n🎉 Deployment Summary:");
   console.log("====================");
   console.log("CryptoSoundsNFT:", nftAddress);
   console.log("CryptoSoundsMarketplace:", marketplaceAddress);
   console.log("CryptoSoundsRoyalty:", royaltyAddress);
+  console.log("CryptoSoundsMetadataRenderer:", metadataRendererAddress);
+  console.log("AuctionLogic:", auctionLogicAddress);
+  console.log("OfferLogic:", offerLogicAddress);
+  console.log("ListingLogic:", listingLogicAddress);
+  console.log("OrderLogic:", orderLogicAddress);
   console.log("\n📋 Contract Configuration:");
   console.log("- NFT Name: CryptoSounds");
   console.log("- NFT Symbol: CSND");
   console.log("- Max Supply: 10,000");
   console.log("- Mint Price: 0.1 ETH");
   console.log("- Max Mints per Wallet: 5");
+  console.log("- On-chain Metadata:", onChainMetadata ? "enabled" : "disabled");
   console.log("- Marketplace Fee: 2.5%");
   console.log("- Platform Fee: 0.25%");
   console.log("- Max Royalty: 10%");
@@ -76,10 +165,16 @@ async function main() {
     network: await ethers.provider.getNetwork(),
     timestamp: new Date().toISOString(),
     deployer: deployer.address,
+    roles,
     contracts: {
       CryptoSoundsNFT: nftAddress,
       CryptoSoundsMarketplace: marketplaceAddress,
-      CryptoSoundsRoyalty: royaltyAddress
+      CryptoSoundsRoyalty: royaltyAddress,
+      CryptoSoundsMetadataRenderer: metadataRendererAddress,
+      AuctionLogic: auctionLogicAddress,
+      OfferLogic: offerLogicAddress,
+      ListingLogic: listingLogicAddress,
+      OrderLogic: orderLogicAddress
     },
     configuration: {
       nftName: "CryptoSounds",
@@ -87,6 +182,7 @@ async function main() {
       maxSupply: 10000,
       mintPrice: "0.1",
       maxMintsPerWallet: 5,
+      onChainMetadata,
       marketplaceFee: "2.5%",
       platformFee: "0.25%",
       maxRoyalty: "10%"
@@ -26,8 +26,8 @@ async function main() {
   const CryptoSoundsNFT = await ethers.getContractFactory("CryptoSoundsNFT");
   const nftContract = CryptoSoundsNFT.attach(nftAddress);
 
-  const CryptoSoundsMarketplace = await ethers.getContractFactory("CryptoSoundsMarketplace");
-  const marketplace = CryptoSoundsMarketplace.attach(marketplaceAddress);
+  // The marketplace links AuctionLogic, so attach by ABI rather than through a factory
+  const marketplace = await ethers.getContractAt("CryptoSoundsMarketplace", marketplaceAddress);
 
   try {
     // Step 1: Mint an NFT for the seller
@@ -67,6 +67,7 @@ async function main() {
     const listTx = await marketplace.connect(seller).listItem(
       nftAddress,
       tokenId,
+      ethers.ZeroAddress,
       listingPrice,
       0, // no expiration
       { value: listingFee }
@@ -86,6 +87,9 @@ async function main() {
     console.log(`✅ NFT listed with ID: ${listingId}`);
     console.log(`   Price: ${ethers.formatEther(listingPrice)} ETH`);
 
+    const [activeListingId] = await marketplace.getActiveListing(nftAddress, tokenId);
+    console.log(`   Active listing for token ${tokenId}: ${activeListingId}`);
+
     // Step 3: Make an offer
     console.log("\n💰 Step 3: Making an offer...");
     const offerAmount = ethers.parseEther("0.4");
@@ -93,6 +97,7 @@ async function main() {
     const offerTx = await marketplace.connect(bidder).makeOffer(
       nftAddress,
       tokenId,
+      ethers.ZeroAddress,
       offerAmount,
       0, // no expiration
       { value: offerAmount }
@@ -200,6 +205,10 @@ async function main() {
     await marketplace.connect(bidder).placeBid(auctionId, { value: bid2Amount });
     console.log(`✅ Bid 2 placed: ${ethers.formatEther(bid2Amount)} ETH`);
 
+    // The outbid bidder withdraws their credited bid
+    await marketplace.connect(buyer).withdrawPendingReturns(ethers.ZeroAddress);
+    console.log(`✅ Outbid funds withdrawn: ${ethers.formatEther(bid1Amount)} ETH`);
+
     // Step 7: End auction
     console.log("\n🏁 Step 7: Ending auction...");
     
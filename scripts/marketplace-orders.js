@@ -0,0 +1,157 @@
+const { ethers } = require("ethers");
+
+/**
+ * Helpers for off-chain EIP-712 orders filled by CryptoSoundsMarketplace
+ * (`fillSignedListing` / `fillSignedOffer`). Works with any ethers v6 signer.
+ */
+
+// Must match OrderSide in OrderLogic.sol
+const OrderSide = {
+  Sell: 0,
+  Buy: 1
+};
+
+// Must match ORDER_TYPEHASH in OrderLogic.sol
+const ORDER_TYPES = {
+  Order: [
+    { name: "side", type: "uint8" },
+    { name: "maker", type: "address" },
+    { name: "nftContract", type: "address" },
+    { name: "tokenId", type: "uint256" },
+    { name: "paymentToken", type: "address" },
+    { name: "price", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "counter", type: "uint256" },
+    { name: "expirationTime", type: "uint256" }
+  ]
+};
+
+/**
+ * Build the EIP-712 domain of a deployed marketplace
+ * @param {import("ethers").Contract} marketplace Marketplace contract instance
+ * @returns {Promise<import("ethers").TypedDataDomain>}
+ */
+async function getOrderDomain(marketplace) {
+  const network = await marketplace.runner.provider.getNetwork();
+
+  return {
+    name: "CryptoSoundsMarketplace",
+    version: "1",
+    chainId: network.chainId,
+    verifyingContract: await marketplace.getAddress()
+  };
+}
+
+/**
+ * Build an order for a maker, reading their current counter from the marketplace
+ * @param {import("ethers").Contract} marketplace Marketplace contract instance
+ * @param {object} params Order fields; paymentToken defaults to ETH (zero address),
+ *   nonce to a random value and expirationTime to 0 (no expiration)
+ * @returns {Promise<object>} Order ready to be signed
+ */
+async function buildOrder(marketplace, params) {
+  const { side, maker, nftContract, tokenId, price } = params;
+  const paymentToken = params.paymentToken || ethers.ZeroAddress;
+
+  if (side !== OrderSide.Sell && side !== OrderSide.Buy) {
+    throw new Error(`Invalid order side: ${side}`);
+  }
+  if (!ethers.isAddress(maker) || !ethers.isAddress(nftContract) || !ethers.isAddress(paymentToken)) {
+    throw new Error("Order maker, nftContract and paymentToken must be addresses");
+  }
+  if (BigInt(price) <= 0n) {
+    throw new Error("Order price must be greater than 0");
+  }
+
+  return {
+    side,
+    maker,
+    nftContract,
+    tokenId: BigInt(tokenId),
+    paymentToken,
+    price: BigInt(price),
+    nonce: params.nonce !== undefined ? BigInt(params.nonce) : BigInt(ethers.hexlify(ethers.randomBytes(16))),
+    counter: params.counter !== undefined ? BigInt(params.counter) : await marketplace.orderCounters(maker),
+    expirationTime: BigInt(params.expirationTime || 0)
+  };
+}
+
+/**
+ * Sign an order with the maker's signer
+ * @param {import("ethers").Signer} signer Signer for order.maker
+ * @param {import("ethers").Contract} marketplace Marketplace contract instance
+ * @param {object} order Order built with buildOrder
+ * @returns {Promise<string>} EIP-712 signature
+ */
+async function signOrder(signer, marketplace, order) {
+  const signerAddress = await signer.getAddress();
+  if (signerAddress.toLowerCase() !== order.maker.toLowerCase()) {
+    throw new Error(`Signer ${signerAddress} is not the order maker ${order.maker}`);
+  }
+
+  const domain = await getOrderDomain(marketplace);
+  return signer.signTypedData(domain, ORDER_TYPES, order);
+}
+
+/**
+ * Compute the EIP-712 digest of an order, matching `hashOrder` on-chain
+ * @param {import("ethers").TypedDataDomain} domain Domain from getOrderDomain
+ * @param {object} order Order to hash
+ * @returns {string} Order hash
+ */
+function hashOrder(domain, order) {
+  return ethers.TypedDataEncoder.hash(domain, ORDER_TYPES, order);
+}
+
+/**
+ * Check whether a signed order can currently be filled
+ * @param {import("ethers").Contract} marketplace Marketplace contract instance
+ * @param {object} order Signed order
+ * @param {string} signature EIP-712 signature
+ * @returns {Promise<{valid: boolean, reason: string|null}>}
+ */
+async function validateOrder(marketplace, order, signature) {
+  const domain = await getOrderDomain(marketplace);
+
+  let signer;
+  try {
+    signer = ethers.verifyTypedData(domain, ORDER_TYPES, order, signature);
+  } catch (e) {
+    return { valid: false, reason: "Malformed signature" };
+  }
+  if (signer.toLowerCase() !== order.maker.toLowerCase()) {
+    return { valid: false, reason: "Invalid signature" };
+  }
+
+  const block = await marketplace.runner.provider.getBlock("latest");
+  if (order.expirationTime > 0n && BigInt(block.timestamp) > order.expirationTime) {
+    return { valid: false, reason: "Order expired" };
+  }
+  if ((await marketplace.orderCounters(order.maker)) !== order.counter) {
+    return { valid: false, reason: "Order cancelled" };
+  }
+  if (await marketplace.usedOrderNonces(order.maker, order.nonce)) {
+    return { valid: false, reason: "Order nonce used" };
+  }
+  if (order.paymentToken !== ethers.ZeroAddress && !(await marketplace.paymentTokens(order.paymentToken))) {
+    return { valid: false, reason: "Payment token not allowed" };
+  }
+  if (
+    order.side === OrderSide.Buy &&
+    (await marketplace.offerDeposits(order.maker, order.paymentToken)) < order.price
+  ) {
+    return { valid: false, reason: "Insufficient offer deposit" };
+  }
+
+  return { valid: true, reason: null };
+}
+
+module.exports = {
+  OrderSide,
+  ORDER_TYPES,
+  getOrderDomain,
+  buildOrder,
+  signOrder,
+  hashOrder,
+  validateOrder
+};
@@ -1,4 +1,6 @@
 const { ethers } = require("hardhat");
+const { createStore } = require("./storage");
+const { buildTokenMetadata } = require("./token-metadata");
 
 async function main() {
   console.log("🎵 CryptoSounds NFT Minting Example\n");
@@ -35,8 +37,11 @@ async function main() {
     isExplicit: false
   };
 
-  // Example token URI (IPFS metadata)
-  const tokenURI = "https://ipfs.io/ipfs/QmExampleMetadataHash";
+  // Upload the token metadata JSON to the configured store (STORAGE_BACKEND, see README);
+  // use `npx hardhat mint-audio` to upload and mint a real audio file
+  const store = createStore();
+  const { uri: tokenURI } = await store.put(Buffer.from(JSON.stringify(buildTokenMetadata(audioMetadata), null, 2)));
+  console.log("Token URI:", tokenURI);
 
   try {
     // Check if we have enough ETH for minting
@@ -109,6 +114,8 @@ async function main() {
       console.error("💡 The maximum supply of NFTs has been reached");
     } else if (error.message.includes("Audio already minted")) {
       console.error("💡 This audio file has already been minted as an NFT");
+    } else if (error.message.includes("Content already minted")) {
+      console.error("💡 This recording has already been minted as an NFT under a different file");
     } else if (error.message.includes("Max mints per wallet exceeded")) {
       console.error("💡 You have reached the maximum number of mints per wallet");
     }
@@ -0,0 +1,81 @@
+const { ethers } = require("ethers");
+
+// Access control roles, with the environment variable naming each holder.
+// DEFAULT_ADMIN_ROLE comes last: the deployer needs it to grant the others.
+const ROLE_ENV = {
+  MINTER_ROLE: "MINTER_ADDRESS",
+  PAUSER_ROLE: "PAUSER_ADDRESS",
+  FEE_MANAGER_ROLE: "FEE_MANAGER_ADDRESS",
+  TREASURER_ROLE: "TREASURER_ADDRESS",
+  CURATOR_ROLE: "CURATOR_ADDRESS",
+  DEFAULT_ADMIN_ROLE: "ADMIN_ADDRESS",
+};
+
+/**
+ * Read the role holders from the environment. Every configured address must be
+ * distinct, so that no single key holds two roles.
+ * @param {Object} [env] Environment variables
+ * @returns {Object<string, string>} Holder address by role name (unset roles are left out)
+ */
+function roleAssignmentsFromEnv(env = process.env) {
+  const assignments = {};
+  const roleByHolder = new Map();
+
+  for (const [role, variable] of Object.entries(ROLE_ENV)) {
+    const value = env[variable];
+    if (!value) {
+      continue;
+    }
+    if (!ethers.isAddress(value)) {
+      throw new Error(`${variable} is not an address: "${value}"`);
+    }
+
+    const holder = ethers.getAddress(value);
+    if (roleByHolder.has(holder)) {
+      throw new Error(`${variable} and ${ROLE_ENV[roleByHolder.get(holder)]} must be different addresses`);
+    }
+    roleByHolder.set(holder, role);
+    assignments[role] = holder;
+  }
+
+  return assignments;
+}
+
+/**
+ * Hand each role a contract defines to its assigned holder and renounce the
+ * deployer's copy. Roles without a holder (or assigned to the deployer) stay
+ * with the deployer.
+ * @param {Contract} contract AccessControl contract connected to the deployer
+ * @param {Object<string, string>} assignments Holder address by role name
+ * @param {Signer} deployer Account that deployed the contract
+ * @returns {Promise<{ assigned: Object<string, string>, kept: string[] }>}
+ */
+async function assignRoles(contract, assignments, deployer) {
+  const assigned = {};
+  const kept = [];
+
+  for (const name of Object.keys(ROLE_ENV)) {
+    if (!contract.interface.getFunction(name)) {
+      continue;
+    }
+
+    const holder = assignments[name];
+    if (!holder || ethers.getAddress(holder) === deployer.address) {
+      kept.push(name);
+      continue;
+    }
+
+    const role = await contract[name]();
+    await (await contract.grantRole(role, holder)).wait();
+    await (await contract.renounceRole(role, deployer.address)).wait();
+    assigned[name] = holder;
+  }
+
+  return { assigned, kept };
+}
+
+module.exports = {
+  ROLE_ENV,
+  roleAssignmentsFromEnv,
+  assignRoles,
+};
@@ -0,0 +1,167 @@
+const { ethers } = require("ethers");
+
+/**
+ * Helpers for CryptoSoundsRoyalty split governance: building splits and signing the
+ * EIP-712 approvals recipients give for `changeTokenRoyalty` and `lockTokenRoyalty`.
+ * Works with any ethers v6 signer.
+ */
+
+// Must match ROYALTY_CHANGE_TYPEHASH in CryptoSoundsRoyalty.sol
+const ROYALTY_CHANGE_TYPES = {
+  RoyaltyChange: [
+    { name: "nftContract", type: "address" },
+    { name: "tokenId", type: "uint256" },
+    { name: "royaltyId", type: "bytes32" },
+    { name: "splitHash", type: "bytes32" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+// Must match ROYALTY_LOCK_TYPEHASH in CryptoSoundsRoyalty.sol
+const ROYALTY_LOCK_TYPES = {
+  RoyaltyLock: [
+    { name: "nftContract", type: "address" },
+    { name: "tokenId", type: "uint256" },
+    { name: "royaltyId", type: "bytes32" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+// Must match the fields hashRoyaltySplit encodes
+const SPLIT_ENCODING = [
+  "address[]",
+  "uint96[]",
+  "string[]",
+  "tuple(uint64 startTime, uint64 endTime, uint256 minVolume, uint256 maxVolume, address volumeToken)[]",
+  "uint256"
+];
+
+// Window of a share that always applies
+const ALWAYS = { startTime: 0, endTime: 0, minVolume: 0, maxVolume: 0, volumeToken: ethers.ZeroAddress };
+
+/**
+ * Build the EIP-712 domain of a deployed royalty contract
+ * @param {import("ethers").Contract} royalty Royalty contract instance
+ * @returns {Promise<import("ethers").TypedDataDomain>}
+ */
+async function getRoyaltyDomain(royalty) {
+  const network = await royalty.runner.provider.getNetwork();
+
+  return {
+    name: "CryptoSoundsRoyalty",
+    version: "1",
+    chainId: network.chainId,
+    verifyingContract: await royalty.getAddress()
+  };
+}
+
+/**
+ * Build a split for setScheduledTokenRoyalty or changeTokenRoyalty
+ * @param {object} params recipients, percentages and roles; windows default to ALWAYS
+ *   and changeThreshold to 0 (a majority of recipients)
+ * @returns {object} RoyaltySplit
+ */
+function buildRoyaltySplit(params) {
+  const { recipients, percentages, roles } = params;
+  const windows = params.windows || recipients.map(() => ALWAYS);
+
+  if (percentages.length !== recipients.length || roles.length !== recipients.length || windows.length !== recipients.length) {
+    throw new Error("Split recipients, percentages, roles and windows must have the same length");
+  }
+
+  return {
+    recipients,
+    percentages: percentages.map(BigInt),
+    roles,
+    windows: windows.map((window) => ({ ...ALWAYS, ...window })),
+    changeThreshold: BigInt(params.changeThreshold || 0)
+  };
+}
+
+/**
+ * Hash a split, matching `hashRoyaltySplit` on-chain
+ * @param {object} split Split built with buildRoyaltySplit
+ * @returns {string} Split hash
+ */
+function hashRoyaltySplit(split) {
+  const windows = split.windows.map((window) => [
+    window.startTime,
+    window.endTime,
+    window.minVolume,
+    window.maxVolume,
+    window.volumeToken
+  ]);
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(SPLIT_ENCODING, [
+      split.recipients,
+      split.percentages,
+      split.roles,
+      windows,
+      split.changeThreshold
+    ])
+  );
+}
+
+/**
+ * Read the split in effect for a token and its nonce, which every approval names
+ * @param {import("ethers").Contract} royalty Royalty contract instance
+ * @param {string} nftContract Address of the NFT contract
+ * @param {bigint|number} tokenId Token ID
+ * @returns {Promise<{ royaltyId: string, nonce: bigint }>}
+ */
+async function getApprovalTarget(royalty, nftContract, tokenId) {
+  const royaltyId = await royalty.royaltyIdOf(nftContract, tokenId);
+  return { royaltyId, nonce: await royalty.royaltyNonces(royaltyId) };
+}
+
+/**
+ * Approve replacing the split in effect for a token with a new one. The approval
+ * is only valid for this token and until the split's next change or lock.
+ * @param {import("ethers").Signer} signer Recipient of the split in effect
+ * @param {import("ethers").Contract} royalty Royalty contract instance
+ * @param {string} nftContract Address of the NFT contract
+ * @param {bigint|number} tokenId Token ID
+ * @param {object} split New split built with buildRoyaltySplit
+ * @param {bigint|number} deadline Time after which the approval is no longer valid
+ * @returns {Promise<string>} EIP-712 signature
+ */
+async function signRoyaltyChange(signer, royalty, nftContract, tokenId, split, deadline) {
+  const domain = await getRoyaltyDomain(royalty);
+  const { royaltyId, nonce } = await getApprovalTarget(royalty, nftContract, tokenId);
+  return signer.signTypedData(domain, ROYALTY_CHANGE_TYPES, {
+    nftContract,
+    tokenId,
+    royaltyId,
+    splitHash: hashRoyaltySplit(split),
+    nonce,
+    deadline
+  });
+}
+
+/**
+ * Approve permanently locking the split in effect for a token
+ * @param {import("ethers").Signer} signer Recipient of the split in effect
+ * @param {import("ethers").Contract} royalty Royalty contract instance
+ * @param {string} nftContract Address of the NFT contract
+ * @param {bigint|number} tokenId Token ID
+ * @param {bigint|number} deadline Time after which the approval is no longer valid
+ * @returns {Promise<string>} EIP-712 signature
+ */
+async function signRoyaltyLock(signer, royalty, nftContract, tokenId, deadline) {
+  const domain = await getRoyaltyDomain(royalty);
+  const { royaltyId, nonce } = await getApprovalTarget(royalty, nftContract, tokenId);
+  return signer.signTypedData(domain, ROYALTY_LOCK_TYPES, { nftContract, tokenId, royaltyId, nonce, deadline });
+}
+
+module.exports = {
+  ROYALTY_CHANGE_TYPES,
+  ROYALTY_LOCK_TYPES,
+  ALWAYS,
+  getRoyaltyDomain,
+  buildRoyaltySplit,
+  hashRoyaltySplit,
+  signRoyaltyChange,
+  signRoyaltyLock
+};
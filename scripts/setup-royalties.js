@@ -30,6 +30,13 @@ async function main() {
     const tokenOwner = await nftContract.ownerOf(tokenId);
     console.log(`Token ${tokenId} owner:`, tokenOwner);
 
+    // Only the account that minted the token can set its first split
+    const creator = await nftContract.tokenCreator(tokenId);
+    console.log(`Token ${tokenId} creator:`, creator);
+    if (creator !== signer.address) {
+      throw new Error(`Royalty splits are set by the token's creator (${creator})`);
+    }
+
     // Example royalty setup for different scenarios
     const scenarios = [
       {
@@ -80,6 +87,12 @@ async function main() {
       console.log(`${scenario.roles[i]}: ${scenario.recipients[i]} (${scenario.percentages[i] / 100}%)`);
     }
 
+    // The split takes effect once every other recipient has accepted it
+    if ((await royaltyContract.tokenToRoyaltyId(nftAddress, tokenId)) === ethers.ZeroHash) {
+      console.log("\n⏳ Split proposed. Each other recipient must call acceptTokenRoyalty(nftAddress, tokenId).");
+      return;
+    }
+
     // Get and display calculated royalties for a 1 ETH sale
     const salePrice = ethers.parseEther("1");
     const [totalRoyalty, platformFee, remaining] = await royaltyContract.calculateRoyalty(
@@ -94,28 +107,38 @@ async function main() {
     console.log(`Platform Fee: ${ethers.formatEther(platformFee)} ETH`);
     console.log(`Remaining: ${ethers.formatEther(remaining)} ETH`);
 
-    // Test royalty distribution
+    // Test royalty distribution: the royalty and platform fee of a 0.1 ETH sale are
+    // credited to the recipients, who claim them later
     console.log("\n🧪 Testing royalty distribution...");
     const testAmount = ethers.parseEther("0.1"); // 0.1 ETH test
+    const [testRoyalty, testPlatformFee] = await royaltyContract.calculateRoyalty(nftAddress, tokenId, testAmount);
     
     const distributeTx = await royaltyContract.distributeRoyalties(
       nftAddress,
       tokenId,
       testAmount,
-      { value: testAmount }
+      { value: testRoyalty + testPlatformFee }
     );
 
     console.log("⏳ Distribution transaction submitted:", distributeTx.hash);
     const distributeReceipt = await distributeTx.wait();
     console.log("✅ Royalty distribution confirmed in block:", distributeReceipt.blockNumber);
 
+    console.log("\n💰 Unclaimed Royalties:");
+    for (let i = 0; i < scenario.recipients.length; i++) {
+      const balance = await royaltyContract.royaltyBalances(ethers.ZeroAddress, scenario.recipients[i]);
+      console.log(`${scenario.roles[i]}: ${ethers.formatEther(balance)} ETH`);
+    }
+
     console.log("\n🎉 Royalty setup completed successfully!");
 
   } catch (error) {
     console.error("❌ Royalty setup failed:", error.message);
     
-    if (error.message.includes("Not authorized")) {
+    if (error.message.includes("NotAuthorized")) {
       console.error("💡 Make sure you own the NFT or are approved to manage it");
+    } else if (error.message.includes("RoyaltyAlreadySet")) {
+      console.error("💡 The token already has a split; changes need its recipients' approval (changeTokenRoyalty)");
     } else if (error.message.includes("Total percentage too high")) {
       console.error("💡 Total royalty percentage cannot exceed 10%");
     } else if (error.message.includes("Percentage too high")) {
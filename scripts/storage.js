@@ -0,0 +1,180 @@
+const fs = require("fs");
+const path = require("path");
+const { computeCid, isCid } = require("./cid");
+
+/**
+ * Content-addressed store writing blobs to a local directory, named by their CID.
+ * Stands in for IPFS during development and tests: CIDs are the ones IPFS assigns
+ * to the same bytes, so URIs stay valid after switching to IpfsHttpStore.
+ */
+class FileSystemStore {
+  /**
+   * @param {string} directory Directory holding the stored blobs
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * Store a blob
+   * @param {Buffer} content Bytes to store
+   * @returns {Promise<{ cid: string, uri: string, size: number }>}
+   */
+  async put(content) {
+    const cid = computeCid(content);
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(this._path(cid), content);
+    return { cid, uri: `ipfs://${cid}`, size: content.length };
+  }
+
+  /**
+   * Read a blob, checking that it still matches its CID
+   * @param {string} cid CID of the blob
+   * @returns {Promise<Buffer>}
+   */
+  async get(cid) {
+    if (!(await this.has(cid))) {
+      throw new Error(`${cid} not found in ${this.directory}`);
+    }
+    const content = fs.readFileSync(this._path(cid));
+    if (computeCid(content) !== cid) {
+      throw new Error(`Stored content for ${cid} does not match its CID`);
+    }
+    return content;
+  }
+
+  /**
+   * Check whether a blob is stored
+   * @param {string} cid CID of the blob
+   * @returns {Promise<boolean>}
+   */
+  async has(cid) {
+    return isCid(cid) && fs.existsSync(this._path(cid));
+  }
+
+  _path(cid) {
+    if (!isCid(cid)) {
+      throw new Error(`Invalid CID "${cid}"`);
+    }
+    return path.join(this.directory, cid);
+  }
+}
+
+/**
+ * Content-addressed store backed by an IPFS node or pinning service exposing the
+ * Kubo RPC API (/api/v0/add, /api/v0/cat).
+ */
+class IpfsHttpStore {
+  /**
+   * @param {string} apiUrl Base URL of the RPC API (e.g. http://127.0.0.1:5001)
+   * @param {Object<string, string>} [headers] Extra request headers (e.g. Authorization)
+   */
+  constructor(apiUrl, headers = {}) {
+    this.apiUrl = apiUrl.replace(/\/+$/, "");
+    this.headers = headers;
+  }
+
+  /**
+   * Add and pin a blob; the CID returned by the node must match the local CID
+   * @param {Buffer} content Bytes to store
+   * @returns {Promise<{ cid: string, uri: string, size: number }>}
+   */
+  async put(content) {
+    const expected = computeCid(content);
+    const form = new FormData();
+    form.append("file", new Blob([content]), expected);
+
+    const response = await this._post("add?cid-version=1&raw-leaves=true&pin=true", form);
+    const { Hash: cid } = await response.json();
+    if (cid !== expected) {
+      throw new Error(`IPFS returned CID ${cid} but the content hashes to ${expected}`);
+    }
+    return { cid, uri: `ipfs://${cid}`, size: content.length };
+  }
+
+  /**
+   * Read a blob, checking that it matches its CID
+   * @param {string} cid CID of the blob
+   * @returns {Promise<Buffer>}
+   */
+  async get(cid) {
+    if (!isCid(cid)) {
+      throw new Error(`Invalid CID "${cid}"`);
+    }
+    const response = await this._post(`cat?arg=${cid}`);
+    const content = Buffer.from(await response.arrayBuffer());
+    if (computeCid(content) !== cid) {
+      throw new Error(`Content returned for ${cid} does not match its CID`);
+    }
+    return content;
+  }
+
+  /**
+   * Check whether a blob is pinned on the node
+   * @param {string} cid CID of the blob
+   * @returns {Promise<boolean>}
+   */
+  async has(cid) {
+    if (!isCid(cid)) {
+      return false;
+    }
+    const response = await fetch(`${this.apiUrl}/api/v0/pin/ls?arg=${cid}`, { method: "POST", headers: this.headers });
+    return response.ok;
+  }
+
+  async _post(endpoint, body) {
+    const response = await fetch(`${this.apiUrl}/api/v0/${endpoint}`, { method: "POST", headers: this.headers, body });
+    if (!response.ok) {
+      throw new Error(`IPFS ${endpoint.split("?")[0]} failed with ${response.status}: ${await response.text()}`);
+    }
+    return response;
+  }
+}
+
+/**
+ * Create the store configured by the environment.
+ * STORAGE_BACKEND selects "fs" (default, STORAGE_DIR or ./storage) or "ipfs"
+ * (IPFS_API_URL, with IPFS_API_AUTH sent as the Authorization header).
+ * @param {Object} [env] Environment variables
+ * @returns {FileSystemStore|IpfsHttpStore}
+ */
+function createStore(env = process.env) {
+  const backend = env.STORAGE_BACKEND || "fs";
+
+  if (backend === "fs") {
+    return new FileSystemStore(env.STORAGE_DIR || path.join(process.cwd(), "storage"));
+  }
+  if (backend === "ipfs") {
+    if (!env.IPFS_API_URL) {
+      throw new Error("IPFS_API_URL is required when STORAGE_BACKEND is ipfs");
+    }
+    return new IpfsHttpStore(env.IPFS_API_URL, env.IPFS_API_AUTH ? { Authorization: env.IPFS_API_AUTH } : {});
+  }
+  throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected fs or ipfs)`);
+}
+
+/**
+ * Upload a track in dependency order: audio, then cover, then the token metadata
+ * JSON that references both
+ * @param {Object} store Store created by createStore
+ * @param {Object} files
+ * @param {Buffer} files.audio Audio file contents
+ * @param {Buffer} [files.cover] Cover image contents
+ * @param {function(string, string): Object} buildMetadata Builds the token metadata JSON from the audio and cover CIDs
+ * @returns {Promise<{ audioCid: string, coverCid: string, metadataCid: string, tokenURI: string }>}
+ */
+async function uploadTrack(store, { audio, cover }, buildMetadata) {
+  const { cid: audioCid } = await store.put(audio);
+  const coverCid = cover ? (await store.put(cover)).cid : "";
+  const metadata = buildMetadata(audioCid, coverCid);
+  const { cid: metadataCid, uri: tokenURI } = await store.put(Buffer.from(JSON.stringify(metadata, null, 2)));
+
+  return { audioCid, coverCid, metadataCid, tokenURI };
+}
+
+module.exports = {
+  FileSystemStore,
+  IpfsHttpStore,
+  createStore,
+  uploadTrack,
+};
@@ -0,0 +1,162 @@
+const Ajv = require("ajv");
+const schema = require("./schemas/token-metadata.schema.json");
+
+// Gateway used for IPFS hashes, matching the token URIs used across the project
+const DEFAULT_GATEWAY = "https://ipfs.io/ipfs/";
+
+let validateSchema;
+
+/**
+ * Turn an IPFS hash into a URL; values that already are URLs are returned unchanged
+ * @param {string} hash IPFS hash or URL
+ * @param {string} [gateway] IPFS gateway prefix
+ * @returns {string} URL, or an empty string for an empty hash
+ */
+function ipfsUrl(hash, gateway = DEFAULT_GATEWAY) {
+  if (!hash) {
+    return "";
+  }
+  return /^[a-z][a-z0-9+.-]*:/i.test(hash) ? hash : gateway + hash;
+}
+
+/**
+ * Format a duration in seconds as m:ss, or h:mm:ss from one hour up
+ * @param {number|bigint} seconds Duration in seconds
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+  const total = Number(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, "0");
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, "0")}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * Build the ERC-721 metadata JSON for a token from its AudioMetadata.
+ * Accepts either a plain object or the struct returned by getAudioMetadata.
+ * @param {Object} audioMetadata CryptoSoundsNFT AudioMetadata
+ * @param {Object} [options]
+ * @param {string} [options.description] Description (defaults to "<title> by <artist>")
+ * @param {string} [options.gateway] IPFS gateway prefix
+ * @param {string} [options.externalUrl] Link to the track's page
+ * @returns {Object} Token metadata JSON
+ */
+function buildTokenMetadata(audioMetadata, options = {}) {
+  const gateway = options.gateway || DEFAULT_GATEWAY;
+  const audio = ipfsUrl(audioMetadata.audioHash, gateway);
+
+  const attributes = [{ trait_type: "Artist", value: audioMetadata.artist }];
+  if (audioMetadata.album) {
+    attributes.push({ trait_type: "Album", value: audioMetadata.album });
+  }
+  attributes.push(
+    { trait_type: "Genre", value: audioMetadata.genre },
+    { trait_type: "Duration", value: formatDuration(audioMetadata.duration) },
+    { trait_type: "Format", value: audioMetadata.audioFormat },
+    { trait_type: "Explicit", value: audioMetadata.isExplicit ? "Yes" : "No" },
+    { trait_type: "Release Date", value: Number(audioMetadata.releaseDate), display_type: "date" }
+  );
+
+  const metadata = {
+    name: audioMetadata.title,
+    description: options.description || `${audioMetadata.title} by ${audioMetadata.artist}`,
+  };
+  if (audioMetadata.coverImageHash) {
+    metadata.image = ipfsUrl(audioMetadata.coverImageHash, gateway);
+  }
+  metadata.audio = audio;
+  // Marketplaces render animation_url with their media player
+  metadata.animation_url = audio;
+  if (options.externalUrl) {
+    metadata.external_url = options.externalUrl;
+  }
+  metadata.attributes = attributes;
+
+  return metadata;
+}
+
+/**
+ * Validate token metadata JSON against the CryptoSounds token metadata schema
+ * @param {Object} metadata Token metadata JSON
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+function validateTokenMetadata(metadata) {
+  if (!validateSchema) {
+    validateSchema = new Ajv({ allErrors: true }).compile(schema);
+  }
+
+  const valid = validateSchema(metadata);
+  const errors = valid
+    ? []
+    : validateSchema.errors.map((error) => `${error.instancePath || "/"} ${error.message}`);
+  return { valid, errors };
+}
+
+/**
+ * Compare token metadata JSON with the on-chain AudioMetadata it should describe
+ * @param {Object} metadata Token metadata JSON
+ * @param {Object} audioMetadata CryptoSoundsNFT AudioMetadata
+ * @param {Object} [options] Options passed to buildTokenMetadata
+ * @returns {string[]} One entry per field that differs
+ */
+function findMetadataDrift(metadata, audioMetadata, options = {}) {
+  const expected = buildTokenMetadata(audioMetadata, options);
+  const drift = [];
+
+  // Without a cover, on-chain rendered metadata carries a generated SVG image
+  const generatedCover = !audioMetadata.coverImageHash && /^data:image\/svg\+xml[;,]/.test(metadata.image || "");
+
+  for (const field of ["name", "image", "audio", "animation_url"]) {
+    if (field === "image" && generatedCover) {
+      continue;
+    }
+    if (metadata[field] !== expected[field]) {
+      drift.push(`${field}: expected ${JSON.stringify(expected[field])}, found ${JSON.stringify(metadata[field])}`);
+    }
+  }
+
+  const actualAttributes = new Map((metadata.attributes || []).map((attribute) => [attribute.trait_type, attribute.value]));
+  for (const attribute of expected.attributes) {
+    const actual = actualAttributes.get(attribute.trait_type);
+    if (actual !== attribute.value) {
+      drift.push(
+        `${attribute.trait_type}: expected ${JSON.stringify(attribute.value)}, found ${JSON.stringify(actual)}`
+      );
+    }
+  }
+
+  return drift;
+}
+
+/**
+ * Load the JSON a token URI points to. Supports data:, ipfs:// and http(s) URIs.
+ * @param {string} uri Token URI
+ * @param {string} [gateway] IPFS gateway prefix for ipfs:// URIs
+ * @returns {Promise<Object>} Parsed JSON
+ */
+async function fetchTokenMetadata(uri, gateway = DEFAULT_GATEWAY) {
+  const dataUri = uri.match(/^data:application\/json(;base64)?,(.*)$/s);
+  if (dataUri) {
+    const body = dataUri[1] ? Buffer.from(dataUri[2], "base64").toString("utf8") : decodeURIComponent(dataUri[2]);
+    return JSON.parse(body);
+  }
+
+  const url = uri.startsWith("ipfs://") ? gateway + uri.slice("ipfs://".length) : uri;
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`GET ${url} returned ${response.status}`);
+  }
+  return response.json();
+}
+
+module.exports = {
+  DEFAULT_GATEWAY,
+  schema,
+  ipfsUrl,
+  formatDuration,
+  buildTokenMetadata,
+  validateTokenMetadata,
+  findMetadataDrift,
+  fetchTokenMetadata,
+};
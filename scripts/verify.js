@@ -7,10 +7,23 @@ async function main() {
   const nftAddress = process.env.NFT_ADDRESS || process.argv[2];
   const marketplaceAddress = process.env.MARKETPLACE_ADDRESS || process.argv[3];
   const royaltyAddress = process.env.ROYALTY_ADDRESS || process.argv[4];
+  const auctionLogicAddress = process.env.AUCTION_LOGIC_ADDRESS || process.argv[5];
+  const offerLogicAddress = process.env.OFFER_LOGIC_ADDRESS || process.argv[6];
+  const listingLogicAddress = process.env.LISTING_LOGIC_ADDRESS || process.argv[7];
+  const orderLogicAddress = process.env.ORDER_LOGIC_ADDRESS || process.argv[8];
+  const metadataRendererAddress = process.env.METADATA_RENDERER_ADDRESS || process.argv[9];
 
-  if (!nftAddress || !marketplaceAddress || !royaltyAddress) {
+  if (
+    !nftAddress ||
+    !marketplaceAddress ||
+    !royaltyAddress ||
+    !auctionLogicAddress ||
+    !offerLogicAddress ||
+    !listingLogicAddress ||
+    !orderLogicAddress
+  ) {
     console.error("❌ Please provide contract addresses:");
-    console.error("Usage: npx hardhat run scripts/verify.js --network <network> <nft_address> <marketplace_address> <royalty_address>");
+    console.error("Usage: npx hardhat run scripts/verify.js --network <network> <nft_address> <marketplace_address> <royalty_address> <auction_logic_address> <offer_logic_address> <listing_logic_address> <order_logic_address> [metadata_renderer_address]");
     process.exit(1);
   }
 
@@ -18,6 +31,13 @@ async function main() {
   console.log("- NFT:", nftAddress);
   console.log("- Marketplace:", marketplaceAddress);
   console.log("- Royalty:", royaltyAddress);
+  console.log("- AuctionLogic:", auctionLogicAddress);
+  console.log("- OfferLogic:", offerLogicAddress);
+  console.log("- ListingLogic:", listingLogicAddress);
+  console.log("- OrderLogic:", orderLogicAddress);
+  if (metadataRendererAddress) {
+    console.log("- MetadataRenderer:", metadataRendererAddress);
+  }
   console.log("");
 
   try {
@@ -33,6 +53,48 @@ async function main() {
     });
     console.log("✅ CryptoSoundsNFT verified");
 
+    // Verify CryptoSoundsMetadataRenderer
+    if (metadataRendererAddress) {
+      console.log("\n🎨 Verifying CryptoSoundsMetadataRenderer...");
+      await hre.run("verify:verify", {
+        address: metadataRendererAddress,
+        constructorArguments: [],
+      });
+      console.log("✅ CryptoSoundsMetadataRenderer verified");
+    }
+
+    // Verify AuctionLogic
+    console.log("\n📚 Verifying AuctionLogic...");
+    await hre.run("verify:verify", {
+      address: auctionLogicAddress,
+      constructorArguments: [],
+    });
+    console.log("✅ AuctionLogic verified");
+
+    // Verify OfferLogic
+    console.log("\n📚 Verifying OfferLogic...");
+    await hre.run("verify:verify", {
+      address: offerLogicAddress,
+      constructorArguments: [],
+    });
+    console.log("✅ OfferLogic verified");
+
+    // Verify ListingLogic
+    console.log("\n📚 Verifying ListingLogic...");
+    await hre.run("verify:verify", {
+      address: listingLogicAddress,
+      constructorArguments: [],
+    });
+    console.log("✅ ListingLogic verified");
+
+    // Verify OrderLogic
+    console.log("\n📚 Verifying OrderLogic...");
+    await hre.run("verify:verify", {
+      address: orderLogicAddress,
+      constructorArguments: [],
+    });
+    console.log("✅ OrderLogic verified");
+
     // Verify CryptoSoundsMarketplace
     console.log("\n🏪 Verifying CryptoSoundsMarketplace...");
     await hre.run("verify:verify", {
@@ -40,6 +102,12 @@ async function main() {
       constructorArguments: [
         process.env.FEE_RECIPIENT || "0x0000000000000000000000000000000000000000" // fee recipient
       ],
+      libraries: {
+        AuctionLogic: auctionLogicAddress,
+        OfferLogic: offerLogicAddress,
+        ListingLogic: listingLogicAddress,
+        OrderLogic: orderLogicAddress
+      },
     });
     console.log("✅ CryptoSoundsMarketplace verified");
 
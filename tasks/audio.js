@@ -0,0 +1,190 @@
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+const { parseAudioFile, buildAudioMetadata } = require("../scripts/audio-metadata");
+const { fingerprintFile, fingerprintSimilarity, MATCH_THRESHOLD } = require("../scripts/audio-fingerprint");
+const { buildTokenMetadata, validateTokenMetadata } = require("../scripts/token-metadata");
+const { createStore, uploadTrack } = require("../scripts/storage");
+
+/**
+ * Parse an audio file and build its AudioMetadata from the task arguments
+ */
+function loadAudio(args) {
+  let info;
+  try {
+    info = parseAudioFile(args.file);
+  } catch (error) {
+    throw new Error(`Cannot read ${args.file}: ${error.message}`);
+  }
+
+  const metadata = buildAudioMetadata(
+    info,
+    {
+      title: args.title,
+      artist: args.artist,
+      album: args.album,
+      genre: args.genre,
+      audioHash: args.audioHash,
+      coverImageHash: args.coverHash,
+      isExplicit: args.explicit,
+    },
+    path.basename(args.file, path.extname(args.file))
+  );
+
+  return { info, metadata };
+}
+
+function printAudio(info, metadata) {
+  console.log(`🎵 ${info.container}: ${info.duration.toFixed(2)} s, ${info.sampleRate} Hz, ${info.channels} channel(s), ${Math.round(info.bitrate / 1000)} kbps`);
+  console.log("AudioMetadata:");
+  console.log(JSON.stringify(metadata, null, 2));
+}
+
+/**
+ * Find the registered track whose fingerprint is most similar to contentHash, if any
+ * is similar enough to be the same recording (an exact match is caught on-chain)
+ */
+async function findSimilarContent(nftContract, contentHash) {
+  const registered = await nftContract.queryFilter(nftContract.filters.ContentFingerprintRegistered(), 0);
+  let match = null;
+  for (const event of registered) {
+    const similarity = fingerprintSimilarity(contentHash, event.args.contentHash);
+    if (similarity >= MATCH_THRESHOLD && (!match || similarity > match.similarity)) {
+      match = { tokenId: event.args.tokenId, similarity };
+    }
+  }
+  return match;
+}
+
+function addMetadataParams(definition) {
+  return definition
+    .addPositionalParam("file", "Path to the WAV or MP3 file")
+    .addOptionalParam("title", "Title (defaults to the embedded tag, then the file name)")
+    .addOptionalParam("artist", "Artist (defaults to the embedded tag)")
+    .addOptionalParam("album", "Album (defaults to the embedded tag)")
+    .addOptionalParam("genre", "Genre (defaults to the embedded tag)")
+    .addFlag("explicit", "Mark the track as explicit");
+}
+
+addMetadataParams(task("audio-metadata", "Build AudioMetadata from a local WAV or MP3 file"))
+  .addOptionalParam("audioHash", "IPFS hash of the uploaded audio file")
+  .addOptionalParam("coverHash", "IPFS hash of the uploaded cover image")
+  .addOptionalParam("out", "Write the AudioMetadata JSON to this file")
+  .addOptionalParam("tokenOut", "Write the ERC-721 token metadata JSON to this file")
+  .setAction(async (args) => {
+    const { info, metadata } = loadAudio(args);
+    printAudio(info, metadata);
+
+    if (args.out) {
+      fs.writeFileSync(args.out, JSON.stringify(metadata, null, 2) + "\n");
+      console.log("\n✅ Written to", args.out);
+    }
+
+    if (args.tokenOut) {
+      const tokenMetadata = buildTokenMetadata(metadata);
+      const { valid, errors } = validateTokenMetadata(tokenMetadata);
+      if (!valid) {
+        throw new Error(`Token metadata is invalid: ${errors.join("; ")}`);
+      }
+      fs.writeFileSync(args.tokenOut, JSON.stringify(tokenMetadata, null, 2) + "\n");
+      console.log("✅ Token metadata written to", args.tokenOut);
+    }
+
+    return metadata;
+  });
+
+addMetadataParams(task("mint-audio", "Upload a local WAV or MP3 file and mint it with metadata read from the file"))
+  .addParam("nft", "CryptoSoundsNFT contract address")
+  .addOptionalParam("cover", "Path to the cover image")
+  .addOptionalParam("description", "Description for the token metadata")
+  .addOptionalParam("to", "Recipient (defaults to the signer)")
+  .addOptionalParam("storageDir", "Directory for the filesystem store (overrides STORAGE_DIR)")
+  .addOptionalParam("allowlist", "Proofs JSON from scripts/allowlist.js, to mint in an allowlist phase")
+  .addFlag("allowSimilar", "Mint even if a registered track has a similar content fingerprint")
+  .setAction(async (args, hre) => {
+    const { info, metadata } = loadAudio(args);
+
+    if (!metadata.artist) {
+      throw new Error("No artist tag found; pass --artist");
+    }
+
+    const [signer] = await hre.ethers.getSigners();
+    const nftContract = await hre.ethers.getContractAt("CryptoSoundsNFT", args.nft, signer);
+
+    // Check for re-encodes of minted tracks before uploading anything
+    let contentHash;
+    try {
+      ({ contentHash } = fingerprintFile(args.file));
+    } catch (error) {
+      console.warn(`⚠️  Minting without a content fingerprint: ${error.message}`);
+    }
+    if (contentHash && !args.allowSimilar) {
+      const match = await findSimilarContent(nftContract, contentHash);
+      if (match) {
+        throw new Error(
+          `Audio matches token ${match.tokenId} (${(match.similarity * 100).toFixed(1)}% similar fingerprint); pass --allow-similar to mint anyway`
+        );
+      }
+    }
+
+    // Upload audio, then cover, then the metadata JSON that points at both
+    const store = createStore(args.storageDir ? { ...process.env, STORAGE_DIR: args.storageDir } : process.env);
+    const { audioCid, coverCid, tokenURI } = await uploadTrack(
+      store,
+      { audio: fs.readFileSync(args.file), cover: args.cover && fs.readFileSync(args.cover) },
+      (audioHash, coverImageHash) => {
+        const tokenMetadata = buildTokenMetadata({ ...metadata, audioHash, coverImageHash }, { description: args.description });
+        const { valid, errors } = validateTokenMetadata(tokenMetadata);
+        if (!valid) {
+          throw new Error(`Token metadata is invalid: ${errors.join("; ")}`);
+        }
+        return tokenMetadata;
+      }
+    );
+    metadata.audioHash = audioCid;
+    metadata.coverImageHash = coverCid;
+
+    printAudio(info, metadata);
+    console.log("Token URI:", tokenURI);
+
+    if (contentHash) {
+      console.log("\nContent hash:", contentHash);
+    }
+
+    const to = args.to || signer.address;
+
+    // The active sale phase, if any, sets the price
+    const [phaseActive, phaseId] = await nftContract.getActiveSalePhase();
+    const mintPrice = phaseActive ? (await nftContract.getSalePhases())[phaseId].price : await nftContract.mintPrice();
+
+    let tx;
+    if (args.allowlist) {
+      const { proofs } = JSON.parse(fs.readFileSync(args.allowlist, "utf8"));
+      const proof = proofs[hre.ethers.getAddress(signer.address)];
+      if (!proof) {
+        throw new Error(`${signer.address} is not on the allowlist in ${args.allowlist}`);
+      }
+      tx = await nftContract.allowlistMintAudioNFT(to, metadata, tokenURI, contentHash || hre.ethers.ZeroHash, proof, {
+        value: mintPrice
+      });
+    } else if (contentHash) {
+      tx = await nftContract.mintAudioNFTWithFingerprint(to, metadata, tokenURI, contentHash, { value: mintPrice });
+    } else {
+      tx = await nftContract.mintAudioNFT(to, metadata, tokenURI, { value: mintPrice });
+    }
+    const receipt = await tx.wait();
+
+    const minted = receipt.logs
+      .map((log) => {
+        try {
+          return nftContract.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .find((event) => event && event.name === "AudioMinted");
+    const tokenId = minted.args.tokenId;
+
+    console.log(`\n✅ Minted token ${tokenId} to ${to} (tx ${receipt.hash})`);
+    return tokenId;
+  });
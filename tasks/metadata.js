@@ -0,0 +1,52 @@
+const { task, types } = require("hardhat/config");
+const {
+  DEFAULT_GATEWAY,
+  validateTokenMetadata,
+  findMetadataDrift,
+  fetchTokenMetadata,
+} = require("../scripts/token-metadata");
+
+task("audit-metadata", "Check token URIs against the on-chain audio metadata they describe")
+  .addParam("nft", "CryptoSoundsNFT contract address")
+  .addOptionalParam("from", "First token ID to check", 0, types.int)
+  .addOptionalParam("count", "Number of tokens to check (defaults to all from --from)", undefined, types.int)
+  .addOptionalParam("gateway", "IPFS gateway used to resolve ipfs:// URIs and hashes", DEFAULT_GATEWAY)
+  .setAction(async (args, hre) => {
+    const nftContract = await hre.ethers.getContractAt("CryptoSoundsNFT", args.nft);
+    const supply = Number(await nftContract.totalSupply());
+    const end = args.count === undefined ? supply : Math.min(supply, args.from + args.count);
+    // Metadata rendered on-chain links to ipfs:// rather than a gateway
+    const renderedOnChain = (await nftContract.metadataRenderer()) !== hre.ethers.ZeroAddress;
+    const gateway = renderedOnChain ? "ipfs://" : args.gateway;
+
+    console.log(`🔍 Auditing tokens ${args.from} to ${end - 1} of ${args.nft}\n`);
+
+    const reports = [];
+    for (let tokenId = args.from; tokenId < end; tokenId++) {
+      const tokenURI = await nftContract.tokenURI(tokenId);
+      const audioMetadata = await nftContract.getAudioMetadata(tokenId);
+      const report = { tokenId, tokenURI, errors: [], drift: [] };
+
+      try {
+        const metadata = await fetchTokenMetadata(tokenURI, args.gateway);
+        report.errors = validateTokenMetadata(metadata).errors;
+        report.drift = findMetadataDrift(metadata, audioMetadata, { gateway });
+      } catch (error) {
+        report.errors = [`cannot load token URI: ${error.message}`];
+      }
+
+      if (report.errors.length === 0 && report.drift.length === 0) {
+        console.log(`✅ Token ${tokenId}`);
+      } else {
+        const source = tokenURI.startsWith("data:") ? "data URI" : tokenURI;
+        console.log(`❌ Token ${tokenId} (${source})`);
+        report.errors.forEach((error) => console.log(`   schema: ${error}`));
+        report.drift.forEach((drift) => console.log(`   drift: ${drift}`));
+      }
+      reports.push(report);
+    }
+
+    const failing = reports.filter((report) => report.errors.length > 0 || report.drift.length > 0);
+    console.log(`\n${reports.length - failing.length} of ${reports.length} tokens match their on-chain metadata`);
+    return reports;
+  });
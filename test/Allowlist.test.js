@@ -0,0 +1,41 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  allowlistLeaf,
+  parseAllowlistCsv,
+  buildAllowlist,
+  verifyAllowlistProof,
+} = require("../scripts/allowlist");
+
+describe("Allowlist script", function () {
+  const addresses = Array.from({ length: 5 }, (_, i) => ethers.getAddress(ethers.zeroPadValue(ethers.toBeHex(i + 1), 20)));
+
+  it("Should read addresses from CSV", function () {
+    const csv = [
+      "address,name",
+      `${addresses[0].toLowerCase()},Alice`,
+      "",
+      "# friends of the label",
+      `"${addresses[1]}"`,
+      `${addresses[0]},Alice again`,
+    ].join("\r\n");
+
+    expect(parseAllowlistCsv(csv)).to.deep.equal([addresses[0], addresses[1]]);
+    expect(() => parseAllowlistCsv(`${addresses[0]}\n0x1234`)).to.throw('Line 2: "0x1234" is not an address');
+  });
+
+  it("Should build proofs for every address", function () {
+    for (const count of [1, 2, 5]) {
+      const { root, proofs } = buildAllowlist(addresses.slice(0, count));
+
+      expect(Object.keys(proofs)).to.have.length(count);
+      for (const address of addresses.slice(0, count)) {
+        expect(verifyAllowlistProof(address, proofs[address], root)).to.be.true;
+      }
+      expect(verifyAllowlistProof(addresses[count] || addresses[0].replace(/.$/, "0"), proofs[addresses[0]], root)).to.be.false;
+    }
+
+    expect(buildAllowlist([addresses[0]]).root).to.equal(allowlistLeaf(addresses[0]));
+    expect(() => buildAllowlist([])).to.throw("Allowlist is empty");
+  });
+});
@@ -0,0 +1,112 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  MATCH_THRESHOLD,
+  parseWav,
+  fingerprintWav,
+  fingerprintFile,
+  fingerprintSimilarity,
+  isSameContent,
+} = require("../scripts/audio-fingerprint");
+const { buildWav, buildTrack, reencode } = require("./helpers/audio");
+
+describe("Audio fingerprint script", function () {
+  const sampleRate = 22050;
+  const track = buildTrack(1, { sampleRate });
+  const stereo = (samples) => samples.flatMap((sample) => [sample, sample]);
+  const master = stereo(track);
+  const fingerprint = (samples, options) => fingerprintWav(buildWav(samples, { sampleRate, ...options }));
+
+  it("Should parse the WAV format", function () {
+    const wav = parseWav(buildWav(master, { channels: 2, sampleRate: 48000, bitsPerSample: 24 }));
+    expect(wav.channels).to.equal(2);
+    expect(wav.sampleRate).to.equal(48000);
+    expect(wav.bitsPerSample).to.equal(24);
+    expect(wav.dataLength).to.equal(master.length * 3);
+  });
+
+  it("Should give lossless copies of the same master the same fingerprint", function () {
+    const original = fingerprint(master);
+    const copies = [
+      fingerprint(master, { bitsPerSample: 24 }),
+      fingerprint(master, { bitsPerSample: 32, isFloat: true }),
+      fingerprint(master, { extraChunks: [["LIST", Buffer.from("INFOINAM\u0005\u0000\u0000\u0000Title", "latin1")]] }),
+      fingerprint([0, 0, 0, 0, ...master, 0, 0]),
+      fingerprint(track, { channels: 1 }),
+    ];
+
+    for (const copy of copies) {
+      expect(copy.contentHash).to.equal(original.contentHash);
+    }
+    expect(original.contentHash).to.match(/^0x[0-9a-f]{64}$/);
+  });
+
+  it("Should match lossy re-encodes of the same master", function () {
+    const original = fingerprint(master).contentHash;
+    const encodes = [
+      fingerprintWav(buildWav(stereo(reencode(track, { fromRate: sampleRate, toRate: 44100, seed: 2 })), { sampleRate: 44100 })),
+      fingerprintWav(buildWav(stereo(reencode(track, { fromRate: sampleRate, toRate: 16000, seed: 3 })), { sampleRate: 16000 })),
+      fingerprintWav(buildWav(reencode(track, { fromRate: sampleRate, toRate: sampleRate, gain: 0.5, noise: 0.01, seed: 4 }), { sampleRate, channels: 1 })),
+    ];
+
+    for (const encode of encodes) {
+      expect(fingerprintSimilarity(original, encode.contentHash)).to.be.at.least(MATCH_THRESHOLD);
+      expect(isSameContent(original, encode.contentHash)).to.be.true;
+    }
+  });
+
+  it("Should tell different recordings apart", function () {
+    const original = fingerprint(master).contentHash;
+
+    for (const seed of [2, 3, 4]) {
+      const other = fingerprint(stereo(buildTrack(seed, { sampleRate }))).contentHash;
+      expect(fingerprintSimilarity(original, other)).to.be.below(MATCH_THRESHOLD);
+      expect(isSameContent(original, other)).to.be.false;
+    }
+  });
+
+  it("Should compare fingerprints bit by bit", function () {
+    const zero = "0x" + "00".repeat(32);
+    expect(fingerprintSimilarity(zero, zero)).to.equal(1);
+    expect(fingerprintSimilarity(zero, "0x" + "ff".repeat(32))).to.equal(0);
+    expect(fingerprintSimilarity(zero, "0x" + "01".repeat(4) + "00".repeat(28))).to.equal(1 - 4 / 256);
+    expect(() => fingerprintSimilarity(zero, "0x00")).to.throw("same length");
+  });
+
+  it("Should report the duration of the trimmed audio", function () {
+    const padded = fingerprint([...new Array(2 * sampleRate).fill(0), ...master, ...new Array(2 * sampleRate).fill(0)]);
+    const original = fingerprint(master);
+
+    expect(padded.frames).to.equal(original.frames);
+    expect(padded.duration).to.equal(padded.frames / sampleRate);
+    expect(padded.duration).to.be.at.most(track.length / sampleRate);
+  });
+
+  it("Should reject audio too short or too low in sample rate to fingerprint", function () {
+    expect(() => fingerprint(master.slice(0, sampleRate))).to.throw("Audio is too short to fingerprint");
+    expect(() => fingerprintWav(buildWav(master, { sampleRate: 4000 }))).to.throw("too low to fingerprint");
+  });
+
+  it("Should need ffmpeg to fingerprint files that are not WAV", function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "fingerprint-"));
+    const mp3Path = path.join(dir, "track.mp3");
+    fs.writeFileSync(mp3Path, Buffer.from("ID3\u0004\u0000\u0000\u0000\u0000\u0000\u0000", "latin1"));
+    const pathVariable = process.env.PATH;
+
+    try {
+      process.env.PATH = dir;
+      expect(() => fingerprintFile(mp3Path)).to.throw("ffmpeg not found on PATH");
+    } finally {
+      process.env.PATH = pathVariable;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("Should reject files that are not WAV", function () {
+    expect(() => parseWav(Buffer.from("ID3\u0004\u0000\u0000\u0000\u0000\u0000\u0000", "latin1"))).to.throw(
+      "Not a RIFF/WAVE file"
+    );
+  });
+});
@@ -0,0 +1,189 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { parseAudioFile, buildAudioMetadata } = require("../scripts/audio-metadata");
+const { computeCid } = require("../scripts/cid");
+const { FileSystemStore } = require("../scripts/storage");
+const { findMetadataDrift } = require("../scripts/token-metadata");
+const { buildAllowlist } = require("../scripts/allowlist");
+const { buildWav, buildMp3, buildTrack, reencode } = require("./helpers/audio");
+
+describe("Audio metadata ingestion", function () {
+  let dir;
+  const samples = Array.from({ length: 88200 }, (_, i) => Math.round(Math.sin(i / 20) * 8000) / 32768);
+  const infoList = Buffer.from("INFOINAM\u0008\u0000\u0000\u0000Wav SongIART\u0008\u0000\u0000\u0000Wav Band", "latin1");
+
+  const write = (name, contents) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, contents);
+    return filePath;
+  };
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "cryptosounds-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("Parsing", function () {
+    it("Should read format and INFO tags from a WAV file", function () {
+      const info = parseAudioFile(write("song.wav", buildWav(samples, { extraChunks: [["LIST", infoList]] })));
+
+      expect(info.container).to.equal("WAV");
+      expect(info.sampleRate).to.equal(44100);
+      expect(info.channels).to.equal(2);
+      expect(info.bitrate).to.equal(1411200);
+      expect(info.duration).to.equal(1);
+      expect(info.tags).to.deep.equal({ title: "Wav Song", artist: "Wav Band" });
+    });
+
+    it("Should read format and ID3v2 tags from an MP3 file", function () {
+      const mp3 = buildMp3(100, { id3v2: { TIT2: "Mp3 Song", TPE1: "Mp3 Artist", TCON: "(13)", TYER: "2021" } });
+      const info = parseAudioFile(write("song.mp3", mp3));
+
+      expect(info.container).to.equal("MP3");
+      expect(info.sampleRate).to.equal(44100);
+      expect(info.channels).to.equal(2);
+      expect(info.bitrate).to.equal(128000);
+      expect(info.duration).to.be.closeTo((100 * 417 * 8) / 128000, 1e-9);
+      expect(info.tags).to.deep.equal({ title: "Mp3 Song", artist: "Mp3 Artist", genre: "Pop", year: "2021" });
+    });
+
+    it("Should fall back to ID3v1 tags", function () {
+      const mp3 = buildMp3(10, { id3v2: { TIT2: "New Title" }, id3v1: { title: "Old Title", artist: "Old Artist", genre: 52 } });
+      const info = parseAudioFile(write("song.mp3", mp3));
+
+      expect(info.tags.title).to.equal("New Title");
+      expect(info.tags.artist).to.equal("Old Artist");
+      expect(info.tags.genre).to.equal("Electronic");
+    });
+
+    it("Should reject files whose extension does not match the container", function () {
+      const wav = buildWav(samples);
+
+      expect(() => parseAudioFile(write("song.mp3", wav))).to.throw("song.mp3 has a .mp3 extension but contains WAV audio");
+      expect(() => parseAudioFile(write("song.wav", buildMp3(10)))).to.throw("song.wav has a .wav extension but contains MP3 audio");
+      expect(() => parseAudioFile(write("song.flac", wav))).to.throw('Unsupported file extension ".flac"');
+      expect(() => parseAudioFile(write("song.wav", Buffer.from("not audio")))).to.throw("is not a RIFF/WAVE or MPEG audio file");
+    });
+
+    it("Should report precise parse errors", function () {
+      const truncated = buildWav(samples).subarray(0, 1000);
+      expect(() => parseAudioFile(write("song.wav", truncated))).to.throw(
+        'WAV "data" chunk at byte 36 declares 176400 bytes but only 956 remain'
+      );
+
+      const noFrames = Buffer.concat([buildMp3(0, { id3v2: { TIT2: "Empty" } }), Buffer.alloc(100)]);
+      expect(() => parseAudioFile(write("song.mp3", noFrames))).to.throw("No MPEG audio frame found between bytes");
+    });
+
+    it("Should build AudioMetadata with overrides taking precedence over tags", function () {
+      const info = parseAudioFile(write("song.wav", buildWav(samples, { extraChunks: [["LIST", infoList]] })));
+      const metadata = buildAudioMetadata(info, { artist: "Override", audioHash: "QmAudio", isExplicit: true }, "song");
+
+      expect(metadata.title).to.equal("Wav Song");
+      expect(metadata.artist).to.equal("Override");
+      expect(metadata.duration).to.equal(1);
+      expect(metadata.audioFormat).to.equal("WAV");
+      expect(metadata.audioHash).to.equal("QmAudio");
+      expect(metadata.isExplicit).to.be.true;
+    });
+  });
+
+  describe("Tasks", function () {
+    it("Should build metadata with the audio-metadata task", async function () {
+      const filePath = write("Night Drive.mp3", buildMp3(100, { id3v2: { TPE1: "Tagged Artist" } }));
+      const metadata = await hre.run("audio-metadata", { file: filePath });
+
+      expect(metadata.title).to.equal("Night Drive");
+      expect(metadata.artist).to.equal("Tagged Artist");
+      expect(metadata.duration).to.equal(3);
+      expect(metadata.audioFormat).to.equal("MP3");
+    });
+
+    it("Should upload and mint a WAV file with its fingerprint using the mint-audio task", async function () {
+      const [owner] = await hre.ethers.getSigners();
+      const CryptoSoundsNFT = await hre.ethers.getContractFactory("CryptoSoundsNFT");
+      const nft = await CryptoSoundsNFT.deploy("CryptoSounds", "CSND", owner.address);
+      await nft.waitForDeployment();
+
+      const audio = buildWav(samples, { extraChunks: [["LIST", infoList]] });
+      const cover = Buffer.from("cover image");
+      const tokenId = await hre.run("mint-audio", {
+        file: write("song.wav", audio),
+        cover: write("cover.png", cover),
+        nft: await nft.getAddress(),
+        storageDir: path.join(dir, "storage"),
+      });
+
+      const store = new FileSystemStore(path.join(dir, "storage"));
+      const stored = await nft.getAudioMetadata(tokenId);
+      expect(tokenId).to.equal(0);
+      expect(stored.title).to.equal("Wav Song");
+      expect(stored.artist).to.equal("Wav Band");
+      expect(stored.duration).to.equal(1);
+      expect(stored.audioHash).to.equal(computeCid(audio));
+      expect(stored.coverImageHash).to.equal(computeCid(cover));
+      expect(await nft.tokenContentHash(0)).to.not.equal(hre.ethers.ZeroHash);
+
+      const tokenURI = await nft.tokenURI(0);
+      const tokenMetadata = JSON.parse(await store.get(tokenURI.replace("ipfs://", "")));
+      expect(tokenMetadata.audio).to.equal(`https://ipfs.io/ipfs/${stored.audioHash}`);
+      expect(findMetadataDrift(tokenMetadata, stored)).to.be.empty;
+    });
+
+    it("Should refuse to mint a re-encode of a minted track with the mint-audio task", async function () {
+      const [owner] = await hre.ethers.getSigners();
+      const CryptoSoundsNFT = await hre.ethers.getContractFactory("CryptoSoundsNFT");
+      const nft = await CryptoSoundsNFT.deploy("CryptoSounds", "CSND", owner.address);
+      await nft.waitForDeployment();
+
+      const track = buildTrack(1);
+      const args = {
+        cover: write("cover.png", Buffer.from("cover image")),
+        nft: await nft.getAddress(),
+        storageDir: path.join(dir, "storage"),
+      };
+      await hre.run("mint-audio", {
+        ...args,
+        file: write("master.wav", buildWav(track, { channels: 1, sampleRate: 22050, extraChunks: [["LIST", infoList]] })),
+      });
+
+      const encode = buildWav(reencode(track, { toRate: 16000 }), { channels: 1, sampleRate: 16000, extraChunks: [["LIST", infoList]] });
+      const file = write("encode.wav", encode);
+      await expect(hre.run("mint-audio", { ...args, file })).to.be.rejectedWith("Audio matches token 0");
+
+      const tokenId = await hre.run("mint-audio", { ...args, file, allowSimilar: true });
+      expect(tokenId).to.equal(1);
+      expect(await nft.tokenContentHash(1)).to.not.equal(await nft.tokenContentHash(0));
+    });
+
+    it("Should mint at the allowlist price with the mint-audio task", async function () {
+      const [owner, artist] = await hre.ethers.getSigners();
+      const CryptoSoundsNFT = await hre.ethers.getContractFactory("CryptoSoundsNFT");
+      const nft = await CryptoSoundsNFT.deploy("CryptoSounds", "CSND", owner.address);
+      await nft.waitForDeployment();
+
+      const { root, proofs } = buildAllowlist([owner.address, artist.address]);
+      const price = hre.ethers.parseEther("0.02");
+      await nft.setSalePhase(0, { startTime: 0, endTime: 0, maxMintsPerWallet: 1, price, merkleRoot: root });
+      const allowlist = write("allowlist.proofs.json", JSON.stringify({ root, proofs }));
+
+      const args = {
+        file: write("song.wav", buildWav(samples, { extraChunks: [["LIST", infoList]] })),
+        cover: write("cover.png", Buffer.from("cover image")),
+        nft: await nft.getAddress(),
+        storageDir: path.join(dir, "storage"),
+      };
+      await expect(hre.run("mint-audio", args)).to.be.rejectedWith("Not on allowlist");
+
+      const tokenId = await hre.run("mint-audio", { ...args, allowlist });
+      expect(await nft.ownerOf(tokenId)).to.equal(owner.address);
+      expect(await hre.ethers.provider.getBalance(await nft.getAddress())).to.equal(price);
+    });
+  });
+});
@@ -1,5 +1,15 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  OrderSide,
+  buildOrder,
+  signOrder,
+  hashOrder,
+  getOrderDomain,
+  validateOrder
+} = require("../scripts/marketplace-orders");
+const { missingRole, assignDistinctRoles, expectRoleGates } = require("./helpers/roles");
 
 describe("CryptoSoundsMarketplace", function () {
   let cryptoSoundsNFT;
@@ -22,15 +32,38 @@ describe("CryptoSoundsMarketplace", function () {
     );
     await cryptoSoundsNFT.waitForDeployment();
 
+    // Deploy marketplace libraries
+    const AuctionLogic = await ethers.getContractFactory("AuctionLogic");
+    const auctionLogic = await AuctionLogic.deploy();
+    await auctionLogic.waitForDeployment();
+    const OfferLogic = await ethers.getContractFactory("OfferLogic");
+    const offerLogic = await OfferLogic.deploy();
+    await offerLogic.waitForDeployment();
+    const ListingLogic = await ethers.getContractFactory("ListingLogic");
+    const listingLogic = await ListingLogic.deploy();
+    await listingLogic.waitForDeployment();
+    const OrderLogic = await ethers.getContractFactory("OrderLogic");
+    const orderLogic = await OrderLogic.deploy();
+    await orderLogic.waitForDeployment();
+
     // Deploy marketplace
-    const CryptoSoundsMarketplace = await ethers.getContractFactory("CryptoSoundsMarketplace");
+    const CryptoSoundsMarketplace = await ethers.getContractFactory("CryptoSoundsMarketplace", {
+      libraries: {
+        AuctionLogic: await auctionLogic.getAddress(),
+        OfferLogic: await offerLogic.getAddress(),
+        ListingLogic: await listingLogic.getAddress(),
+        OrderLogic: await orderLogic.getAddress()
+      }
+    });
     marketplace = await CryptoSoundsMarketplace.deploy(owner.address);
     await marketplace.waitForDeployment();
   });
 
   describe("Deployment", function () {
-    it("Should set the correct owner", async function () {
-      expect(await marketplace.owner()).to.equal(owner.address);
+    it("Should grant every role to the deployer", async function () {
+      for (const role of ["DEFAULT_ADMIN_ROLE", "PAUSER_ROLE", "FEE_MANAGER_ROLE", "TREASURER_ROLE"]) {
+        expect(await marketplace.hasRole(await marketplace[role](), owner.address)).to.be.true;
+      }
     });
 
     it("Should set the correct fee recipient", async function () {
@@ -83,6 +116,7 @@ describe("CryptoSoundsMarketplace", function () {
         marketplace.connect(addr1).listItem(
           nftAddress,
           tokenId,
+          ethers.ZeroAddress,
           listingPrice,
           0, // no expiration
           { value: listingFee }
@@ -100,6 +134,7 @@ describe("CryptoSoundsMarketplace", function () {
         marketplace.connect(addr1).listItem(
           nftAddress,
           tokenId,
+          ethers.ZeroAddress,
           listingPrice,
           0,
           { value: listingFee - ethers.parseEther("0.001") }
@@ -115,6 +150,7 @@ describe("CryptoSoundsMarketplace", function () {
         marketplace.connect(addr1).listItem(
           nftAddress,
           tokenId,
+          ethers.ZeroAddress,
           listingPrice,
           0,
           { value: listingFee }
@@ -132,6 +168,7 @@ describe("CryptoSoundsMarketplace", function () {
       const tx = await marketplace.connect(addr1).listItem(
         nftAddress,
         tokenId,
+        ethers.ZeroAddress,
         listingPrice,
         0,
         { value: listingFee }
@@ -193,6 +230,7 @@ describe("CryptoSoundsMarketplace", function () {
       const tx = await marketplace.connect(addr1).listItem(
         nftAddress,
         tokenId,
+        ethers.ZeroAddress,
         listingPrice,
         0,
         { value: listingFee }
@@ -217,7 +255,16 @@ describe("CryptoSoundsMarketplace", function () {
       await expect(
         marketplace.connect(addr2).buyItem(listingId, { value: listingPrice })
       ).to.emit(marketplace, "ItemSold")
-        .withArgs(listingId, addr1.address, addr2.address, listingPrice);
+        .withArgs(
+          listingId,
+          addr1.address,
+          addr2.address,
+          listingPrice,
+          ethers.parseEther("0.025"), // 2.5% marketplace fee
+          ethers.parseEther("0.05"), // 5% default ERC-2981 royalty
+          0, // no royalty platform fee outside CryptoSoundsRoyalty splits
+          ethers.parseEther("0.925")
+        );
 
       // Check NFT ownership changed
       expect(await cryptoSoundsNFT.ownerOf(tokenId)).to.equal(addr2.address);
@@ -249,6 +296,408 @@ describe("CryptoSoundsMarketplace", function () {
     });
   });
 
+  describe("Active Listings", function () {
+    const tokenId = 0;
+    const listingPrice = ethers.parseEther("1");
+    let nftAddress;
+    let listingFee;
+
+    async function list(seller, price = listingPrice, expirationTime = 0) {
+      const tx = await marketplace.connect(seller).listItem(
+        nftAddress,
+        tokenId,
+        ethers.ZeroAddress,
+        price,
+        expirationTime,
+        { value: listingFee }
+      );
+      const receipt = await tx.wait();
+      const listingEvent = receipt.logs.find(log => {
+        try {
+          const parsed = marketplace.interface.parseLog(log);
+          return parsed && parsed.name === "ItemListed";
+        } catch (e) {
+          return false;
+        }
+      });
+      return listingEvent.args.listingId;
+    }
+
+    beforeEach(async function () {
+      const mintPrice = await cryptoSoundsNFT.mintPrice();
+      const audioMetadata = {
+        title: "Test Song",
+        artist: "Test Artist",
+        album: "Test Album",
+        genre: "Electronic",
+        duration: 180,
+        audioFormat: "WAV",
+        audioHash: "QmTestHash123",
+        coverImageHash: "QmCoverHash123",
+        releaseDate: Math.floor(Date.now() / 1000),
+        isExplicit: false
+      };
+
+      await cryptoSoundsNFT.connect(addr1).mintAudioNFT(
+        addr1.address,
+        audioMetadata,
+        "https://ipfs.io/ipfs/QmTestMetadataHash",
+        { value: mintPrice }
+      );
+
+      nftAddress = await cryptoSoundsNFT.getAddress();
+      listingFee = await marketplace.listingFee();
+      await cryptoSoundsNFT.connect(addr1).setApprovalForAll(marketplace.getAddress(), true);
+    });
+
+    it("Should derive listing IDs from the token and a per-token nonce", async function () {
+      const expectedId = await marketplace.getListingId(nftAddress, tokenId, 0);
+      const listingId = await list(addr1);
+
+      expect(listingId).to.equal(expectedId);
+      expect(await marketplace.listingNonces(nftAddress, tokenId)).to.equal(1);
+
+      const [activeId, listing] = await marketplace.getActiveListing(nftAddress, tokenId);
+      expect(activeId).to.equal(listingId);
+      expect(listing.seller).to.equal(addr1.address);
+      expect(listing.price).to.equal(listingPrice);
+    });
+
+    it("Should replace the previous listing when a token is relisted", async function () {
+      const firstId = await list(addr1);
+      const newPrice = ethers.parseEther("2");
+
+      await expect(
+        marketplace.connect(addr1).listItem(nftAddress, tokenId, ethers.ZeroAddress, newPrice, 0, { value: listingFee })
+      ).to.emit(marketplace, "ListingInvalidated")
+        .withArgs(firstId);
+
+      const secondId = await marketplace.getListingId(nftAddress, tokenId, 1);
+      expect((await marketplace.listings(firstId)).isActive).to.be.false;
+      expect(await marketplace.activeListingIds(nftAddress, tokenId)).to.equal(secondId);
+
+      await expect(
+        marketplace.connect(addr2).buyItem(firstId, { value: listingPrice })
+      ).to.be.revertedWith("Listing not active");
+
+      await marketplace.connect(addr2).buyItem(secondId, { value: newPrice });
+      expect(await cryptoSoundsNFT.ownerOf(tokenId)).to.equal(addr2.address);
+    });
+
+    it("Should treat a listing as stale once the seller transfers the token elsewhere", async function () {
+      const listingId = await list(addr1);
+
+      await expect(marketplace.invalidateListing(listingId)).to.be.revertedWith("Listing still valid");
+
+      await cryptoSoundsNFT.connect(addr1).transferFrom(addr1.address, addr3.address, tokenId);
+
+      const [activeId] = await marketplace.getActiveListing(nftAddress, tokenId);
+      expect(activeId).to.equal(ethers.ZeroHash);
+
+      await expect(
+        marketplace.connect(addr2).buyItem(listingId, { value: listingPrice })
+      ).to.be.revertedWith("Listing no longer valid");
+
+      await expect(marketplace.connect(addr2).invalidateListing(listingId))
+        .to.emit(marketplace, "ListingInvalidated")
+        .withArgs(listingId);
+      expect((await marketplace.listings(listingId)).isActive).to.be.false;
+      expect(await marketplace.activeListingIds(nftAddress, tokenId)).to.equal(ethers.ZeroHash);
+    });
+
+    it("Should not revive a listing when the token comes back to its seller", async function () {
+      const listingId = await list(addr1);
+
+      await cryptoSoundsNFT.connect(addr1).transferFrom(addr1.address, addr3.address, tokenId);
+      await cryptoSoundsNFT.connect(addr3).transferFrom(addr3.address, addr1.address, tokenId);
+
+      const [activeId] = await marketplace.getActiveListing(nftAddress, tokenId);
+      expect(activeId).to.equal(ethers.ZeroHash);
+      await expect(
+        marketplace.connect(addr2).buyItem(listingId, { value: listingPrice })
+      ).to.be.revertedWith("Listing no longer valid");
+
+      await expect(marketplace.invalidateListing(listingId))
+        .to.emit(marketplace, "ListingInvalidated")
+        .withArgs(listingId);
+    });
+
+    it("Should let a new owner relist over a former owner's listing", async function () {
+      const staleId = await list(addr1);
+      await cryptoSoundsNFT.connect(addr1).transferFrom(addr1.address, addr3.address, tokenId);
+      await cryptoSoundsNFT.connect(addr3).setApprovalForAll(marketplace.getAddress(), true);
+
+      await expect(
+        marketplace.connect(addr3).listItem(nftAddress, tokenId, ethers.ZeroAddress, listingPrice, 0, { value: listingFee })
+      ).to.emit(marketplace, "ListingInvalidated")
+        .withArgs(staleId);
+
+      const [activeId, listing] = await marketplace.getActiveListing(nftAddress, tokenId);
+      expect(activeId).to.equal(await marketplace.getListingId(nftAddress, tokenId, 1));
+      expect(listing.seller).to.equal(addr3.address);
+    });
+
+    it("Should clear the active listing when the token is sold or delisted", async function () {
+      let listingId = await list(addr1);
+      await marketplace.connect(addr2).buyItem(listingId, { value: listingPrice });
+      expect(await marketplace.activeListingIds(nftAddress, tokenId)).to.equal(ethers.ZeroHash);
+
+      await cryptoSoundsNFT.connect(addr2).setApprovalForAll(marketplace.getAddress(), true);
+      listingId = await list(addr2);
+      await marketplace.connect(addr2).delistItem(listingId);
+
+      const [activeId] = await marketplace.getActiveListing(nftAddress, tokenId);
+      expect(activeId).to.equal(ethers.ZeroHash);
+    });
+
+    it("Should invalidate the listing when the token is sold through an offer", async function () {
+      const listingId = await list(addr1);
+      const offerAmount = ethers.parseEther("0.8");
+
+      const offerTx = await marketplace.connect(addr2).makeOffer(
+        nftAddress,
+        tokenId,
+        ethers.ZeroAddress,
+        offerAmount,
+        0,
+        { value: offerAmount }
+      );
+      const receipt = await offerTx.wait();
+      const offerId = receipt.logs
+        .map(log => {
+          try {
+            return marketplace.interface.parseLog(log);
+          } catch (e) {
+            return null;
+          }
+        })
+        .find(parsed => parsed && parsed.name === "OfferMade").args.offerId;
+
+      await expect(marketplace.connect(addr1).acceptOffer(offerId))
+        .to.emit(marketplace, "ListingInvalidated")
+        .withArgs(listingId);
+      expect((await marketplace.listings(listingId)).isActive).to.be.false;
+    });
+
+    it("Should not report an expired listing as active", async function () {
+      const expirationTime = (await time.latest()) + 3600;
+      await list(addr1, listingPrice, expirationTime);
+
+      await time.increase(3601);
+
+      const [activeId, listing] = await marketplace.getActiveListing(nftAddress, tokenId);
+      expect(activeId).to.equal(ethers.ZeroHash);
+      expect(listing.seller).to.equal(ethers.ZeroAddress);
+    });
+  });
+
+  describe("Bundles and Sweeps", function () {
+    const price = ethers.parseEther("1");
+    let nftAddress;
+    let listingFee;
+
+    async function findEvent(tx, name) {
+      const receipt = await tx.wait();
+      return receipt.logs
+        .map(log => {
+          try {
+            return marketplace.interface.parseLog(log);
+          } catch (e) {
+            return null;
+          }
+        })
+        .find(parsed => parsed && parsed.name === name);
+    }
+
+    async function list(seller, tokenId, listingPrice = price) {
+      const listed = await findEvent(
+        await marketplace.connect(seller).listItem(nftAddress, tokenId, ethers.ZeroAddress, listingPrice, 0, { value: listingFee }),
+        "ItemListed"
+      );
+      return listed.args.listingId;
+    }
+
+    async function listBundle(seller, tokenIds, bundlePrice) {
+      const listed = await findEvent(
+        await marketplace.connect(seller).listBundle(nftAddress, tokenIds, ethers.ZeroAddress, bundlePrice, 0, { value: listingFee }),
+        "BundleListed"
+      );
+      return listed.args.bundleId;
+    }
+
+    beforeEach(async function () {
+      // Tokens 0-2 are owned by addr1, token 3 by addr2
+      const mintPrice = await cryptoSoundsNFT.mintPrice();
+      const holders = [addr1, addr1, addr1, addr2];
+
+      for (let i = 0; i < holders.length; i++) {
+        await cryptoSoundsNFT.connect(holders[i]).mintAudioNFT(
+          holders[i].address,
+          {
+            title: `EP Track ${i}`,
+            artist: "Test Artist",
+            album: "Test EP",
+            genre: "Electronic",
+            duration: 180,
+            audioFormat: "WAV",
+            audioHash: `QmTestHash${i}`,
+            coverImageHash: "QmCoverHash123",
+            releaseDate: Math.floor(Date.now() / 1000),
+            isExplicit: false
+          },
+          `https://ipfs.io/ipfs/QmTestMetadataHash${i}`,
+          { value: mintPrice }
+        );
+      }
+
+      nftAddress = await cryptoSoundsNFT.getAddress();
+      listingFee = await marketplace.listingFee();
+      await cryptoSoundsNFT.connect(addr1).setApprovalForAll(marketplace.getAddress(), true);
+      await cryptoSoundsNFT.connect(addr2).setApprovalForAll(marketplace.getAddress(), true);
+    });
+
+    it("Should sell a bundle of tokens at one price", async function () {
+      const bundlePrice = ethers.parseEther("3");
+      const bundleId = await listBundle(addr1, [0, 1, 2], bundlePrice);
+
+      const bundle = await marketplace.getBundle(bundleId);
+      expect(bundle.seller).to.equal(addr1.address);
+      expect(bundle.tokenIds).to.deep.equal([0n, 1n, 2n]);
+      expect(bundle.isActive).to.be.true;
+
+      // Fees and royalties are settled per token on an even split of the price
+      const tx = marketplace.connect(addr3).buyBundle(bundleId, { value: bundlePrice + ethers.parseEther("1") });
+      await expect(tx)
+        .to.emit(marketplace, "BundleSold")
+        .withArgs(
+          bundleId,
+          addr1.address,
+          addr3.address,
+          bundlePrice,
+          ethers.parseEther("0.075"),
+          ethers.parseEther("0.15"),
+          0,
+          ethers.parseEther("2.775")
+        );
+      await expect(tx).to.changeEtherBalance(addr3, -bundlePrice);
+
+      for (const tokenId of [0, 1, 2]) {
+        expect(await cryptoSoundsNFT.ownerOf(tokenId)).to.equal(addr3.address);
+      }
+      expect((await marketplace.getBundle(bundleId)).isActive).to.be.false;
+    });
+
+    it("Should validate bundle contents", async function () {
+      await expect(
+        marketplace.connect(addr1).listBundle(nftAddress, [], ethers.ZeroAddress, price, 0, { value: listingFee })
+      ).to.be.revertedWith("No tokens provided");
+      await expect(
+        marketplace.connect(addr1).listBundle(nftAddress, [1, 0], ethers.ZeroAddress, price, 0, { value: listingFee })
+      ).to.be.revertedWith("Token IDs must be ascending");
+      await expect(
+        marketplace.connect(addr1).listBundle(nftAddress, [1, 1], ethers.ZeroAddress, price, 0, { value: listingFee })
+      ).to.be.revertedWith("Token IDs must be ascending");
+      await expect(
+        marketplace.connect(addr1).listBundle(nftAddress, [2, 3], ethers.ZeroAddress, price, 0, { value: listingFee })
+      ).to.be.revertedWith("Not the owner");
+    });
+
+    it("Should void a bundle once one of its tokens has left the seller and come back", async function () {
+      const bundleId = await listBundle(addr1, [0, 1], price);
+
+      await cryptoSoundsNFT.connect(addr1).transferFrom(addr1.address, addr3.address, 1);
+      await cryptoSoundsNFT.connect(addr3).transferFrom(addr3.address, addr1.address, 1);
+
+      await expect(
+        marketplace.connect(addr2).buyBundle(bundleId, { value: price })
+      ).to.be.revertedWith("Bundle no longer valid");
+    });
+
+    it("Should void a bundle once one of its tokens is sold separately", async function () {
+      const bundleId = await listBundle(addr1, [0, 1], price);
+      const listingId = await list(addr1, 1);
+
+      await marketplace.connect(addr2).buyItem(listingId, { value: price });
+
+      await expect(
+        marketplace.connect(addr3).buyBundle(bundleId, { value: price })
+      ).to.be.revertedWith("Bundle no longer valid");
+
+      await expect(marketplace.connect(addr2).delistBundle(bundleId)).to.be.revertedWith("Not the seller");
+      await expect(marketplace.connect(addr1).delistBundle(bundleId))
+        .to.emit(marketplace, "BundleDelisted")
+        .withArgs(bundleId);
+    });
+
+    it("Should invalidate individual listings of tokens sold in a bundle", async function () {
+      const listingId = await list(addr1, 0);
+      const bundleId = await listBundle(addr1, [0, 1], price);
+
+      await expect(marketplace.connect(addr3).buyBundle(bundleId, { value: price }))
+        .to.emit(marketplace, "ListingInvalidated")
+        .withArgs(listingId);
+      expect((await marketplace.listings(listingId)).isActive).to.be.false;
+    });
+
+    it("Should sweep several listings atomically and refund leftover ETH once", async function () {
+      const ids = [
+        await list(addr1, 0, ethers.parseEther("1")),
+        await list(addr1, 1, ethers.parseEther("2")),
+        await list(addr2, 3, ethers.parseEther("0.5"))
+      ];
+
+      const tx = marketplace.connect(addr3).buyItems(ids, true, { value: ethers.parseEther("5") });
+      await expect(tx).to.emit(marketplace, "ItemSold");
+      await expect(tx).to.changeEtherBalance(addr3, -ethers.parseEther("3.5"));
+
+      for (const tokenId of [0, 1, 3]) {
+        expect(await cryptoSoundsNFT.ownerOf(tokenId)).to.equal(addr3.address);
+      }
+    });
+
+    it("Should revert an atomic sweep if any listing cannot be bought", async function () {
+      const available = await list(addr1, 0);
+      const sold = await list(addr1, 1);
+      await marketplace.connect(addr2).buyItem(sold, { value: price });
+
+      await expect(
+        marketplace.connect(addr3).buyItems([available, sold], true, { value: price * 2n })
+      ).to.be.revertedWith("Listing not available");
+
+      await expect(
+        marketplace.connect(addr3).buyItems([available, await list(addr1, 2)], true, { value: price })
+      ).to.be.revertedWith("Insufficient payment");
+    });
+
+    it("Should skip unavailable listings in a best-effort sweep", async function () {
+      const first = await list(addr1, 0);
+      const sold = await list(addr1, 1);
+      const unaffordable = await list(addr1, 2, ethers.parseEther("10"));
+      const own = await list(addr2, 3);
+      await marketplace.connect(addr2).buyItem(sold, { value: price });
+
+      const tx = marketplace.connect(addr2).buyItems([first, sold, unaffordable, own], false, { value: price * 2n });
+      await expect(tx).to.emit(marketplace, "ItemSkipped").withArgs(sold, "Listing not available");
+      await expect(tx).to.emit(marketplace, "ItemSkipped").withArgs(unaffordable, "Insufficient payment");
+      await expect(tx).to.emit(marketplace, "ItemSkipped").withArgs(own, "Cannot buy own item");
+      await expect(tx).to.changeEtherBalance(addr2, -price);
+
+      expect(await cryptoSoundsNFT.ownerOf(0)).to.equal(addr2.address);
+      expect((await marketplace.listings(unaffordable)).isActive).to.be.true;
+    });
+
+    it("Should revert a sweep that buys nothing", async function () {
+      const listingId = await list(addr1, 0);
+
+      await expect(
+        marketplace.connect(addr2).buyItems([listingId], false, { value: 0 })
+      ).to.be.revertedWith("No listings bought");
+      await expect(
+        marketplace.connect(addr2).buyItems([], false)
+      ).to.be.revertedWith("No listings provided");
+    });
+  });
+
   describe("Offers", function () {
     let tokenId;
     const offerAmount = ethers.parseEther("0.8");
@@ -286,6 +735,7 @@ describe("CryptoSoundsMarketplace", function () {
         marketplace.connect(addr2).makeOffer(
           nftAddress,
           tokenId,
+          ethers.ZeroAddress,
           offerAmount,
           0, // no expiration
           { value: offerAmount }
@@ -300,6 +750,7 @@ describe("CryptoSoundsMarketplace", function () {
         marketplace.connect(addr1).makeOffer(
           nftAddress,
           tokenId,
+          ethers.ZeroAddress,
           offerAmount,
           0,
           { value: offerAmount }
@@ -315,134 +766,2138 @@ describe("CryptoSoundsMarketplace", function () {
         marketplace.connect(addr2).makeOffer(
           nftAddress,
           tokenId,
+          ethers.ZeroAddress,
           offerAmount,
           0,
           { value: insufficientPayment }
         )
       ).to.be.revertedWith("Insufficient payment");
     });
-  });
 
-  describe("Auctions", function () {
-    let tokenId;
-    const startingPrice = ethers.parseEther("0.5");
+    describe("Accepting and refunding", function () {
+      let nftAddress;
+      let offerId;
 
-    beforeEach(async function () {
-      // Mint an NFT
-      const mintPrice = await cryptoSoundsNFT.mintPrice();
-      const audioMetadata = {
-        title: "Test Song",
-        artist: "Test Artist",
-        album: "Test Album",
-        genre: "Electronic",
-        duration: 180,
-        audioFormat: "WAV",
-        audioHash: "QmTestHash123",
-        coverImageHash: "QmCoverHash123",
-        releaseDate: Math.floor(Date.now() / 1000),
-        isExplicit: false
-      };
+      beforeEach(async function () {
+        nftAddress = await cryptoSoundsNFT.getAddress();
 
-      await cryptoSoundsNFT.connect(addr1).mintAudioNFT(
-        addr1.address,
-        audioMetadata,
-        "https://ipfs.io/ipfs/QmTestMetadataHash",
-        { value: mintPrice }
-      );
+        const tx = await marketplace.connect(addr2).makeOffer(
+          nftAddress,
+          tokenId,
+          ethers.ZeroAddress,
+          offerAmount,
+          0,
+          { value: offerAmount }
+        );
+
+        const receipt = await tx.wait();
+        const offerEvent = receipt.logs.find(log => {
+          try {
+            const parsed = marketplace.interface.parseLog(log);
+            return parsed && parsed.name === "OfferMade";
+          } catch (e) {
+            return false;
+          }
+        });
+
+        offerId = offerEvent.args.offerId;
+      });
 
-      tokenId = 0;
-    });
+      it("Should record the target token on the offer", async function () {
+        const offer = await marketplace.offers(offerId);
+        expect(offer.bidder).to.equal(addr2.address);
+        expect(offer.nftContract).to.equal(nftAddress);
+        expect(offer.tokenId).to.equal(tokenId);
+        expect(offer.amount).to.equal(offerAmount);
+      });
 
-    it("Should create an auction successfully", async function () {
-      const nftAddress = await cryptoSoundsNFT.getAddress();
-      const listingFee = await marketplace.listingFee();
+      it("Should transfer the NFT to the bidder when accepted", async function () {
+        await cryptoSoundsNFT.connect(addr1).approve(marketplace.getAddress(), tokenId);
 
-      await cryptoSoundsNFT.connect(addr1).approve(marketplace.getAddress(), tokenId);
+        await expect(
+          marketplace.connect(addr1).acceptOffer(offerId)
+        ).to.emit(marketplace, "OfferAccepted");
 
-      await expect(
-        marketplace.connect(addr1).createAuction(
-          nftAddress,
-          tokenId,
-          startingPrice,
-          0, // use default duration
-          { value: listingFee }
-        )
-      ).to.emit(marketplace, "AuctionCreated");
-    });
+        expect(await cryptoSoundsNFT.ownerOf(tokenId)).to.equal(addr2.address);
+        expect((await marketplace.offers(offerId)).isActive).to.be.false;
+      });
 
-    it("Should place a bid successfully", async function () {
-      const nftAddress = await cryptoSoundsNFT.getAddress();
-      const listingFee = await marketplace.listingFee();
+      it("Should only let the current owner accept", async function () {
+        await expect(
+          marketplace.connect(addr3).acceptOffer(offerId)
+        ).to.be.revertedWith("Not the owner");
 
-      await cryptoSoundsNFT.connect(addr1).approve(marketplace.getAddress(), tokenId);
+        // Previous owner loses the right to accept after transferring the token
+        await cryptoSoundsNFT.connect(addr1).transferFrom(addr1.address, addr3.address, tokenId);
+        await expect(
+          marketplace.connect(addr1).acceptOffer(offerId)
+        ).to.be.revertedWith("Not the owner");
+      });
 
-      const tx = await marketplace.connect(addr1).createAuction(
-        nftAddress,
-        tokenId,
-        startingPrice,
-        0,
-        { value: listingFee }
-      );
+      it("Should require marketplace approval to accept", async function () {
+        await expect(
+          marketplace.connect(addr1).acceptOffer(offerId)
+        ).to.be.revertedWith("Contract not approved");
+      });
 
-      const receipt = await tx.wait();
-      const auctionEvent = receipt.logs.find(log => {
-        try {
-          const parsed = marketplace.interface.parseLog(log);
-          return parsed && parsed.name === "AuctionCreated";
-        } catch (e) {
-          return false;
-        }
+      it("Should not accept an expired offer", async function () {
+        await cryptoSoundsNFT.connect(addr1).approve(marketplace.getAddress(), tokenId);
+        await time.increase(3 * 24 * 60 * 60 + 1);
+
+        await expect(
+          marketplace.connect(addr1).acceptOffer(offerId)
+        ).to.be.revertedWith("Offer expired");
       });
 
-      const auctionId = auctionEvent.args.auctionId;
-      const bidAmount = ethers.parseEther("0.6");
+      it("Should let anyone refund an expired offer to the bidder", async function () {
+        await time.increase(3 * 24 * 60 * 60 + 1);
 
-      await expect(
-        marketplace.connect(addr2).placeBid(auctionId, { value: bidAmount })
-      ).to.emit(marketplace, "BidPlaced")
-        .withArgs(auctionId, addr2.address, bidAmount);
-    });
+        const tx = marketplace.connect(addr3).refundExpiredOffer(offerId);
+        await expect(tx)
+          .to.emit(marketplace, "OfferRefunded")
+          .withArgs(offerId, addr2.address, offerAmount);
+        await expect(tx).to.changeEtherBalance(addr2, offerAmount);
 
-    it("Should prevent bidding below current highest bid", async function () {
-      const nftAddress = await cryptoSoundsNFT.getAddress();
-      const listingFee = await marketplace.listingFee();
+        await expect(
+          marketplace.connect(addr2).refundExpiredOffer(offerId)
+        ).to.be.revertedWith("Offer not active");
+      });
 
-      await cryptoSoundsNFT.connect(addr1).approve(marketplace.getAddress(), tokenId);
+      it("Should not refund an offer before it expires", async function () {
+        await expect(
+          marketplace.connect(addr2).refundExpiredOffer(offerId)
+        ).to.be.revertedWith("Offer not expired");
+      });
+    });
+  });
 
-      const tx = await marketplace.connect(addr1).createAuction(
+  describe("Collection Offers", function () {
+    const OfferTrait = { Any: 0, Artist: 1, Album: 2, Genre: 3, AudioFormat: 4 };
+    const pricePerToken = ethers.parseEther("0.5");
+    let nftAddress;
+
+    async function makeCollectionOffer(trait, traitValue, quantity) {
+      const tx = await marketplace.connect(addr3).makeCollectionOffer(
         nftAddress,
-        tokenId,
-        startingPrice,
+        trait,
+        traitValue,
+        ethers.ZeroAddress,
+        pricePerToken,
+        quantity,
         0,
-        { value: listingFee }
+        { value: pricePerToken * BigInt(quantity) }
       );
 
       const receipt = await tx.wait();
-      const auctionEvent = receipt.logs.find(log => {
+      const offerEvent = receipt.logs.find(log => {
         try {
           const parsed = marketplace.interface.parseLog(log);
-          return parsed && parsed.name === "AuctionCreated";
+          return parsed && parsed.name === "CollectionOfferMade";
         } catch (e) {
           return false;
         }
       });
 
-      const auctionId = auctionEvent.args.auctionId;
-      const bidAmount = ethers.parseEther("0.6");
+      return offerEvent.args.offerId;
+    }
 
-      // First bid
-      await marketplace.connect(addr2).placeBid(auctionId, { value: bidAmount });
+    beforeEach(async function () {
+      // Tokens 0-1 are Electronic and owned by addr1, token 2 is Rock and owned by addr2
+      const mintPrice = await cryptoSoundsNFT.mintPrice();
+      const tracks = [
+        { holder: addr1, genre: "Electronic" },
+        { holder: addr1, genre: "Electronic" },
+        { holder: addr2, genre: "Rock" }
+      ];
+
+      for (let i = 0; i < tracks.length; i++) {
+        await cryptoSoundsNFT.connect(tracks[i].holder).mintAudioNFT(
+          tracks[i].holder.address,
+          {
+            title: `Test Song ${i}`,
+            artist: "Test Artist",
+            album: "Test Album",
+            genre: tracks[i].genre,
+            duration: 180,
+            audioFormat: "WAV",
+            audioHash: `QmTestHash${i}`,
+            coverImageHash: "QmCoverHash123",
+            releaseDate: Math.floor(Date.now() / 1000),
+            isExplicit: false
+          },
+          `https://ipfs.io/ipfs/QmTestMetadataHash${i}`,
+          { value: mintPrice }
+        );
+      }
+
+      nftAddress = await cryptoSoundsNFT.getAddress();
+      await cryptoSoundsNFT.connect(addr1).setApprovalForAll(marketplace.getAddress(), true);
+      await cryptoSoundsNFT.connect(addr2).setApprovalForAll(marketplace.getAddress(), true);
+    });
 
-      // Second bid below first bid should fail
+    it("Should escrow the full amount for all tokens", async function () {
       await expect(
-        marketplace.connect(addr3).placeBid(auctionId, { value: ethers.parseEther("0.5") })
-      ).to.be.revertedWith("Bid too low");
+        marketplace.connect(addr3).makeCollectionOffer(
+          nftAddress,
+          OfferTrait.Any,
+          "",
+          ethers.ZeroAddress,
+          pricePerToken,
+          3,
+          0,
+          { value: pricePerToken * 2n }
+        )
+      ).to.be.revertedWith("Incorrect payment");
+
+      const offerId = await makeCollectionOffer(OfferTrait.Any, "", 3);
+      expect(await ethers.provider.getBalance(marketplace.getAddress())).to.equal(pricePerToken * 3n);
+      expect((await marketplace.collectionOffers(offerId)).quantity).to.equal(3);
     });
-  });
 
-  describe("Admin Functions", function () {
-    it("Should allow owner to update marketplace fee", async function () {
-      const newFee = 500; // 5%
+    it("Should let different holders partially fill a collection offer", async function () {
+      const offerId = await makeCollectionOffer(OfferTrait.Any, "", 3);
+
+      await expect(
+        marketplace.connect(addr1).acceptCollectionOffer(offerId, [0, 1])
+      ).to.emit(marketplace, "CollectionOfferFilled");
+
+      let offer = await marketplace.collectionOffers(offerId);
+      expect(offer.quantity).to.equal(1);
+      expect(offer.isActive).to.be.true;
+
+      await expect(
+        marketplace.connect(addr2).acceptCollectionOffer(offerId, [2])
+      ).to.emit(marketplace, "CollectionOfferClosed")
+        .withArgs(offerId, addr3.address, 0);
+
+      offer = await marketplace.collectionOffers(offerId);
+      expect(offer.quantity).to.equal(0);
+      expect(offer.isActive).to.be.false;
+      expect(await cryptoSoundsNFT.balanceOf(addr3.address)).to.equal(3);
+    });
+
+    it("Should only fill trait offers with matching tokens", async function () {
+      const offerId = await makeCollectionOffer(OfferTrait.Genre, "Electronic", 2);
+
+      expect(await marketplace.matchesCollectionOffer(offerId, 0)).to.be.true;
+      expect(await marketplace.matchesCollectionOffer(offerId, 2)).to.be.false;
+
+      await expect(
+        marketplace.connect(addr2).acceptCollectionOffer(offerId, [2])
+      ).to.be.revertedWith("Token does not match offer");
+
+      await marketplace.connect(addr1).acceptCollectionOffer(offerId, [1]);
+      expect(await cryptoSoundsNFT.ownerOf(1)).to.equal(addr3.address);
+    });
+
+    it("Should pay each seller with royalties and fees deducted", async function () {
+      const offerId = await makeCollectionOffer(OfferTrait.Any, "", 2);
+
+      await expect(
+        marketplace.connect(addr2).acceptCollectionOffer(offerId, [2])
+      ).to.emit(marketplace, "CollectionOfferFilled")
+        .withArgs(
+          offerId,
+          addr2.address,
+          2,
+          pricePerToken,
+          ethers.parseEther("0.0125"),
+          ethers.parseEther("0.025"),
+          0,
+          ethers.parseEther("0.4625")
+        );
+    });
+
+    it("Should reject tokens the caller does not own or beyond the quantity", async function () {
+      const offerId = await makeCollectionOffer(OfferTrait.Any, "", 1);
+
+      await expect(
+        marketplace.connect(addr2).acceptCollectionOffer(offerId, [0])
+      ).to.be.revertedWith("Not the owner");
+
+      await expect(
+        marketplace.connect(addr1).acceptCollectionOffer(offerId, [0, 1])
+      ).to.be.revertedWith("Exceeds offer quantity");
+    });
+
+    it("Should refund the unfilled amount on cancel", async function () {
+      const offerId = await makeCollectionOffer(OfferTrait.Any, "", 3);
+      await marketplace.connect(addr1).acceptCollectionOffer(offerId, [0]);
+
+      const tx = marketplace.connect(addr3).cancelCollectionOffer(offerId);
+      await expect(tx)
+        .to.emit(marketplace, "CollectionOfferClosed")
+        .withArgs(offerId, addr3.address, pricePerToken * 2n);
+      await expect(tx).to.changeEtherBalance(addr3, pricePerToken * 2n);
+    });
+
+    it("Should let anyone refund an expired collection offer", async function () {
+      const offerId = await makeCollectionOffer(OfferTrait.Any, "", 2);
+
+      await expect(
+        marketplace.connect(addr1).refundExpiredCollectionOffer(offerId)
+      ).to.be.revertedWith("Offer not expired");
+
+      await time.increase(3 * 24 * 60 * 60 + 1);
+
+      await expect(
+        marketplace.connect(addr1).acceptCollectionOffer(offerId, [0])
+      ).to.be.revertedWith("Offer expired");
+
+      await expect(
+        marketplace.connect(addr1).refundExpiredCollectionOffer(offerId)
+      ).to.changeEtherBalance(addr3, pricePerToken * 2n);
+    });
+  });
+
+  describe("Signed Orders", function () {
+    const price = ethers.parseEther("1");
+    let nftAddress;
+    let tokenId;
+
+    beforeEach(async function () {
+      const mintPrice = await cryptoSoundsNFT.mintPrice();
+      const audioMetadata = {
+        title: "Test Song",
+        artist: "Test Artist",
+        album: "Test Album",
+        genre: "Electronic",
+        duration: 180,
+        audioFormat: "WAV",
+        audioHash: "QmTestHash123",
+        coverImageHash: "QmCoverHash123",
+        releaseDate: Math.floor(Date.now() / 1000),
+        isExplicit: false
+      };
+
+      await cryptoSoundsNFT.connect(addr1).mintAudioNFT(
+        addr1.address,
+        audioMetadata,
+        "https://ipfs.io/ipfs/QmTestMetadataHash",
+        { value: mintPrice }
+      );
+
+      tokenId = 0;
+      nftAddress = await cryptoSoundsNFT.getAddress();
+      await cryptoSoundsNFT.connect(addr1).setApprovalForAll(marketplace.getAddress(), true);
+    });
+
+    describe("Listings", function () {
+      let order;
+      let signature;
+
+      beforeEach(async function () {
+        order = await buildOrder(marketplace, {
+          side: OrderSide.Sell,
+          maker: addr1.address,
+          nftContract: nftAddress,
+          tokenId,
+          price
+        });
+        signature = await signOrder(addr1, marketplace, order);
+      });
+
+      it("Should hash orders the same way off-chain and on-chain", async function () {
+        const domain = await getOrderDomain(marketplace);
+        expect(await marketplace.hashOrder(order)).to.equal(hashOrder(domain, order));
+      });
+
+      it("Should fill a signed listing without an on-chain listing or fee", async function () {
+        expect(await validateOrder(marketplace, order, signature)).to.deep.equal({ valid: true, reason: null });
+
+        const tx = marketplace.connect(addr2).fillSignedListing(order, signature, { value: price });
+        await expect(tx)
+          .to.emit(marketplace, "OrderFilled")
+          .withArgs(
+            await marketplace.hashOrder(order),
+            addr1.address,
+            addr2.address,
+            OrderSide.Sell,
+            price,
+            ethers.parseEther("0.025"),
+            ethers.parseEther("0.05"),
+            0,
+            ethers.parseEther("0.925")
+          );
+        await expect(tx).to.changeEtherBalance(addr1, ethers.parseEther("0.925"));
+
+        expect(await cryptoSoundsNFT.ownerOf(tokenId)).to.equal(addr2.address);
+      });
+
+      it("Should not fill the same order twice", async function () {
+        await marketplace.connect(addr2).fillSignedListing(order, signature, { value: price });
+
+        expect((await validateOrder(marketplace, order, signature)).reason).to.equal("Order nonce used");
+        await expect(
+          marketplace.connect(addr3).fillSignedListing(order, signature, { value: price })
+        ).to.be.revertedWith("Order nonce used");
+      });
+
+      it("Should reject tampered orders and foreign signatures", async function () {
+        const tampered = { ...order, price: ethers.parseEther("0.1") };
+        expect((await validateOrder(marketplace, tampered, signature)).reason).to.equal("Invalid signature");
+        await expect(
+          marketplace.connect(addr2).fillSignedListing(tampered, signature, { value: tampered.price })
+        ).to.be.revertedWith("Invalid signature");
+
+        await expect(
+          signOrder(addr2, marketplace, order)
+        ).to.be.rejectedWith("is not the order maker");
+      });
+
+      it("Should reject expired orders", async function () {
+        const latest = await time.latest();
+        const expiring = await buildOrder(marketplace, {
+          side: OrderSide.Sell,
+          maker: addr1.address,
+          nftContract: nftAddress,
+          tokenId,
+          price,
+          expirationTime: latest + 60
+        });
+        const expiringSignature = await signOrder(addr1, marketplace, expiring);
+
+        await time.increase(61);
+
+        expect((await validateOrder(marketplace, expiring, expiringSignature)).reason).to.equal("Order expired");
+        await expect(
+          marketplace.connect(addr2).fillSignedListing(expiring, expiringSignature, { value: price })
+        ).to.be.revertedWith("Order expired");
+      });
+
+      it("Should cancel a single order by nonce", async function () {
+        await expect(
+          marketplace.connect(addr1).cancelOrderNonces([order.nonce])
+        ).to.emit(marketplace, "OrderNonceCancelled")
+          .withArgs(addr1.address, order.nonce);
+
+        await expect(
+          marketplace.connect(addr2).fillSignedListing(order, signature, { value: price })
+        ).to.be.revertedWith("Order nonce used");
+      });
+
+      it("Should cancel all outstanding orders by incrementing the counter", async function () {
+        await expect(
+          marketplace.connect(addr1).incrementOrderCounter()
+        ).to.emit(marketplace, "OrderCounterIncremented")
+          .withArgs(addr1.address, 1);
+
+        expect((await validateOrder(marketplace, order, signature)).reason).to.equal("Order cancelled");
+        await expect(
+          marketplace.connect(addr2).fillSignedListing(order, signature, { value: price })
+        ).to.be.revertedWith("Order cancelled");
+      });
+
+      it("Should not accept a sell order as an offer", async function () {
+        await expect(
+          marketplace.connect(addr1).fillSignedOffer(order, signature)
+        ).to.be.revertedWith("Not a buy order");
+      });
+    });
+
+    describe("Offers", function () {
+      let order;
+      let signature;
+
+      beforeEach(async function () {
+        order = await buildOrder(marketplace, {
+          side: OrderSide.Buy,
+          maker: addr2.address,
+          nftContract: nftAddress,
+          tokenId,
+          price
+        });
+        signature = await signOrder(addr2, marketplace, order);
+      });
+
+      it("Should require a deposit to back signed offers", async function () {
+        expect((await validateOrder(marketplace, order, signature)).reason).to.equal("Insufficient offer deposit");
+        await expect(
+          marketplace.connect(addr1).fillSignedOffer(order, signature)
+        ).to.be.revertedWith("Insufficient offer deposit");
+      });
+
+      it("Should fill a signed offer from the bidder's deposit", async function () {
+        await expect(
+          marketplace.connect(addr2).depositOfferFunds(ethers.ZeroAddress, price, { value: price })
+        ).to.emit(marketplace, "OfferDepositUpdated")
+          .withArgs(addr2.address, ethers.ZeroAddress, price);
+
+        const tx = marketplace.connect(addr1).fillSignedOffer(order, signature);
+        await expect(tx).to.emit(marketplace, "OrderFilled");
+        await expect(tx).to.changeEtherBalance(addr1, ethers.parseEther("0.925"));
+
+        expect(await cryptoSoundsNFT.ownerOf(tokenId)).to.equal(addr2.address);
+        expect(await marketplace.offerDeposits(addr2.address, ethers.ZeroAddress)).to.equal(0);
+      });
+
+      it("Should only let the token owner fill a signed offer", async function () {
+        await marketplace.connect(addr2).depositOfferFunds(ethers.ZeroAddress, price, { value: price });
+
+        await expect(
+          marketplace.connect(addr3).fillSignedOffer(order, signature)
+        ).to.be.revertedWith("Not the owner");
+      });
+
+      it("Should let bidders withdraw unused deposits", async function () {
+        await marketplace.connect(addr2).depositOfferFunds(ethers.ZeroAddress, price, { value: price });
+
+        await expect(
+          marketplace.connect(addr2).withdrawOfferFunds(ethers.ZeroAddress, price + 1n)
+        ).to.be.revertedWith("Insufficient offer deposit");
+
+        await expect(
+          marketplace.connect(addr2).withdrawOfferFunds(ethers.ZeroAddress, price)
+        ).to.changeEtherBalance(addr2, price);
+      });
+    });
+  });
+
+  describe("Auctions", function () {
+    let tokenId;
+    const startingPrice = ethers.parseEther("0.5");
+
+    beforeEach(async function () {
+      // Mint an NFT
+      const mintPrice = await cryptoSoundsNFT.mintPrice();
+      const audioMetadata = {
+        title: "Test Song",
+        artist: "Test Artist",
+        album: "Test Album",
+        genre: "Electronic",
+        duration: 180,
+        audioFormat: "WAV",
+        audioHash: "QmTestHash123",
+        coverImageHash: "QmCoverHash123",
+        releaseDate: Math.floor(Date.now() / 1000),
+        isExplicit: false
+      };
+
+      await cryptoSoundsNFT.connect(addr1).mintAudioNFT(
+        addr1.address,
+        audioMetadata,
+        "https://ipfs.io/ipfs/QmTestMetadataHash",
+        { value: mintPrice }
+      );
+
+      tokenId = 0;
+    });
+
+    it("Should create an auction successfully", async function () {
+      const nftAddress = await cryptoSoundsNFT.getAddress();
+      const listingFee = await marketplace.listingFee();
+
+      await cryptoSoundsNFT.connect(addr1).approve(marketplace.getAddress(), tokenId);
+
+      await expect(
+        marketplace.connect(addr1).createAuction(
+          nftAddress,
+          tokenId,
+          startingPrice,
+          0, // use default duration
+          { value: listingFee }
+        )
+      ).to.emit(marketplace, "AuctionCreated");
+    });
+
+    it("Should place a bid successfully", async function () {
+      const nftAddress = await cryptoSoundsNFT.getAddress();
+      const listingFee = await marketplace.listingFee();
+
+      await cryptoSoundsNFT.connect(addr1).approve(marketplace.getAddress(), tokenId);
+
+      const tx = await marketplace.connect(addr1).createAuction(
+        nftAddress,
+        tokenId,
+        startingPrice,
+        0,
+        { value: listingFee }
+      );
+
+      const receipt = await tx.wait();
+      const auctionEvent = receipt.logs.find(log => {
+        try {
+          const parsed = marketplace.interface.parseLog(log);
+          return parsed && parsed.name === "AuctionCreated";
+        } catch (e) {
+          return false;
+        }
+      });
+
+      const auctionId = auctionEvent.args.auctionId;
+      const bidAmount = ethers.parseEther("0.6");
+
+      await expect(
+        marketplace.connect(addr2).placeBid(auctionId, { value: bidAmount })
+      ).to.emit(marketplace, "BidPlaced")
+        .withArgs(auctionId, addr2.address, bidAmount);
+    });
+
+    it("Should prevent bidding below current highest bid", async function () {
+      const nftAddress = await cryptoSoundsNFT.getAddress();
+      const listingFee = await marketplace.listingFee();
+
+      await cryptoSoundsNFT.connect(addr1).approve(marketplace.getAddress(), tokenId);
+
+      const tx = await marketplace.connect(addr1).createAuction(
+        nftAddress,
+        tokenId,
+        startingPrice,
+        0,
+        { value: listingFee }
+      );
+
+      const receipt = await tx.wait();
+      const auctionEvent = receipt.logs.find(log => {
+        try {
+          const parsed = marketplace.interface.parseLog(log);
+          return parsed && parsed.name === "AuctionCreated";
+        } catch (e) {
+          return false;
+        }
+      });
+
+      const auctionId = auctionEvent.args.auctionId;
+      const bidAmount = ethers.parseEther("0.6");
+
+      // First bid
+      await marketplace.connect(addr2).placeBid(auctionId, { value: bidAmount });
+
+      // Second bid below first bid should fail
+      await expect(
+        marketplace.connect(addr3).placeBid(auctionId, { value: ethers.parseEther("0.5") })
+      ).to.be.revertedWith("Bid too low");
+    });
+  });
+
+  describe("Royalties", function () {
+    let tokenId;
+    let nftAddress;
+    let royalty;
+    const salePrice = ethers.parseEther("1");
+
+    async function listToken() {
+      const listingFee = await marketplace.listingFee();
+      await cryptoSoundsNFT.connect(addr1).approve(marketplace.getAddress(), tokenId);
+
+      const tx = await marketplace.connect(addr1).listItem(
+        nftAddress,
+        tokenId,
+        ethers.ZeroAddress,
+        salePrice,
+        0,
+        { value: listingFee }
+      );
+
+      const receipt = await tx.wait();
+      const listingEvent = receipt.logs.find(log => {
+        try {
+          const parsed = marketplace.interface.parseLog(log);
+          return parsed && parsed.name === "ItemListed";
+        } catch (e) {
+          return false;
+        }
+      });
+
+      return listingEvent.args.listingId;
+    }
+
+    beforeEach(async function () {
+      const mintPrice = await cryptoSoundsNFT.mintPrice();
+      const audioMetadata = {
+        title: "Test Song",
+        artist: "Test Artist",
+        album: "Test Album",
+        genre: "Electronic",
+        duration: 180,
+        audioFormat: "WAV",
+        audioHash: "QmTestHash123",
+        coverImageHash: "QmCoverHash123",
+        releaseDate: Math.floor(Date.now() / 1000),
+        isExplicit: false
+      };
+
+      await cryptoSoundsNFT.connect(addr1).mintAudioNFT(
+        addr1.address,
+        audioMetadata,
+        "https://ipfs.io/ipfs/QmTestMetadataHash",
+        { value: mintPrice }
+      );
+
+      tokenId = 0;
+      nftAddress = await cryptoSoundsNFT.getAddress();
+
+      // Send the 5% default royalty somewhere other than the fee recipient
+      await cryptoSoundsNFT.setDefaultRoyalty(addr3.address, 500);
+
+      const CryptoSoundsRoyalty = await ethers.getContractFactory("CryptoSoundsRoyalty");
+      royalty = await CryptoSoundsRoyalty.deploy(owner.address);
+      await royalty.waitForDeployment();
+      await royalty.grantRole(await royalty.MARKETPLACE_ROLE(), await marketplace.getAddress());
+    });
+
+    it("Should pay the ERC-2981 royalty on a sale", async function () {
+      const listingId = await listToken();
+      const feeAmount = (salePrice * 250n) / 10000n;
+      const royaltyAmount = (salePrice * 500n) / 10000n;
+      const sellerAmount = salePrice - feeAmount - royaltyAmount;
+
+      const tx = marketplace.connect(addr2).buyItem(listingId, { value: salePrice });
+      await expect(tx)
+        .to.emit(marketplace, "ItemSold")
+        .withArgs(listingId, addr1.address, addr2.address, salePrice, feeAmount, royaltyAmount, 0, sellerAmount);
+      await expect(tx)
+        .to.emit(marketplace, "PendingReturnCredited")
+        .withArgs(addr3.address, ethers.ZeroAddress, royaltyAmount);
+
+      expect(await cryptoSoundsNFT.ownerOf(tokenId)).to.equal(addr2.address);
+    });
+
+    it("Should pay the fee and proceeds and credit the royalty for withdrawal", async function () {
+      const listingId = await listToken();
+
+      await expect(
+        marketplace.connect(addr2).buyItem(listingId, { value: salePrice })
+      ).to.changeEtherBalances(
+        [addr1, addr3, owner],
+        [ethers.parseEther("0.925"), 0, ethers.parseEther("0.025")]
+      );
+
+      expect(await marketplace.pendingReturns(addr3.address, ethers.ZeroAddress)).to.equal(ethers.parseEther("0.05"));
+      await expect(
+        marketplace.connect(addr3).withdrawPendingReturns(ethers.ZeroAddress)
+      ).to.changeEtherBalance(addr3, ethers.parseEther("0.05"));
+    });
+
+    it("Should not let a royalty receiver that rejects ETH block sales", async function () {
+      const RejectingBidder = await ethers.getContractFactory("RejectingBidder");
+      const receiver = await RejectingBidder.deploy(await marketplace.getAddress());
+      await cryptoSoundsNFT.setDefaultRoyalty(await receiver.getAddress(), 500);
+      const listingId = await listToken();
+
+      await marketplace.connect(addr2).buyItem(listingId, { value: salePrice });
+
+      expect(await cryptoSoundsNFT.ownerOf(tokenId)).to.equal(addr2.address);
+      expect(await marketplace.pendingReturns(await receiver.getAddress(), ethers.ZeroAddress)).to.equal(
+        ethers.parseEther("0.05")
+      );
+      await expect(receiver.withdrawPendingReturns()).to.be.revertedWith("Withdrawal failed");
+    });
+
+    it("Should pay a royalty split through the royalty manager", async function () {
+      await royalty.connect(addr1).setTokenRoyalty(
+        nftAddress,
+        tokenId,
+        [addr2.address, addr3.address],
+        [300, 200], // 3% and 2%
+        ["artist", "producer"]
+      );
+      await royalty.connect(addr2).acceptTokenRoyalty(nftAddress, tokenId);
+      await royalty.connect(addr3).acceptTokenRoyalty(nftAddress, tokenId);
+      await marketplace.setRoyaltyManager(await royalty.getAddress());
+
+      const listingId = await listToken();
+      const buyer = addrs[0];
+
+      // 5% split, reported apart from the 0.25% royalty platform fee
+      const royaltyAmount = ethers.parseEther("0.05");
+      const royaltyFeeAmount = ethers.parseEther("0.0025");
+      const feeAmount = ethers.parseEther("0.025");
+      const sellerAmount = salePrice - feeAmount - royaltyAmount - royaltyFeeAmount;
+
+      const tx = marketplace.connect(buyer).buyItem(listingId, { value: salePrice });
+      await expect(tx)
+        .to.emit(marketplace, "ItemSold")
+        .withArgs(
+          listingId,
+          addr1.address,
+          buyer.address,
+          salePrice,
+          feeAmount,
+          royaltyAmount,
+          royaltyFeeAmount,
+          sellerAmount
+        );
+      await expect(tx).to.emit(royalty, "RoyaltyCredited");
+      await expect(tx).to.changeEtherBalances([addr1, royalty], [sellerAmount, royaltyAmount + royaltyFeeAmount]);
+
+      // Recipients claim their share from the royalty manager
+      await expect(royalty.connect(addr2).claim(ethers.ZeroAddress)).to.changeEtherBalance(
+        addr2,
+        ethers.parseEther("0.03")
+      );
+      expect(await royalty.royaltyBalances(ethers.ZeroAddress, addr3.address)).to.equal(ethers.parseEther("0.02"));
+      expect(await royalty.salesVolume(nftAddress, tokenId, ethers.ZeroAddress)).to.equal(salePrice);
+
+      expect(await ethers.provider.getBalance(marketplace.getAddress())).to.equal(
+        await marketplace.listingFee()
+      );
+    });
+
+    it("Should fall back to ERC-2981 for tokens without a split", async function () {
+      await marketplace.setRoyaltyManager(await royalty.getAddress());
+      const listingId = await listToken();
+
+      await expect(marketplace.connect(addr2).buyItem(listingId, { value: salePrice }))
+        .to.emit(marketplace, "PendingReturnCredited")
+        .withArgs(addr3.address, ethers.ZeroAddress, ethers.parseEther("0.05"));
+    });
+
+    it("Should hold sales of tokens with a split while the royalty manager is paused", async function () {
+      await royalty.connect(addr1).setTokenRoyalty(nftAddress, tokenId, [addr2.address], [500], ["artist"]);
+      await royalty.connect(addr2).acceptTokenRoyalty(nftAddress, tokenId);
+      await marketplace.setRoyaltyManager(await royalty.getAddress());
+      const listingId = await listToken();
+
+      await royalty.pause();
+      await expect(
+        marketplace.connect(addr3).buyItem(listingId, { value: salePrice })
+      ).to.be.revertedWith("Pausable: paused");
+
+      await royalty.unpause();
+      await marketplace.connect(addr3).buyItem(listingId, { value: salePrice });
+      expect(await cryptoSoundsNFT.ownerOf(tokenId)).to.equal(addr3.address);
+    });
+
+    it("Should pay royalties when an offer is accepted", async function () {
+      const tx = await marketplace.connect(addr2).makeOffer(
+        nftAddress,
+        tokenId,
+        ethers.ZeroAddress,
+        salePrice,
+        0,
+        { value: salePrice }
+      );
+      const receipt = await tx.wait();
+      const offerEvent = receipt.logs.find(log => {
+        try {
+          const parsed = marketplace.interface.parseLog(log);
+          return parsed && parsed.name === "OfferMade";
+        } catch (e) {
+          return false;
+        }
+      });
+      const offerId = offerEvent.args.offerId;
+
+      await cryptoSoundsNFT.connect(addr1).approve(marketplace.getAddress(), tokenId);
+
+      await expect(
+        marketplace.connect(addr1).acceptOffer(offerId)
+      ).to.emit(marketplace, "OfferAccepted")
+        .withArgs(
+          offerId,
+          addr1.address,
+          addr2.address,
+          salePrice,
+          ethers.parseEther("0.025"),
+          ethers.parseEther("0.05"),
+          0,
+          ethers.parseEther("0.925")
+        );
+    });
+
+    it("Should pay royalties when an auction ends", async function () {
+      const listingFee = await marketplace.listingFee();
+      await cryptoSoundsNFT.connect(addr1).approve(marketplace.getAddress(), tokenId);
+
+      const tx = await marketplace.connect(addr1).createAuction(
+        nftAddress,
+        tokenId,
+        salePrice,
+        0,
+        { value: listingFee }
+      );
+      const receipt = await tx.wait();
+      const auctionEvent = receipt.logs.find(log => {
+        try {
+          const parsed = marketplace.interface.parseLog(log);
+          return parsed && parsed.name === "AuctionCreated";
+        } catch (e) {
+          return false;
+        }
+      });
+      const auctionId = auctionEvent.args.auctionId;
+
+      await marketplace.connect(addr2).placeBid(auctionId, { value: salePrice });
+
+      await expect(
+        marketplace.connect(addr1).endAuction(auctionId)
+      ).to.emit(marketplace, "AuctionEnded")
+        .withArgs(
+          auctionId,
+          addr2.address,
+          salePrice,
+          ethers.parseEther("0.025"),
+          ethers.parseEther("0.05"),
+          0,
+          ethers.parseEther("0.925")
+        );
+    });
+
+    it("Should reject direct ETH transfers", async function () {
+      await expect(
+        addr1.sendTransaction({ to: await marketplace.getAddress(), value: 1 })
+      ).to.be.reverted;
+      await expect(
+        addr1.sendTransaction({ to: await marketplace.getAddress(), value: 1, data: "0x12345678" })
+      ).to.be.reverted;
+    });
+
+    it("Should only let an admin set the royalty manager", async function () {
+      await expect(
+        marketplace.connect(addr1).setRoyaltyManager(await royalty.getAddress())
+      ).to.be.revertedWith(missingRole(addr1.address, ethers.ZeroHash));
+    });
+  });
+
+  describe("Auction Options", function () {
+    const startingPrice = ethers.parseEther("0.5");
+    let nftAddress;
+    let tokenId;
+
+    function auctionParams(overrides) {
+      return {
+        nftContract: nftAddress,
+        tokenId,
+        paymentToken: ethers.ZeroAddress,
+        startingPrice,
+        duration: 24 * 60 * 60,
+        reservePrice: 0,
+        reserveHash: ethers.ZeroHash,
+        buyNowPrice: 0,
+        ...overrides
+      };
+    }
+
+    async function createAuction(overrides) {
+      const listingFee = await marketplace.listingFee();
+      const tx = await marketplace.connect(addr1).createAuctionWithOptions(
+        auctionParams(overrides),
+        { value: listingFee }
+      );
+
+      const receipt = await tx.wait();
+      const auctionEvent = receipt.logs.find(log => {
+        try {
+          const parsed = marketplace.interface.parseLog(log);
+          return parsed && parsed.name === "AuctionCreated";
+        } catch (e) {
+          return false;
+        }
+      });
+
+      return auctionEvent.args.auctionId;
+    }
+
+    beforeEach(async function () {
+      const mintPrice = await cryptoSoundsNFT.mintPrice();
+      const audioMetadata = {
+        title: "Test Song",
+        artist: "Test Artist",
+        album: "Test Album",
+        genre: "Electronic",
+        duration: 180,
+        audioFormat: "WAV",
+        audioHash: "QmTestHash123",
+        coverImageHash: "QmCoverHash123",
+        releaseDate: Math.floor(Date.now() / 1000),
+        isExplicit: false
+      };
+
+      await cryptoSoundsNFT.connect(addr1).mintAudioNFT(
+        addr1.address,
+        audioMetadata,
+        "https://ipfs.io/ipfs/QmTestMetadataHash",
+        { value: mintPrice }
+      );
+
+      tokenId = 0;
+      nftAddress = await cryptoSoundsNFT.getAddress();
+      await cryptoSoundsNFT.connect(addr1).approve(marketplace.getAddress(), tokenId);
+    });
+
+    it("Should announce reserve and buy-it-now terms", async function () {
+      const listingFee = await marketplace.listingFee();
+
+      await expect(
+        marketplace.connect(addr1).createAuctionWithOptions(
+          auctionParams({ reservePrice: ethers.parseEther("1"), buyNowPrice: ethers.parseEther("2") }),
+          { value: listingFee }
+        )
+      ).to.emit(marketplace, "AuctionTermsSet");
+    });
+
+    it("Should reject a buy-it-now price below the reserve", async function () {
+      const listingFee = await marketplace.listingFee();
+
+      await expect(
+        marketplace.connect(addr1).createAuctionWithOptions(
+          auctionParams({ reservePrice: ethers.parseEther("1"), buyNowPrice: ethers.parseEther("0.8") }),
+          { value: listingFee }
+        )
+      ).to.be.revertedWith("Buy now price too low");
+    });
+
+    it("Should enforce the minimum bid increment", async function () {
+      const auctionId = await createAuction();
+      await marketplace.connect(addr2).placeBid(auctionId, { value: ethers.parseEther("1") });
+
+      // 5% over 1 ETH is required
+      await expect(
+        marketplace.connect(addr3).placeBid(auctionId, { value: ethers.parseEther("1.04") })
+      ).to.be.revertedWith("Bid too low");
+
+      await expect(
+        marketplace.connect(addr3).placeBid(auctionId, { value: ethers.parseEther("1.05") })
+      ).to.emit(marketplace, "BidPlaced");
+    });
+
+    it("Should extend the auction when a bid lands in the final minutes", async function () {
+      const auctionId = await createAuction();
+      const { endTime } = await marketplace.auctions(auctionId);
+
+      await time.increaseTo(endTime - 60n);
+
+      const tx = await marketplace.connect(addr2).placeBid(auctionId, { value: startingPrice });
+      const bidTime = BigInt((await ethers.provider.getBlock(tx.blockNumber)).timestamp);
+
+      await expect(tx)
+        .to.emit(marketplace, "AuctionExtended")
+        .withArgs(auctionId, bidTime + 600n);
+      expect((await marketplace.auctions(auctionId)).endTime).to.equal(bidTime + 600n);
+    });
+
+    it("Should not extend the auction for early bids", async function () {
+      const auctionId = await createAuction();
+
+      await expect(
+        marketplace.connect(addr2).placeBid(auctionId, { value: startingPrice })
+      ).to.not.emit(marketplace, "AuctionExtended");
+    });
+
+    it("Should close the auction with buy-it-now and credit the high bidder", async function () {
+      const buyNowPrice = ethers.parseEther("2");
+      const auctionId = await createAuction({ buyNowPrice });
+      await marketplace.connect(addr2).placeBid(auctionId, { value: ethers.parseEther("1") });
+
+      const tx = marketplace.connect(addr3).buyNow(auctionId, { value: buyNowPrice });
+      await expect(tx)
+        .to.emit(marketplace, "AuctionEnded")
+        .withArgs(
+          auctionId,
+          addr3.address,
+          buyNowPrice,
+          ethers.parseEther("0.05"),
+          ethers.parseEther("0.1"),
+          0,
+          ethers.parseEther("1.85")
+        );
+      await expect(tx)
+        .to.emit(marketplace, "PendingReturnCredited")
+        .withArgs(addr2.address, ethers.ZeroAddress, ethers.parseEther("1"));
+
+      expect(await marketplace.pendingReturns(addr2.address, ethers.ZeroAddress)).to.equal(ethers.parseEther("1"));
+      expect(await cryptoSoundsNFT.ownerOf(tokenId)).to.equal(addr3.address);
+      expect((await marketplace.auctions(auctionId)).isActive).to.be.false;
+    });
+
+    it("Should not offer buy-it-now when disabled", async function () {
+      const auctionId = await createAuction();
+
+      await expect(
+        marketplace.connect(addr3).buyNow(auctionId, { value: ethers.parseEther("10") })
+      ).to.be.revertedWith("Buy now not available");
+    });
+
+    it("Should credit the bidder and return the NFT when a public reserve is not met", async function () {
+      const reservePrice = ethers.parseEther("1");
+      const auctionId = await createAuction({ reservePrice });
+      await marketplace.connect(addr2).placeBid(auctionId, { value: ethers.parseEther("0.8") });
+      expect(await marketplace.isReserveMet(auctionId)).to.be.false;
+
+      await time.increase(24 * 60 * 60);
+
+      const tx = marketplace.connect(addr3).endAuction(auctionId);
+      await expect(tx)
+        .to.emit(marketplace, "ReserveNotMet")
+        .withArgs(auctionId, ethers.parseEther("0.8"), reservePrice);
+      await expect(tx).to.changeEtherBalance(addr2, 0);
+      expect(await marketplace.pendingReturns(addr2.address, ethers.ZeroAddress)).to.equal(ethers.parseEther("0.8"));
+
+      expect(await cryptoSoundsNFT.ownerOf(tokenId)).to.equal(addr1.address);
+    });
+
+    it("Should sell once a public reserve is met", async function () {
+      const auctionId = await createAuction({ reservePrice: ethers.parseEther("1") });
+      await marketplace.connect(addr2).placeBid(auctionId, { value: ethers.parseEther("1") });
+      expect(await marketplace.isReserveMet(auctionId)).to.be.true;
+
+      await time.increase(24 * 60 * 60);
+      await marketplace.connect(addr3).endAuction(auctionId);
+
+      expect(await cryptoSoundsNFT.ownerOf(tokenId)).to.equal(addr2.address);
+    });
+
+    it("Should settle a hidden reserve only after the seller reveals it", async function () {
+      const reservePrice = ethers.parseEther("1");
+      const salt = ethers.id("secret");
+      const reserveHash = ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(["uint256", "bytes32"], [reservePrice, salt])
+      );
+
+      const auctionId = await createAuction({ reserveHash });
+      expect((await marketplace.auctions(auctionId)).reservePrice).to.equal(0);
+
+      await marketplace.connect(addr2).placeBid(auctionId, { value: ethers.parseEther("1.2") });
+      expect(await marketplace.isReserveMet(auctionId)).to.be.false;
+
+      await expect(
+        marketplace.connect(addr1).revealReserve(auctionId, ethers.parseEther("0.5"), salt)
+      ).to.be.revertedWith("Reserve does not match");
+      await expect(
+        marketplace.connect(addr2).revealReserve(auctionId, reservePrice, salt)
+      ).to.be.revertedWith("Not the seller");
+
+      await expect(
+        marketplace.connect(addr1).revealReserve(auctionId, reservePrice, salt)
+      ).to.emit(marketplace, "ReserveRevealed")
+        .withArgs(auctionId, reservePrice);
+      expect(await marketplace.isReserveMet(auctionId)).to.be.true;
+
+      await time.increase(24 * 60 * 60);
+      await marketplace.connect(addr3).endAuction(auctionId);
+
+      expect(await cryptoSoundsNFT.ownerOf(tokenId)).to.equal(addr2.address);
+    });
+
+    it("Should treat an unrevealed hidden reserve as not met", async function () {
+      const reserveHash = ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(["uint256", "bytes32"], [ethers.parseEther("1"), ethers.id("secret")])
+      );
+      const auctionId = await createAuction({ reserveHash });
+      await marketplace.connect(addr2).placeBid(auctionId, { value: ethers.parseEther("5") });
+
+      await time.increase(24 * 60 * 60);
+
+      await expect(
+        marketplace.connect(addr3).endAuction(auctionId)
+      ).to.emit(marketplace, "ReserveNotMet");
+      expect(await cryptoSoundsNFT.ownerOf(tokenId)).to.equal(addr1.address);
+    });
+
+    it("Should let an admin tune increments and the extension window", async function () {
+      await marketplace.setMinBidIncrement(1000);
+      await marketplace.setAuctionExtensionWindow(5 * 60);
+      expect(await marketplace.minBidIncrement()).to.equal(1000);
+      expect(await marketplace.auctionExtensionWindow()).to.equal(5 * 60);
+
+      await expect(marketplace.setMinBidIncrement(6000)).to.be.revertedWith("Increment too high");
+      await expect(
+        marketplace.connect(addr1).setAuctionExtensionWindow(60)
+      ).to.be.revertedWith(missingRole(addr1.address, ethers.ZeroHash));
+    });
+  });
+
+  describe("Auction Escrow", function () {
+    const startingPrice = ethers.parseEther("0.5");
+    let nftAddress;
+    let tokenId;
+    let auctionId;
+
+    beforeEach(async function () {
+      const mintPrice = await cryptoSoundsNFT.mintPrice();
+      const audioMetadata = {
+        title: "Test Song",
+        artist: "Test Artist",
+        album: "Test Album",
+        genre: "Electronic",
+        duration: 180,
+        audioFormat: "WAV",
+        audioHash: "QmTestHash123",
+        coverImageHash: "QmCoverHash123",
+        releaseDate: Math.floor(Date.now() / 1000),
+        isExplicit: false
+      };
+
+      await cryptoSoundsNFT.connect(addr1).mintAudioNFT(
+        addr1.address,
+        audioMetadata,
+        "https://ipfs.io/ipfs/QmTestMetadataHash",
+        { value: mintPrice }
+      );
+
+      tokenId = 0;
+      nftAddress = await cryptoSoundsNFT.getAddress();
+      await cryptoSoundsNFT.connect(addr1).approve(marketplace.getAddress(), tokenId);
+
+      const listingFee = await marketplace.listingFee();
+      const tx = await marketplace.connect(addr1).createAuction(
+        nftAddress,
+        tokenId,
+        startingPrice,
+        24 * 60 * 60,
+        { value: listingFee }
+      );
+
+      const receipt = await tx.wait();
+      const auctionEvent = receipt.logs.find(log => {
+        try {
+          const parsed = marketplace.interface.parseLog(log);
+          return parsed && parsed.name === "AuctionCreated";
+        } catch (e) {
+          return false;
+        }
+      });
+
+      auctionId = auctionEvent.args.auctionId;
+    });
+
+    it("Should hold the NFT in the marketplace during the auction", async function () {
+      expect(await cryptoSoundsNFT.ownerOf(tokenId)).to.equal(await marketplace.getAddress());
+
+      // The seller can no longer move the NFT out from under the bidders
+      await expect(
+        cryptoSoundsNFT.connect(addr1).transferFrom(addr1.address, addr3.address, tokenId)
+      ).to.be.reverted;
+    });
+
+    it("Should transfer the escrowed NFT to the winner", async function () {
+      await marketplace.connect(addr2).placeBid(auctionId, { value: startingPrice });
+      await time.increase(24 * 60 * 60);
+
+      await marketplace.connect(addr3).endAuction(auctionId);
+
+      expect(await cryptoSoundsNFT.ownerOf(tokenId)).to.equal(addr2.address);
+    });
+
+    it("Should return the NFT to the seller when cancelled", async function () {
+      await expect(
+        marketplace.connect(addr1).cancelAuction(auctionId)
+      ).to.emit(marketplace, "AuctionCancelled");
+
+      expect(await cryptoSoundsNFT.ownerOf(tokenId)).to.equal(addr1.address);
+    });
+
+    it("Should return the NFT to the seller when an auction ends without bids", async function () {
+      await time.increase(24 * 60 * 60);
+      await marketplace.connect(addr3).endAuction(auctionId);
+
+      expect(await cryptoSoundsNFT.ownerOf(tokenId)).to.equal(addr1.address);
+    });
+
+    it("Should credit outbid funds for withdrawal instead of refunding them", async function () {
+      await marketplace.connect(addr2).placeBid(auctionId, { value: ethers.parseEther("1") });
+
+      const tx = marketplace.connect(addr3).placeBid(auctionId, { value: ethers.parseEther("2") });
+      await expect(tx)
+        .to.emit(marketplace, "PendingReturnCredited")
+        .withArgs(addr2.address, ethers.ZeroAddress, ethers.parseEther("1"));
+      await expect(tx).to.changeEtherBalance(addr2, 0);
+
+      await expect(
+        marketplace.connect(addr2).withdrawPendingReturns(ethers.ZeroAddress)
+      ).to.changeEtherBalance(addr2, ethers.parseEther("1"));
+      expect(await marketplace.pendingReturns(addr2.address, ethers.ZeroAddress)).to.equal(0);
+
+      await expect(
+        marketplace.connect(addr2).withdrawPendingReturns(ethers.ZeroAddress)
+      ).to.be.revertedWith("No funds to withdraw");
+    });
+
+    it("Should not let a bidder that rejects ETH block higher bids", async function () {
+      const RejectingBidder = await ethers.getContractFactory("RejectingBidder");
+      const bidder = await RejectingBidder.deploy(await marketplace.getAddress());
+      await bidder.bid(auctionId, { value: ethers.parseEther("1") });
+
+      await expect(
+        marketplace.connect(addr2).placeBid(auctionId, { value: ethers.parseEther("2") })
+      ).to.emit(marketplace, "BidPlaced");
+
+      expect(await marketplace.pendingReturns(await bidder.getAddress(), ethers.ZeroAddress)).to.equal(ethers.parseEther("1"));
+      await expect(bidder.withdrawPendingReturns()).to.be.revertedWith("Withdrawal failed");
+    });
+
+    it("Should settle an auction won by a contract that rejects ERC-721 transfers", async function () {
+      // RejectingBidder has no onERC721Received
+      const RejectingBidder = await ethers.getContractFactory("RejectingBidder");
+      const bidder = await RejectingBidder.deploy(await marketplace.getAddress());
+      const bid = ethers.parseEther("1");
+      await bidder.bid(auctionId, { value: bid });
+
+      await time.increase(24 * 60 * 60 + 1);
+      const tx = marketplace.connect(addr3).endAuction(auctionId);
+      await expect(tx).to.emit(marketplace, "AuctionEnded");
+      await expect(tx).to.changeEtherBalance(addr1, ethers.parseEther("0.925"));
+      expect(await cryptoSoundsNFT.ownerOf(tokenId)).to.equal(await bidder.getAddress());
+    });
+
+    it("Should only let the owner withdraw listing fees, not escrowed bids", async function () {
+      await marketplace.connect(addr2).placeBid(auctionId, { value: ethers.parseEther("1") });
+      await marketplace.connect(addr3).placeBid(auctionId, { value: ethers.parseEther("2") });
+
+      const listingFee = await marketplace.listingFee();
+      expect(await marketplace.listingFeesCollected()).to.equal(listingFee);
+
+      await expect(marketplace.withdraw()).to.changeEtherBalance(owner, listingFee);
+      expect(await ethers.provider.getBalance(marketplace.getAddress())).to.equal(ethers.parseEther("3"));
+
+      await expect(marketplace.withdraw()).to.be.revertedWith("No funds to withdraw");
+    });
+  });
+
+  describe("Dutch Auctions", function () {
+    const startPrice = ethers.parseEther("2");
+    const floorPrice = ethers.parseEther("1");
+    const duration = 10 * 60 * 60;
+    let nftAddress;
+    let tokenId;
+
+    function dutchParams(overrides) {
+      return {
+        nftContract: nftAddress,
+        tokenId,
+        paymentToken: ethers.ZeroAddress,
+        startPrice,
+        floorPrice,
+        duration,
+        ...overrides
+      };
+    }
+
+    async function createDutchAuction(overrides) {
+      const listingFee = await marketplace.listingFee();
+      const tx = await marketplace.connect(addr1).createDutchAuction(
+        dutchParams(overrides),
+        { value: listingFee }
+      );
+
+      const receipt = await tx.wait();
+      const auctionEvent = receipt.logs.find(log => {
+        try {
+          const parsed = marketplace.interface.parseLog(log);
+          return parsed && parsed.name === "DutchAuctionCreated";
+        } catch (e) {
+          return false;
+        }
+      });
+
+      return auctionEvent.args.auctionId;
+    }
+
+    beforeEach(async function () {
+      const mintPrice = await cryptoSoundsNFT.mintPrice();
+      const audioMetadata = {
+        title: "Test Song",
+        artist: "Test Artist",
+        album: "Test Album",
+        genre: "Electronic",
+        duration: 180,
+        audioFormat: "WAV",
+        audioHash: "QmTestHash123",
+        coverImageHash: "QmCoverHash123",
+        releaseDate: Math.floor(Date.now() / 1000),
+        isExplicit: false
+      };
+
+      await cryptoSoundsNFT.connect(addr1).mintAudioNFT(
+        addr1.address,
+        audioMetadata,
+        "https://ipfs.io/ipfs/QmTestMetadataHash",
+        { value: mintPrice }
+      );
+
+      tokenId = 0;
+      nftAddress = await cryptoSoundsNFT.getAddress();
+      await cryptoSoundsNFT.connect(addr1).approve(marketplace.getAddress(), tokenId);
+    });
+
+    it("Should create a Dutch auction and escrow the NFT", async function () {
+      const listingFee = await marketplace.listingFee();
+
+      await expect(
+        marketplace.connect(addr1).createDutchAuction(dutchParams(), { value: listingFee })
+      ).to.emit(marketplace, "DutchAuctionCreated");
+
+      expect(await cryptoSoundsNFT.ownerOf(tokenId)).to.equal(await marketplace.getAddress());
+    });
+
+    it("Should reject a start price at or below the floor", async function () {
+      const listingFee = await marketplace.listingFee();
+
+      await expect(
+        marketplace.connect(addr1).createDutchAuction(
+          dutchParams({ startPrice: floorPrice }),
+          { value: listingFee }
+        )
+      ).to.be.revertedWith("Start price must exceed floor");
+      await expect(
+        marketplace.connect(addr1).createDutchAuction(
+          dutchParams({ floorPrice: 0 }),
+          { value: listingFee }
+        )
+      ).to.be.revertedWith("Floor price must be greater than 0");
+    });
+
+    it("Should decline the price linearly to the floor", async function () {
+      const auctionId = await createDutchAuction();
+      const { startTime, endTime } = await marketplace.dutchAuctions(auctionId);
+
+      expect(await marketplace.getDutchAuctionPrice(auctionId, startTime)).to.equal(startPrice);
+      expect(
+        await marketplace.getDutchAuctionPrice(auctionId, startTime + BigInt(duration / 4))
+      ).to.equal(ethers.parseEther("1.75"));
+      expect(
+        await marketplace.getDutchAuctionPrice(auctionId, startTime + BigInt(duration / 2))
+      ).to.equal(ethers.parseEther("1.5"));
+      expect(await marketplace.getDutchAuctionPrice(auctionId, endTime)).to.equal(floorPrice);
+      expect(await marketplace.getDutchAuctionPrice(auctionId, endTime + 1000n)).to.equal(floorPrice);
+    });
+
+    it("Should sell to the first buyer at the current price", async function () {
+      const auctionId = await createDutchAuction();
+      const { startTime } = await marketplace.dutchAuctions(auctionId);
+
+      const buyTime = startTime + BigInt(duration / 2);
+      await time.setNextBlockTimestamp(buyTime);
+
+      const tx = marketplace.connect(addr2).buyDutchAuction(auctionId, { value: startPrice });
+      await expect(tx)
+        .to.emit(marketplace, "AuctionEnded")
+        .withArgs(
+          auctionId,
+          addr2.address,
+          ethers.parseEther("1.5"),
+          ethers.parseEther("0.0375"),
+          ethers.parseEther("0.075"),
+          0,
+          ethers.parseEther("1.3875")
+        );
+      // Overpayment is refunded
+      await expect(tx).to.changeEtherBalance(addr2, -ethers.parseEther("1.5"));
+
+      expect(await cryptoSoundsNFT.ownerOf(tokenId)).to.equal(addr2.address);
+
+      await expect(
+        marketplace.connect(addr3).buyDutchAuction(auctionId, { value: startPrice })
+      ).to.be.revertedWith("Auction not active");
+    });
+
+    it("Should reject payments below the current price", async function () {
+      const auctionId = await createDutchAuction();
+
+      await expect(
+        marketplace.connect(addr2).buyDutchAuction(auctionId, { value: ethers.parseEther("1.9") })
+      ).to.be.revertedWith("Insufficient payment");
+    });
+
+    it("Should stay buyable at the floor after the decline ends", async function () {
+      const auctionId = await createDutchAuction();
+
+      await time.increase(duration * 2);
+
+      await expect(
+        marketplace.connect(addr2).buyDutchAuction(auctionId, { value: floorPrice })
+      ).to.emit(marketplace, "AuctionEnded");
+      expect(await cryptoSoundsNFT.ownerOf(tokenId)).to.equal(addr2.address);
+    });
+
+    it("Should let the seller cancel and reclaim the NFT", async function () {
+      const auctionId = await createDutchAuction();
+
+      await expect(
+        marketplace.connect(addr2).cancelDutchAuction(auctionId)
+      ).to.be.revertedWith("Not the seller");
+
+      await expect(
+        marketplace.connect(addr1).cancelDutchAuction(auctionId)
+      ).to.emit(marketplace, "AuctionCancelled")
+        .withArgs(auctionId);
+
+      expect(await cryptoSoundsNFT.ownerOf(tokenId)).to.equal(addr1.address);
+    });
+  });
+
+  describe("Payment Tokens", function () {
+    const price = ethers.parseEther("100");
+    let token;
+    let tokenAddress;
+    let nftAddress;
+    let royaltyReceiver;
+    const tokenId = 0;
+
+    async function findEvent(tx, name) {
+      const receipt = await tx.wait();
+      return receipt.logs
+        .map(log => {
+          try {
+            return marketplace.interface.parseLog(log);
+          } catch (e) {
+            return null;
+          }
+        })
+        .find(parsed => parsed && parsed.name === name);
+    }
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      token = await MockERC20.deploy("Mock USD", "mUSD", 18);
+      await token.waitForDeployment();
+      tokenAddress = await token.getAddress();
+
+      await marketplace.setPaymentToken(tokenAddress, true);
+
+      for (const account of [addr2, addr3]) {
+        await token.mint(account.address, ethers.parseEther("1000"));
+        await token.connect(account).approve(marketplace.getAddress(), ethers.MaxUint256);
+      }
+
+      const mintPrice = await cryptoSoundsNFT.mintPrice();
+      const audioMetadata = {
+        title: "Test Song",
+        artist: "Test Artist",
+        album: "Test Album",
+        genre: "Electronic",
+        duration: 180,
+        audioFormat: "WAV",
+        audioHash: "QmTestHash123",
+        coverImageHash: "QmCoverHash123",
+        releaseDate: Math.floor(Date.now() / 1000),
+        isExplicit: false
+      };
+
+      await cryptoSoundsNFT.connect(addr1).mintAudioNFT(
+        addr1.address,
+        audioMetadata,
+        "https://ipfs.io/ipfs/QmTestMetadataHash",
+        { value: mintPrice }
+      );
+
+      nftAddress = await cryptoSoundsNFT.getAddress();
+      royaltyReceiver = addrs[0];
+      await cryptoSoundsNFT.setDefaultRoyalty(royaltyReceiver.address, 500);
+      await cryptoSoundsNFT.connect(addr1).setApprovalForAll(marketplace.getAddress(), true);
+    });
+
+    it("Should let the owner manage the payment token allowlist", async function () {
+      const listingFee = await marketplace.listingFee();
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const other = await MockERC20.deploy("Other", "OTH", 18);
+
+      await expect(
+        marketplace.connect(addr1).listItem(nftAddress, tokenId, await other.getAddress(), price, 0, { value: listingFee })
+      ).to.be.revertedWith("Payment token not allowed");
+
+      await expect(marketplace.setPaymentToken(await other.getAddress(), true))
+        .to.emit(marketplace, "PaymentTokenUpdated")
+        .withArgs(await other.getAddress(), true);
+      expect(await marketplace.paymentTokens(await other.getAddress())).to.be.true;
+
+      await expect(
+        marketplace.connect(addr1).setPaymentToken(await other.getAddress(), false)
+      ).to.be.revertedWith(missingRole(addr1.address, ethers.ZeroHash));
+    });
+
+    it("Should sell a listing for an ERC-20 and pay out in that token", async function () {
+      const listingFee = await marketplace.listingFee();
+      const listed = await findEvent(
+        await marketplace.connect(addr1).listItem(nftAddress, tokenId, tokenAddress, price, 0, { value: listingFee }),
+        "ItemListed"
+      );
+      const listingId = listed.args.listingId;
+      expect(listed.args.paymentToken).to.equal(tokenAddress);
+      expect((await marketplace.listings(listingId)).paymentToken).to.equal(tokenAddress);
+
+      await expect(
+        marketplace.connect(addr2).buyItem(listingId, { value: price })
+      ).to.be.revertedWith("ETH not accepted");
+
+      const tx = marketplace.connect(addr2).buyItem(listingId);
+      await expect(tx)
+        .to.emit(marketplace, "ItemSold")
+        .withArgs(
+          listingId,
+          addr1.address,
+          addr2.address,
+          price,
+          ethers.parseEther("2.5"),
+          ethers.parseEther("5"),
+          0,
+          ethers.parseEther("92.5")
+        );
+      await expect(tx).to.changeTokenBalances(
+        token,
+        [addr2, addr1, owner, marketplace],
+        [-price, ethers.parseEther("92.5"), ethers.parseEther("2.5"), ethers.parseEther("5")]
+      );
+      await expect(tx).to.changeEtherBalance(addr2, 0);
+
+      // The ERC-2981 royalty is credited and withdrawn in the payment token
+      expect(await marketplace.pendingReturns(royaltyReceiver.address, tokenAddress)).to.equal(ethers.parseEther("5"));
+      await expect(
+        marketplace.connect(royaltyReceiver).withdrawPendingReturns(tokenAddress)
+      ).to.changeTokenBalance(token, royaltyReceiver, ethers.parseEther("5"));
+
+      expect(await cryptoSoundsNFT.ownerOf(tokenId)).to.equal(addr2.address);
+    });
+
+    it("Should escrow token offers and refund them on cancel", async function () {
+      const made = await findEvent(
+        await marketplace.connect(addr2).makeOffer(nftAddress, tokenId, tokenAddress, price, 0),
+        "OfferMade"
+      );
+      expect(await token.balanceOf(marketplace.getAddress())).to.equal(price);
+
+      await expect(
+        marketplace.connect(addr2).cancelOffer(made.args.offerId)
+      ).to.changeTokenBalance(token, addr2, price);
+
+      const accepted = await findEvent(
+        await marketplace.connect(addr2).makeOffer(nftAddress, tokenId, tokenAddress, price, 0),
+        "OfferMade"
+      );
+      await expect(
+        marketplace.connect(addr1).acceptOffer(accepted.args.offerId)
+      ).to.changeTokenBalances(
+        token,
+        [marketplace, addr1],
+        [-ethers.parseEther("95"), ethers.parseEther("92.5")]
+      );
+      expect(await cryptoSoundsNFT.ownerOf(tokenId)).to.equal(addr2.address);
+    });
+
+    it("Should fill a collection offer in an ERC-20", async function () {
+      const made = await findEvent(
+        await marketplace.connect(addr3).makeCollectionOffer(
+          nftAddress,
+          0, // any token of the collection
+          "",
+          tokenAddress,
+          price,
+          2,
+          0
+        ),
+        "CollectionOfferMade"
+      );
+      const offerId = made.args.offerId;
+      expect(await token.balanceOf(marketplace.getAddress())).to.equal(price * 2n);
+
+      await expect(
+        marketplace.connect(addr1).acceptCollectionOffer(offerId, [tokenId])
+      ).to.changeTokenBalance(token, addr1, ethers.parseEther("92.5"));
+
+      await expect(
+        marketplace.connect(addr3).cancelCollectionOffer(offerId)
+      ).to.changeTokenBalance(token, addr3, price);
+    });
+
+    it("Should run an auction in an ERC-20 with token pending returns", async function () {
+      const listingFee = await marketplace.listingFee();
+      const created = await findEvent(
+        await marketplace.connect(addr1).createAuctionWithOptions({
+          nftContract: nftAddress,
+          tokenId,
+          paymentToken: tokenAddress,
+          startingPrice: price,
+          duration: 24 * 60 * 60,
+          reservePrice: 0,
+          reserveHash: ethers.ZeroHash,
+          buyNowPrice: 0
+        }, { value: listingFee }),
+        "AuctionCreated"
+      );
+      const auctionId = created.args.auctionId;
+
+      await expect(
+        marketplace.connect(addr2).placeBid(auctionId, { value: price })
+      ).to.be.revertedWith("ETH not accepted");
+
+      await marketplace.connect(addr2).placeTokenBid(auctionId, price);
+      await expect(
+        marketplace.connect(addr3).placeTokenBid(auctionId, ethers.parseEther("200"))
+      ).to.emit(marketplace, "PendingReturnCredited")
+        .withArgs(addr2.address, tokenAddress, price);
+
+      expect(await marketplace.pendingReturns(addr2.address, tokenAddress)).to.equal(price);
+      await expect(
+        marketplace.connect(addr2).withdrawPendingReturns(tokenAddress)
+      ).to.changeTokenBalance(token, addr2, price);
+
+      await time.increase(24 * 60 * 60);
+      await expect(
+        marketplace.endAuction(auctionId)
+      ).to.changeTokenBalance(token, addr1, ethers.parseEther("185"));
+      expect(await cryptoSoundsNFT.ownerOf(tokenId)).to.equal(addr3.address);
+    });
+
+    it("Should sell a Dutch auction for an ERC-20", async function () {
+      const listingFee = await marketplace.listingFee();
+      const created = await findEvent(
+        await marketplace.connect(addr1).createDutchAuction({
+          nftContract: nftAddress,
+          tokenId,
+          paymentToken: tokenAddress,
+          startPrice: price * 2n,
+          floorPrice: price,
+          duration: 60 * 60
+        }, { value: listingFee }),
+        "DutchAuctionCreated"
+      );
+
+      await time.increase(2 * 60 * 60);
+
+      await expect(
+        marketplace.connect(addr2).buyDutchAuction(created.args.auctionId)
+      ).to.changeTokenBalances(token, [addr2, addr1], [-price, ethers.parseEther("92.5")]);
+      expect(await cryptoSoundsNFT.ownerOf(tokenId)).to.equal(addr2.address);
+    });
+
+    it("Should fill a signed offer from an ERC-20 deposit", async function () {
+      await expect(
+        marketplace.connect(addr2).depositOfferFunds(tokenAddress, price)
+      ).to.emit(marketplace, "OfferDepositUpdated")
+        .withArgs(addr2.address, tokenAddress, price);
+
+      const order = await buildOrder(marketplace, {
+        side: OrderSide.Buy,
+        maker: addr2.address,
+        nftContract: nftAddress,
+        tokenId,
+        paymentToken: tokenAddress,
+        price
+      });
+      const signature = await signOrder(addr2, marketplace, order);
+      expect(await validateOrder(marketplace, order, signature)).to.deep.equal({ valid: true, reason: null });
+
+      await expect(
+        marketplace.connect(addr1).fillSignedOffer(order, signature)
+      ).to.changeTokenBalance(token, addr1, ethers.parseEther("92.5"));
+      expect(await marketplace.offerDeposits(addr2.address, tokenAddress)).to.equal(0);
+    });
+
+    it("Should only fill signed orders in allowed payment tokens", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const other = await MockERC20.deploy("Other", "OTH", 18);
+      const otherAddress = await other.getAddress();
+      await other.mint(addr2.address, price);
+      await other.connect(addr2).approve(marketplace.getAddress(), price);
+
+      const listing = await buildOrder(marketplace, {
+        side: OrderSide.Sell,
+        maker: addr1.address,
+        nftContract: nftAddress,
+        tokenId,
+        paymentToken: otherAddress,
+        price
+      });
+      const listingSignature = await signOrder(addr1, marketplace, listing);
+      expect(await validateOrder(marketplace, listing, listingSignature)).to.deep.equal({
+        valid: false,
+        reason: "Payment token not allowed"
+      });
+      await expect(
+        marketplace.connect(addr2).fillSignedListing(listing, listingSignature)
+      ).to.be.revertedWith("Payment token not allowed");
+
+      // Deposits made before a token is taken off the allowlist cannot fill offers
+      await marketplace.connect(addr2).depositOfferFunds(tokenAddress, price);
+      const offer = await buildOrder(marketplace, {
+        side: OrderSide.Buy,
+        maker: addr2.address,
+        nftContract: nftAddress,
+        tokenId,
+        paymentToken: tokenAddress,
+        price
+      });
+      const offerSignature = await signOrder(addr2, marketplace, offer);
+      await marketplace.setPaymentToken(tokenAddress, false);
+      await expect(
+        marketplace.connect(addr1).fillSignedOffer(offer, offerSignature)
+      ).to.be.revertedWith("Payment token not allowed");
+      expect(await cryptoSoundsNFT.ownerOf(tokenId)).to.equal(addr1.address);
+    });
+
+    it("Should pay royalty splits in the payment token", async function () {
+      const CryptoSoundsRoyalty = await ethers.getContractFactory("CryptoSoundsRoyalty");
+      const royalty = await CryptoSoundsRoyalty.deploy(owner.address);
+      await royalty.connect(addr1).setTokenRoyalty(
+        nftAddress,
+        tokenId,
+        [royaltyReceiver.address, addr3.address],
+        [300, 200],
+        ["artist", "producer"]
+      );
+      await royalty.connect(royaltyReceiver).acceptTokenRoyalty(nftAddress, tokenId);
+      await royalty.connect(addr3).acceptTokenRoyalty(nftAddress, tokenId);
+      await marketplace.setRoyaltyManager(await royalty.getAddress());
+
+      const listingFee = await marketplace.listingFee();
+      const listed = await findEvent(
+        await marketplace.connect(addr1).listItem(nftAddress, tokenId, tokenAddress, price, 0, { value: listingFee }),
+        "ItemListed"
+      );
+
+      // The 5% split and 0.25% royalty platform fee are credited in the royalty manager
+      await expect(
+        marketplace.connect(addr2).buyItem(listed.args.listingId)
+      ).to.changeTokenBalances(
+        token,
+        [addr1, owner, royalty, marketplace],
+        [ethers.parseEther("92.25"), ethers.parseEther("2.5"), ethers.parseEther("5.25"), 0]
+      );
+      expect(await royalty.royaltyBalances(tokenAddress, royaltyReceiver.address)).to.equal(ethers.parseEther("3"));
+      expect(await royalty.royaltyBalances(tokenAddress, owner.address)).to.equal(ethers.parseEther("0.25"));
+    });
+  });
+
+  describe("Enumeration", function () {
+    const price = ethers.parseEther("1");
+    let nftAddress;
+    let listingFee;
+
+    async function findEvent(tx, name) {
+      const receipt = await tx.wait();
+      return receipt.logs
+        .map(log => {
+          try {
+            return marketplace.interface.parseLog(log);
+          } catch (e) {
+            return null;
+          }
+        })
+        .find(parsed => parsed && parsed.name === name);
+    }
+
+    async function list(seller, tokenId, listingPrice = price, paymentToken = ethers.ZeroAddress) {
+      const listed = await findEvent(
+        await marketplace.connect(seller).listItem(nftAddress, tokenId, paymentToken, listingPrice, 0, { value: listingFee }),
+        "ItemListed"
+      );
+      return listed.args.listingId;
+    }
+
+    async function offer(bidder, tokenId, amount) {
+      const made = await findEvent(
+        await marketplace.connect(bidder).makeOffer(nftAddress, tokenId, ethers.ZeroAddress, amount, 0, { value: amount }),
+        "OfferMade"
+      );
+      return made.args.offerId;
+    }
+
+    async function auction(seller, tokenId, duration) {
+      const created = await findEvent(
+        await marketplace.connect(seller).createAuction(nftAddress, tokenId, price, duration, { value: listingFee }),
+        "AuctionCreated"
+      );
+      return created.args.auctionId;
+    }
+
+    async function collectionOffer(bidder, quantity) {
+      const made = await findEvent(
+        await marketplace.connect(bidder).makeCollectionOffer(
+          nftAddress, 0, "", ethers.ZeroAddress, price, quantity, 0, { value: price * BigInt(quantity) }
+        ),
+        "CollectionOfferMade"
+      );
+      return made.args.offerId;
+    }
+
+    async function dutchAuction(seller, tokenId) {
+      const created = await findEvent(
+        await marketplace.connect(seller).createDutchAuction(
+          {
+            nftContract: nftAddress,
+            tokenId,
+            paymentToken: ethers.ZeroAddress,
+            startPrice: price * 2n,
+            floorPrice: price,
+            duration: 60 * 60
+          },
+          { value: listingFee }
+        ),
+        "DutchAuctionCreated"
+      );
+      return created.args.auctionId;
+    }
+
+    beforeEach(async function () {
+      // Tokens 0-2 are owned by addr1, token 3 by addr2
+      const mintPrice = await cryptoSoundsNFT.mintPrice();
+      const holders = [addr1, addr1, addr1, addr2];
+
+      for (let i = 0; i < holders.length; i++) {
+        await cryptoSoundsNFT.connect(holders[i]).mintAudioNFT(
+          holders[i].address,
+          {
+            title: `Test Song ${i}`,
+            artist: "Test Artist",
+            album: "Test Album",
+            genre: "Electronic",
+            duration: 180,
+            audioFormat: "WAV",
+            audioHash: `QmTestHash${i}`,
+            coverImageHash: "QmCoverHash123",
+            releaseDate: Math.floor(Date.now() / 1000),
+            isExplicit: false
+          },
+          `https://ipfs.io/ipfs/QmTestMetadataHash${i}`,
+          { value: mintPrice }
+        );
+      }
+
+      nftAddress = await cryptoSoundsNFT.getAddress();
+      listingFee = await marketplace.listingFee();
+      await cryptoSoundsNFT.connect(addr1).setApprovalForAll(marketplace.getAddress(), true);
+      await cryptoSoundsNFT.connect(addr2).setApprovalForAll(marketplace.getAddress(), true);
+    });
+
+    it("Should page through a seller's active listings", async function () {
+      const ids = [await list(addr1, 0), await list(addr1, 1), await list(addr1, 2)];
+      await list(addr2, 3);
+
+      const [firstPage, cursor] = await marketplace.getListingsBySeller(addr1.address, 0, 2);
+      expect(firstPage.length).to.equal(2);
+      expect(cursor).to.equal(2);
+
+      const [secondPage, end] = await marketplace.getListingsBySeller(addr1.address, cursor, 2);
+      expect(secondPage.length).to.equal(1);
+      expect(end).to.equal(0);
+      expect([...firstPage, ...secondPage]).to.have.members(ids);
+    });
+
+    it("Should drop sold, delisted and stale listings from the indexes", async function () {
+      const soldId = await list(addr1, 0);
+      const delistedId = await list(addr1, 1);
+      const staleId = await list(addr1, 2);
+      const activeId = await list(addr2, 3);
+
+      await marketplace.connect(addr2).buyItem(soldId, { value: price });
+      await marketplace.connect(addr1).delistItem(delistedId);
+      await cryptoSoundsNFT.connect(addr1).transferFrom(addr1.address, addr3.address, 2);
+
+      // A listing left behind by a transfer is filtered out until someone invalidates it
+      let [ids] = await marketplace.getListingsByContract(nftAddress, 0, 10);
+      expect(ids).to.deep.equal([activeId]);
+
+      await marketplace.invalidateListing(staleId);
+      [ids] = await marketplace.getListingsBySeller(addr1.address, 0, 10);
+      expect(ids).to.be.empty;
+      [ids] = await marketplace.getListingsByContract(nftAddress, 0, 10);
+      expect(ids).to.deep.equal([activeId]);
+    });
+
+    it("Should filter listings by payment token and price range", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("Mock USD", "mUSD", 18);
+      await marketplace.setPaymentToken(await token.getAddress(), true);
+
+      const cheap = await list(addr1, 0, ethers.parseEther("0.5"));
+      const mid = await list(addr1, 1, ethers.parseEther("2"));
+      await list(addr1, 2, ethers.parseEther("10"));
+      await list(addr2, 3, ethers.parseEther("2"), await token.getAddress());
+
+      let [ids] = await marketplace.getListingsByPriceRange(
+        ethers.ZeroAddress,
+        ethers.parseEther("0.5"),
+        ethers.parseEther("5"),
+        0,
+        10
+      );
+      expect([...ids]).to.have.members([cheap, mid]);
+      expect(ids.length).to.equal(2);
+
+      [ids] = await marketplace.getListingsByPriceRange(
+        await token.getAddress(),
+        0,
+        ethers.parseEther("5"),
+        0,
+        10
+      );
+      expect(ids).to.deep.equal([await marketplace.getListingId(nftAddress, 3, 0)]);
+
+      await expect(
+        marketplace.getListingsByPriceRange(ethers.ZeroAddress, 2, 1, 0, 10)
+      ).to.be.revertedWith("Invalid price range");
+    });
+
+    it("Should list open offers per token and per bidder", async function () {
+      const first = await offer(addr2, 0, ethers.parseEther("0.1"));
+      const second = await offer(addr3, 0, ethers.parseEther("0.2"));
+      const other = await offer(addr3, 1, ethers.parseEther("0.3"));
+
+      let [ids] = await marketplace.getOffersForToken(nftAddress, 0, 0, 10);
+      expect([...ids]).to.have.members([first, second]);
+
+      [ids] = await marketplace.getOffersByBidder(addr3.address, 0, 10);
+      expect([...ids]).to.have.members([second, other]);
+
+      await marketplace.connect(addr3).cancelOffer(second);
+      await marketplace.connect(addr1).acceptOffer(first);
+
+      [ids] = await marketplace.getOffersForToken(nftAddress, 0, 0, 10);
+      expect(ids).to.be.empty;
+      [ids] = await marketplace.getOffersByBidder(addr3.address, 0, 10);
+      expect(ids).to.deep.equal([other]);
+
+      // Expired offers stay indexed until refunded but are not reported as open
+      await time.increase(3 * 24 * 60 * 60 + 1);
+      [ids] = await marketplace.getOffersByBidder(addr3.address, 0, 10);
+      expect(ids).to.be.empty;
+    });
+
+    it("Should list open collection offers per contract and per bidder", async function () {
+      const filled = await collectionOffer(addr3, 1);
+      const partial = await collectionOffer(addr3, 2);
+      const cancelled = await collectionOffer(addr2, 1);
+
+      let [ids, cursor] = await marketplace.getCollectionOffersByContract(nftAddress, 0, 10);
+      expect([...ids]).to.have.members([filled, partial, cancelled]);
+      expect(cursor).to.equal(0);
+      [ids] = await marketplace.getCollectionOffersByBidder(addr3.address, 0, 10);
+      expect([...ids]).to.have.members([filled, partial]);
+
+      await marketplace.connect(addr1).acceptCollectionOffer(filled, [0]);
+      await marketplace.connect(addr1).acceptCollectionOffer(partial, [1]);
+      await marketplace.connect(addr2).cancelCollectionOffer(cancelled);
+
+      [ids] = await marketplace.getCollectionOffersByContract(nftAddress, 0, 10);
+      expect(ids).to.deep.equal([partial]);
+      [ids] = await marketplace.getCollectionOffersByBidder(addr2.address, 0, 10);
+      expect(ids).to.be.empty;
+
+      // Expired collection offers are hidden, and dropped once refunded
+      await time.increase(3 * 24 * 60 * 60 + 1);
+      [ids, cursor] = await marketplace.getCollectionOffersByBidder(addr3.address, 0, 10);
+      expect(ids).to.be.empty;
+      expect(cursor).to.equal(0);
+
+      await marketplace.refundExpiredCollectionOffer(partial);
+      [ids] = await marketplace.getCollectionOffersByContract(nftAddress, 0, 10);
+      expect(ids).to.be.empty;
+    });
+
+    it("Should list open Dutch auctions per seller and per contract", async function () {
+      const sold = await dutchAuction(addr1, 0);
+      const cancelled = await dutchAuction(addr1, 1);
+      const open = await dutchAuction(addr1, 2);
+      const other = await dutchAuction(addr2, 3);
+
+      const [firstPage, cursor] = await marketplace.getDutchAuctionsBySeller(addr1.address, 0, 2);
+      expect(firstPage.length).to.equal(2);
+      expect(cursor).to.equal(2);
+      const [secondPage, end] = await marketplace.getDutchAuctionsBySeller(addr1.address, cursor, 2);
+      expect(end).to.equal(0);
+      expect([...firstPage, ...secondPage]).to.have.members([sold, cancelled, open]);
+
+      await marketplace.connect(addr3).buyDutchAuction(sold, { value: price * 2n });
+      await marketplace.connect(addr1).cancelDutchAuction(cancelled);
+
+      let [ids] = await marketplace.getDutchAuctionsBySeller(addr1.address, 0, 10);
+      expect(ids).to.deep.equal([open]);
+      [ids] = await marketplace.getDutchAuctionsByContract(nftAddress, 0, 10);
+      expect([...ids]).to.have.members([open, other]);
+
+      // An auction at its floor price is still open until it is bought or cancelled
+      await time.increase(2 * 60 * 60);
+      [ids] = await marketplace.getDutchAuctionsBySeller(addr2.address, 0, 10);
+      expect(ids).to.deep.equal([other]);
+    });
+
+    it("Should return live auctions ending soonest first", async function () {
+      const day = 24 * 60 * 60;
+      const late = await auction(addr1, 0, 3 * day);
+      const soon = await auction(addr1, 1, day);
+      const middle = await auction(addr1, 2, 2 * day);
+
+      const [ids, cursor] = await marketplace.getAuctionsEndingSoonest(0, 10);
+      expect(ids).to.deep.equal([soon, middle, late]);
+      expect(cursor).to.equal(0);
+
+      const [firstPage, next] = await marketplace.getAuctionsEndingSoonest(0, 2);
+      expect(firstPage).to.deep.equal([soon, middle]);
+      expect(next).to.not.equal(0);
+      const [secondPage, last] = await marketplace.getAuctionsEndingSoonest(next, 2);
+      expect(secondPage).to.deep.equal([late]);
+      expect(last).to.equal(0);
+
+      // Ended but unsettled auctions are skipped without taking up the page
+      await marketplace.connect(addr1).cancelAuction(middle);
+      await time.increase(day + 1);
+      const [live] = await marketplace.getAuctionsEndingSoonest(0, 1);
+      expect(live).to.deep.equal([late]);
+    });
+
+    it("Should reorder an auction extended by a late bid", async function () {
+      const window = Number(await marketplace.auctionExtensionWindow());
+      const first = await auction(addr1, 0, 3600);
+      const second = await auction(addr1, 1, 3600 + window / 2);
+
+      await time.increase(3600 - 60);
+      await marketplace.connect(addr3).placeBid(first, { value: price });
+
+      const [ids] = await marketplace.getAuctionsEndingSoonest(0, 10);
+      expect(ids).to.deep.equal([second, first]);
+    });
+
+    it("Should extend an auction at the same cost however many auctions end with it", async function () {
+      const window = Number(await marketplace.auctionExtensionWindow());
+      const mintPrice = await cryptoSoundsNFT.mintPrice();
+      await cryptoSoundsNFT.setMaxMintsPerWallet(40);
+      for (let i = 4; i < 34; i++) {
+        await cryptoSoundsNFT.connect(addr1).mintAudioNFT(
+          addr1.address,
+          {
+            title: `Test Song ${i}`,
+            artist: "Test Artist",
+            album: "Test Album",
+            genre: "Electronic",
+            duration: 180,
+            audioFormat: "WAV",
+            audioHash: `QmTestHash${i}`,
+            coverImageHash: "QmCoverHash123",
+            releaseDate: Math.floor(Date.now() / 1000),
+            isExplicit: false
+          },
+          `https://ipfs.io/ipfs/QmTestMetadataHash${i}`,
+          { value: mintPrice }
+        );
+      }
+
+      // Bid in the last minute of an auction, extending it past every auction in `crowd`
+      async function extensionGas(tokenId, crowd) {
+        const start = await time.latest();
+        const target = await auction(addr1, tokenId, 3600);
+        for (const [i, crowdTokenId] of crowd.entries()) {
+          await time.setNextBlockTimestamp(start + 100 + i);
+          await auction(addr1, crowdTokenId, 3500 + window / 2 - i);
+        }
+        await time.increaseTo(start + 3600 - 60);
+        const receipt = await (await marketplace.connect(addr3).placeBid(target, { value: price })).wait();
+        return receipt.gasUsed;
+      }
+
+      const alone = await extensionGas(0, []);
+      const crowdTokenIds = Array.from({ length: 30 }, (_, i) => i + 4);
+      const crowded = await extensionGas(1, crowdTokenIds);
+      expect(crowded - alone).to.be.lessThan(30000n);
+
+      const [ids] = await marketplace.getAuctionsEndingSoonest(0, 100);
+      expect(ids).to.have.length(31); // the first target has ended
+    });
+
+    it("Should cap page sizes", async function () {
+      for (let tokenId = 0; tokenId < 3; tokenId++) {
+        await list(addr1, tokenId);
+      }
+
+      const [ids, cursor] = await marketplace.getListingsBySeller(addr1.address, 1, ethers.MaxUint256);
+      expect(ids.length).to.equal(2);
+      expect(cursor).to.equal(0);
+    });
+  });
+
+  describe("Admin Functions", function () {
+    it("Should allow owner to update marketplace fee", async function () {
+      const newFee = 500; // 5%
       await marketplace.setMarketplaceFee(newFee);
       expect(await marketplace.marketplaceFee()).to.equal(newFee);
     });
@@ -461,10 +2916,31 @@ describe("CryptoSoundsMarketplace", function () {
       expect(await marketplace.paused()).to.be.false;
     });
 
-    it("Should prevent non-owner from updating fees", async function () {
+    it("Should prevent accounts without the fee manager role from updating fees", async function () {
       await expect(
         marketplace.connect(addr1).setMarketplaceFee(500)
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+      ).to.be.revertedWith(missingRole(addr1.address, await marketplace.FEE_MANAGER_ROLE()));
+    });
+
+    it("Should gate each admin function by its role", async function () {
+      const holders = await assignDistinctRoles(marketplace, owner, addrs);
+
+      await expectRoleGates(marketplace, holders, [
+        { role: "PAUSER_ROLE", call: (market) => market.pause() },
+        { role: "PAUSER_ROLE", call: (market) => market.unpause() },
+        { role: "FEE_MANAGER_ROLE", call: (market) => market.setListingFee(ethers.parseEther("0.01")) },
+        { role: "FEE_MANAGER_ROLE", call: (market) => market.setMarketplaceFee(500) },
+        { role: "FEE_MANAGER_ROLE", call: (market) => market.setFeeRecipient(addr1.address) },
+        { role: "TREASURER_ROLE", call: (market) => market.withdraw(), reason: "No funds to withdraw" },
+        { role: "DEFAULT_ADMIN_ROLE", call: (market) => market.setAuctionDuration(3 * 24 * 60 * 60) },
+        { role: "DEFAULT_ADMIN_ROLE", call: (market) => market.setOfferDuration(3 * 24 * 60 * 60) },
+        { role: "DEFAULT_ADMIN_ROLE", call: (market) => market.setMinBidIncrement(1000) },
+        { role: "DEFAULT_ADMIN_ROLE", call: (market) => market.setAuctionExtensionWindow(60) },
+        { role: "DEFAULT_ADMIN_ROLE", call: (market) => market.setRoyaltyManager(addr2.address) },
+        { role: "DEFAULT_ADMIN_ROLE", call: (market) => market.setPaymentToken(addr3.address, true) },
+      ]);
+
+      expect(await marketplace.hasRole(ethers.ZeroHash, owner.address)).to.be.false;
     });
   });
 });
\ No newline at end of file
@@ -1,5 +1,9 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildTokenMetadata, validateTokenMetadata } = require("../scripts/token-metadata");
+const { missingRole, assignDistinctRoles, expectRoleGates } = require("./helpers/roles");
+const { buildAllowlist } = require("../scripts/allowlist");
 
 describe("CryptoSoundsNFT", function () {
   let cryptoSoundsNFT;
@@ -8,6 +12,21 @@ describe("CryptoSoundsNFT", function () {
   let addr2;
   let addrs;
 
+  const audioMetadata = {
+    title: "Test Song",
+    artist: "Test Artist",
+    album: "Test Album",
+    genre: "Electronic",
+    duration: 180,
+    audioFormat: "WAV",
+    audioHash: "QmTestHash123",
+    coverImageHash: "QmCoverHash123",
+    releaseDate: Math.floor(Date.now() / 1000),
+    isExplicit: false
+  };
+
+  const tokenURI = "https://ipfs.io/ipfs/QmTestMetadataHash";
+
   beforeEach(async function () {
     [owner, addr1, addr2, ...addrs] = await ethers.getSigners();
 
@@ -26,8 +45,10 @@ describe("CryptoSoundsNFT", function () {
       expect(await cryptoSoundsNFT.symbol()).to.equal("CSND");
     });
 
-    it("Should set the correct owner", async function () {
-      expect(await cryptoSoundsNFT.owner()).to.equal(owner.address);
+    it("Should grant every role to the deployer", async function () {
+      for (const role of ["DEFAULT_ADMIN_ROLE", "MINTER_ROLE", "PAUSER_ROLE", "FEE_MANAGER_ROLE", "TREASURER_ROLE", "CURATOR_ROLE"]) {
+        expect(await cryptoSoundsNFT.hasRole(await cryptoSoundsNFT[role](), owner.address)).to.be.true;
+      }
     });
 
     it("Should set the correct default royalty", async function () {
@@ -38,21 +59,6 @@ describe("CryptoSoundsNFT", function () {
   });
 
   describe("Minting", function () {
-    const audioMetadata = {
-      title: "Test Song",
-      artist: "Test Artist",
-      album: "Test Album",
-      genre: "Electronic",
-      duration: 180,
-      audioFormat: "WAV",
-      audioHash: "QmTestHash123",
-      coverImageHash: "QmCoverHash123",
-      releaseDate: Math.floor(Date.now() / 1000),
-      isExplicit: false
-    };
-
-    const tokenURI = "https://ipfs.io/ipfs/QmTestMetadataHash";
-
     it("Should mint an audio NFT successfully", async function () {
       const mintPrice = await cryptoSoundsNFT.mintPrice();
       
@@ -232,19 +238,204 @@ describe("CryptoSoundsNFT", function () {
     });
   });
 
-  describe("Metadata Updates", function () {
-    it("Should allow token owner to update metadata", async function () {
+  describe("Content Fingerprints", function () {
+    const metadata = {
+      title: "Test Song",
+      artist: "Test Artist",
+      album: "Test Album",
+      genre: "Electronic",
+      duration: 180,
+      audioFormat: "WAV",
+      audioHash: "QmTestHash123",
+      coverImageHash: "QmCoverHash123",
+      releaseDate: Math.floor(Date.now() / 1000),
+      isExplicit: false
+    };
+    const tokenURI = "https://ipfs.io/ipfs/QmTestMetadataHash";
+    const contentHash = ethers.sha256(ethers.toUtf8Bytes("master recording"));
+
+    it("Should track the first token's audio hash as minted", async function () {
       const mintPrice = await cryptoSoundsNFT.mintPrice();
-      
-      await cryptoSoundsNFT.connect(addr1).mintAudioNFT(
+
+      expect(await cryptoSoundsNFT.isAudioMinted(metadata.audioHash)).to.be.false;
+
+      await cryptoSoundsNFT.connect(addr1).mintAudioNFT(addr1.address, metadata, tokenURI, { value: mintPrice });
+
+      expect(await cryptoSoundsNFT.isAudioMinted(metadata.audioHash)).to.be.true;
+      expect(await cryptoSoundsNFT.getTokenIdByAudioHash(metadata.audioHash)).to.equal(0);
+    });
+
+    it("Should register the content hash when minting with a fingerprint", async function () {
+      const mintPrice = await cryptoSoundsNFT.mintPrice();
+
+      expect(await cryptoSoundsNFT.isContentRegistered(contentHash)).to.be.false;
+      const [existsBefore] = await cryptoSoundsNFT.getTokenIdByContentHash(contentHash);
+      expect(existsBefore).to.be.false;
+
+      await expect(
+        cryptoSoundsNFT.connect(addr1).mintAudioNFTWithFingerprint(
+          addr1.address,
+          metadata,
+          tokenURI,
+          contentHash,
+          { value: mintPrice }
+        )
+      ).to.emit(cryptoSoundsNFT, "ContentFingerprintRegistered")
+        .withArgs(0, contentHash);
+
+      expect(await cryptoSoundsNFT.isContentRegistered(contentHash)).to.be.true;
+      const [exists, tokenId] = await cryptoSoundsNFT.getTokenIdByContentHash(contentHash);
+      expect(exists).to.be.true;
+      expect(tokenId).to.equal(0);
+      expect(await cryptoSoundsNFT.tokenContentHash(0)).to.equal(contentHash);
+    });
+
+    it("Should prevent minting the same content under a different audio hash", async function () {
+      const mintPrice = await cryptoSoundsNFT.mintPrice();
+
+      await cryptoSoundsNFT.connect(addr1).mintAudioNFTWithFingerprint(
         addr1.address,
-        audioMetadata,
+        metadata,
         tokenURI,
+        contentHash,
         { value: mintPrice }
       );
 
+      await expect(
+        cryptoSoundsNFT.connect(addr2).mintAudioNFTWithFingerprint(
+          addr2.address,
+          { ...metadata, audioHash: "QmReencodedHash", audioFormat: "MP3" },
+          tokenURI,
+          contentHash,
+          { value: mintPrice }
+        )
+      ).to.be.revertedWith("Content already minted");
+    });
+
+    it("Should require a content hash", async function () {
+      const mintPrice = await cryptoSoundsNFT.mintPrice();
+
+      await expect(
+        cryptoSoundsNFT.connect(addr1).mintAudioNFTWithFingerprint(
+          addr1.address,
+          metadata,
+          tokenURI,
+          ethers.ZeroHash,
+          { value: mintPrice }
+        )
+      ).to.be.revertedWith("Content hash required");
+    });
+
+    it("Should allow owner to backfill a content hash once", async function () {
+      const mintPrice = await cryptoSoundsNFT.mintPrice();
+
+      await cryptoSoundsNFT.connect(addr1).mintAudioNFT(addr1.address, metadata, tokenURI, { value: mintPrice });
+
+      await expect(
+        cryptoSoundsNFT.connect(addr1).registerContentHash(0, contentHash)
+      ).to.be.reverted;
+
+      await expect(cryptoSoundsNFT.registerContentHash(0, contentHash))
+        .to.emit(cryptoSoundsNFT, "ContentFingerprintRegistered")
+        .withArgs(0, contentHash);
+
+      await expect(
+        cryptoSoundsNFT.registerContentHash(0, ethers.sha256(ethers.toUtf8Bytes("other")))
+      ).to.be.revertedWith("Content hash already set");
+    });
+  });
+
+  describe("On-chain Metadata", function () {
+    let renderer;
+    const metadata = {
+      title: "Test Song",
+      artist: "Test Artist",
+      album: "Test Album",
+      genre: "Electronic",
+      duration: 245,
+      audioFormat: "WAV",
+      audioHash: "QmTestHash123",
+      coverImageHash: "QmCoverHash123",
+      releaseDate: 1700000000,
+      isExplicit: true
+    };
+    const tokenURI = "https://ipfs.io/ipfs/QmTestMetadataHash";
+
+    const decodeDataURI = (uri, prefix) => {
+      expect(uri.startsWith(prefix)).to.be.true;
+      return Buffer.from(uri.slice(prefix.length), "base64").toString("utf8");
+    };
+
+    beforeEach(async function () {
+      const CryptoSoundsMetadataRenderer = await ethers.getContractFactory("CryptoSoundsMetadataRenderer");
+      renderer = await CryptoSoundsMetadataRenderer.deploy();
+      await renderer.waitForDeployment();
+
+      const mintPrice = await cryptoSoundsNFT.mintPrice();
+      await cryptoSoundsNFT.connect(addr1).mintAudioNFT(addr1.address, metadata, tokenURI, { value: mintPrice });
+    });
+
+    it("Should render token URIs on-chain once a renderer is set", async function () {
+      expect(await cryptoSoundsNFT.tokenURI(0)).to.equal(tokenURI);
+
+      await expect(cryptoSoundsNFT.setMetadataRenderer(await renderer.getAddress()))
+        .to.emit(cryptoSoundsNFT, "MetadataRendererUpdated")
+        .withArgs(await renderer.getAddress());
+
+      const json = JSON.parse(
+        decodeDataURI(await cryptoSoundsNFT.tokenURI(0), "data:application/json;base64,")
+      );
+      expect(json).to.deep.equal(buildTokenMetadata(metadata, { gateway: "ipfs://" }));
+      expect(json.audio).to.equal("ipfs://QmTestHash123");
+      expect(json.image).to.equal("ipfs://QmCoverHash123");
+      expect(validateTokenMetadata(json).valid).to.be.true;
+
+      await cryptoSoundsNFT.setMetadataRenderer(ethers.ZeroAddress);
+      expect(await cryptoSoundsNFT.tokenURI(0)).to.equal(tokenURI);
+    });
+
+    it("Should reflect metadata updates", async function () {
+      await cryptoSoundsNFT.setMetadataRenderer(await renderer.getAddress());
+      await cryptoSoundsNFT.verifyArtist(addr1.address);
+      await cryptoSoundsNFT.connect(addr1).updateAudioMetadata(0, { ...metadata, title: "Renamed", duration: 3725 });
+
+      const json = JSON.parse(
+        decodeDataURI(await cryptoSoundsNFT.tokenURI(0), "data:application/json;base64,")
+      );
+      expect(json.name).to.equal("Renamed");
+      expect(json.attributes).to.deep.include({ trait_type: "Duration", value: "1:02:05" });
+    });
+
+    it("Should fall back to an SVG cover and escape text", async function () {
+      const tricky = { ...metadata, title: 'Say "Hi" <Live>', artist: "A & B\\C", coverImageHash: "" };
+      const json = JSON.parse(await renderer.tokenJSON(tricky));
+      expect(json.name).to.equal('Say "Hi" <Live>');
+      expect(json.description).to.equal('Say "Hi" <Live> by A & B\\C');
+
+      const svg = decodeDataURI(json.image, "data:image/svg+xml;base64,");
+      expect(svg).to.equal(await renderer.coverSVG(tricky));
+      expect(svg).to.include(">Say &quot;Hi&quot; &lt;Live&gt;</text>");
+      expect(svg).to.include(">A &amp; B\\C</text>");
+      expect(validateTokenMetadata(json).valid).to.be.true;
+    });
+
+    it("Should only allow an admin to set the renderer", async function () {
+      await expect(
+        cryptoSoundsNFT.connect(addr1).setMetadataRenderer(await renderer.getAddress())
+      ).to.be.revertedWith(missingRole(addr1.address, ethers.ZeroHash));
+    });
+  });
+
+  describe("Metadata Updates", function () {
+    beforeEach(async function () {
+      const mintPrice = await cryptoSoundsNFT.mintPrice();
+      await cryptoSoundsNFT.connect(addr1).mintAudioNFT(addr1.address, audioMetadata, tokenURI, { value: mintPrice });
+    });
+
+    it("Should allow a verified creator to update metadata", async function () {
+      await cryptoSoundsNFT.verifyArtist(addr1.address);
       const newMetadata = { ...audioMetadata, title: "Updated Title" };
-      
+
       await expect(
         cryptoSoundsNFT.connect(addr1).updateAudioMetadata(0, newMetadata)
       ).to.emit(cryptoSoundsNFT, "AudioMetadataUpdated")
@@ -254,39 +445,424 @@ describe("CryptoSoundsNFT", function () {
       expect(updatedMetadata.title).to.equal("Updated Title");
     });
 
-    it("Should allow contract owner to update metadata", async function () {
+    it("Should not let an admin update or freeze metadata", async function () {
+      const newMetadata = { ...audioMetadata, title: "Admin Updated Title" };
+
+      await expect(
+        cryptoSoundsNFT.connect(owner).updateAudioMetadata(0, newMetadata)
+      ).to.be.revertedWith("Not authorized");
+      await expect(cryptoSoundsNFT.connect(owner).freezeMetadata(0)).to.be.revertedWith("Not authorized");
+      expect((await cryptoSoundsNFT.getAudioMetadata(0)).title).to.equal("Test Song");
+    });
+
+    it("Should prevent updates by a creator who is not verified", async function () {
+      const newMetadata = { ...audioMetadata, title: "Unverified Update" };
+
+      await expect(
+        cryptoSoundsNFT.connect(addr1).updateAudioMetadata(0, newMetadata)
+      ).to.be.revertedWith("Artist not verified");
+
+      await cryptoSoundsNFT.verifyArtist(addr1.address);
+      await cryptoSoundsNFT.revokeArtistVerification(addr1.address);
+      await expect(
+        cryptoSoundsNFT.connect(addr1).updateAudioMetadata(0, newMetadata)
+      ).to.be.revertedWith("Artist not verified");
+    });
+
+    it("Should prevent updates by anyone but the creator", async function () {
+      await cryptoSoundsNFT.verifyArtist(addr2.address);
+      const newMetadata = { ...audioMetadata, title: "Unauthorized Update" };
+
+      await expect(
+        cryptoSoundsNFT.connect(addr2).updateAudioMetadata(0, newMetadata)
+      ).to.be.revertedWith("Not authorized");
+      await expect(
+        cryptoSoundsNFT.connect(addr2).updateAudioMetadata(1, newMetadata)
+      ).to.be.revertedWith("Token does not exist");
+    });
+  });
+
+  describe("Metadata Versioning", function () {
+    const metadata = {
+      title: "Test Song",
+      artist: "Test Artist",
+      album: "Test Album",
+      genre: "Electronic",
+      duration: 180,
+      audioFormat: "WAV",
+      audioHash: "QmTestHash123",
+      coverImageHash: "QmCoverHash123",
+      releaseDate: Math.floor(Date.now() / 1000),
+      isExplicit: false
+    };
+    const tokenURI = "https://ipfs.io/ipfs/QmTestMetadataHash";
+
+    beforeEach(async function () {
+      const mintPrice = await cryptoSoundsNFT.mintPrice();
+      await cryptoSoundsNFT.connect(addr1).mintAudioNFT(addr1.address, metadata, tokenURI, { value: mintPrice });
+      await cryptoSoundsNFT.verifyArtist(addr1.address);
+    });
+
+    it("Should keep previous versions and emit MetadataUpdate", async function () {
+      expect(await cryptoSoundsNFT.getMetadataVersionCount(0)).to.equal(1);
+
+      await expect(
+        cryptoSoundsNFT.connect(addr1).updateAudioMetadata(0, { ...metadata, title: "Second Title" })
+      ).to.emit(cryptoSoundsNFT, "MetadataUpdate")
+        .withArgs(0);
+      await cryptoSoundsNFT.connect(addr1).updateAudioMetadata(0, { ...metadata, title: "Third Title" });
+
+      expect(await cryptoSoundsNFT.getMetadataVersionCount(0)).to.equal(3);
+      expect((await cryptoSoundsNFT.getMetadataVersion(0, 0)).title).to.equal("Test Song");
+      expect((await cryptoSoundsNFT.getMetadataVersion(0, 1)).title).to.equal("Second Title");
+      expect((await cryptoSoundsNFT.getMetadataVersion(0, 2)).title).to.equal("Third Title");
+      await expect(cryptoSoundsNFT.getMetadataVersion(0, 3)).to.be.revertedWith("Version does not exist");
+    });
+
+    it("Should move the duplicate check to a new audio hash", async function () {
+      const mintPrice = await cryptoSoundsNFT.mintPrice();
+
+      await cryptoSoundsNFT.connect(addr1).updateAudioMetadata(0, { ...metadata, audioHash: "QmRemastered" });
+
+      expect(await cryptoSoundsNFT.isAudioMinted("QmTestHash123")).to.be.false;
+      expect(await cryptoSoundsNFT.isAudioMinted("QmRemastered")).to.be.true;
+      expect(await cryptoSoundsNFT.getTokenIdByAudioHash("QmRemastered")).to.equal(0);
+
+      // The released hash can be minted again, the new one cannot
+      await cryptoSoundsNFT.connect(addr2).mintAudioNFT(addr2.address, metadata, tokenURI, { value: mintPrice });
+      await expect(
+        cryptoSoundsNFT.connect(addr2).mintAudioNFT(addr2.address, { ...metadata, audioHash: "QmRemastered" }, tokenURI, { value: mintPrice })
+      ).to.be.revertedWith("Audio already minted");
+
+      await expect(
+        cryptoSoundsNFT.connect(addr1).updateAudioMetadata(0, { ...metadata, audioHash: "QmTestHash123" })
+      ).to.be.revertedWith("Audio already minted");
+      await expect(
+        cryptoSoundsNFT.connect(addr1).updateAudioMetadata(0, { ...metadata, audioHash: "" })
+      ).to.be.revertedWith("Audio hash required");
+    });
+
+    it("Should permanently freeze metadata", async function () {
+      await expect(cryptoSoundsNFT.connect(addr2).freezeMetadata(0)).to.be.revertedWith("Not authorized");
+      await expect(cryptoSoundsNFT.connect(owner).freezeMetadata(0)).to.be.revertedWith("Not authorized");
+
+      await expect(cryptoSoundsNFT.connect(addr1).freezeMetadata(0))
+        .to.emit(cryptoSoundsNFT, "MetadataFrozen")
+        .withArgs(0, addr1.address);
+
+      expect(await cryptoSoundsNFT.metadataFrozen(0)).to.be.true;
+      await expect(
+        cryptoSoundsNFT.connect(addr1).updateAudioMetadata(0, { ...metadata, title: "Too Late" })
+      ).to.be.revertedWith("Metadata frozen");
+      await expect(cryptoSoundsNFT.connect(addr1).freezeMetadata(0)).to.be.revertedWith("Metadata already frozen");
+    });
+
+    it("Should support EIP-4906 and refresh all tokens when the renderer changes", async function () {
+      expect(await cryptoSoundsNFT.supportsInterface("0x49064906")).to.be.true;
+
+      const mintPrice = await cryptoSoundsNFT.mintPrice();
+      await cryptoSoundsNFT.connect(addr2).mintAudioNFT(addr2.address, { ...metadata, audioHash: "QmOtherHash" }, tokenURI, { value: mintPrice });
+
+      await expect(cryptoSoundsNFT.setMetadataRenderer(addr1.address))
+        .to.emit(cryptoSoundsNFT, "BatchMetadataUpdate")
+        .withArgs(0, 1);
+    });
+  });
+
+  describe("Artist Registry", function () {
+    const metadata = {
+      title: "Test Song",
+      artist: "Test Artist",
+      album: "Test Album",
+      genre: "Electronic",
+      duration: 180,
+      audioFormat: "WAV",
+      audioHash: "QmTestHash123",
+      coverImageHash: "QmCoverHash123",
+      releaseDate: Math.floor(Date.now() / 1000),
+      isExplicit: false
+    };
+    const tokenURI = "https://ipfs.io/ipfs/QmTestMetadataHash";
+
+    it("Should let curators verify artists", async function () {
+      const curatorRole = await cryptoSoundsNFT.CURATOR_ROLE();
+      await expect(cryptoSoundsNFT.connect(addr2).verifyArtist(addr1.address)).to.be.revertedWith(
+        missingRole(addr2.address, curatorRole)
+      );
+
+      await cryptoSoundsNFT.grantRole(curatorRole, addr2.address);
+      await expect(cryptoSoundsNFT.connect(addr2).verifyArtist(addr1.address))
+        .to.emit(cryptoSoundsNFT, "ArtistVerified")
+        .withArgs(addr1.address, addr2.address);
+      expect(await cryptoSoundsNFT.verifiedArtists(addr1.address)).to.be.true;
+      await expect(cryptoSoundsNFT.verifyArtist(addr1.address)).to.be.revertedWith("Artist already verified");
+
+      await expect(cryptoSoundsNFT.revokeArtistVerification(addr1.address))
+        .to.emit(cryptoSoundsNFT, "ArtistVerificationRevoked")
+        .withArgs(addr1.address, owner.address);
+      expect(await cryptoSoundsNFT.verifiedArtists(addr1.address)).to.be.false;
+
+      await cryptoSoundsNFT.revokeRole(curatorRole, addr2.address);
+      await expect(cryptoSoundsNFT.connect(addr2).verifyArtist(addr1.address)).to.be.revertedWith(
+        missingRole(addr2.address, curatorRole)
+      );
+    });
+
+    it("Should record the minter as the creator", async function () {
+      const mintPrice = await cryptoSoundsNFT.mintPrice();
+      await cryptoSoundsNFT.verifyArtist(addr1.address);
+
+      await cryptoSoundsNFT.connect(addr1).mintAudioNFT(addr2.address, metadata, tokenURI, { value: mintPrice });
+      await cryptoSoundsNFT.connect(addr2).mintAudioNFT(addr2.address, { ...metadata, audioHash: "QmOtherHash" }, tokenURI, { value: mintPrice });
+      await cryptoSoundsNFT.connect(addr1).batchMintAudioNFTs(
+        addr1.address,
+        [{ ...metadata, audioHash: "QmBatchHash1" }, { ...metadata, audioHash: "QmBatchHash2" }],
+        [tokenURI, tokenURI],
+        { value: mintPrice * 2n }
+      );
+
+      const [creator, verified] = await cryptoSoundsNFT.getCreator(0);
+      expect(creator).to.equal(addr1.address);
+      expect(verified).to.be.true;
+      const [otherCreator, otherVerified] = await cryptoSoundsNFT.getCreator(1);
+      expect(otherCreator).to.equal(addr2.address);
+      expect(otherVerified).to.be.false;
+
+      expect(await cryptoSoundsNFT.getTokensByCreator(addr1.address)).to.deep.equal([0n, 2n, 3n]);
+      expect(await cryptoSoundsNFT.getTokensByCreator(addr2.address)).to.deep.equal([1n]);
+      expect(await cryptoSoundsNFT.getTokensByCreator(owner.address)).to.deep.equal([]);
+      await expect(cryptoSoundsNFT.getCreator(4)).to.be.revertedWith("Token does not exist");
+    });
+
+    it("Should only let the creator edit metadata after a sale", async function () {
+      const mintPrice = await cryptoSoundsNFT.mintPrice();
+      await cryptoSoundsNFT.connect(addr1).mintAudioNFT(addr1.address, metadata, tokenURI, { value: mintPrice });
+      await cryptoSoundsNFT.connect(addr1).transferFrom(addr1.address, addr2.address, 0);
+
+      await expect(
+        cryptoSoundsNFT.connect(addr2).updateAudioMetadata(0, { ...metadata, artist: "Someone Else" })
+      ).to.be.revertedWith("Not authorized");
+      await expect(cryptoSoundsNFT.connect(addr2).freezeMetadata(0)).to.be.revertedWith("Not authorized");
+
+      await expect(
+        cryptoSoundsNFT.connect(addr1).updateAudioMetadata(0, { ...metadata, title: "Creator Edit" })
+      ).to.be.revertedWith("Artist not verified");
+      await cryptoSoundsNFT.verifyArtist(addr1.address);
+      await cryptoSoundsNFT.connect(addr1).updateAudioMetadata(0, { ...metadata, title: "Creator Edit" });
+      expect((await cryptoSoundsNFT.getAudioMetadata(0)).title).to.equal("Creator Edit");
+      expect((await cryptoSoundsNFT.getCreator(0))[0]).to.equal(addr1.address);
+    });
+  });
+
+  describe("Sale Phases", function () {
+    const metadata = {
+      title: "Test Song",
+      artist: "Test Artist",
+      album: "Test Album",
+      genre: "Electronic",
+      duration: 180,
+      audioFormat: "WAV",
+      audioHash: "QmTestHash123",
+      coverImageHash: "QmCoverHash123",
+      releaseDate: Math.floor(Date.now() / 1000),
+      isExplicit: false
+    };
+    const tokenURI = "https://ipfs.io/ipfs/QmTestMetadataHash";
+    const presalePrice = ethers.parseEther("0.05");
+    const publicPrice = ethers.parseEther("0.08");
+    const track = (i) => ({ ...metadata, audioHash: `QmTrack${i}` });
+
+    let allowlist;
+    let presaleStart;
+    let publicStart;
+
+    beforeEach(async function () {
+      allowlist = buildAllowlist([addr1.address, addrs[0].address, addrs[1].address]);
+      presaleStart = (await time.latest()) + 60;
+      publicStart = presaleStart + 24 * 60 * 60;
+
+      await cryptoSoundsNFT.setSalePhase(0, {
+        startTime: presaleStart,
+        endTime: publicStart,
+        maxMintsPerWallet: 2,
+        price: presalePrice,
+        merkleRoot: allowlist.root
+      });
+      await cryptoSoundsNFT.setSalePhase(1, {
+        startTime: publicStart,
+        endTime: 0,
+        maxMintsPerWallet: 1,
+        price: publicPrice,
+        merkleRoot: ethers.ZeroHash
+      });
+    });
+
+    it("Should keep phases in schedule order", async function () {
+      const phases = await cryptoSoundsNFT.getSalePhases();
+      expect(phases).to.have.length(2);
+      expect(phases[0].merkleRoot).to.equal(allowlist.root);
+      expect(phases[1].price).to.equal(publicPrice);
+
+      const phase = { startTime: publicStart, endTime: publicStart + 3600, maxMintsPerWallet: 1, price: 0, merkleRoot: ethers.ZeroHash };
+      await expect(cryptoSoundsNFT.setSalePhase(3, phase)).to.be.revertedWith("Invalid phase");
+      await expect(
+        cryptoSoundsNFT.setSalePhase(2, { ...phase, endTime: publicStart })
+      ).to.be.revertedWith("Invalid phase window");
+      // The public phase never ends, so nothing can follow it
+      await expect(cryptoSoundsNFT.setSalePhase(2, phase)).to.be.revertedWith("Phases overlap");
+      await expect(
+        cryptoSoundsNFT.setSalePhase(0, { ...phase, startTime: presaleStart, endTime: publicStart + 1 })
+      ).to.be.revertedWith("Phases overlap");
+
+      await expect(cryptoSoundsNFT.setSalePhase(1, { ...phase, endTime: publicStart + 7200 }))
+        .to.emit(cryptoSoundsNFT, "SalePhaseSet");
+      expect((await cryptoSoundsNFT.getSalePhases())[1].endTime).to.equal(publicStart + 7200);
+    });
+
+    it("Should only mint during a phase", async function () {
+      const [active] = await cryptoSoundsNFT.getActiveSalePhase();
+      expect(active).to.be.false;
+
+      await expect(
+        cryptoSoundsNFT.connect(addr1).allowlistMintAudioNFT(
+          addr1.address, metadata, tokenURI, ethers.ZeroHash, allowlist.proofs[addr1.address], { value: presalePrice }
+        )
+      ).to.be.revertedWith("No active sale phase");
+    });
+
+    it("Should mint allowlisted addresses at the presale price", async function () {
+      await time.increaseTo(presaleStart);
+      const [active, phaseId] = await cryptoSoundsNFT.getActiveSalePhase();
+      expect(active).to.be.true;
+      expect(phaseId).to.equal(0);
+
+      const proof = allowlist.proofs[addr1.address];
+      await cryptoSoundsNFT.connect(addr1).allowlistMintAudioNFT(addr1.address, track(1), tokenURI, ethers.ZeroHash, proof, {
+        value: presalePrice
+      });
+      expect(await cryptoSoundsNFT.ownerOf(0)).to.equal(addr1.address);
+      expect(await cryptoSoundsNFT.phaseMints(0, addr1.address)).to.equal(1);
+
+      // The presale price and limit replace mintPrice and maxMintsPerWallet
+      await expect(
+        cryptoSoundsNFT.connect(addr1).allowlistMintAudioNFT(addr1.address, track(2), tokenURI, ethers.ZeroHash, proof, {
+          value: presalePrice - 1n
+        })
+      ).to.be.revertedWith("Insufficient payment");
+      await cryptoSoundsNFT.connect(addr1).allowlistMintAudioNFT(addr2.address, track(2), tokenURI, ethers.ZeroHash, proof, {
+        value: presalePrice
+      });
+      await expect(
+        cryptoSoundsNFT.connect(addr1).allowlistMintAudioNFT(addr1.address, track(3), tokenURI, ethers.ZeroHash, proof, {
+          value: presalePrice
+        })
+      ).to.be.revertedWith("Exceeds phase mint limit");
+    });
+
+    it("Should reject addresses that are not on the allowlist", async function () {
+      await time.increaseTo(presaleStart);
+
+      await expect(
+        cryptoSoundsNFT.connect(addr2).allowlistMintAudioNFT(
+          addr2.address, metadata, tokenURI, ethers.ZeroHash, allowlist.proofs[addr1.address], { value: presalePrice }
+        )
+      ).to.be.revertedWith("Not on allowlist");
+      await expect(
+        cryptoSoundsNFT.connect(addr1).mintAudioNFT(addr1.address, metadata, tokenURI, { value: presalePrice })
+      ).to.be.revertedWith("Not on allowlist");
+    });
+
+    it("Should open the public phase to everyone", async function () {
+      await time.increaseTo(publicStart);
+
+      await cryptoSoundsNFT.connect(addr2).mintAudioNFT(addr2.address, track(1), tokenURI, { value: publicPrice });
+      expect(await cryptoSoundsNFT.phaseMints(1, addr2.address)).to.equal(1);
+
+      await expect(
+        cryptoSoundsNFT.connect(addr2).batchMintAudioNFTs(addr2.address, [track(2)], [tokenURI], { value: publicPrice })
+      ).to.be.revertedWith("Exceeds phase mint limit");
+      await expect(
+        cryptoSoundsNFT.connect(addr1).mintAudioNFTWithFingerprint(
+          addr1.address, track(3), tokenURI, ethers.id("recording"), { value: publicPrice - 1n }
+        )
+      ).to.be.revertedWith("Insufficient payment");
+    });
+  });
+
+  describe("Access Control", function () {
+    it("Should gate each admin function by its role", async function () {
       const mintPrice = await cryptoSoundsNFT.mintPrice();
-      
       await cryptoSoundsNFT.connect(addr1).mintAudioNFT(
         addr1.address,
-        audioMetadata,
-        tokenURI,
+        {
+          title: "Test Song",
+          artist: "Test Artist",
+          album: "Test Album",
+          genre: "Electronic",
+          duration: 180,
+          audioFormat: "WAV",
+          audioHash: "QmTestHash123",
+          coverImageHash: "QmCoverHash123",
+          releaseDate: Math.floor(Date.now() / 1000),
+          isExplicit: false
+        },
+        "https://ipfs.io/ipfs/QmTestMetadataHash",
         { value: mintPrice }
       );
+      const holders = await assignDistinctRoles(cryptoSoundsNFT, owner, addrs);
+      const contentHash = ethers.sha256(ethers.toUtf8Bytes("master recording"));
 
-      const newMetadata = { ...audioMetadata, title: "Owner Updated Title" };
-      
-      await cryptoSoundsNFT.connect(owner).updateAudioMetadata(0, newMetadata);
+      await expectRoleGates(cryptoSoundsNFT, holders, [
+        { role: "MINTER_ROLE", call: (nft) => nft.setMaxSupply(20000) },
+        { role: "MINTER_ROLE", call: (nft) => nft.setMaxMintsPerWallet(10) },
+        {
+          role: "MINTER_ROLE",
+          call: (nft) => nft.setSalePhase(0, { startTime: 0, endTime: 0, maxMintsPerWallet: 5, price: mintPrice, merkleRoot: ethers.ZeroHash })
+        },
+        { role: "PAUSER_ROLE", call: (nft) => nft.pause() },
+        { role: "PAUSER_ROLE", call: (nft) => nft.unpause() },
+        { role: "FEE_MANAGER_ROLE", call: (nft) => nft.setMintPrice(ethers.parseEther("0.2")) },
+        { role: "FEE_MANAGER_ROLE", call: (nft) => nft.setDefaultRoyalty(addr2.address, 750) },
+        { role: "FEE_MANAGER_ROLE", call: (nft) => nft.setTokenRoyalty(0, addr2.address, 1000) },
+        { role: "TREASURER_ROLE", call: (nft) => nft.withdraw() },
+        { role: "CURATOR_ROLE", call: (nft) => nft.verifyArtist(addr1.address) },
+        { role: "CURATOR_ROLE", call: (nft) => nft.revokeArtistVerification(addr1.address) },
+        { role: "CURATOR_ROLE", call: (nft) => nft.registerContentHash(0, contentHash) },
+        { role: "DEFAULT_ADMIN_ROLE", call: (nft) => nft.setMetadataRenderer(ethers.ZeroAddress) },
+      ]);
 
-      const updatedMetadata = await cryptoSoundsNFT.getAudioMetadata(0);
-      expect(updatedMetadata.title).to.equal("Owner Updated Title");
+      // The deployer kept none of its roles
+      expect(await cryptoSoundsNFT.hasRole(ethers.ZeroHash, owner.address)).to.be.false;
+      await expect(cryptoSoundsNFT.setMintPrice(0)).to.be.revertedWith(
+        missingRole(owner.address, await cryptoSoundsNFT.FEE_MANAGER_ROLE())
+      );
     });
 
-    it("Should prevent unauthorized metadata updates", async function () {
+    it("Should pay withdrawals to the calling treasurer", async function () {
       const mintPrice = await cryptoSoundsNFT.mintPrice();
-      
       await cryptoSoundsNFT.connect(addr1).mintAudioNFT(
         addr1.address,
-        audioMetadata,
-        tokenURI,
+        {
+          title: "Test Song",
+          artist: "Test Artist",
+          album: "",
+          genre: "Electronic",
+          duration: 180,
+          audioFormat: "WAV",
+          audioHash: "QmTestHash123",
+          coverImageHash: "",
+          releaseDate: 0,
+          isExplicit: false
+        },
+        "https://ipfs.io/ipfs/QmTestMetadataHash",
         { value: mintPrice }
       );
+      await cryptoSoundsNFT.grantRole(await cryptoSoundsNFT.TREASURER_ROLE(), addr2.address);
 
-      const newMetadata = { ...audioMetadata, title: "Unauthorized Update" };
-      
-      await expect(
-        cryptoSoundsNFT.connect(addr2).updateAudioMetadata(0, newMetadata)
-      ).to.be.revertedWith("Not authorized");
+      await expect(cryptoSoundsNFT.connect(addr2).withdraw()).to.changeEtherBalances(
+        [cryptoSoundsNFT, addr2],
+        [-mintPrice, mintPrice]
+      );
     });
   });
 
@@ -427,5 +1003,22 @@ describe("CryptoSoundsNFT", function () {
       
       expect(await cryptoSoundsNFT.totalSupply()).to.equal(1);
     });
+
+    it("Should count transfers per token", async function () {
+      const mintPrice = await cryptoSoundsNFT.mintPrice();
+      await cryptoSoundsNFT.connect(addr1).mintAudioNFT(
+        addr1.address,
+        audioMetadata,
+        tokenURI,
+        { value: mintPrice }
+      );
+      expect(await cryptoSoundsNFT.transferCount(0)).to.equal(0);
+
+      await cryptoSoundsNFT.connect(addr1).transferFrom(addr1.address, addr2.address, 0);
+      await cryptoSoundsNFT.connect(addr2).transferFrom(addr2.address, addr1.address, 0);
+
+      expect(await cryptoSoundsNFT.ownerOf(0)).to.equal(addr1.address);
+      expect(await cryptoSoundsNFT.transferCount(0)).to.equal(2);
+    });
   });
 });
\ No newline at end of file
@@ -1,5 +1,8 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+const { missingRole, assignDistinctRoles, expectRoleGates } = require("./helpers/roles");
+const { buildRoyaltySplit, signRoyaltyChange, signRoyaltyLock } = require("../scripts/royalty-splits");
 
 describe("CryptoSoundsRoyalty", function () {
   let cryptoSoundsNFT;
@@ -28,9 +31,20 @@ describe("CryptoSoundsRoyalty", function () {
     await royalty.waitForDeployment();
   });
 
+  // Each recipient accepts a token's proposed split
+  async function acceptRoyalty(nftAddress, tokenId, recipients) {
+    for (const recipient of recipients) {
+      await royalty.connect(recipient).acceptTokenRoyalty(nftAddress, tokenId);
+    }
+  }
+
   describe("Deployment", function () {
-    it("Should set the correct owner", async function () {
-      expect(await royalty.owner()).to.equal(owner.address);
+    it("Should grant every role to the deployer", async function () {
+      for (const role of ["DEFAULT_ADMIN_ROLE", "PAUSER_ROLE", "FEE_MANAGER_ROLE", "TREASURER_ROLE"]) {
+        expect(await royalty.hasRole(await royalty[role](), owner.address)).to.be.true;
+      }
+      // Only marketplace contracts report sales that count towards volume tiers
+      expect(await royalty.hasRole(await royalty.MARKETPLACE_ROLE(), owner.address)).to.be.false;
     });
 
     it("Should set the correct platform fee recipient", async function () {
@@ -90,13 +104,16 @@ describe("CryptoSoundsRoyalty", function () {
           roles
         )
       ).to.emit(royalty, "RoyaltySet")
-        .withArgs(ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
-          ["address", "uint256", "uint256"],
-          [nftAddress, tokenId, await ethers.provider.getBlockNumber()]
-        )), nftAddress, tokenId, recipients, percentages);
+        .withArgs(
+          ethers.solidityPackedKeccak256(["address", "uint256", "uint256"], [nftAddress, tokenId, 1]),
+          nftAddress,
+          tokenId,
+          recipients,
+          percentages
+        );
     });
 
-    it("Should prevent setting royalty for non-owner", async function () {
+    it("Should prevent setting royalty for anyone but the creator", async function () {
       const nftAddress = await cryptoSoundsNFT.getAddress();
       const recipients = [addr2.address];
       const percentages = [300];
@@ -110,7 +127,32 @@ describe("CryptoSoundsRoyalty", function () {
           percentages,
           roles
         )
-      ).to.be.revertedWith("Not authorized");
+      ).to.be.revertedWithCustomError(royalty, "NotAuthorized").withArgs(addr2.address);
+
+      // Nor for the NFT contract's admin, or for a token that was never minted
+      await expect(
+        royalty.setTokenRoyalty(nftAddress, tokenId, recipients, percentages, roles)
+      ).to.be.revertedWithCustomError(royalty, "NotAuthorized").withArgs(owner.address);
+      await expect(
+        royalty.connect(addr1).setTokenRoyalty(nftAddress, 999, recipients, percentages, roles)
+      ).to.be.revertedWithCustomError(royalty, "NotAuthorized").withArgs(addr1.address);
+    });
+
+    it("Should leave the first split to the creator after a sale", async function () {
+      const nftAddress = await cryptoSoundsNFT.getAddress();
+      await cryptoSoundsNFT.connect(addr1).transferFrom(addr1.address, addr2.address, tokenId);
+
+      // The buyer cannot name the creator's split, even as the owner
+      await expect(
+        royalty.connect(addr2).setTokenRoyalty(nftAddress, tokenId, [addr2.address], [500], ["artist"])
+      ).to.be.revertedWithCustomError(royalty, "NotAuthorized").withArgs(addr2.address);
+      await cryptoSoundsNFT.connect(addr2).setApprovalForAll(addr3.address, true);
+      await expect(
+        royalty.connect(addr3).setTokenRoyalty(nftAddress, tokenId, [addr3.address], [500], ["artist"])
+      ).to.be.revertedWithCustomError(royalty, "NotAuthorized").withArgs(addr3.address);
+
+      await royalty.connect(addr1).setTokenRoyalty(nftAddress, tokenId, [addr1.address], [500], ["artist"]);
+      expect((await royalty.getTokenRoyalty(nftAddress, tokenId)).recipients).to.deep.equal([addr1.address]);
     });
 
     it("Should validate percentage limits", async function () {
@@ -165,159 +207,291 @@ describe("CryptoSoundsRoyalty", function () {
     });
   });
 
-  describe("Adding Royalty Recipients", function () {
-    let tokenId;
+  describe("Accepting Royalty Splits", function () {
+    const tokenId = 0;
     let nftAddress;
 
     beforeEach(async function () {
-      // Mint an NFT and set initial royalty
-      const mintPrice = await cryptoSoundsNFT.mintPrice();
-      const audioMetadata = {
-        title: "Test Song",
-        artist: "Test Artist",
-        album: "Test Album",
-        genre: "Electronic",
-        duration: 180,
-        audioFormat: "WAV",
-        audioHash: "QmTestHash123",
-        coverImageHash: "QmCoverHash123",
-        releaseDate: Math.floor(Date.now() / 1000),
-        isExplicit: false
-      };
-
       await cryptoSoundsNFT.connect(addr1).mintAudioNFT(
         addr1.address,
-        audioMetadata,
+        {
+          title: "Test Song",
+          artist: "Test Artist",
+          album: "Test Album",
+          genre: "Electronic",
+          duration: 180,
+          audioFormat: "WAV",
+          audioHash: "QmTestHash123",
+          coverImageHash: "QmCoverHash123",
+          releaseDate: Math.floor(Date.now() / 1000),
+          isExplicit: false
+        },
         "https://ipfs.io/ipfs/QmTestMetadataHash",
-        { value: mintPrice }
+        { value: await cryptoSoundsNFT.mintPrice() }
       );
-
-      tokenId = 0;
       nftAddress = await cryptoSoundsNFT.getAddress();
+    });
 
-      // Set initial royalty
-      const recipients = [addr2.address];
-      const percentages = [300]; // 3%
-      const roles = ["artist"];
+    it("Should take effect once every recipient has accepted", async function () {
+      await royalty.connect(addr1).setTokenRoyalty(nftAddress, tokenId, [addr2.address, addr3.address], [300, 200], ["artist", "producer"]);
+      const royaltyId = await royalty.pendingRoyaltyId(nftAddress, tokenId);
+
+      expect(await royalty.tokenToRoyaltyId(nftAddress, tokenId)).to.equal(ethers.ZeroHash);
+      expect((await royalty.calculateRoyalty(nftAddress, tokenId, ethers.parseEther("1")))[0]).to.equal(0);
+      expect((await royalty.getPendingRoyaltySchedule(nftAddress, tokenId)).length).to.equal(2);
+
+      await expect(royalty.connect(addr2).acceptTokenRoyalty(nftAddress, tokenId))
+        .to.emit(royalty, "RoyaltyAccepted")
+        .withArgs(royaltyId, addr2.address);
+      expect(await royalty.tokenToRoyaltyId(nftAddress, tokenId)).to.equal(ethers.ZeroHash);
+
+      await expect(royalty.connect(addr3).acceptTokenRoyalty(nftAddress, tokenId))
+        .to.emit(royalty, "RoyaltyActivated")
+        .withArgs(royaltyId, nftAddress, tokenId);
+      expect(await royalty.tokenToRoyaltyId(nftAddress, tokenId)).to.equal(royaltyId);
+      expect(await royalty.pendingRoyaltyId(nftAddress, tokenId)).to.equal(ethers.ZeroHash);
+      expect((await royalty.getTokenRoyalty(nftAddress, tokenId)).totalPercentage).to.equal(500);
+    });
 
-      await royalty.connect(addr1).setTokenRoyalty(
-        nftAddress,
-        tokenId,
-        recipients,
-        percentages,
-        roles
-      );
+    it("Should accept the proposer's own share", async function () {
+      await royalty.connect(addr1).setTokenRoyalty(nftAddress, tokenId, [addr1.address, addr2.address], [300, 200], ["artist", "producer"]);
+      expect(await royalty.royaltyAccepted(await royalty.pendingRoyaltyId(nftAddress, tokenId), addr1.address)).to.be.true;
+
+      await royalty.connect(addr2).acceptTokenRoyalty(nftAddress, tokenId);
+      expect(await royalty.tokenToRoyaltyId(nftAddress, tokenId)).to.not.equal(ethers.ZeroHash);
     });
 
-    it("Should add royalty recipient successfully", async function () {
+    it("Should only let recipients accept, once", async function () {
       await expect(
-        royalty.connect(addr1).addRoyaltyRecipient(
-          nftAddress,
-          tokenId,
-          addr3.address,
-          200, // 2%
-          "producer"
-        )
-      ).to.emit(royalty, "RoyaltyRecipientAdded");
-    });
+        royalty.connect(addr2).acceptTokenRoyalty(nftAddress, tokenId)
+      ).to.be.revertedWithCustomError(royalty, "NoPendingRoyalty").withArgs(nftAddress, tokenId);
 
-    it("Should prevent adding recipient if total exceeds limit", async function () {
+      await royalty.connect(addr1).setTokenRoyalty(nftAddress, tokenId, [addr2.address, addr3.address], [300, 200], ["artist", "producer"]);
       await expect(
-        royalty.connect(addr1).addRoyaltyRecipient(
-          nftAddress,
-          tokenId,
-          addr3.address,
-          800, // 8% - would make total 11%
-          "producer"
-        )
-      ).to.be.revertedWith("Total percentage too high");
+        royalty.connect(addrs[0]).acceptTokenRoyalty(nftAddress, tokenId)
+      ).to.be.revertedWithCustomError(royalty, "NotARecipient").withArgs(addrs[0].address);
+
+      await royalty.connect(addr2).acceptTokenRoyalty(nftAddress, tokenId);
+      await expect(
+        royalty.connect(addr2).acceptTokenRoyalty(nftAddress, tokenId)
+      ).to.be.revertedWithCustomError(royalty, "AlreadyAccepted").withArgs(addr2.address);
     });
 
-    it("Should prevent unauthorized addition", async function () {
+    it("Should let the owner replace a proposal until it is accepted", async function () {
+      await royalty.connect(addr1).setTokenRoyalty(nftAddress, tokenId, [addr2.address], [300], ["artist"]);
+      await royalty.connect(addr1).setTokenRoyalty(nftAddress, tokenId, [addr3.address], [300], ["artist"]);
+
       await expect(
-        royalty.connect(addr2).addRoyaltyRecipient(
-          nftAddress,
-          tokenId,
-          addr3.address,
-          200,
-          "producer"
-        )
-      ).to.be.revertedWith("Not authorized");
+        royalty.connect(addr2).acceptTokenRoyalty(nftAddress, tokenId)
+      ).to.be.revertedWithCustomError(royalty, "NotARecipient");
+      await royalty.connect(addr3).acceptTokenRoyalty(nftAddress, tokenId);
+
+      // Once in effect, a new owner cannot replace the split
+      await cryptoSoundsNFT.connect(addr1).transferFrom(addr1.address, addrs[0].address, tokenId);
+      const royaltyId = await royalty.tokenToRoyaltyId(nftAddress, tokenId);
+      await expect(
+        royalty.connect(addrs[0]).setTokenRoyalty(nftAddress, tokenId, [addrs[0].address], [300], ["artist"])
+      ).to.be.revertedWithCustomError(royalty, "RoyaltyAlreadySet").withArgs(royaltyId);
     });
   });
 
-  describe("Removing Royalty Recipients", function () {
-    let tokenId;
+  describe("Changing Royalty Splits", function () {
+    const tokenId = 0;
     let nftAddress;
+    let royaltyId;
+    let deadline;
 
     beforeEach(async function () {
-      // Mint an NFT and set royalty with multiple recipients
-      const mintPrice = await cryptoSoundsNFT.mintPrice();
-      const audioMetadata = {
-        title: "Test Song",
-        artist: "Test Artist",
-        album: "Test Album",
-        genre: "Electronic",
-        duration: 180,
-        audioFormat: "WAV",
-        audioHash: "QmTestHash123",
-        coverImageHash: "QmCoverHash123",
-        releaseDate: Math.floor(Date.now() / 1000),
-        isExplicit: false
-      };
-
       await cryptoSoundsNFT.connect(addr1).mintAudioNFT(
         addr1.address,
-        audioMetadata,
+        {
+          title: "Test Song",
+          artist: "Test Artist",
+          album: "Test Album",
+          genre: "Electronic",
+          duration: 180,
+          audioFormat: "WAV",
+          audioHash: "QmTestHash123",
+          coverImageHash: "QmCoverHash123",
+          releaseDate: Math.floor(Date.now() / 1000),
+          isExplicit: false
+        },
         "https://ipfs.io/ipfs/QmTestMetadataHash",
-        { value: mintPrice }
+        { value: await cryptoSoundsNFT.mintPrice() }
       );
-
-      tokenId = 0;
       nftAddress = await cryptoSoundsNFT.getAddress();
 
-      // Set royalty with multiple recipients
-      const recipients = [addr2.address, addr3.address];
-      const percentages = [300, 200]; // 3% and 2%
-      const roles = ["artist", "producer"];
-
+      // Artist, producer and label; a change needs 2 of the 3 (majority)
       await royalty.connect(addr1).setTokenRoyalty(
         nftAddress,
         tokenId,
-        recipients,
-        percentages,
-        roles
+        [addr2.address, addr3.address, addrs[0].address],
+        [300, 200, 100],
+        ["artist", "producer", "label"]
       );
+      await acceptRoyalty(nftAddress, tokenId, [addr2, addr3, addrs[0]]);
+      royaltyId = await royalty.tokenToRoyaltyId(nftAddress, tokenId);
+      deadline = (await time.latest()) + 3600;
     });
 
-    it("Should remove royalty recipient successfully", async function () {
+    it("Should not let a new owner remove a recipient", async function () {
+      await cryptoSoundsNFT.connect(addr1).transferFrom(addr1.address, addrs[1].address, tokenId);
+      const split = buildRoyaltySplit({ recipients: [addr2.address], percentages: [300], roles: ["artist"] });
+
       await expect(
-        royalty.connect(addr1).removeRoyaltyRecipient(
-          nftAddress,
-          tokenId,
-          1 // Remove second recipient
-        )
-      ).to.emit(royalty, "RoyaltyRecipientRemoved");
+        royalty.connect(addrs[1]).setTokenRoyalty(nftAddress, tokenId, [addr2.address], [300], ["artist"])
+      ).to.be.revertedWithCustomError(royalty, "RoyaltyAlreadySet");
+      await expect(
+        royalty.connect(addrs[1]).changeTokenRoyalty(nftAddress, tokenId, split, deadline, [])
+      ).to.be.revertedWithCustomError(royalty, "InsufficientApprovals").withArgs(0, 2);
     });
 
-    it("Should prevent removing with invalid index", async function () {
+    it("Should apply a change approved by the threshold of recipients", async function () {
+      const split = buildRoyaltySplit({
+        recipients: [addr2.address, addr3.address],
+        percentages: [400, 200],
+        roles: ["artist", "producer"]
+      });
+      const signatures = [
+        await signRoyaltyChange(addr2, royalty, nftAddress, tokenId, split, deadline),
+        await signRoyaltyChange(addr3, royalty, nftAddress, tokenId, split, deadline)
+      ];
+
+      // Both new recipients signed, so the change takes effect at once
+      await expect(royalty.changeTokenRoyalty(nftAddress, tokenId, split, deadline, signatures))
+        .to.emit(royalty, "RoyaltyActivated");
+      expect((await royalty.tokenRoyalties(royaltyId)).isActive).to.be.false;
+
+      const [recipients, , , totalPercentage] = await royalty.getTokenRoyalty(nftAddress, tokenId);
+      expect(recipients).to.deep.equal([addr2.address, addr3.address]);
+      expect(totalPercentage).to.equal(600);
+
+      // Approvals of the replaced split cannot be replayed
       await expect(
-        royalty.connect(addr1).removeRoyaltyRecipient(
-          nftAddress,
-          tokenId,
-          5 // Invalid index
-        )
-      ).to.be.revertedWith("Invalid index");
+        royalty.changeTokenRoyalty(nftAddress, tokenId, split, deadline, signatures)
+      ).to.be.revertedWithCustomError(royalty, "InvalidSigner");
     });
 
-    it("Should prevent unauthorized removal", async function () {
+    it("Should wait for new recipients to accept a change", async function () {
+      const split = buildRoyaltySplit({
+        recipients: [addr2.address, addr3.address, addrs[1].address],
+        percentages: [300, 200, 100],
+        roles: ["artist", "producer", "label"]
+      });
+      const signatures = [
+        await signRoyaltyChange(addr2, royalty, nftAddress, tokenId, split, deadline),
+        await signRoyaltyChange(addrs[0], royalty, nftAddress, tokenId, split, deadline)
+      ];
+      await royalty.changeTokenRoyalty(nftAddress, tokenId, split, deadline, signatures);
+
+      // The split in effect stays until the new label and the unsigned producer accept
+      expect(await royalty.tokenToRoyaltyId(nftAddress, tokenId)).to.equal(royaltyId);
+      const pendingId = await royalty.pendingRoyaltyId(nftAddress, tokenId);
+      await acceptRoyalty(nftAddress, tokenId, [addr3]);
+
+      // Resubmitting the approvals would reset the acceptances; they were used up
+      expect(await royalty.royaltyNonces(royaltyId)).to.equal(1);
       await expect(
-        royalty.connect(addr2).removeRoyaltyRecipient(
-          nftAddress,
-          tokenId,
-          0
-        )
-      ).to.be.revertedWith("Not authorized");
+        royalty.changeTokenRoyalty(nftAddress, tokenId, split, deadline, signatures)
+      ).to.be.revertedWithCustomError(royalty, "InvalidSigner");
+      expect(await royalty.pendingRoyaltyId(nftAddress, tokenId)).to.equal(pendingId);
+
+      await acceptRoyalty(nftAddress, tokenId, [addrs[1]]);
+      expect((await royalty.getTokenRoyalty(nftAddress, tokenId)).recipients).to.include(addrs[1].address);
+    });
+
+    it("Should reject invalid approvals", async function () {
+      const split = buildRoyaltySplit({ recipients: [addr2.address], percentages: [300], roles: ["artist"] });
+      const artistSignature = await signRoyaltyChange(addr2, royalty, nftAddress, tokenId, split, deadline);
+
+      await expect(
+        royalty.changeTokenRoyalty(nftAddress, tokenId, split, deadline, [
+          artistSignature,
+          await signRoyaltyChange(addr1, royalty, nftAddress, tokenId, split, deadline)
+        ])
+      ).to.be.revertedWithCustomError(royalty, "InvalidSigner").withArgs(addr1.address);
+
+      await expect(
+        royalty.changeTokenRoyalty(nftAddress, tokenId, split, deadline, [artistSignature, artistSignature])
+      ).to.be.revertedWithCustomError(royalty, "DuplicateSigner").withArgs(addr2.address);
+
+      await time.increaseTo(deadline + 1);
+      await expect(
+        royalty.changeTokenRoyalty(nftAddress, tokenId, split, deadline, [
+          artistSignature,
+          await signRoyaltyChange(addr3, royalty, nftAddress, tokenId, split, deadline)
+        ])
+      ).to.be.revertedWithCustomError(royalty, "SignatureExpired").withArgs(deadline);
+    });
+
+    it("Should not change or lock a token without a split", async function () {
+      const split = buildRoyaltySplit({ recipients: [addr2.address], percentages: [300], roles: ["artist"] });
+
+      await expect(
+        royalty.changeTokenRoyalty(nftAddress, 1, split, deadline, [])
+      ).to.be.revertedWithCustomError(royalty, "RoyaltyNotSet").withArgs(nftAddress, 1);
+      await expect(
+        royalty.lockTokenRoyalty(nftAddress, 1, deadline, [])
+      ).to.be.revertedWithCustomError(royalty, "RoyaltyNotSet").withArgs(nftAddress, 1);
+    });
+
+    it("Should lock a split permanently", async function () {
+      // A pending change is dropped by the lock
+      const split = buildRoyaltySplit({ recipients: [addrs[1].address], percentages: [300], roles: ["artist"] });
+      await royalty.changeTokenRoyalty(nftAddress, tokenId, split, deadline, [
+        await signRoyaltyChange(addr2, royalty, nftAddress, tokenId, split, deadline),
+        await signRoyaltyChange(addr3, royalty, nftAddress, tokenId, split, deadline)
+      ]);
+
+      await expect(
+        royalty.lockTokenRoyalty(nftAddress, tokenId, deadline, [await signRoyaltyLock(addr2, royalty, nftAddress, tokenId, deadline)])
+      ).to.be.revertedWithCustomError(royalty, "InsufficientApprovals").withArgs(1, 2);
+
+      await expect(
+        royalty.lockTokenRoyalty(nftAddress, tokenId, deadline, [
+          await signRoyaltyLock(addr2, royalty, nftAddress, tokenId, deadline),
+          await signRoyaltyLock(addrs[0], royalty, nftAddress, tokenId, deadline)
+        ])
+      ).to.emit(royalty, "RoyaltyLocked").withArgs(royaltyId);
+      expect(await royalty.pendingRoyaltyId(nftAddress, tokenId)).to.equal(ethers.ZeroHash);
+
+      await expect(
+        royalty.changeTokenRoyalty(nftAddress, tokenId, split, deadline, [
+          await signRoyaltyChange(addr2, royalty, nftAddress, tokenId, split, deadline),
+          await signRoyaltyChange(addr3, royalty, nftAddress, tokenId, split, deadline),
+          await signRoyaltyChange(addrs[0], royalty, nftAddress, tokenId, split, deadline)
+        ])
+      ).to.be.revertedWithCustomError(royalty, "RoyaltyIsLocked").withArgs(royaltyId);
+    });
+
+    it("Should use the change threshold the split was created with", async function () {
+      await cryptoSoundsNFT.connect(addr1).mintAudioNFT(
+        addr1.address,
+        {
+          title: "Test Song 2",
+          artist: "Test Artist",
+          album: "Test Album",
+          genre: "Electronic",
+          duration: 180,
+          audioFormat: "WAV",
+          audioHash: "QmTestHash456",
+          coverImageHash: "QmCoverHash456",
+          releaseDate: Math.floor(Date.now() / 1000),
+          isExplicit: false
+        },
+        "https://ipfs.io/ipfs/QmTestMetadataHash2",
+        { value: await cryptoSoundsNFT.mintPrice() }
+      );
+
+      const unanimous = { recipients: [addr2.address, addr3.address], percentages: [300, 200], roles: ["artist", "producer"] };
+      await expect(
+        royalty.connect(addr1).setScheduledTokenRoyalty(nftAddress, 1, buildRoyaltySplit({ ...unanimous, changeThreshold: 3 }))
+      ).to.be.revertedWith("Invalid change threshold");
+
+      await royalty.connect(addr1).setScheduledTokenRoyalty(nftAddress, 1, buildRoyaltySplit({ ...unanimous, changeThreshold: 2 }));
+      await acceptRoyalty(nftAddress, 1, [addr2, addr3]);
+      expect((await royalty.tokenRoyalties(await royalty.tokenToRoyaltyId(nftAddress, 1))).changeThreshold).to.equal(2);
+      expect((await royalty.tokenRoyalties(royaltyId)).changeThreshold).to.equal(2); // majority of three
     });
   });
 
@@ -364,78 +538,688 @@ describe("CryptoSoundsRoyalty", function () {
         percentages,
         roles
       );
+      await acceptRoyalty(nftAddress, tokenId, [addr2, addr3]);
+    });
+
+    it("Should credit royalties to each recipient", async function () {
+      const royaltyAmount = ethers.parseEther("0.0525"); // 5% split plus 0.25% platform fee
+      const royaltyId = await royalty.tokenToRoyaltyId(nftAddress, tokenId);
+
+      const tx = royalty.connect(addr1).distributeRoyalties(nftAddress, tokenId, salePrice, { value: royaltyAmount });
+      await expect(tx).to.changeEtherBalances([addr1, addr2, royalty], [-royaltyAmount, 0, royaltyAmount]);
+      await expect(tx)
+        .to.emit(royalty, "RoyaltyCredited")
+        .withArgs(royaltyId, addr2.address, ethers.ZeroAddress, ethers.parseEther("0.03"), "artist");
+      await expect(tx)
+        .to.emit(royalty, "PlatformFeeCredited")
+        .withArgs(owner.address, ethers.ZeroAddress, ethers.parseEther("0.0025"));
+
+      expect(await royalty.royaltyBalances(ethers.ZeroAddress, addr2.address)).to.equal(ethers.parseEther("0.03"));
+      expect(await royalty.royaltyBalances(ethers.ZeroAddress, addr3.address)).to.equal(ethers.parseEther("0.02"));
+      expect(await royalty.royaltyBalances(ethers.ZeroAddress, owner.address)).to.equal(ethers.parseEther("0.0025"));
+      expect(await royalty.totalUnclaimed(ethers.ZeroAddress)).to.equal(royaltyAmount);
+    });
+
+    it("Should require exactly the royalty and platform fee", async function () {
+      await expect(
+        royalty.connect(addr1).distributeRoyalties(nftAddress, tokenId, salePrice, { value: ethers.parseEther("0.05") })
+      ).to.be.revertedWith("Incorrect payment");
+
+      await expect(
+        royalty.connect(addr1).distributeRoyalties(nftAddress, tokenId, salePrice, { value: salePrice })
+      ).to.be.revertedWith("Incorrect payment");
+    });
+
+    it("Should credit royalties in an ERC-20 pulled from the caller", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("Mock USD", "mUSD", 18);
+      const tokenAddress = await token.getAddress();
+      await token.mint(addr1.address, salePrice);
+      await token.connect(addr1).approve(royalty.getAddress(), salePrice);
+
+      // Only the 5% royalty and 0.25% platform fee are pulled
+      await expect(
+        royalty.connect(addr1).distributeTokenRoyalties(tokenAddress, nftAddress, tokenId, salePrice)
+      ).to.changeTokenBalances(
+        token,
+        [addr1, addr2, royalty],
+        [-ethers.parseEther("0.0525"), 0, ethers.parseEther("0.0525")]
+      );
+
+      await expect(royalty.connect(addr2).claim(tokenAddress)).to.changeTokenBalance(token, addr2, ethers.parseEther("0.03"));
+      expect(
+        await royalty.getUnclaimedRoyalties(addr3.address, [ethers.ZeroAddress, tokenAddress])
+      ).to.deep.equal([0n, ethers.parseEther("0.02")]);
+    });
+
+    it("Should handle royalty not set", async function () {
+      await expect(
+        royalty.connect(addr1).distributeRoyalties(nftAddress, 999, salePrice, { value: salePrice })
+      ).to.be.revertedWithCustomError(royalty, "RoyaltyNotSet").withArgs(nftAddress, 999);
     });
+  });
 
-    it("Should distribute royalties correctly", async function () {
-      const balanceBefore2 = await ethers.provider.getBalance(addr2.address);
-      const balanceBefore3 = await ethers.provider.getBalance(addr3.address);
+  describe("Claiming Royalties", function () {
+    const salePrice = ethers.parseEther("1");
+    let nftAddress;
 
-      await royalty.connect(addr1).distributeRoyalties(
+    async function setRoyalty(recipients) {
+      const mintPrice = await cryptoSoundsNFT.mintPrice();
+      await cryptoSoundsNFT.connect(addr1).mintAudioNFT(
+        addr1.address,
+        {
+          title: "Test Song",
+          artist: "Test Artist",
+          album: "Test Album",
+          genre: "Electronic",
+          duration: 180,
+          audioFormat: "WAV",
+          audioHash: "QmTestHash123",
+          coverImageHash: "QmCoverHash123",
+          releaseDate: Math.floor(Date.now() / 1000),
+          isExplicit: false
+        },
+        "https://ipfs.io/ipfs/QmTestMetadataHash",
+        { value: mintPrice }
+      );
+      await royalty.connect(addr1).setTokenRoyalty(
         nftAddress,
-        tokenId,
-        salePrice,
-        { value: salePrice }
+        0,
+        recipients.map((recipient) => recipient.address),
+        [300, 200],
+        ["artist", "producer"]
       );
+      await acceptRoyalty(nftAddress, 0, recipients);
+    }
 
-      const balanceAfter2 = await ethers.provider.getBalance(addr2.address);
-      const balanceAfter3 = await ethers.provider.getBalance(addr3.address);
+    async function sell() {
+      await royalty.connect(addr1).distributeRoyalties(nftAddress, 0, salePrice, { value: ethers.parseEther("0.0525") });
+    }
 
-      // Check artist received 3% (0.03 ETH)
-      expect(balanceAfter2).to.be.gt(balanceBefore2);
-      
-      // Check producer received 2% (0.02 ETH)
-      expect(balanceAfter3).to.be.gt(balanceBefore3);
+    beforeEach(async function () {
+      nftAddress = await cryptoSoundsNFT.getAddress();
+    });
+
+    it("Should pay out the whole balance once", async function () {
+      await setRoyalty([addr2, addr3]);
+      await sell();
+      await sell();
+
+      const amount = ethers.parseEther("0.06");
+      await expect(royalty.connect(addr2).claim(ethers.ZeroAddress))
+        .to.emit(royalty, "RoyaltyClaimed")
+        .withArgs(addr2.address, ethers.ZeroAddress, amount, addr2.address, addr2.address);
+      expect(await royalty.royaltyBalances(ethers.ZeroAddress, addr2.address)).to.equal(0);
+      expect(await royalty.totalUnclaimed(ethers.ZeroAddress)).to.equal(ethers.parseEther("0.045"));
+
+      await expect(royalty.connect(addr2).claim(ethers.ZeroAddress)).to.be.revertedWith("Nothing to claim");
     });
 
-    it("Should require sufficient payment", async function () {
-      const insufficientPayment = salePrice - ethers.parseEther("0.1");
+    it("Should let anyone pay out a recipient's balance to the recipient", async function () {
+      await setRoyalty([addr2, addr3]);
+      await sell();
 
       await expect(
-        royalty.connect(addr1).distributeRoyalties(
-          nftAddress,
-          tokenId,
-          salePrice,
-          { value: insufficientPayment }
-        )
-      ).to.be.revertedWith("Insufficient payment");
+        royalty.connect(addrs[0]).claimFor(addr3.address, ethers.ZeroAddress)
+      ).to.changeEtherBalances([addr3, addrs[0]], [ethers.parseEther("0.02"), 0]);
     });
 
-    it("Should handle royalty not set", async function () {
-      // Try to distribute for a token without royalty set
-      const mintPrice = await cryptoSoundsNFT.mintPrice();
-      const audioMetadata2 = {
-        title: "Test Song 2",
-        artist: "Test Artist 2",
-        album: "Test Album 2",
-        genre: "Rock",
-        duration: 200,
-        audioFormat: "MP3",
-        audioHash: "QmTestHash456",
-        coverImageHash: "QmCoverHash456",
-        releaseDate: Math.floor(Date.now() / 1000),
-        isExplicit: false
-      };
+    it("Should not let a recipient that rejects ETH block the others", async function () {
+      const RejectingBidder = await ethers.getContractFactory("RejectingBidder");
+      const rejecting = await RejectingBidder.deploy(addr1.address);
+      // The contract accepts its share through an impersonated signer
+      const rejectingSigner = await ethers.getImpersonatedSigner(await rejecting.getAddress());
+      await setBalance(rejectingSigner.address, ethers.parseEther("1"));
+      await setRoyalty([rejectingSigner, addr3]);
+      await sell();
+
+      await expect(royalty.connect(addr3).claim(ethers.ZeroAddress)).to.changeEtherBalance(addr3, ethers.parseEther("0.02"));
+      await expect(
+        royalty.claimFor(await rejecting.getAddress(), ethers.ZeroAddress)
+      ).to.be.revertedWith("Claim failed");
+      expect(await royalty.royaltyBalances(ethers.ZeroAddress, await rejecting.getAddress())).to.equal(
+        ethers.parseEther("0.03")
+      );
+    });
+
+    it("Should keep unclaimed royalties out of treasury withdrawals", async function () {
+      await setRoyalty([addr2, addr3]);
+      await sell();
+
+      await expect(royalty.withdraw()).to.be.revertedWith("No funds to withdraw");
+
+      await royalty.connect(addr2).claim(ethers.ZeroAddress);
+      expect(await ethers.provider.getBalance(royalty.getAddress())).to.equal(ethers.parseEther("0.0225"));
+    });
+  });
+
+  describe("Payout Addresses and Delegates", function () {
+    const salePrice = ethers.parseEther("1");
+    let nftAddress;
+
+    // Two tokens whose splits both pay addr2
+    beforeEach(async function () {
+      nftAddress = await cryptoSoundsNFT.getAddress();
+      for (const tokenId of [0, 1]) {
+        await cryptoSoundsNFT.connect(addr1).mintAudioNFT(
+          addr1.address,
+          {
+            title: `Test Song ${tokenId}`,
+            artist: "Test Artist",
+            album: "Test Album",
+            genre: "Electronic",
+            duration: 180,
+            audioFormat: "WAV",
+            audioHash: `QmTestHash${tokenId}`,
+            coverImageHash: "QmCoverHash123",
+            releaseDate: Math.floor(Date.now() / 1000),
+            isExplicit: false
+          },
+          "https://ipfs.io/ipfs/QmTestMetadataHash",
+          { value: await cryptoSoundsNFT.mintPrice() }
+        );
+        await royalty.connect(addr1).setTokenRoyalty(nftAddress, tokenId, [addr2.address, addr3.address], [300, 200], ["artist", "producer"]);
+        await acceptRoyalty(nftAddress, tokenId, [addr2, addr3]);
+      }
+    });
+
+    async function sell(tokenId) {
+      await royalty.connect(addr1).distributeRoyalties(nftAddress, tokenId, salePrice, { value: ethers.parseEther("0.0525") });
+    }
+
+    it("Should pay claims from every split to the rotated payout address", async function () {
+      const multisig = addrs[0];
+      await sell(0);
+
+      await expect(royalty.connect(addr2).setPayoutAddress(multisig.address))
+        .to.emit(royalty, "PayoutAddressRotated")
+        .withArgs(addr2.address, addr2.address, multisig.address);
+      await sell(1);
+
+      // Balances stay with the recipient; claims go to the payout address
+      expect(await royalty.royaltyBalances(ethers.ZeroAddress, addr2.address)).to.equal(ethers.parseEther("0.06"));
+      const claim = royalty.connect(addr2).claim(ethers.ZeroAddress);
+      await expect(claim).to.changeEtherBalance(multisig, ethers.parseEther("0.06"));
+      await expect(claim)
+        .to.emit(royalty, "RoyaltyClaimed")
+        .withArgs(addr2.address, ethers.ZeroAddress, ethers.parseEther("0.06"), multisig.address, addr2.address);
+
+      await sell(0);
+      await expect(
+        royalty.connect(addrs[1]).claimFor(addr2.address, ethers.ZeroAddress)
+      ).to.changeEtherBalances([addr2, multisig], [0, ethers.parseEther("0.03")]);
+
+      // The split still lists the recipient
+      expect((await royalty.getTokenRoyalty(nftAddress, 0)).recipients[0]).to.equal(addr2.address);
+    });
+
+    it("Should keep a history of rotations", async function () {
+      await royalty.connect(addr2).setPayoutAddress(addrs[0].address);
+      await royalty.connect(addr2).setPayoutAddress(addrs[1].address);
+      await expect(royalty.connect(addr2).setPayoutAddress(addrs[1].address)).to.be.revertedWith("Payout address unchanged");
+
+      // Zero goes back to paying the recipient directly
+      await royalty.connect(addr2).setPayoutAddress(ethers.ZeroAddress);
+      expect(await royalty.payoutAddressOf(addr2.address)).to.equal(addr2.address);
 
+      const rotations = await royalty.getPayoutRotations(addr2.address);
+      expect(rotations.map((rotation) => rotation.payout)).to.deep.equal([addrs[0].address, addrs[1].address, addr2.address]);
+      expect(rotations[2].rotatedAt).to.equal(await time.latest());
+    });
+
+    it("Should let a claim delegate claim to itself", async function () {
+      const delegate = addrs[0];
+      await sell(0);
+      await sell(1);
+
+      await expect(
+        royalty.connect(delegate).claimAsDelegate(addr3.address, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(royalty, "NotClaimDelegate").withArgs(addr3.address, delegate.address);
+
+      await expect(royalty.connect(addr3).setClaimDelegate(delegate.address))
+        .to.emit(royalty, "ClaimDelegateSet")
+        .withArgs(addr3.address, delegate.address);
+      await expect(
+        royalty.connect(delegate).claimAsDelegate(addr3.address, ethers.ZeroAddress)
+      ).to.changeEtherBalances([delegate, addr3], [ethers.parseEther("0.04"), 0]);
+
+      await royalty.connect(addr3).setClaimDelegate(ethers.ZeroAddress);
+      await sell(0);
+      await expect(
+        royalty.connect(delegate).claimAsDelegate(addr3.address, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(royalty, "NotClaimDelegate");
+    });
+  });
+
+  describe("Royalty Schedules", function () {
+    const salePrice = ethers.parseEther("1");
+    const year = 365 * 24 * 60 * 60;
+    const always = { startTime: 0, endTime: 0, minVolume: 0, maxVolume: 0, volumeToken: ethers.ZeroAddress };
+    let nftAddress;
+
+    beforeEach(async function () {
       await cryptoSoundsNFT.connect(addr1).mintAudioNFT(
         addr1.address,
-        audioMetadata2,
-        "https://ipfs.io/ipfs/QmTestMetadataHash2",
-        { value: mintPrice }
+        {
+          title: "Test Song",
+          artist: "Test Artist",
+          album: "Test Album",
+          genre: "Electronic",
+          duration: 180,
+          audioFormat: "WAV",
+          audioHash: "QmTestHash123",
+          coverImageHash: "QmCoverHash123",
+          releaseDate: Math.floor(Date.now() / 1000),
+          isExplicit: false
+        },
+        "https://ipfs.io/ipfs/QmTestMetadataHash",
+        { value: await cryptoSoundsNFT.mintPrice() }
       );
+      nftAddress = await cryptoSoundsNFT.getAddress();
 
-      // Should not revert, just return all funds
-      const balanceBefore = await ethers.provider.getBalance(addr1.address);
-      
-      await royalty.connect(addr1).distributeRoyalties(
-        nftAddress,
-        1, // Token without royalty
-        salePrice,
-        { value: salePrice }
+      // addr1 reports sales as a marketplace would
+      await royalty.grantRole(await royalty.MARKETPLACE_ROLE(), addr1.address);
+    });
+
+    async function sell(seller = addr1) {
+      const [totalRoyalty, platformFeeAmount] = await royalty.calculateRoyalty(nftAddress, 0, salePrice);
+      await royalty.connect(seller).distributeRoyalties(nftAddress, 0, salePrice, { value: totalRoyalty + platformFeeAmount });
+    }
+
+    it("Should hand a producer share back to the artist after two years", async function () {
+      const reversion = (await time.latest()) + 2 * year;
+      await royalty.connect(addr1).setScheduledTokenRoyalty(nftAddress, 0, buildRoyaltySplit({
+        recipients: [addr2.address, addr3.address, addr2.address],
+        percentages: [200, 300, 300],
+        roles: ["artist", "producer", "artist"],
+        windows: [always, { ...always, endTime: reversion }, { ...always, startTime: reversion }]
+      }));
+      await acceptRoyalty(nftAddress, 0, [addr2, addr3]);
+
+      let [recipients, percentages, , totalPercentage] = await royalty.getTokenRoyalty(nftAddress, 0);
+      expect(recipients).to.deep.equal([addr2.address, addr3.address]);
+      expect(percentages).to.deep.equal([200n, 300n]);
+      expect(totalPercentage).to.equal(500);
+
+      [recipients, percentages] = await royalty.getTokenRoyaltyAt(nftAddress, 0, ethers.ZeroAddress, reversion);
+      expect(recipients).to.deep.equal([addr2.address, addr2.address]);
+      expect(percentages).to.deep.equal([200n, 300n]);
+      expect((await royalty.getRoyaltySchedule(nftAddress, 0))[1].window.endTime).to.equal(reversion);
+
+      await time.increaseTo(reversion);
+      await sell();
+      expect(await royalty.royaltyBalances(ethers.ZeroAddress, addr2.address)).to.equal(ethers.parseEther("0.05"));
+      expect(await royalty.royaltyBalances(ethers.ZeroAddress, addr3.address)).to.equal(0);
+    });
+
+    it("Should lower a label share once sales volume recoups", async function () {
+      const recoupment = ethers.parseEther("2");
+      await royalty.connect(addr1).setScheduledTokenRoyalty(nftAddress, 0, buildRoyaltySplit({
+        recipients: [addr2.address, addr3.address, addr3.address],
+        percentages: [400, 400, 100],
+        roles: ["artist", "label", "label"],
+        windows: [always, { ...always, maxVolume: recoupment }, { ...always, minVolume: recoupment }]
+      }));
+      await acceptRoyalty(nftAddress, 0, [addr2, addr3]);
+
+      await sell();
+      await sell();
+      expect(await royalty.salesVolume(nftAddress, 0, ethers.ZeroAddress)).to.equal(recoupment);
+      expect((await royalty.calculateRoyalty(nftAddress, 0, salePrice))[0]).to.equal(ethers.parseEther("0.05"));
+
+      await sell();
+      expect(await royalty.royaltyBalances(ethers.ZeroAddress, addr3.address)).to.equal(ethers.parseEther("0.09"));
+
+      // The label's tiers are measured in ETH, so sales in other payment tokens only pay the artist
+      const [tokenRoyalty] = await royalty.calculateRoyaltyAt(nftAddress, 0, salePrice, addr1.address, await time.latest());
+      expect(tokenRoyalty).to.equal(ethers.parseEther("0.04"));
+    });
+
+    it("Should only count sales reported by a marketplace towards volume", async function () {
+      const recoupment = ethers.parseEther("2");
+      await royalty.connect(addr1).setScheduledTokenRoyalty(nftAddress, 0, buildRoyaltySplit({
+        recipients: [addr2.address, addr3.address, addr3.address],
+        percentages: [400, 400, 100],
+        roles: ["artist", "label", "label"],
+        windows: [always, { ...always, maxVolume: recoupment }, { ...always, minVolume: recoupment }]
+      }));
+      await acceptRoyalty(nftAddress, 0, [addr2, addr3]);
+
+      // Royalties paid outside a marketplace are credited but leave the label share alone
+      await sell(addr2);
+      await sell(addr2);
+      expect(await royalty.royaltyBalances(ethers.ZeroAddress, addr3.address)).to.equal(ethers.parseEther("0.08"));
+      expect(await royalty.salesVolume(nftAddress, 0, ethers.ZeroAddress)).to.equal(0);
+      expect((await royalty.calculateRoyalty(nftAddress, 0, salePrice))[0]).to.equal(ethers.parseEther("0.08"));
+
+      await sell();
+      expect(await royalty.salesVolume(nftAddress, 0, ethers.ZeroAddress)).to.equal(salePrice);
+    });
+
+    it("Should measure each tier in its own payment token", async function () {
+      // A 6-decimal stablecoin: an ETH-sized threshold would never be reached in its units
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const usdc = await MockERC20.deploy("Mock USDC", "mUSDC", 6);
+      const usdcAddress = await usdc.getAddress();
+      const usdcPrice = ethers.parseUnits("1000", 6);
+      await usdc.mint(addr1.address, usdcPrice);
+      await usdc.connect(addr1).approve(royalty.getAddress(), usdcPrice);
+
+      const ethRecoupment = ethers.parseEther("1");
+      const usdcRecoupment = ethers.parseUnits("1000", 6);
+      const inUsdc = { ...always, volumeToken: usdcAddress };
+      await royalty.connect(addr1).setScheduledTokenRoyalty(nftAddress, 0, buildRoyaltySplit({
+        recipients: [addr2.address, addr3.address, addr3.address, addr3.address, addr3.address],
+        percentages: [400, 400, 100, 400, 100],
+        roles: ["artist", "label", "label", "label", "label"],
+        windows: [
+          always,
+          { ...always, maxVolume: ethRecoupment },
+          { ...always, minVolume: ethRecoupment },
+          { ...inUsdc, maxVolume: usdcRecoupment },
+          { ...inUsdc, minVolume: usdcRecoupment }
+        ]
+      }));
+      await acceptRoyalty(nftAddress, 0, [addr2, addr3]);
+      expect((await royalty.tokenRoyalties(await royalty.royaltyIdOf(nftAddress, 0))).totalPercentage).to.equal(800);
+
+      // An ETH sale recoups the ETH tier only: the first USDC sale still pays the full label share
+      await sell();
+      expect((await royalty.calculateRoyalty(nftAddress, 0, salePrice))[0]).to.equal(ethers.parseEther("0.05"));
+      await royalty.connect(addr1).distributeTokenRoyalties(usdcAddress, nftAddress, 0, usdcPrice);
+      expect(await royalty.royaltyBalances(usdcAddress, addr3.address)).to.equal(ethers.parseUnits("40", 6));
+
+      // 1,000 USDC of sales recoups the USDC tier
+      expect(await royalty.salesVolume(nftAddress, 0, ethers.ZeroAddress)).to.equal(salePrice);
+      expect(await royalty.salesVolume(nftAddress, 0, usdcAddress)).to.equal(usdcPrice);
+      const [usdcRoyalty] = await royalty.calculateRoyaltyAt(nftAddress, 0, usdcPrice, usdcAddress, await time.latest());
+      expect(usdcRoyalty).to.equal(ethers.parseUnits("50", 6));
+    });
+
+    it("Should cap the total of shares that overlap", async function () {
+      const now = await time.latest();
+
+      // 6% and 6% one after the other stay within the 10% cap
+      await royalty.connect(addr1).setScheduledTokenRoyalty(nftAddress, 0, buildRoyaltySplit({
+        recipients: [addr2.address, addr3.address],
+        percentages: [600, 600],
+        roles: ["artist", "producer"],
+        windows: [{ ...always, endTime: now + year }, { ...always, startTime: now + year }]
+      }));
+      expect((await royalty.tokenRoyalties(await royalty.pendingRoyaltyId(nftAddress, 0))).totalPercentage).to.equal(600);
+
+      await expect(
+        royalty.connect(addr1).setScheduledTokenRoyalty(nftAddress, 0, buildRoyaltySplit({
+          recipients: [addr2.address, addr3.address],
+          percentages: [600, 600],
+          roles: ["artist", "producer"],
+          windows: [{ ...always, endTime: now + year }, { ...always, startTime: now + year - 1 }]
+        }))
+      ).to.be.revertedWith("Total percentage too high");
+    });
+
+    it("Should validate windows", async function () {
+      const artist = { recipients: [addr2.address], percentages: [300n], roles: ["artist"], changeThreshold: 0 };
+
+      await expect(
+        royalty.connect(addr1).setScheduledTokenRoyalty(nftAddress, 0, {
+          ...artist,
+          windows: [{ ...always, startTime: 100, endTime: 100 }]
+        })
+      ).to.be.revertedWith("Invalid time window");
+
+      await expect(
+        royalty.connect(addr1).setScheduledTokenRoyalty(nftAddress, 0, {
+          ...artist,
+          windows: [{ ...always, minVolume: 5, maxVolume: 5 }]
+        })
+      ).to.be.revertedWith("Invalid volume tier");
+
+      await expect(
+        royalty.connect(addr1).setScheduledTokenRoyalty(nftAddress, 0, { ...artist, windows: [] })
+      ).to.be.revertedWith("Windows array length mismatch");
+    });
+  });
+
+  describe("Royalty Templates", function () {
+    const salePrice = ethers.parseEther("1");
+    const band = { recipients: [], percentages: [300, 200], roles: ["vocals", "guitar"] };
+    let nftAddress;
+    let templateId;
+
+    beforeEach(async function () {
+      // A three-track album
+      for (let i = 0; i < 3; i++) {
+        await cryptoSoundsNFT.connect(addr1).mintAudioNFT(
+          addr1.address,
+          {
+            title: `Track ${i + 1}`,
+            artist: "Test Band",
+            album: "Test Album",
+            genre: "Electronic",
+            duration: 180,
+            audioFormat: "WAV",
+            audioHash: `QmTrackHash${i}`,
+            coverImageHash: "QmCoverHash123",
+            releaseDate: Math.floor(Date.now() / 1000),
+            isExplicit: false
+          },
+          `https://ipfs.io/ipfs/QmTrackMetadataHash${i}`,
+          { value: await cryptoSoundsNFT.mintPrice() }
+        );
+      }
+      nftAddress = await cryptoSoundsNFT.getAddress();
+
+      band.recipients = [addr2.address, addr3.address];
+      templateId = await royalty.royaltyTemplateId(addr2.address, "Band split");
+    });
+
+    it("Should activate a template once every recipient has accepted it", async function () {
+      await expect(royalty.connect(addr2).createRoyaltyTemplate("Band split", buildRoyaltySplit(band)))
+        .to.emit(royalty, "RoyaltyTemplateCreated").withArgs(templateId, addr2.address, "Band split")
+        .and.to.emit(royalty, "RoyaltyAccepted").withArgs(templateId, addr2.address);
+      expect((await royalty.tokenRoyalties(templateId)).isActive).to.be.false;
+
+      await expect(
+        royalty.connect(addr2).createRoyaltyTemplate("Band split", buildRoyaltySplit(band))
+      ).to.be.revertedWithCustomError(royalty, "RoyaltyAlreadySet").withArgs(templateId);
+      await expect(
+        royalty.connect(addr2).createRoyaltyTemplate("", buildRoyaltySplit(band))
+      ).to.be.revertedWith("Template name required");
+      await expect(
+        royalty.connect(addr1).acceptRoyaltyTemplate(templateId)
+      ).to.be.revertedWithCustomError(royalty, "NotARecipient").withArgs(addr1.address);
+
+      await expect(royalty.connect(addr3).acceptRoyaltyTemplate(templateId))
+        .to.emit(royalty, "RoyaltyActivated").withArgs(templateId, ethers.ZeroAddress, 0);
+      expect((await royalty.tokenRoyalties(templateId)).isActive).to.be.true;
+    });
+
+    it("Should assign a template to a range of tokens", async function () {
+      await royalty.connect(addr2).createRoyaltyTemplate("Band split", buildRoyaltySplit(band));
+      await expect(
+        royalty.connect(addr1).assignRoyaltyTemplate(nftAddress, 0, 2, templateId)
+      ).to.be.revertedWithCustomError(royalty, "TemplateNotActive").withArgs(templateId);
+      await royalty.connect(addr3).acceptRoyaltyTemplate(templateId);
+
+      await expect(royalty.connect(addr1).assignRoyaltyTemplate(nftAddress, 0, 2, templateId))
+        .to.emit(royalty, "RoyaltyTemplateAssigned").withArgs(nftAddress, templateId, 0, 2);
+
+      for (let tokenId = 0; tokenId < 3; tokenId++) {
+        expect(await royalty.royaltyIdOf(nftAddress, tokenId)).to.equal(templateId);
+        const [recipients, , , totalPercentage] = await royalty.getTokenRoyalty(nftAddress, tokenId);
+        expect(recipients).to.deep.equal(band.recipients);
+        expect(totalPercentage).to.equal(500);
+      }
+
+      // Sales of each track credit the band and count towards that track's volume
+      await royalty.grantRole(await royalty.MARKETPLACE_ROLE(), owner.address);
+      const [totalRoyalty, platformFeeAmount] = await royalty.calculateRoyalty(nftAddress, 1, salePrice);
+      await expect(royalty.distributeRoyalties(nftAddress, 1, salePrice, { value: totalRoyalty + platformFeeAmount }))
+        .to.emit(royalty, "RoyaltyCredited").withArgs(templateId, addr2.address, ethers.ZeroAddress, ethers.parseEther("0.03"), "vocals");
+      expect(await royalty.royaltyBalances(ethers.ZeroAddress, addr3.address)).to.equal(ethers.parseEther("0.02"));
+      expect(await royalty.salesVolume(nftAddress, 1, ethers.ZeroAddress)).to.equal(salePrice);
+      expect(await royalty.salesVolume(nftAddress, 0, ethers.ZeroAddress)).to.equal(0);
+
+      // Tracks with a template cannot get another one or a split of their own
+      await expect(
+        royalty.connect(addr1).assignRoyaltyTemplate(nftAddress, 2, 2, templateId)
+      ).to.be.revertedWithCustomError(royalty, "RoyaltyAlreadySet").withArgs(templateId);
+      await expect(
+        royalty.connect(addr1).setTokenRoyalty(nftAddress, 2, [addr1.address], [500], ["artist"])
+      ).to.be.revertedWithCustomError(royalty, "RoyaltyAlreadySet").withArgs(templateId);
+    });
+
+    it("Should check the token range and its creator", async function () {
+      await royalty.connect(addr2).createRoyaltyTemplate("Band split", buildRoyaltySplit(band));
+      await royalty.connect(addr3).acceptRoyaltyTemplate(templateId);
+
+      await expect(
+        royalty.connect(addr1).assignRoyaltyTemplate(nftAddress, 2, 1, templateId)
+      ).to.be.revertedWith("Invalid token range");
+      await expect(
+        royalty.connect(addr1).assignRoyaltyTemplate(nftAddress, 0, await royalty.MAX_TEMPLATE_RANGE(), templateId)
+      ).to.be.revertedWith("Invalid token range");
+
+      // The whole range is assigned or none of it
+      await cryptoSoundsNFT.connect(addrs[0]).mintAudioNFT(
+        addrs[0].address,
+        {
+          title: "Someone Else's Track",
+          artist: "Someone Else",
+          album: "",
+          genre: "Electronic",
+          duration: 180,
+          audioFormat: "WAV",
+          audioHash: "QmOtherHash",
+          coverImageHash: "",
+          releaseDate: Math.floor(Date.now() / 1000),
+          isExplicit: false
+        },
+        "https://ipfs.io/ipfs/QmOtherMetadataHash",
+        { value: await cryptoSoundsNFT.mintPrice() }
       );
+      await expect(
+        royalty.connect(addr1).assignRoyaltyTemplate(nftAddress, 0, 3, templateId)
+      ).to.be.revertedWithCustomError(royalty, "NotAuthorized").withArgs(addr1.address);
+      expect(await royalty.royaltyIdOf(nftAddress, 0)).to.equal(ethers.ZeroHash);
+
+      // Selling a track does not take it out of its creator's hands
+      await cryptoSoundsNFT.connect(addr1).transferFrom(addr1.address, addrs[0].address, 2);
+      await expect(
+        royalty.connect(addrs[0]).assignRoyaltyTemplate(nftAddress, 2, 2, templateId)
+      ).to.be.revertedWithCustomError(royalty, "NotAuthorized").withArgs(addrs[0].address);
+      await royalty.connect(addr1).assignRoyaltyTemplate(nftAddress, 0, 2, templateId);
+      expect(await royalty.royaltyIdOf(nftAddress, 2)).to.equal(templateId);
+    });
+
+    it("Should fall back from a token's split to its template to the contract default", async function () {
+      await royalty.connect(addr2).createRoyaltyTemplate("Band split", buildRoyaltySplit(band));
+      await royalty.connect(addr3).acceptRoyaltyTemplate(templateId);
+      await royalty.connect(addrs[0]).createRoyaltyTemplate("Label", buildRoyaltySplit({
+        recipients: [addrs[0].address],
+        percentages: [100],
+        roles: ["label"]
+      }));
+      const labelId = await royalty.royaltyTemplateId(addrs[0].address, "Label");
+
+      await royalty.connect(addr1).setTokenRoyalty(nftAddress, 0, [addr1.address], [500], ["artist"]);
+      await royalty.connect(addr1).assignRoyaltyTemplate(nftAddress, 1, 1, templateId);
+
+      // Only an admin of the NFT contract sets its default
+      await expect(
+        royalty.connect(addr1).setDefaultRoyaltyTemplate(nftAddress, labelId)
+      ).to.be.revertedWithCustomError(royalty, "NotAuthorized").withArgs(addr1.address);
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("Mock USD", "mUSD", 18);
+      await expect(
+        royalty.setDefaultRoyaltyTemplate(await token.getAddress(), labelId)
+      ).to.be.revertedWithCustomError(royalty, "NotAuthorized").withArgs(owner.address);
+
+      await expect(royalty.setDefaultRoyaltyTemplate(nftAddress, labelId))
+        .to.emit(royalty, "DefaultRoyaltyTemplateSet").withArgs(nftAddress, labelId);
+
+      expect(await royalty.royaltyIdOf(nftAddress, 0)).to.equal(await royalty.tokenToRoyaltyId(nftAddress, 0));
+      expect(await royalty.royaltyIdOf(nftAddress, 1)).to.equal(templateId);
+      expect(await royalty.royaltyIdOf(nftAddress, 2)).to.equal(labelId);
+      expect((await royalty.calculateRoyalty(nftAddress, 0, salePrice))[0]).to.equal(ethers.parseEther("0.05"));
+      expect((await royalty.calculateRoyalty(nftAddress, 1, salePrice))[0]).to.equal(ethers.parseEther("0.05"));
+      expect((await royalty.calculateRoyalty(nftAddress, 2, salePrice))[0]).to.equal(ethers.parseEther("0.01"));
+
+      // The creator of a token under the default can still give it a split of its own
+      await royalty.connect(addr1).setTokenRoyalty(nftAddress, 2, [addr2.address], [300], ["artist"]);
+      expect(await royalty.royaltyIdOf(nftAddress, 2)).to.equal(labelId); // until accepted
+      await acceptRoyalty(nftAddress, 2, [addr2]);
+      expect(await royalty.royaltyIdOf(nftAddress, 2)).to.equal(await royalty.tokenToRoyaltyId(nftAddress, 2));
+      expect((await royalty.calculateRoyalty(nftAddress, 2, salePrice))[0]).to.equal(ethers.parseEther("0.03"));
+    });
+
+    it("Should let templates assigned after the default override it", async function () {
+      await royalty.connect(addr2).createRoyaltyTemplate("Band split", buildRoyaltySplit(band));
+      await royalty.connect(addr3).acceptRoyaltyTemplate(templateId);
+      await royalty.connect(addrs[0]).createRoyaltyTemplate("Label", buildRoyaltySplit({
+        recipients: [addrs[0].address],
+        percentages: [100],
+        roles: ["label"]
+      }));
+      const labelId = await royalty.royaltyTemplateId(addrs[0].address, "Label");
+      await royalty.setDefaultRoyaltyTemplate(nftAddress, labelId);
+
+      await expect(royalty.connect(addr1).assignRoyaltyTemplate(nftAddress, 0, 1, templateId))
+        .to.emit(royalty, "RoyaltyTemplateAssigned").withArgs(nftAddress, templateId, 0, 1);
+      expect(await royalty.royaltyIdOf(nftAddress, 0)).to.equal(templateId);
+      expect(await royalty.royaltyIdOf(nftAddress, 1)).to.equal(templateId);
+      expect(await royalty.royaltyIdOf(nftAddress, 2)).to.equal(labelId);
+
+      // An assigned template is the token's own: it cannot be assigned over
+      await expect(
+        royalty.connect(addr1).assignRoyaltyTemplate(nftAddress, 1, 2, labelId)
+      ).to.be.revertedWithCustomError(royalty, "RoyaltyAlreadySet").withArgs(templateId);
+
+      // Replacing the default only moves tokens still on it
+      await expect(royalty.setDefaultRoyaltyTemplate(nftAddress, templateId))
+        .to.emit(royalty, "DefaultRoyaltyTemplateSet").withArgs(nftAddress, templateId);
+      expect(await royalty.royaltyIdOf(nftAddress, 2)).to.equal(templateId);
+      await royalty.setDefaultRoyaltyTemplate(nftAddress, labelId);
+      expect(await royalty.royaltyIdOf(nftAddress, 0)).to.equal(templateId);
+      expect(await royalty.royaltyIdOf(nftAddress, 2)).to.equal(labelId);
+    });
 
-      const balanceAfter = await ethers.provider.getBalance(addr1.address);
-      // Should have received full refund minus gas
-      expect(balanceAfter).to.be.closeTo(balanceBefore, ethers.parseEther("0.01"));
+    it("Should let template recipients give one token its own split", async function () {
+      await royalty.connect(addr2).createRoyaltyTemplate("Band split", buildRoyaltySplit(band));
+      await royalty.connect(addr3).acceptRoyaltyTemplate(templateId);
+      await royalty.connect(addr1).assignRoyaltyTemplate(nftAddress, 0, 1, templateId);
+
+      // A guest vocalist on the second track
+      const deadline = (await time.latest()) + 3600;
+      const split = buildRoyaltySplit({
+        recipients: [addr2.address, addr3.address, addrs[0].address],
+        percentages: [200, 200, 100],
+        roles: ["vocals", "guitar", "guest"]
+      });
+      const signatures = [
+        await signRoyaltyChange(addr2, royalty, nftAddress, 1, split, deadline),
+        await signRoyaltyChange(addr3, royalty, nftAddress, 1, split, deadline)
+      ];
+
+      // Approvals for the second track cannot be replayed on the first, which shares its template
+      await expect(
+        royalty.changeTokenRoyalty(nftAddress, 0, split, deadline, signatures)
+      ).to.be.revertedWithCustomError(royalty, "InvalidSigner");
+      await expect(
+        royalty.lockTokenRoyalty(nftAddress, 0, deadline, [
+          await signRoyaltyLock(addr2, royalty, nftAddress, 1, deadline),
+          await signRoyaltyLock(addr3, royalty, nftAddress, 1, deadline)
+        ])
+      ).to.be.revertedWithCustomError(royalty, "InvalidSigner");
+
+      await royalty.changeTokenRoyalty(nftAddress, 1, split, deadline, signatures);
+      expect(await royalty.royaltyNonces(templateId)).to.equal(1);
+      await acceptRoyalty(nftAddress, 1, [addrs[0]]);
+
+      expect((await royalty.getTokenRoyalty(nftAddress, 1)).recipients).to.include(addrs[0].address);
+      expect(await royalty.royaltyIdOf(nftAddress, 0)).to.equal(templateId);
+      expect((await royalty.tokenRoyalties(templateId)).isActive).to.be.true;
     });
   });
 
@@ -481,6 +1265,7 @@ describe("CryptoSoundsRoyalty", function () {
         percentages,
         roles
       );
+      await acceptRoyalty(nftAddress, tokenId, [addr2, addr3]);
     });
 
     it("Should calculate royalty correctly", async function () {
@@ -557,6 +1342,7 @@ describe("CryptoSoundsRoyalty", function () {
         percentages,
         roles
       );
+      await acceptRoyalty(nftAddress, tokenId, [addr2, addr3]);
     });
 
     it("Should return correct royalty information", async function () {
@@ -581,7 +1367,10 @@ describe("CryptoSoundsRoyalty", function () {
     it("Should revert for token without royalty", async function () {
       await expect(
         royalty.getTokenRoyalty(nftAddress, 999)
-      ).to.be.revertedWith("Royalty not set");
+      ).to.be.revertedWithCustomError(royalty, "RoyaltyNotSet").withArgs(nftAddress, 999);
+      await expect(
+        royalty.getRoyaltySchedule(nftAddress, 999)
+      ).to.be.revertedWithCustomError(royalty, "RoyaltyNotSet").withArgs(nftAddress, 999);
     });
   });
 
@@ -611,10 +1400,31 @@ describe("CryptoSoundsRoyalty", function () {
       expect(await royalty.paused()).to.be.false;
     });
 
-    it("Should prevent non-owner from updating settings", async function () {
+    it("Should prevent accounts without the fee manager role from updating settings", async function () {
       await expect(
         royalty.connect(addr1).setMaxTotalPercentage(1500)
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+      ).to.be.revertedWith(missingRole(addr1.address, await royalty.FEE_MANAGER_ROLE()));
+    });
+
+    it("Should gate each admin function by its role", async function () {
+      const holders = await assignDistinctRoles(royalty, owner, addrs);
+
+      await expectRoleGates(royalty, holders, [
+        { role: "PAUSER_ROLE", call: (contract) => contract.pause() },
+        { role: "PAUSER_ROLE", call: (contract) => contract.unpause() },
+        { role: "FEE_MANAGER_ROLE", call: (contract) => contract.setMaxTotalPercentage(1500) },
+        { role: "FEE_MANAGER_ROLE", call: (contract) => contract.setPlatformFee(50) },
+        { role: "FEE_MANAGER_ROLE", call: (contract) => contract.setPlatformFeeRecipient(addr1.address) },
+        { role: "TREASURER_ROLE", call: (contract) => contract.withdraw(), reason: "No funds to withdraw" },
+      ]);
+
+      // Only the admin can hand out roles
+      const pauserRole = await royalty.PAUSER_ROLE();
+      await expect(
+        royalty.connect(holders.PAUSER_ROLE).grantRole(pauserRole, addr1.address)
+      ).to.be.revertedWith(missingRole(holders.PAUSER_ROLE.address, ethers.ZeroHash));
+      await royalty.connect(holders.DEFAULT_ADMIN_ROLE).grantRole(pauserRole, addr1.address);
+      expect(await royalty.hasRole(pauserRole, addr1.address)).to.be.true;
     });
 
     it("Should validate percentage limits", async function () {
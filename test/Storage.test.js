@@ -0,0 +1,139 @@
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { CHUNK_SIZE, computeCid, isCid } = require("../scripts/cid");
+const { FileSystemStore, IpfsHttpStore, createStore, uploadTrack } = require("../scripts/storage");
+
+describe("Content-addressed storage", function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "cryptosounds-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("CIDs", function () {
+    it("Should compute raw CIDv1 values for single-chunk files", function () {
+      // CID IPFS assigns to an empty file
+      expect(computeCid(Buffer.alloc(0))).to.equal("bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku");
+      expect(computeCid(Buffer.alloc(CHUNK_SIZE))).to.match(/^bafkrei/);
+    });
+
+    it("Should compute dag-pb root CIDs for multi-chunk files", function () {
+      const content = Buffer.alloc(CHUNK_SIZE * 2 + 1, 7);
+      const cid = computeCid(content);
+
+      // CID the reference UnixFS importer assigns with `ipfs add --cid-version=1` defaults
+      expect(cid).to.equal("bafybeiam4zmyknj3wiatg2raurbn3jqmb7ox4hhxufwb3zqplpvb5gapr4");
+      expect(isCid(cid)).to.be.true;
+      expect(computeCid(Buffer.from(content))).to.equal(cid);
+      expect(computeCid(Buffer.alloc(CHUNK_SIZE * 2 + 1, 8))).to.not.equal(cid);
+    });
+
+    it("Should nest dag-pb nodes for files of more than 174 chunks", function () {
+      const content = Buffer.alloc(175 * CHUNK_SIZE + 1);
+      for (let i = 0; i < content.length; i++) {
+        content[i] = i % 251;
+      }
+
+      // Two levels of UnixFS nodes, as `ipfs add --cid-version=1` builds them
+      expect(computeCid(content)).to.equal("bafybeihzhgkxa5ea4r5cr73r73tsf3ppwpstcxnsuyqxio3vy7xpikkhmi");
+    });
+
+    it("Should reject malformed CIDs", function () {
+      expect(isCid("QmTestHash123")).to.be.false;
+      expect(isCid("bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyk")).to.be.false;
+    });
+  });
+
+  describe("FileSystemStore", function () {
+    it("Should store and read content by CID", async function () {
+      const store = new FileSystemStore(dir);
+      const content = Buffer.from("audio bytes");
+
+      const { cid, uri, size } = await store.put(content);
+
+      expect(cid).to.equal(computeCid(content));
+      expect(uri).to.equal(`ipfs://${cid}`);
+      expect(size).to.equal(content.length);
+      expect(await store.has(cid)).to.be.true;
+      expect(await store.get(cid)).to.deep.equal(content);
+    });
+
+    it("Should detect tampered or missing content", async function () {
+      const store = new FileSystemStore(dir);
+      const { cid } = await store.put(Buffer.from("audio bytes"));
+      fs.writeFileSync(path.join(dir, cid), "tampered");
+
+      await expect(store.get(cid)).to.be.rejectedWith(`Stored content for ${cid} does not match its CID`);
+      const missing = computeCid(Buffer.from("missing"));
+      expect(await store.has(missing)).to.be.false;
+      await expect(store.get(missing)).to.be.rejectedWith("not found");
+    });
+
+    it("Should upload audio, cover and metadata in order", async function () {
+      const store = new FileSystemStore(dir);
+      const audio = Buffer.from("audio bytes");
+      const cover = Buffer.from("cover bytes");
+
+      const result = await uploadTrack(store, { audio, cover }, (audioCid, coverCid) => ({
+        audio: audioCid,
+        image: coverCid
+      }));
+
+      expect(result.audioCid).to.equal(computeCid(audio));
+      expect(result.coverCid).to.equal(computeCid(cover));
+      expect(result.tokenURI).to.equal(`ipfs://${result.metadataCid}`);
+      const metadata = JSON.parse(await store.get(result.metadataCid));
+      expect(metadata).to.deep.equal({ audio: result.audioCid, image: result.coverCid });
+    });
+  });
+
+  describe("IpfsHttpStore", function () {
+    let server;
+    let apiUrl;
+    let addedCid;
+
+    beforeEach(async function () {
+      // Minimal stand-in for the Kubo RPC API
+      server = http.createServer((request, response) => {
+        if (request.url.startsWith("/api/v0/add")) {
+          request.resume();
+          request.on("end", () => response.end(JSON.stringify({ Hash: addedCid })));
+        } else {
+          response.statusCode = 404;
+          response.end("not found");
+        }
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      apiUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async function () {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it("Should add content and check the returned CID", async function () {
+      const store = new IpfsHttpStore(apiUrl);
+      const content = Buffer.from("audio bytes");
+
+      addedCid = computeCid(content);
+      expect((await store.put(content)).cid).to.equal(addedCid);
+
+      addedCid = computeCid(Buffer.from("something else"));
+      await expect(store.put(content)).to.be.rejectedWith(`IPFS returned CID ${addedCid}`);
+    });
+  });
+
+  it("Should create the configured store", function () {
+    expect(createStore({ STORAGE_DIR: dir })).to.be.instanceOf(FileSystemStore);
+    expect(createStore({ STORAGE_BACKEND: "ipfs", IPFS_API_URL: "http://127.0.0.1:5001" })).to.be.instanceOf(IpfsHttpStore);
+    expect(() => createStore({ STORAGE_BACKEND: "ipfs" })).to.throw("IPFS_API_URL is required");
+    expect(() => createStore({ STORAGE_BACKEND: "s3" })).to.throw('Unknown STORAGE_BACKEND "s3"');
+  });
+});
@@ -0,0 +1,108 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const {
+  formatDuration,
+  buildTokenMetadata,
+  validateTokenMetadata,
+  findMetadataDrift,
+} = require("../scripts/token-metadata");
+
+describe("Token metadata", function () {
+  const audioMetadata = {
+    title: "Test Song",
+    artist: "Test Artist",
+    album: "Test Album",
+    genre: "Electronic",
+    duration: 240,
+    audioFormat: "WAV",
+    audioHash: "QmTestHash123",
+    coverImageHash: "QmCoverHash123",
+    releaseDate: 1700000000,
+    isExplicit: false
+  };
+
+  const toDataUri = (json) =>
+    "data:application/json;base64," + Buffer.from(JSON.stringify(json)).toString("base64");
+
+  it("Should build metadata following the README format", function () {
+    const metadata = buildTokenMetadata(audioMetadata);
+
+    expect(metadata.name).to.equal("Test Song");
+    expect(metadata.image).to.equal("https://ipfs.io/ipfs/QmCoverHash123");
+    expect(metadata.audio).to.equal("https://ipfs.io/ipfs/QmTestHash123");
+    expect(metadata.animation_url).to.equal(metadata.audio);
+    expect(metadata.attributes).to.deep.include({ trait_type: "Artist", value: "Test Artist" });
+    expect(metadata.attributes).to.deep.include({ trait_type: "Genre", value: "Electronic" });
+    expect(metadata.attributes).to.deep.include({ trait_type: "Duration", value: "4:00" });
+    expect(metadata.attributes).to.deep.include({ trait_type: "Format", value: "WAV" });
+    expect(validateTokenMetadata(metadata)).to.deep.equal({ valid: true, errors: [] });
+  });
+
+  it("Should format durations", function () {
+    expect(formatDuration(5)).to.equal("0:05");
+    expect(formatDuration(240n)).to.equal("4:00");
+    expect(formatDuration(3725)).to.equal("1:02:05");
+  });
+
+  it("Should report schema errors", function () {
+    const metadata = buildTokenMetadata({ ...audioMetadata, coverImageHash: "" });
+    metadata.attributes = metadata.attributes.filter((attribute) => attribute.trait_type !== "Format");
+
+    const { valid, errors } = validateTokenMetadata(metadata);
+    expect(valid).to.be.false;
+    expect(errors).to.include("/ must have required property 'image'");
+    expect(errors.some((error) => error.startsWith("/attributes must contain"))).to.be.true;
+  });
+
+  it("Should find drift from the on-chain metadata", function () {
+    const metadata = buildTokenMetadata(audioMetadata);
+
+    expect(findMetadataDrift(metadata, audioMetadata)).to.deep.equal([]);
+    expect(findMetadataDrift(metadata, { ...audioMetadata, title: "Renamed", duration: 241 })).to.deep.equal([
+      'name: expected "Renamed", found "Test Song"',
+      'Duration: expected "4:01", found "4:00"',
+    ]);
+  });
+
+  it("Should audit on-chain token URIs with the audit-metadata task", async function () {
+    const [owner] = await hre.ethers.getSigners();
+    const CryptoSoundsNFT = await hre.ethers.getContractFactory("CryptoSoundsNFT");
+    const nft = await CryptoSoundsNFT.deploy("CryptoSounds", "CSND", owner.address);
+    await nft.waitForDeployment();
+    const mintPrice = await nft.mintPrice();
+
+    await nft.mintAudioNFT(owner.address, audioMetadata, toDataUri(buildTokenMetadata(audioMetadata)), {
+      value: mintPrice
+    });
+    const stale = { ...audioMetadata, audioHash: "QmOtherHash" };
+    await nft.mintAudioNFT(owner.address, stale, toDataUri(buildTokenMetadata({ ...stale, genre: "Jazz" })), {
+      value: mintPrice
+    });
+
+    const reports = await hre.run("audit-metadata", { nft: await nft.getAddress() });
+
+    expect(reports).to.have.length(2);
+    expect(reports[0].errors).to.be.empty;
+    expect(reports[0].drift).to.be.empty;
+    expect(reports[1].errors).to.be.empty;
+    expect(reports[1].drift).to.deep.equal(['Genre: expected "Electronic", found "Jazz"']);
+  });
+
+  it("Should audit metadata rendered on-chain", async function () {
+    const [owner] = await hre.ethers.getSigners();
+    const CryptoSoundsNFT = await hre.ethers.getContractFactory("CryptoSoundsNFT");
+    const nft = await CryptoSoundsNFT.deploy("CryptoSounds", "CSND", owner.address);
+    await nft.waitForDeployment();
+    const CryptoSoundsMetadataRenderer = await hre.ethers.getContractFactory("CryptoSoundsMetadataRenderer");
+    const renderer = await CryptoSoundsMetadataRenderer.deploy();
+    await renderer.waitForDeployment();
+    await nft.setMetadataRenderer(await renderer.getAddress());
+
+    await nft.mintAudioNFT(owner.address, { ...audioMetadata, coverImageHash: "" }, "", { value: await nft.mintPrice() });
+
+    const reports = await hre.run("audit-metadata", { nft: await nft.getAddress() });
+
+    expect(reports[0].errors).to.be.empty;
+    expect(reports[0].drift).to.be.empty;
+  });
+});
@@ -0,0 +1,131 @@
+// Build a WAV file from samples in [-1, 1); extra chunks are placed before "data"
+function buildWav(samples, { channels = 2, sampleRate = 44100, bitsPerSample = 16, isFloat = false, extraChunks = [] } = {}) {
+  const bytesPerSample = bitsPerSample / 8;
+  const data = Buffer.alloc(samples.length * bytesPerSample);
+  samples.forEach((sample, i) => {
+    const offset = i * bytesPerSample;
+    if (isFloat) {
+      data.writeFloatLE(sample, offset);
+    } else if (bitsPerSample === 16) {
+      data.writeInt16LE(Math.round(sample * 32768), offset);
+    } else {
+      data.writeIntLE(Math.round(sample * 8388608), offset, 3);
+    }
+  });
+
+  const fmt = Buffer.alloc(16);
+  fmt.writeUInt16LE(isFloat ? 3 : 1, 0);
+  fmt.writeUInt16LE(channels, 2);
+  fmt.writeUInt32LE(sampleRate, 4);
+  fmt.writeUInt32LE(sampleRate * channels * bytesPerSample, 8);
+  fmt.writeUInt16LE(channels * bytesPerSample, 12);
+  fmt.writeUInt16LE(bitsPerSample, 14);
+
+  const chunk = (id, body) => {
+    const header = Buffer.alloc(8);
+    header.write(id, 0, "ascii");
+    header.writeUInt32LE(body.length, 4);
+    return Buffer.concat([header, body, Buffer.alloc(body.length % 2)]);
+  };
+
+  const body = Buffer.concat([
+    Buffer.from("WAVE", "ascii"),
+    chunk("fmt ", fmt),
+    ...extraChunks.map(([id, content]) => chunk(id, content)),
+    chunk("data", data),
+  ]);
+  const riff = Buffer.alloc(8);
+  riff.write("RIFF", 0, "ascii");
+  riff.writeUInt32LE(body.length, 4);
+  return Buffer.concat([riff, body]);
+}
+
+// Deterministic pseudo-random numbers in [0, 1)
+function random(seed) {
+  let state = seed >>> 0;
+  return () => (state = (Math.imul(state, 1664525) + 1013904223) >>> 0) / 4294967296;
+}
+
+// Synthesize a mono track of decaying harmonic notes over noise, one per eighth of a
+// second, quantized to 16 bits so every WAV encoding represents it exactly
+function buildTrack(seed, { sampleRate = 22050, seconds = 4 } = {}) {
+  const next = random(seed);
+  const samples = new Array(sampleRate * seconds);
+  const noteLength = Math.floor(sampleRate / 8);
+
+  for (let start = 0; start < samples.length; start += noteLength) {
+    const pitch = 150 + next() * 900;
+    const harmonics = [1, next(), next() * 0.7, next() * 0.5, next() * 0.3];
+    const noise = next() * 0.1;
+    for (let i = 0; i < noteLength && start + i < samples.length; i++) {
+      const t = i / sampleRate;
+      const envelope = Math.exp(-12 * t);
+      const tone = harmonics.reduce((sum, amplitude, h) => sum + amplitude * Math.sin(2 * Math.PI * pitch * (h + 1) * t), 0);
+      const value = envelope * (0.25 * tone + noise * (next() * 2 - 1));
+      samples[start + i] = Math.round(value * 32767) / 32768;
+    }
+  }
+  return samples;
+}
+
+// Simulate a lossy re-encode of a mono track: resample with linear interpolation,
+// lower the gain, add noise, prepend codec padding and requantize to 16 bits
+function reencode(samples, { fromRate = 22050, toRate = 44100, gain = 0.8, noise = 0.003, seed = 1 } = {}) {
+  const next = random(seed);
+  const padding = Array.from({ length: Math.floor(toRate * 0.03) }, () => (next() * 2 - 1) * 0.0001);
+  const length = Math.floor((samples.length * toRate) / fromRate);
+
+  const resampled = Array.from({ length }, (_, i) => {
+    const position = (i * fromRate) / toRate;
+    const index = Math.floor(position);
+    const fraction = position - index;
+    const value = (samples[index] || 0) * (1 - fraction) + (samples[index + 1] || 0) * fraction;
+    return Math.round((gain * value + (next() * 2 - 1) * noise) * 32767) / 32768;
+  });
+  return [...padding.map((value) => Math.round(value * 32767) / 32768), ...resampled];
+}
+
+// Build an ID3v2.3 tag from text frames (ISO-8859-1)
+function buildId3v2(frames) {
+  const body = Buffer.concat(
+    Object.entries(frames).map(([id, text]) => {
+      const data = Buffer.concat([Buffer.from([0]), Buffer.from(text, "latin1")]);
+      const header = Buffer.alloc(10);
+      header.write(id, 0, "latin1");
+      header.writeUInt32BE(data.length, 4);
+      return Buffer.concat([header, data]);
+    })
+  );
+
+  const header = Buffer.from([0x49, 0x44, 0x33, 3, 0, 0, 0, 0, 0, 0]);
+  // Syncsafe size: 7 bits per byte
+  for (let i = 0; i < 4; i++) {
+    header[6 + i] = (body.length >> (7 * (3 - i))) & 0x7f;
+  }
+  return Buffer.concat([header, body]);
+}
+
+// Build a CBR MP3 of silent MPEG-1 Layer III frames (128 kbps, 44.1 kHz, joint stereo)
+function buildMp3(frameCount, { id3v2 = {}, id3v1 = null } = {}) {
+  const frame = Buffer.alloc(417);
+  frame.set([0xff, 0xfb, 0x90, 0x64]);
+  const parts = [buildId3v2(id3v2), ...Array(frameCount).fill(frame)];
+
+  if (id3v1) {
+    const tag = Buffer.alloc(128);
+    tag.write("TAG", 0, "latin1");
+    tag.write(id3v1.title || "", 3, "latin1");
+    tag.write(id3v1.artist || "", 33, "latin1");
+    tag[127] = id3v1.genre === undefined ? 255 : id3v1.genre;
+    parts.push(tag);
+  }
+  return Buffer.concat(parts);
+}
+
+module.exports = {
+  buildWav,
+  buildTrack,
+  reencode,
+  buildId3v2,
+  buildMp3,
+};
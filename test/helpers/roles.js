@@ -0,0 +1,41 @@
+const { expect } = require("chai");
+const { ROLE_ENV, assignRoles } = require("../../scripts/roles");
+
+// Revert reason of a failed onlyRole check
+function missingRole(account, role) {
+  return `AccessControl: account ${account.toLowerCase()} is missing role ${role}`;
+}
+
+// Give every role the contract defines to its own signer, the way scripts/deploy.js does
+async function assignDistinctRoles(contract, deployer, signers) {
+  const names = Object.keys(ROLE_ENV).filter((name) => contract.interface.getFunction(name));
+  const assignments = Object.fromEntries(names.map((name, i) => [name, signers[i].address]));
+  await assignRoles(contract, assignments, deployer);
+  return Object.fromEntries(names.map((name, i) => [name, signers[i]]));
+}
+
+// Check that each gated call reverts for every other role holder and goes through
+// for the holder of its role (or fails on a later check, given as `reason`)
+async function expectRoleGates(contract, holders, gates) {
+  for (const { role, call, reason } of gates) {
+    const roleId = await contract[role]();
+    for (const [name, signer] of Object.entries(holders)) {
+      if (name !== role) {
+        await expect(call(contract.connect(signer))).to.be.revertedWith(missingRole(signer.address, roleId));
+      }
+    }
+
+    const allowed = call(contract.connect(holders[role]));
+    if (reason) {
+      await expect(allowed).to.be.revertedWith(reason);
+    } else {
+      await expect(allowed).to.not.be.reverted;
+    }
+  }
+}
+
+module.exports = {
+  missingRole,
+  assignDistinctRoles,
+  expectRoleGates,
+};